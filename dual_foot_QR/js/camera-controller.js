@@ -206,20 +206,22 @@ export class CameraController extends EventTarget {
         
         const distance = Math.max(size.x, size.y, size.z) * 2;
         
-        // 방향에 따른 카메라 위치 설정
+        // 발 기준 좌표축에 맞춰 카메라 위치 설정 (X: 좌우, Y: 위, Z: 뒤꿈치→발끝)
+        const { xAxis, yAxis, zAxis } = this.sceneManager.getCanonicalAxes();
+
         switch(direction) {
             case 'top': 
-                this.activeCamera.position.set(center.x, center.y + distance, center.z);
-                this.activeCamera.up.set(0, 0, -1); // 위쪽 방향 조정
+                this.activeCamera.position.copy(center).addScaledVector(yAxis, distance);
+                this.activeCamera.up.copy(zAxis); // 발끝이 화면 위쪽
                 break;
             case 'side': 
-                this.activeCamera.position.set(center.x + distance, center.y, center.z);
-                this.activeCamera.up.set(0, 1, 0); // 위쪽 방향 리셋
+                this.activeCamera.position.copy(center).addScaledVector(xAxis, distance);
+                this.activeCamera.up.copy(yAxis);
                 break;
             case 'front':
             default: 
-                this.activeCamera.position.set(center.x, center.y, center.z + distance);
-                this.activeCamera.up.set(0, 1, 0); // 위쪽 방향 리셋
+                this.activeCamera.position.copy(center).addScaledVector(zAxis, distance);
+                this.activeCamera.up.copy(yAxis);
                 break;
         }
         
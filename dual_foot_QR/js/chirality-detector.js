@@ -0,0 +1,31 @@
+/**
+ * 좌우 판별 모듈 - 발 기준 좌표계에서 엄지발가락(무지) 위치로 왼발/오른발 판별 전담
+ */
+import { FootFrame } from './foot-frame.js';
+import { ToeProfile } from './toe-profile.js';
+
+export class ChiralityDetector {
+    /**
+     * 왼발/오른발 판별
+     * 발 좌표계(Y 위, Z 발끝)에서 엄지는 안쪽에 있으므로 왼발은 -X, 오른발은 +X 쪽에 위치
+     * 반환: { side: 'left'|'right'|null, score, confidence }
+     */
+    static detect(positions, frame = null) {
+        try {
+            frame = frame || FootFrame.estimate(positions);
+            const local = FootFrame.toFramePositions(FootFrame.samplePositions(positions), frame);
+            const score = ToeProfile.halluxOffset(local, frame.size.z);
+
+            const magnitude = Math.abs(score);
+            const side = magnitude < 0.03 ? null : (score < 0 ? 'left' : 'right');
+            const confidence = magnitude >= 0.15 ? '높음' : magnitude >= 0.06 ? '보통' : '낮음';
+
+            console.log(`🦶 좌우 판별: ${side || '판별 불가'} (점수 ${score.toFixed(3)}, 신뢰도 ${confidence})`);
+            return { side, score, confidence };
+
+        } catch (error) {
+            console.warn('⚠️ 좌우 판별 실패:', error.message);
+            return { side: null, score: 0, confidence: '낮음' };
+        }
+    }
+}
@@ -1,20 +1,34 @@
 /**
- * 파일 로더 모듈 - PLY 파일 로딩 및 처리 전담
+ * 파일 로더 모듈 - 3D 스캔 파일(PLY, STL, OBJ, glTF, 점군) 로딩 및 처리 전담
  */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
 import { PLYLoader } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/loaders/PLYLoader.js';
+import { STLLoader } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/loaders/STLLoader.js';
+import { OBJLoader } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/loaders/OBJLoader.js';
+import { MTLLoader } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/loaders/MTLLoader.js';
+import { GLTFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/loaders/GLTFLoader.js';
+import { PCDLoader } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/loaders/PCDLoader.js';
+import { BufferGeometryUtils } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/utils/BufferGeometryUtils.js';
+import { PointCloudParser } from './point-cloud-parser.js';
+import { ScanInspector } from './scan-inspector.js';
 
 export class FileLoader extends EventTarget {
-    constructor(sceneManager) {
+    constructor(sceneManager, workerClient = null) {
         super();
         this.sceneManager = sceneManager;
+        this.workerClient = workerClient; // 있으면 DOM이 필요 없는 형식은 워커에서 파싱
         this.currentFileName = '';
-        this.loader = new PLYLoader();
+        this.loaders = {
+            ply: new PLYLoader(),
+            stl: new STLLoader(),
+            pcd: new PCDLoader()
+        };
     }
 
     /**
-     * 파일 로딩
+     * 파일 로딩 (companionFiles: OBJ의 MTL/텍스처, glTF의 bin/텍스처 등 함께 드롭된 파일)
      */
-    async loadFile(file) {
+    async loadFile(file, companionFiles = []) {
         if (!file) {
             this.dispatchEvent(new CustomEvent('loadError', {
                 detail: { message: '파일이 선택되지 않았습니다.' }
@@ -24,7 +38,7 @@ export class FileLoader extends EventTarget {
 
         if (!this.isValidFile(file)) {
             this.dispatchEvent(new CustomEvent('loadError', {
-                detail: { message: 'PLY 파일만 지원됩니다.' }
+                detail: { message: this.getUnsupportedFormatMessage() }
             }));
             return;
         }
@@ -41,21 +55,24 @@ export class FileLoader extends EventTarget {
         }));
 
         try {
-            const geometry = await this.loadPLYFile(file);
+            const header = await this.inspectFile(file);
+            const geometry = await this.loadGeometry(file, companionFiles);
+            const quality = ScanInspector.checkQuality({ file, header, geometry });
             
             // 로딩 완료 이벤트
             this.dispatchEvent(new CustomEvent('loadCompleted', {
                 detail: { 
                     fileName: file.name,
                     geometry: geometry,
+                    inspection: { header, quality },
                     status: '로딩 완료'
                 }
             }));
 
-            console.log('✅ PLY 파일 로딩 완료');
+            console.log('✅ 3D 파일 로딩 완료');
             
         } catch (error) {
-            console.error('❌ PLY 로드 에러:', error);
+            console.error('❌ 3D 파일 로드 에러:', error);
             this.dispatchEvent(new CustomEvent('loadError', {
                 detail: { 
                     message: `파일 로드 실패: ${error.message || '알 수 없는 오류'}`,
@@ -65,21 +82,387 @@ export class FileLoader extends EventTarget {
         }
     }
 
+    /**
+     * 로딩 전 파일 검사 (PLY는 헤더 분석 결과 반환, 헤더가 깨졌으면 사유와 함께 예외)
+     */
+    async inspectFile(file) {
+        if (this.getFileFormat(file) !== 'ply') return null;
+        return ScanInspector.inspectPLYHeader(file);
+    }
+
+    /**
+     * 확장자에 맞는 로더로 geometry 로딩
+     */
+    async loadGeometry(file, companionFiles = []) {
+        const format = this.getFileFormat(file);
+
+        if (this.workerClient?.isAvailable && this.isWorkerFormat(format)) {
+            try {
+                return await this.loadGeometryInWorker(file);
+            } catch (error) {
+                // 워커 자체를 띄울 수 없을 때만 메인 스레드로 재시도 (취소/파싱 오류는 그대로 전달)
+                if (error.name !== 'WorkerError') throw error;
+                console.warn('⚠️ 스캔 워커 사용 불가 - 메인 스레드에서 로딩:', error.message);
+            }
+        }
+
+        switch (format) {
+            case 'ply':
+                return this.loadPLYFile(file);
+            case 'stl':
+                return this.loadSTLFile(file);
+            case 'obj':
+                return this.loadOBJFile(file, companionFiles);
+            case 'gltf':
+            case 'glb':
+                return this.loadGLTFFile(file, companionFiles);
+            case 'pcd':
+                return this.loadPCDFile(file);
+            case 'xyz':
+            case 'pts':
+            case 'txt':
+            case 'asc':
+                return this.loadASCIIPointCloudFile(file, format);
+            default:
+                throw new Error(this.getUnsupportedFormatMessage());
+        }
+    }
+
+    /**
+     * 워커에서 파싱 후 geometry 복원 (진행률은 loadProgress로 재발행)
+     */
+    async loadGeometryInWorker(file) {
+        console.log('🧵 워커에서 파싱:', file.name);
+
+        return this.workerClient.parseFile(file, (detail) => {
+            if (detail.event !== 'loadProgress') return;
+            this.dispatchEvent(new CustomEvent('loadProgress', {
+                detail: {
+                    fileName: file.name,
+                    percentage: detail.percentage,
+                    loaded: detail.loaded,
+                    total: detail.total
+                }
+            }));
+        });
+    }
+
+    /**
+     * 워커에서 처리 가능한 형식 (텍스처 이미지 디코딩이 필요한 OBJ/glTF 제외)
+     */
+    isWorkerFormat(format) {
+        return ['ply', 'stl', 'pcd', 'xyz', 'pts', 'txt', 'asc'].includes(format);
+    }
+
     /**
      * PLY 파일 로딩 (Promise 기반)
      */
-    loadPLYFile(file) {
+    async loadPLYFile(file) {
+        const geometry = await this.loadWithLoader(this.loaders.ply, file);
+        geometry.userData.sourceFormat = 'ply';
+        // face 요소가 없는 PLY는 점군으로 취급
+        geometry.userData.isPointCloud = !geometry.index;
+        return geometry;
+    }
+
+    /**
+     * STL 파일 로딩 (바이너리/ASCII 자동 판별)
+     */
+    async loadSTLFile(file) {
+        const rawGeometry = await this.loadWithLoader(this.loaders.stl, file);
+        const geometry = this.weldSTLGeometry(rawGeometry);
+        geometry.userData.sourceFormat = 'stl';
+
+        console.log(`🔗 STL 정점 병합: ${rawGeometry.attributes.position.count} → ${geometry.attributes.position.count}`);
+        return geometry;
+    }
+
+    /**
+     * STL은 삼각형마다 정점을 따로 저장하므로 중복 정점을 병합해 PLY와 같은 인덱스 geometry로 변환
+     */
+    weldSTLGeometry(rawGeometry) {
+        // 면 법선이 정점마다 달라 병합을 막으므로 제거 후 다시 계산
+        rawGeometry.deleteAttribute('normal');
+
+        const geometry = BufferGeometryUtils.mergeVertices(rawGeometry);
+        geometry.computeVertexNormals();
+        rawGeometry.dispose();
+
+        return geometry;
+    }
+
+    /**
+     * PCD 파일 로딩 (ascii / binary / binary_compressed)
+     */
+    async loadPCDFile(file) {
+        // PCDLoader는 Points 객체를 반환하므로 geometry만 꺼내 사용
+        const points = await this.loadWithLoader(this.loaders.pcd, file);
+        const geometry = points.geometry;
+        points.material.dispose();
+
+        geometry.userData.sourceFormat = 'pcd';
+        geometry.userData.isPointCloud = true;
+
+        console.log(`☁️ PCD 점군 로딩: ${geometry.attributes.position.count}개 점`);
+        return geometry;
+    }
+
+    /**
+     * XYZ/PTS 등 ASCII 점군 로딩 (RGB, 법선 컬럼은 선택)
+     */
+    async loadASCIIPointCloudFile(file, format) {
+        const text = await file.text();
+        const geometry = PointCloudParser.parseASCII(text, format);
+
+        console.log(`☁️ ${format.toUpperCase()} 점군 로딩: ${geometry.attributes.position.count}개 점`);
+        return geometry;
+    }
+
+    /**
+     * OBJ 파일 로딩 (MTL/텍스처 동반 파일이 있으면 재질까지 적용)
+     */
+    async loadOBJFile(file, companionFiles = []) {
+        const companions = this.createCompanionManager(companionFiles);
+
+        try {
+            const objLoader = new OBJLoader(companions.manager);
+            const mtlFile = companionFiles.find(f => f.name.toLowerCase().endsWith('.mtl'));
+
+            if (mtlFile) {
+                const materials = new MTLLoader(companions.manager).parse(await mtlFile.text(), '');
+                materials.preload();
+                objLoader.setMaterials(materials);
+            } else {
+                console.log('ℹ️ MTL 파일 없음 - 재질 없이 OBJ 로딩');
+            }
+
+            const root = objLoader.parse(await file.text());
+            await companions.whenLoaded();
+
+            return this.mergeObjectGeometry(root, 'obj');
+        } finally {
+            companions.dispose();
+        }
+    }
+
+    /**
+     * glTF/GLB 파일 로딩 (외부 .bin/텍스처는 동반 파일에서 찾음)
+     */
+    async loadGLTFFile(file, companionFiles = []) {
+        const companions = this.createCompanionManager(companionFiles);
+
+        try {
+            const loader = new GLTFLoader(companions.manager);
+            const data = await file.arrayBuffer();
+
+            const gltf = await new Promise((resolve, reject) => {
+                loader.parse(data, '', resolve, reject);
+            });
+            await companions.whenLoaded();
+
+            return this.mergeObjectGeometry(gltf.scene, file.name.toLowerCase().endsWith('.glb') ? 'glb' : 'gltf');
+        } finally {
+            companions.dispose();
+        }
+    }
+
+    /**
+     * 동반 파일을 파일명으로 찾아주는 LoadingManager 생성
+     */
+    createCompanionManager(companionFiles) {
+        const manager = new THREE.LoadingManager();
+        const objectURLs = new Map();
+
+        companionFiles.forEach(companion => {
+            objectURLs.set(companion.name.toLowerCase(), URL.createObjectURL(companion));
+        });
+
+        // MTL/glTF 안의 상대 경로는 폴더 구조와 상관없이 파일명으로만 매칭
+        manager.setURLModifier(url => {
+            if (url.startsWith('blob:') || url.startsWith('data:')) return url;
+
+            const baseName = decodeURIComponent(url.split(/[\\/]/).pop()).toLowerCase();
+            const objectURL = objectURLs.get(baseName);
+            if (!objectURL) {
+                console.warn('⚠️ 동반 파일을 찾을 수 없음:', url);
+            }
+            return objectURL || url;
+        });
+
+        // 텍스처는 비동기로 로드되므로 모두 끝날 때까지 기다릴 수 있게 상태를 추적
+        let isLoading = false;
+        let pendingResolve = null;
+        manager.onStart = () => { isLoading = true; };
+        manager.onLoad = () => {
+            isLoading = false;
+            pendingResolve?.();
+            pendingResolve = null;
+        };
+
+        return {
+            manager,
+            whenLoaded: () => isLoading ? new Promise(resolve => { pendingResolve = resolve; }) : Promise.resolve(),
+            dispose: () => objectURLs.forEach(objectURL => URL.revokeObjectURL(objectURL))
+        };
+    }
+
+    /**
+     * 여러 메시로 구성된 OBJ/glTF 씬을 측정용 단일 geometry로 병합
+     * 재질별 그룹과 텍스처 정보는 geometry.userData.surfaceMaterials에 보존
+     */
+    mergeObjectGeometry(root, sourceFormat) {
+        const parts = [];
+        root.updateMatrixWorld(true);
+
+        root.traverse(child => {
+            if (!child.isMesh || !child.geometry?.attributes.position) return;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone();
+            geometry.applyMatrix4(child.matrixWorld);
+
+            if (geometry.groups.length > 0) {
+                geometry.groups.forEach(group => {
+                    parts.push({
+                        geometry: this.extractGeometryRange(geometry, group.start, group.count),
+                        material: materials[group.materialIndex] || materials[0]
+                    });
+                });
+            } else {
+                parts.push({ geometry, material: materials[0] });
+            }
+        });
+
+        if (parts.length === 0) {
+            throw new Error('파일에 메시 데이터가 없습니다.');
+        }
+
+        const hasUV = parts.some(part => part.geometry.hasAttribute('uv'));
+        const hasColor = parts.some(part => part.geometry.hasAttribute('color'));
+        const normalizedParts = parts.map(part => this.normalizeMergeAttributes(part, hasUV, hasColor));
+
+        const merged = BufferGeometryUtils.mergeBufferGeometries(normalizedParts, true);
+        normalizedParts.forEach(geometry => geometry.dispose());
+        if (!merged) {
+            throw new Error('메시 병합에 실패했습니다.');
+        }
+
+        const geometry = BufferGeometryUtils.mergeVertices(merged);
+        merged.dispose();
+
+        geometry.userData.sourceFormat = sourceFormat;
+        geometry.userData.surfaceMaterials = parts.map(({ material }) => ({
+            map: material?.map || null,
+            color: material?.color ? material.color.getHex() : 0xffffff
+        }));
+        geometry.userData.hasTexture = geometry.userData.surfaceMaterials.some(m => m.map) && hasUV;
+
+        console.log(`🧩 ${sourceFormat.toUpperCase()} 메시 병합: ${parts.length}개 파트, ${geometry.attributes.position.count}개 정점, 텍스처 ${geometry.userData.hasTexture ? '있음' : '없음'}`);
+        return geometry;
+    }
+
+    /**
+     * 비인덱스 geometry에서 정점 범위만 잘라낸 geometry 생성 (재질 그룹 분리용)
+     */
+    extractGeometryRange(geometry, start, count) {
+        const range = new THREE.BufferGeometry();
+        const end = Math.min(start + count, geometry.attributes.position.count);
+
+        Object.keys(geometry.attributes).forEach(name => {
+            const attribute = geometry.attributes[name];
+            const array = new Float32Array((end - start) * attribute.itemSize);
+            for (let i = start; i < end; i++) {
+                for (let k = 0; k < attribute.itemSize; k++) {
+                    array[(i - start) * attribute.itemSize + k] = this.readAttributeComponent(attribute, i, k);
+                }
+            }
+            range.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize));
+        });
+
+        return range;
+    }
+
+    /**
+     * 병합 전에 모든 파트의 속성 구성을 position/normal/uv/color(float, rgb)로 통일
+     */
+    normalizeMergeAttributes({ geometry, material }, hasUV, hasColor) {
+        const count = geometry.attributes.position.count;
+        const normalized = new THREE.BufferGeometry();
+
+        normalized.setAttribute('position', this.toFloat32Attribute(geometry.attributes.position, 3));
+
+        if (!geometry.hasAttribute('normal')) {
+            geometry.computeVertexNormals();
+        }
+        normalized.setAttribute('normal', this.toFloat32Attribute(geometry.attributes.normal, 3));
+
+        if (hasUV) {
+            normalized.setAttribute('uv', geometry.hasAttribute('uv')
+                ? this.toFloat32Attribute(geometry.attributes.uv, 2)
+                : new THREE.BufferAttribute(new Float32Array(count * 2), 2));
+        }
+
+        if (hasColor) {
+            if (geometry.hasAttribute('color')) {
+                normalized.setAttribute('color', this.toFloat32Attribute(geometry.attributes.color, 3));
+            } else {
+                // 정점 색상이 없는 파트는 재질 색상으로 채움
+                const baseColor = material?.color || new THREE.Color(0xffffff);
+                const colors = new Float32Array(count * 3);
+                for (let i = 0; i < count; i++) {
+                    colors[i * 3] = baseColor.r;
+                    colors[i * 3 + 1] = baseColor.g;
+                    colors[i * 3 + 2] = baseColor.b;
+                }
+                normalized.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+            }
+        }
+
+        geometry.dispose();
+        return normalized;
+    }
+
+    /**
+     * 임의 타입(정규화 정수, interleaved, vec4 색상 등) 속성을 Float32 속성으로 변환
+     */
+    toFloat32Attribute(attribute, itemSize) {
+        const array = new Float32Array(attribute.count * itemSize);
+        for (let i = 0; i < attribute.count; i++) {
+            for (let k = 0; k < itemSize; k++) {
+                array[i * itemSize + k] = k < attribute.itemSize ? this.readAttributeComponent(attribute, i, k) : 0;
+            }
+        }
+        return new THREE.BufferAttribute(array, itemSize);
+    }
+
+    /**
+     * 속성 값 읽기 (r128의 getX는 정규화를 풀지 않으므로 직접 처리)
+     */
+    readAttributeComponent(attribute, index, component) {
+        const getters = ['getX', 'getY', 'getZ', 'getW'];
+        const value = attribute[getters[component]](index);
+
+        if (!attribute.normalized) return value;
+
+        const array = attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array;
+        if (array instanceof Uint8Array) return value / 255;
+        if (array instanceof Uint16Array) return value / 65535;
+        if (array instanceof Int8Array) return Math.max(value / 127, -1);
+        if (array instanceof Int16Array) return Math.max(value / 32767, -1);
+        return value;
+    }
+
+    /**
+     * three.js 로더 공통 로딩 (Promise 기반)
+     */
+    loadWithLoader(loader, file) {
         return new Promise((resolve, reject) => {
             const objectURL = URL.createObjectURL(file);
 
-            this.loader.load(
+            loader.load(
                 objectURL,
                 (geometry) => {
                     URL.revokeObjectURL(objectURL);
-                    
-                    // Scene Manager에 geometry 설정
-                    this.sceneManager.setGeometry(geometry);
-                    
                     resolve(geometry);
                 },
                 (progress) => {
@@ -87,6 +470,7 @@ export class FileLoader extends EventTarget {
                     const percentage = progress.loaded / progress.total * 100;
                     this.dispatchEvent(new CustomEvent('loadProgress', {
                         detail: { 
+                            fileName: file.name,
                             percentage: percentage,
                             loaded: progress.loaded,
                             total: progress.total
@@ -105,9 +489,31 @@ export class FileLoader extends EventTarget {
      * 파일 유효성 검사
      */
     isValidFile(file) {
-        const validExtensions = ['.ply'];
+        return this.getFileFormat(file) !== null;
+    }
+
+    /**
+     * 파일 형식 판별 (지원하지 않으면 null)
+     */
+    getFileFormat(file) {
         const fileName = file.name.toLowerCase();
-        return validExtensions.some(ext => fileName.endsWith(ext));
+        const format = this.getSupportedFormats().find(f => fileName.endsWith(f.extension));
+        return format ? format.extension.slice(1) : null;
+    }
+
+    /**
+     * 함께 드롭된 파일 중 로딩할 주 파일 선택 (나머지는 동반 파일)
+     */
+    findPrimaryFile(files) {
+        return files.find(file => this.isValidFile(file)) || null;
+    }
+
+    /**
+     * 지원하지 않는 형식 안내 메시지
+     */
+    getUnsupportedFormatMessage() {
+        const extensions = this.getSupportedFormats().map(f => f.extension.slice(1).toUpperCase());
+        return `${extensions.join(', ')} 파일만 지원됩니다.`;
     }
 
     /**
@@ -117,13 +523,13 @@ export class FileLoader extends EventTarget {
         event.preventDefault();
         
         const files = Array.from(event.dataTransfer.files);
-        const plyFile = files.find(file => this.isValidFile(file));
+        const scanFile = this.findPrimaryFile(files);
         
-        if (plyFile) {
-            this.loadFile(plyFile);
+        if (scanFile) {
+            this.loadFile(scanFile, files.filter(file => file !== scanFile));
         } else {
             this.dispatchEvent(new CustomEvent('loadError', {
-                detail: { message: '지원되는 PLY 파일이 없습니다.' }
+                detail: { message: '지원되는 3D 파일이 없습니다.' }
             }));
         }
     }
@@ -148,9 +554,10 @@ export class FileLoader extends EventTarget {
      * 파일 입력 처리
      */
     handleFileInput(event) {
-        const file = event.target.files[0];
+        const files = Array.from(event.target.files);
+        const file = this.findPrimaryFile(files);
         if (file) {
-            this.loadFile(file);
+            this.loadFile(file, files.filter(f => f !== file));
         }
     }
 
@@ -183,10 +590,62 @@ export class FileLoader extends EventTarget {
                 extension: '.ply',
                 description: 'Stanford PLY Format',
                 mimeType: 'application/octet-stream'
+            },
+            {
+                extension: '.stl',
+                description: 'STL (Binary / ASCII)',
+                mimeType: 'model/stl'
+            },
+            {
+                extension: '.obj',
+                description: 'Wavefront OBJ (+ MTL, 텍스처)',
+                mimeType: 'model/obj'
+            },
+            {
+                extension: '.gltf',
+                description: 'glTF 2.0 (+ bin, 텍스처)',
+                mimeType: 'model/gltf+json'
+            },
+            {
+                extension: '.glb',
+                description: 'glTF 2.0 Binary',
+                mimeType: 'model/gltf-binary'
+            },
+            {
+                extension: '.pcd',
+                description: 'Point Cloud Data (ASCII / Binary)',
+                mimeType: 'application/octet-stream'
+            },
+            {
+                extension: '.xyz',
+                description: 'XYZ 점군 (RGB, 법선 선택)',
+                mimeType: 'text/plain'
+            },
+            {
+                extension: '.pts',
+                description: 'PTS 점군 (intensity, RGB 선택)',
+                mimeType: 'text/plain'
+            },
+            {
+                extension: '.asc',
+                description: 'ASCII 점군 내보내기 (E57 변환 등)',
+                mimeType: 'text/plain'
+            },
+            {
+                extension: '.txt',
+                description: 'ASCII 점군 내보내기 (E57 변환 등)',
+                mimeType: 'text/plain'
             }
         ];
     }
 
+    /**
+     * 주 파일과 함께 드롭할 수 있는 동반 파일 확장자
+     */
+    getCompanionExtensions() {
+        return ['.mtl', '.bin', '.jpg', '.jpeg', '.png', '.webp'];
+    }
+
     /**
      * 파일 정보 추출
      */
@@ -209,7 +668,7 @@ export class FileLoader extends EventTarget {
         for (const file of files) {
             if (this.isValidFile(file)) {
                 try {
-                    const geometry = await this.loadPLYFile(file);
+                    const geometry = await this.loadGeometry(file);
                     results.push({
                         file: file,
                         geometry: geometry,
@@ -232,7 +691,7 @@ export class FileLoader extends EventTarget {
      * 정리 (메모리 해제)
      */
     dispose() {
-        // PLYLoader는 별도 정리가 필요하지 않음
+        // three.js 로더들은 별도 정리가 필요하지 않음
         this.currentFileName = '';
         console.log('🧹 File Loader 정리 완료');
     }
@@ -0,0 +1,70 @@
+/**
+ * 발 유연성 모듈 - 같은 발의 체중 부하(선 자세) 스캔과 비부하(앉은 자세) 스캔 측정값 비교 전담
+ * 주상골 하강(Navicular Drop), 아치 높이 변화, 발볼 퍼짐, 길이 증가로 발 유연성 판정
+ */
+
+// 주상골 하강 판정 기준 (mm, 5 미만 강직 / 10 초과 과유연)
+const NAVICULAR_DROP_GRADES = {
+    rigid: 5,
+    hypermobile: 10
+};
+
+export class FootFlexibility {
+    /**
+     * 체중 부하/비부하 측정 결과(측정 엔진 형태, mm) 비교
+     * 변화량은 모두 체중 부하 − 비부하 (주상골 하강만 비부하 − 체중 부하, +가 내려앉음), 못 구한 항목은 null
+     */
+    static assess(loaded, unloaded) {
+        const before = FootFlexibility.describe(unloaded);
+        const after = FootFlexibility.describe(loaded);
+        const change = (key) => (Number.isFinite(after[key]) && Number.isFinite(before[key]) ? after[key] - before[key] : null);
+
+        const navicularChange = change('navicularHeight');
+        const navicularDrop = navicularChange === null ? null : -navicularChange;
+
+        const assessment = {
+            loaded: after,
+            unloaded: before,
+            navicularDrop,
+            archHeightChange: change('dorsalHeight'),
+            // Arch Rigidity Index: 체중 부하 AHI / 비부하 AHI (1에 가까울수록 아치가 단단함)
+            archRigidityIndex: after.ahi && before.ahi ? after.ahi / before.ahi : null,
+            forefootSplay: change('width'),
+            lengthIncrease: change('length'),
+            grade: FootFlexibility.gradeNavicularDrop(navicularDrop)
+        };
+
+        console.log('🦶 발 유연성 평가:', {
+            navicularDrop: navicularDrop?.toFixed(1),
+            archHeightChange: assessment.archHeightChange?.toFixed(1),
+            forefootSplay: assessment.forefootSplay?.toFixed(1),
+            lengthIncrease: assessment.lengthIncrease?.toFixed(1),
+            grade: assessment.grade
+        });
+        return assessment;
+    }
+
+    /**
+     * 비교에 쓰는 측정값만 추림 (mm, 없으면 null)
+     */
+    static describe(measurements) {
+        const valueOf = (value) => (Number.isFinite(value) ? value : null);
+        return {
+            length: valueOf(measurements?.length),
+            width: valueOf(measurements?.width),
+            navicularHeight: valueOf(measurements?.arch?.navicularHeight),
+            dorsalHeight: valueOf(measurements?.arch?.dorsalHeight),
+            ahi: valueOf(measurements?.arch?.ahi)
+        };
+    }
+
+    /**
+     * 주상골 하강 → 'Rigid' | 'Normal' | 'Hypermobile' (측정 못 했으면 null)
+     */
+    static gradeNavicularDrop(drop) {
+        if (!Number.isFinite(drop)) return null;
+        if (drop < NAVICULAR_DROP_GRADES.rigid) return 'Rigid';
+        if (drop > NAVICULAR_DROP_GRADES.hypermobile) return 'Hypermobile';
+        return 'Normal';
+    }
+}
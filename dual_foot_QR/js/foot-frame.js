@@ -0,0 +1,485 @@
+/**
+ * 발 좌표계 모듈 - 스캔 정점에서 발 기준 좌표계(X: 좌우, Y: 위, Z: 뒤꿈치→발끝) 추정 전담
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { ToeProfile } from './toe-profile.js';
+
+const MAX_SAMPLES = 200000;
+
+export class FootFrame {
+    /**
+     * PCA 기반 대략적인 발 좌표계 추정
+     * 반환: { origin, xAxis, yAxis, zAxis, matrix(원본→발 좌표), inverse, size }
+     */
+    static estimate(positions) {
+        return FootFrame.estimateFromSamples(FootFrame.samplePositions(positions));
+    }
+
+    static estimateFromSamples(samples) {
+        if (samples.length < 9) {
+            throw new Error('좌표계를 추정하기에 정점이 부족합니다.');
+        }
+
+        const { centroid, eigenvectors } = FootFrame.principalAxes(samples);
+
+        // 주축 중 평평한 발바닥이 몰려 있는 방향을 위쪽(Y)으로 선택
+        // (다리가 길게 포함된 스캔은 첫 번째 주축이 다리 방향일 수 있어 세 축 모두 후보)
+        const upAxis = FootFrame.chooseUpAxis(samples, centroid, eigenvectors);
+        const longAxis = eigenvectors.find(axis => Math.abs(axis.dot(upAxis)) < 0.5);
+
+        // 발끝 방향(Z) 결정: 뒤꿈치 쪽은 발목이 있어 높고, 발끝 쪽은 낮고 넓음
+        const forwardAxis = FootFrame.resolveForward(samples, centroid, longAxis, upAxis);
+
+        return FootFrame.fromAxes(samples, upAxis, forwardAxis);
+    }
+
+    /**
+     * 바닥 평면을 아는 경우의 대략적인 좌표계 (평면에 투영한 점들의 주축을 길이 방향으로 사용)
+     */
+    static estimateOnPlane(samples, upAxis) {
+        const up = upAxis.clone().normalize();
+        const projected = new Float64Array(samples.length);
+
+        for (let i = 0; i < samples.length; i += 3) {
+            const height = samples[i] * up.x + samples[i + 1] * up.y + samples[i + 2] * up.z;
+            projected[i] = samples[i] - height * up.x;
+            projected[i + 1] = samples[i + 1] - height * up.y;
+            projected[i + 2] = samples[i + 2] - height * up.z;
+        }
+
+        const { centroid, eigenvectors } = FootFrame.principalAxes(projected);
+        const forwardAxis = FootFrame.resolveForward(samples, centroid, eigenvectors[0], up);
+
+        return FootFrame.fromAxes(samples, up, forwardAxis);
+    }
+
+    /**
+     * 발 기준 좌표계 (정렬 단계)
+     * 1. 발바닥 평면 검출(RANSAC) 후 평면 법선을 Y로 수평 정렬 (스캔 정리에서 찾은 바닥면이 있으면 그대로 사용)
+     * 2. 뒤꿈치(pternion)→둘째 발가락 끝을 Z축으로 설정 (두 번 반복해 수렴)
+     * 3. 뒤꿈치/발끝 방향은 초기 추정에서 결정된 방향 유지
+     * groundPlane: { normal: 위쪽 단위 벡터(Vector3), offset } 또는 null
+     */
+    static computeCanonical(positions, groundPlane = null) {
+        const samples = FootFrame.samplePositions(positions);
+        const rough = groundPlane
+            ? FootFrame.estimateOnPlane(samples, groundPlane.normal)
+            : FootFrame.estimateFromSamples(samples);
+
+        const sole = groundPlane
+            ? { normal: rough.yAxis, offset: groundPlane.offset, source: 'floor' }
+            : FootFrame.fitSolePlane(samples, rough);
+        const upAxis = sole ? sole.normal : rough.yAxis;
+        const groundOffset = sole ? sole.offset : null;
+
+        let frame = FootFrame.fromAxes(samples, upAxis, rough.zAxis, groundOffset);
+        let footAxis = null;
+
+        for (let iteration = 0; iteration < 2; iteration++) {
+            const local = FootFrame.toFramePositions(samples, frame);
+            footAxis = FootFrame.findFootAxis(local, frame.size);
+            if (!footAxis) break;
+
+            const forward = frame.xAxis.clone().multiplyScalar(footAxis.direction.x)
+                .addScaledVector(frame.zAxis, footAxis.direction.z);
+            frame = FootFrame.fromAxes(samples, upAxis, forward, groundOffset);
+        }
+
+        frame.sole = sole ? { source: sole.source, inlierRatio: sole.inlierRatio, inlierCount: sole.inlierCount } : null;
+        frame.axisMethod = footAxis ? footAxis.method : 'pca';
+
+        console.log('🧭 발 기준 좌표계:', {
+            sole: frame.sole,
+            axisMethod: frame.axisMethod,
+            size: frame.size.toArray().map(v => v.toFixed(1))
+        });
+        return frame;
+    }
+
+    /**
+     * 발바닥 평면 검출 (초기 좌표계 하단 15% 점에 RANSAC 후 인라이어로 최소제곱 보정)
+     * 반환: { normal(위쪽), offset(normal·p), inlierRatio, inlierCount } 또는 null
+     */
+    static fitSolePlane(samples, rough) {
+        const local = FootFrame.toFramePositions(samples, rough);
+        const bandTop = rough.size.y * 0.15;
+        const candidates = [];
+
+        for (let i = 0; i < local.length; i += 3) {
+            if (local[i + 1] <= bandTop) candidates.push(i);
+        }
+        if (candidates.length < 30) return null;
+
+        const threshold = rough.size.z * 0.005;
+        const minCosine = Math.cos(THREE.MathUtils.degToRad(30));
+        const point = (i) => new THREE.Vector3(samples[i], samples[i + 1], samples[i + 2]);
+
+        // 결과 재현성을 위해 고정 시드 난수 사용
+        const random = FootFrame.createRandom();
+
+        let best = null;
+        const edge1 = new THREE.Vector3();
+        const edge2 = new THREE.Vector3();
+
+        for (let iteration = 0; iteration < 256; iteration++) {
+            const a = point(candidates[Math.floor(random() * candidates.length)]);
+            const b = point(candidates[Math.floor(random() * candidates.length)]);
+            const c = point(candidates[Math.floor(random() * candidates.length)]);
+
+            const normal = new THREE.Vector3().crossVectors(edge1.subVectors(b, a), edge2.subVectors(c, a));
+            if (normal.lengthSq() < 1e-18) continue;
+            normal.normalize();
+            if (normal.dot(rough.yAxis) < 0) normal.negate();
+            if (normal.dot(rough.yAxis) < minCosine) continue;
+
+            const offset = normal.dot(a);
+            let inliers = 0;
+            for (const i of candidates) {
+                const distance = normal.x * samples[i] + normal.y * samples[i + 1] + normal.z * samples[i + 2] - offset;
+                if (Math.abs(distance) <= threshold) inliers++;
+            }
+
+            if (!best || inliers > best.inliers) {
+                best = { normal, offset, inliers };
+            }
+        }
+
+        if (!best || best.inliers < 3) return null;
+
+        // 인라이어 전체로 평면 재추정 (공분산 최소 고유벡터)
+        const inlierPoints = [];
+        for (const i of candidates) {
+            const distance = best.normal.x * samples[i] + best.normal.y * samples[i + 1] + best.normal.z * samples[i + 2] - best.offset;
+            if (Math.abs(distance) <= threshold) inlierPoints.push(samples[i], samples[i + 1], samples[i + 2]);
+        }
+
+        const { centroid, eigenvectors } = FootFrame.principalAxes(new Float64Array(inlierPoints));
+        const normal = eigenvectors[2].clone();
+        if (normal.dot(rough.yAxis) < 0) normal.negate();
+
+        return {
+            normal,
+            offset: normal.dot(centroid),
+            source: 'sole',
+            inlierCount: inlierPoints.length / 3,
+            inlierRatio: inlierPoints.length / 3 / candidates.length
+        };
+    }
+
+    /**
+     * 수평 정렬된 발 좌표에서 뒤꿈치→둘째 발가락 방향 (XZ 평면 단위 벡터)
+     */
+    static findFootAxis(local, size) {
+        const length = size.z;
+
+        // 뒤꿈치: 후방 5% 구간 중 발목 아래쪽 점들의 좌우 중심
+        let heelSum = 0;
+        let heelCount = 0;
+        for (let i = 0; i < local.length; i += 3) {
+            if (local[i + 2] <= length * 0.05 && local[i + 1] <= size.y * 0.4) {
+                heelSum += local[i];
+                heelCount++;
+            }
+        }
+        if (heelCount === 0) return null;
+        const heel = { x: heelSum / heelCount, z: 0 };
+
+        // 발끝: 엄지 쪽에서 두 번째 발가락 끝 (검출 실패 시 가장 앞 점)
+        const profile = ToeProfile.extract(local, length);
+        const medialSign = Math.sign(ToeProfile.halluxOffset(local, length)) || -1;
+        const toes = ToeProfile.orderMedialToLateral(profile.peaks, medialSign);
+
+        let tip = null;
+        let method = 'anteriorTip';
+        if (toes.length >= 2 && toes[1].z >= length * 0.9) {
+            tip = toes[1];
+            method = 'secondToe';
+        } else {
+            tip = ToeProfile.anteriorTip(profile);
+        }
+        if (!tip) return null;
+
+        const dx = tip.x - heel.x;
+        const dz = tip.z - heel.z;
+        const norm = Math.hypot(dx, dz);
+        if (!(norm > 0)) return null;
+
+        return { direction: { x: dx / norm, z: dz / norm }, heel, tip, method };
+    }
+
+    /**
+     * 위쪽/앞쪽 축으로 좌표계 구성 (원점: 뒤꿈치 끝, 발바닥 높이, 좌우 중앙)
+     * groundOffset이 있으면 발바닥 높이를 최저점 대신 검출된 평면 높이로 사용
+     */
+    static fromAxes(samples, upAxis, forwardAxis, groundOffset = null) {
+        const yAxis = upAxis.clone().normalize();
+        const zAxis = forwardAxis.clone().sub(yAxis.clone().multiplyScalar(forwardAxis.dot(yAxis))).normalize();
+        const xAxis = new THREE.Vector3().crossVectors(yAxis, zAxis).normalize();
+
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        const axes = [xAxis, yAxis, zAxis];
+
+        for (let i = 0; i < samples.length; i += 3) {
+            for (let a = 0; a < 3; a++) {
+                const value = samples[i] * axes[a].x + samples[i + 1] * axes[a].y + samples[i + 2] * axes[a].z;
+                if (value < min[a]) min[a] = value;
+                if (value > max[a]) max[a] = value;
+            }
+        }
+
+        const originInFrame = new THREE.Vector3((min[0] + max[0]) / 2, groundOffset ?? min[1], min[2]);
+        const origin = new THREE.Vector3()
+            .addScaledVector(xAxis, originInFrame.x)
+            .addScaledVector(yAxis, originInFrame.y)
+            .addScaledVector(zAxis, originInFrame.z);
+
+        // 회전 행렬의 행이 발 좌표축 (원본 좌표 → 발 좌표)
+        const matrix = new THREE.Matrix4().set(
+            xAxis.x, xAxis.y, xAxis.z, -originInFrame.x,
+            yAxis.x, yAxis.y, yAxis.z, -originInFrame.y,
+            zAxis.x, zAxis.y, zAxis.z, -originInFrame.z,
+            0, 0, 0, 1
+        );
+
+        return {
+            origin,
+            xAxis,
+            yAxis,
+            zAxis,
+            matrix,
+            inverse: matrix.clone().invert(),
+            size: new THREE.Vector3(max[0] - min[0], max[1] - originInFrame.y, max[2] - min[2])
+        };
+    }
+
+    /**
+     * 결과 재현성을 위한 고정 시드 난수 (LCG, 0 이상 1 미만)
+     */
+    static createRandom(seed = 12345) {
+        return () => {
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            return seed / 4294967296;
+        };
+    }
+
+    /**
+     * 정점 샘플링 (유한한 좌표만, 최대 MAX_SAMPLES개)
+     */
+    static samplePositions(positions) {
+        const count = Math.floor(positions.length / 3);
+        const step = Math.max(1, Math.ceil(count / MAX_SAMPLES));
+        const samples = [];
+
+        for (let i = 0; i < count; i += step) {
+            const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+            if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) {
+                samples.push(x, y, z);
+            }
+        }
+
+        return new Float64Array(samples);
+    }
+
+    /**
+     * 공분산 행렬의 주축 (고유값 내림차순)
+     */
+    static principalAxes(samples) {
+        const n = samples.length / 3;
+        const centroid = new THREE.Vector3();
+        for (let i = 0; i < samples.length; i += 3) {
+            centroid.x += samples[i];
+            centroid.y += samples[i + 1];
+            centroid.z += samples[i + 2];
+        }
+        centroid.divideScalar(n);
+
+        const c = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let i = 0; i < samples.length; i += 3) {
+            const d = [samples[i] - centroid.x, samples[i + 1] - centroid.y, samples[i + 2] - centroid.z];
+            for (let r = 0; r < 3; r++) {
+                for (let k = r; k < 3; k++) c[r][k] += d[r] * d[k];
+            }
+        }
+        for (let r = 0; r < 3; r++) {
+            for (let k = r; k < 3; k++) {
+                c[r][k] /= n;
+                c[k][r] = c[r][k];
+            }
+        }
+
+        const { values, vectors } = FootFrame.eigenSymmetric3(c);
+        const order = [0, 1, 2].sort((a, b) => values[b] - values[a]);
+
+        return {
+            centroid,
+            eigenvalues: order.map(i => values[i]),
+            eigenvectors: order.map(i => new THREE.Vector3(vectors[0][i], vectors[1][i], vectors[2][i]).normalize())
+        };
+    }
+
+    /**
+     * 3x3 대칭 행렬 고유분해 (야코비 회전법, 열 벡터가 고유벡터)
+     */
+    static eigenSymmetric3(matrix) {
+        const a = matrix.map(row => row.slice());
+        const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+            if (offDiagonal < 1e-12) break;
+
+            for (let p = 0; p < 2; p++) {
+                for (let q = p + 1; q < 3; q++) {
+                    if (Math.abs(a[p][q]) < 1e-15) continue;
+
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const cos = 1 / Math.sqrt(t * t + 1);
+                    const sin = t * cos;
+
+                    for (let k = 0; k < 3; k++) {
+                        const akp = a[k][p], akq = a[k][q];
+                        a[k][p] = cos * akp - sin * akq;
+                        a[k][q] = sin * akp + cos * akq;
+                    }
+                    for (let k = 0; k < 3; k++) {
+                        const apk = a[p][k], aqk = a[q][k];
+                        a[p][k] = cos * apk - sin * aqk;
+                        a[q][k] = sin * apk + cos * aqk;
+                    }
+                    for (let k = 0; k < 3; k++) {
+                        const vkp = v[k][p], vkq = v[k][q];
+                        v[k][p] = cos * vkp - sin * vkq;
+                        v[k][q] = sin * vkp + cos * vkq;
+                    }
+                }
+            }
+        }
+
+        return { values: [a[0][0], a[1][1], a[2][2]], vectors: v };
+    }
+
+    /**
+     * 후보 축(양/음 방향) 중 최솟값 근처에 점이 가장 많이 몰린 방향 = 발바닥 반대쪽(위)
+     */
+    static chooseUpAxis(samples, centroid, candidates) {
+        let best = null;
+        let bestScore = -Infinity;
+
+        candidates.forEach(axis => {
+            [1, -1].forEach(sign => {
+                const direction = axis.clone().multiplyScalar(sign);
+                const score = FootFrame.soleBandFraction(samples, centroid, direction);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = direction;
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * 해당 방향 최하단 5% 높이 구간에 들어가는 점의 비율
+     */
+    static soleBandFraction(samples, centroid, direction) {
+        const n = samples.length / 3;
+        const heights = new Float64Array(n);
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (let i = 0; i < n; i++) {
+            const h = (samples[i * 3] - centroid.x) * direction.x
+                + (samples[i * 3 + 1] - centroid.y) * direction.y
+                + (samples[i * 3 + 2] - centroid.z) * direction.z;
+            heights[i] = h;
+            if (h < min) min = h;
+            if (h > max) max = h;
+        }
+
+        const threshold = min + (max - min) * 0.05;
+        let count = 0;
+        for (let i = 0; i < n; i++) {
+            if (heights[i] <= threshold) count++;
+        }
+
+        return count / n;
+    }
+
+    /**
+     * 긴 축의 방향 결정 (양 끝 25% 구간의 최대 높이 비교, 비슷하면 너비 비교)
+     */
+    static resolveForward(samples, centroid, longAxis, upAxis) {
+        const lateralAxis = new THREE.Vector3().crossVectors(upAxis, longAxis).normalize();
+        const n = samples.length / 3;
+        const along = new Float64Array(n);
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (let i = 0; i < n; i++) {
+            const t = (samples[i * 3] - centroid.x) * longAxis.x
+                + (samples[i * 3 + 1] - centroid.y) * longAxis.y
+                + (samples[i * 3 + 2] - centroid.z) * longAxis.z;
+            along[i] = t;
+            if (t < min) min = t;
+            if (t > max) max = t;
+        }
+
+        const length = max - min;
+        const ends = [
+            { maxHeight: -Infinity, minLateral: Infinity, maxLateral: -Infinity },
+            { maxHeight: -Infinity, minLateral: Infinity, maxLateral: -Infinity }
+        ];
+
+        for (let i = 0; i < n; i++) {
+            const end = along[i] <= min + length * 0.25 ? ends[0] : along[i] >= max - length * 0.25 ? ends[1] : null;
+            if (!end) continue;
+
+            const dx = samples[i * 3] - centroid.x;
+            const dy = samples[i * 3 + 1] - centroid.y;
+            const dz = samples[i * 3 + 2] - centroid.z;
+            const height = dx * upAxis.x + dy * upAxis.y + dz * upAxis.z;
+            const lateral = dx * lateralAxis.x + dy * lateralAxis.y + dz * lateralAxis.z;
+
+            if (height > end.maxHeight) end.maxHeight = height;
+            if (lateral < end.minLateral) end.minLateral = lateral;
+            if (lateral > end.maxLateral) end.maxLateral = lateral;
+        }
+
+        const [negativeEnd, positiveEnd] = ends;
+        const heightRange = Math.max(Math.abs(negativeEnd.maxHeight), Math.abs(positiveEnd.maxHeight), 1e-9);
+        const heightDifference = (negativeEnd.maxHeight - positiveEnd.maxHeight) / heightRange;
+
+        let toePositive;
+        if (Math.abs(heightDifference) > 0.1) {
+            // 높은 쪽이 뒤꿈치(발목)
+            toePositive = heightDifference > 0;
+        } else {
+            // 발목이 잘린 스캔: 넓은 쪽이 앞발
+            const negativeWidth = negativeEnd.maxLateral - negativeEnd.minLateral;
+            const positiveWidth = positiveEnd.maxLateral - positiveEnd.minLateral;
+            toePositive = positiveWidth >= negativeWidth;
+        }
+
+        return toePositive ? longAxis.clone() : longAxis.clone().negate();
+    }
+
+    /**
+     * 발 좌표계로 정점 변환 (Float64Array)
+     */
+    static toFramePositions(positions, frame) {
+        const e = frame.matrix.elements;
+        const result = new Float64Array(positions.length);
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            result[i] = e[0] * x + e[4] * y + e[8] * z + e[12];
+            result[i + 1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+            result[i + 2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+        }
+
+        return result;
+    }
+}
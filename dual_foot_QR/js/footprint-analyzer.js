@@ -0,0 +1,142 @@
+/**
+ * 발자국 분석 모듈 - 발바닥 접지 영역을 바닥면에 투영한 2D 발자국과 발자국 지수(Cavanagh, Chippaux-Smirak, Staheli) 계산 전담
+ * 좌표는 발 기준 좌표계(X 좌우, Y 위, Z 뒤꿈치→발끝)로 회전된 값을 받음
+ */
+
+// 발자국 계산 설정 (mm, 비율은 발 길이 기준)
+const FOOTPRINT_SETTINGS = {
+    contactHeight: 3,         // 바닥면에서 이 높이 안의 정점을 접지로 간주
+    minCellSize: 2,           // 투영 격자 최소 크기 (정점이 듬성하면 정점 간격에 맞춰 키움)
+    toeMargin: 0.08,          // 중족골두 앞 발가락 제외선 위치
+    defaultToeLine: 0.8       // 랜드마크가 없을 때 발가락 제외선 위치
+};
+
+// Cavanagh Arch Index 기준 (Cavanagh & Rodgers 1987: 0.21 이하 높은 아치, 0.26 이상 평발)
+const ARCH_INDEX_RANGE = [0.21, 0.26];
+
+export class FootprintAnalyzer {
+    /**
+     * 발자국 투영 및 지수 계산
+     * positions: 발 기준 좌표계로 회전된 좌표(원본 단위), soleY/heelZ/footLength: 원본 단위
+     * toeLineZ: 발가락 제외선 (원본 단위, 없으면 발 길이의 defaultToeLine 지점)
+     * 반환 (mm, z는 뒤꿈치 기준): { cellSize, contactHeight, rows: [{ z, minX, maxX, width }], length, area,
+     *   thirdAreas: [뒤꿈치, 중족부, 전족부], archIndex, chippauxSmirak(%), staheli } 또는 null
+     */
+    static analyze(positions, { soleY, heelZ, footLength, unitMultiplier, toeLineZ = null }) {
+        const S = FOOTPRINT_SETTINGS;
+        const contactTop = soleY + S.contactHeight / unitMultiplier;
+        const toeLine = toeLineZ ?? heelZ + footLength * S.defaultToeLine;
+
+        // 접지 정점을 바닥면에 투영 (mm)
+        const contact = [];
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            if (!(y <= contactTop) || !(z >= heelZ) || !(z <= toeLine)) continue;
+            contact.push(x * unitMultiplier, (z - heelZ) * unitMultiplier);
+        }
+        if (contact.length < 6) return null;
+
+        const cellSize = FootprintAnalyzer.estimateCellSize(contact);
+
+        // 발 축 방향 행마다 접지 폭 (좌우 끝점)
+        let zMin = Infinity, zMax = -Infinity;
+        for (let i = 1; i < contact.length; i += 2) {
+            if (contact[i] < zMin) zMin = contact[i];
+            if (contact[i] > zMax) zMax = contact[i];
+        }
+
+        const rowCount = Math.max(1, Math.ceil((zMax - zMin) / cellSize));
+        const minX = new Float64Array(rowCount).fill(Infinity);
+        const maxX = new Float64Array(rowCount).fill(-Infinity);
+        for (let i = 0; i < contact.length; i += 2) {
+            const row = Math.min(rowCount - 1, Math.floor((contact[i + 1] - zMin) / cellSize));
+            if (contact[i] < minX[row]) minX[row] = contact[i];
+            if (contact[i] > maxX[row]) maxX[row] = contact[i];
+        }
+
+        const rows = [];
+        for (let r = 0; r < rowCount; r++) {
+            const touched = minX[r] <= maxX[r];
+            rows.push({
+                z: zMin + (r + 0.5) * cellSize,
+                minX: touched ? minX[r] : null,
+                maxX: touched ? maxX[r] : null,
+                // 점 하나만 닿은 행도 격자 한 칸 폭으로 계산
+                width: touched ? maxX[r] - minX[r] + cellSize : 0
+            });
+        }
+
+        // 발가락을 뺀 발자국 길이를 3등분 (뒤꿈치, 중족부, 전족부)
+        const length = rowCount * cellSize;
+        const thirds = [[], [], []];
+        rows.forEach(row => {
+            const third = Math.min(2, Math.floor(((row.z - zMin) / length) * 3));
+            thirds[third].push(row);
+        });
+
+        const thirdAreas = thirds.map(part => part.reduce((sum, row) => sum + row.width * cellSize, 0));
+        const area = thirdAreas[0] + thirdAreas[1] + thirdAreas[2];
+        const maxWidth = (part) => part.reduce((max, row) => Math.max(max, row.width), 0);
+        const midfootMinWidth = thirds[1].length > 0 ? Math.min(...thirds[1].map(row => row.width)) : 0;
+        const forefootMaxWidth = maxWidth(thirds[2]);
+        const heelMaxWidth = maxWidth(thirds[0]);
+
+        const footprint = {
+            cellSize,
+            contactHeight: S.contactHeight,
+            rows,
+            length,
+            area,
+            thirdAreas,
+            archIndex: area > 0 ? thirdAreas[1] / area : null,
+            chippauxSmirak: forefootMaxWidth > 0 ? (midfootMinWidth / forefootMaxWidth) * 100 : null,
+            staheli: heelMaxWidth > 0 ? midfootMinWidth / heelMaxWidth : null
+        };
+
+        console.log('👣 발자국 지수:', {
+            archIndex: footprint.archIndex?.toFixed(3),
+            chippauxSmirak: footprint.chippauxSmirak?.toFixed(1),
+            staheli: footprint.staheli?.toFixed(2),
+            cellSize: cellSize.toFixed(1)
+        });
+
+        return footprint;
+    }
+
+    /**
+     * 접지 정점 간격에 맞춘 격자 크기 (정점이 없는 빈 행이 생기지 않도록)
+     */
+    static estimateCellSize(contact) {
+        let xMin = Infinity, xMax = -Infinity, zMin = Infinity, zMax = -Infinity;
+        for (let i = 0; i < contact.length; i += 2) {
+            if (contact[i] < xMin) xMin = contact[i];
+            if (contact[i] > xMax) xMax = contact[i];
+            if (contact[i + 1] < zMin) zMin = contact[i + 1];
+            if (contact[i + 1] > zMax) zMax = contact[i + 1];
+        }
+
+        // 접지 영역이 경계 상자의 절반쯤을 채운다고 보고 평균 정점 간격의 두 배
+        const spacing = Math.sqrt(((xMax - xMin) * (zMax - zMin) * 0.5) / (contact.length / 2));
+        return Math.max(FOOTPRINT_SETTINGS.minCellSize, Number.isFinite(spacing) ? spacing * 2 : 0);
+    }
+
+    /**
+     * 중족골두 랜드마크로 발가락 제외선 계산 (원본 단위, 랜드마크가 없으면 null)
+     */
+    static toeLineFromLandmarks(points, footLength) {
+        if (!points?.mth1 || !points?.mth5) return null;
+        return Math.max(points.mth1[2], points.mth5[2]) + footLength * FOOTPRINT_SETTINGS.toeMargin;
+    }
+
+    /**
+     * Cavanagh Arch Index 분류
+     */
+    static classifyArchIndex(archIndex) {
+        if (!Number.isFinite(archIndex)) return null;
+
+        const [high, flat] = ARCH_INDEX_RANGE;
+        if (archIndex <= high) return 'High Arch';
+        if (archIndex >= flat) return 'Low Arch / Flat Foot';
+        return 'Normal Arch';
+    }
+}
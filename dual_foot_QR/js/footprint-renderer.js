@@ -0,0 +1,113 @@
+/**
+ * 발자국 그리기 모듈 - 양발 2D 발자국을 캔버스에 그리기 전담 (뷰어 옆 패널과 PDF 이미지에서 공통 사용)
+ */
+
+const FOOTPRINT_STYLE = {
+    background: '#1C1F29',
+    fill: { left: '#60a5fa', right: '#f97316' },
+    divider: 'rgba(255, 255, 255, 0.35)',
+    text: '#d1d5db',
+    padding: 12,
+    labelHeight: 14
+};
+
+export class FootprintRenderer {
+    /**
+     * 양발 발자국 그리기 (위에서 본 모습, 뒤꿈치 아래·발끝 위, 왼발은 왼쪽)
+     * 두 발은 같은 축척으로 그려 크기를 바로 비교할 수 있게 함
+     */
+    static draw(canvas, leftFootprint, rightFootprint, style = {}) {
+        const S = { ...FOOTPRINT_STYLE, ...style };
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+
+        ctx.fillStyle = S.background;
+        ctx.fillRect(0, 0, width, height);
+
+        const feet = [['left', leftFootprint], ['right', rightFootprint]];
+        const extents = feet.map(([, footprint]) => FootprintRenderer.getExtent(footprint));
+        const maxLength = Math.max(0, ...extents.map(extent => extent?.length || 0));
+        const maxWidth = Math.max(0, ...extents.map(extent => extent?.width || 0));
+        if (maxLength === 0 || maxWidth === 0) return;
+
+        const slotWidth = width / 2;
+        const drawHeight = height - S.padding * 2 - S.labelHeight;
+        const scale = Math.min(drawHeight / maxLength, (slotWidth - S.padding * 2) / maxWidth);
+
+        feet.forEach(([foot, footprint], slot) => {
+            const extent = extents[slot];
+            const centerX = slotWidth * (slot + 0.5);
+            const baseY = height - S.padding - S.labelHeight;
+
+            ctx.fillStyle = S.text;
+            ctx.font = `${Math.round(S.labelHeight * 0.8)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.fillText(foot === 'left' ? 'L' : 'R', centerX, height - S.padding / 2);
+
+            if (!extent) return;
+
+            // 발 좌표계 +X는 위에서 볼 때 화면 왼쪽
+            const toScreenX = (x) => centerX - (x - extent.centerX) * scale;
+            const toScreenY = (z) => baseY - (z - extent.zMin) * scale;
+            const rowHeight = footprint.cellSize * scale;
+
+            ctx.fillStyle = S.fill[foot];
+            footprint.rows.forEach(row => {
+                if (row.minX === null) return;
+                const left = toScreenX(row.maxX + footprint.cellSize / 2);
+                const right = toScreenX(row.minX - footprint.cellSize / 2);
+                ctx.fillRect(left, toScreenY(row.z) - rowHeight / 2, right - left, rowHeight + 0.5);
+            });
+
+            // 3등분 선 (뒤꿈치 / 중족부 / 전족부)
+            ctx.strokeStyle = S.divider;
+            ctx.setLineDash([3, 3]);
+            [1, 2].forEach(n => {
+                const y = toScreenY(extent.zMin + (extent.length * n) / 3);
+                ctx.beginPath();
+                ctx.moveTo(centerX - (extent.width / 2) * scale - 4, y);
+                ctx.lineTo(centerX + (extent.width / 2) * scale + 4, y);
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+        });
+    }
+
+    /**
+     * 발자국 범위 (mm, 접지 행이 없으면 null)
+     */
+    static getExtent(footprint) {
+        const rows = footprint?.rows?.filter(row => row.minX !== null);
+        if (!rows || rows.length === 0) return null;
+
+        const half = footprint.cellSize / 2;
+        const xMin = Math.min(...rows.map(row => row.minX)) - half;
+        const xMax = Math.max(...rows.map(row => row.maxX)) + half;
+        const zMin = footprint.rows[0].z - half;
+
+        return {
+            centerX: (xMin + xMax) / 2,
+            width: xMax - xMin,
+            zMin,
+            length: footprint.length
+        };
+    }
+
+    /**
+     * PDF 삽입용 이미지 (흰 배경)
+     */
+    static toDataURL(leftFootprint, rightFootprint, width = 600, height = 500) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        FootprintRenderer.draw(canvas, leftFootprint, rightFootprint, {
+            background: '#ffffff',
+            fill: { left: '#1d4ed8', right: '#c2410c' },
+            divider: 'rgba(0, 0, 0, 0.4)',
+            text: '#111827',
+            padding: 24,
+            labelHeight: 28
+        });
+        return canvas.toDataURL('image/png');
+    }
+}
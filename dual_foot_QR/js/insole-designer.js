@@ -0,0 +1,301 @@
+/**
+ * 깔창 설계 모듈 - 발바닥 면과 발 윤곽으로 맞춤 깔창 메시(기본 두께, 뒤꿈치 컵, 아치 지지, 전족부 두께) 생성과 출력 배치 전담
+ * 좌표는 발 기준 좌표계(X 좌우, Y 위, Z 뒤꿈치→발끝, mm)로 변환된 값을 받고, 발마다 자기 스캔으로 만들어 좌우 형상이 그대로 유지됨
+ */
+import { MeshExporter } from './mesh-exporter.js';
+import { Utils } from './utils.js';
+
+// 깔창 형상 설정 (mm)
+const INSOLE_SETTINGS = {
+    outlineHeight: 10,     // 바닥면에서 이 높이 안의 정점으로 발 윤곽 계산 (뒤꿈치는 컵 깊이까지)
+    stationStep: 4,        // 길이 방향 단면 간격
+    columns: 16,           // 단면마다 좌우 칸 수
+    cellSize: 3,           // 발바닥 높이 지도 격자 크기
+    smoothRadius: 2,       // 윤곽 평활 반경 (단면 수)
+    fillPasses: 6,         // 정점이 없는 격자를 이웃 값으로 채우는 횟수
+    endTaper: 0.35,        // 뒤꿈치·발끝 마감 단면의 폭 비율
+    cupMargin: 2,          // 뒤꿈치 컵 벽이 발 옆면 바깥에 서도록 윤곽을 넓히는 폭
+    cupWall: [0.7, 1]      // 뒤꿈치 컵에서 발바닥 면을 넘어 벽으로 올라가는 구간 (가장자리·뒷벽 위치 비율)
+};
+
+// 영역 (발 길이 비율): 뒤꿈치 컵은 end 앞 blend 구간에서 줄어들고, 아치 지지는 start~end 양쪽 blend 구간에서 전환
+const INSOLE_REGIONS = {
+    heelCup: { end: 0.3, blend: 0.1, back: 0.1 },   // back: 뒤꿈치 뒷벽이 낮아지는 구간
+    arch: { start: 0.2, end: 0.65, blend: 0.12 },
+    forefoot: { start: 0.6, end: 0.72 }              // 기본 두께 → 전족부 두께 전환 구간
+};
+
+// 파라미터 기본값과 허용 범위 (mm)
+const PARAM_LIMITS = {
+    baseThickness: { value: 4, min: 1.5, max: 12 },
+    heelCupDepth: { value: 12, min: 0, max: 30 },
+    archSupportHeight: { value: 12, min: 0, max: 30 },
+    forefootThickness: { value: 2.5, min: 1, max: 10 }
+};
+
+export class InsoleDesigner {
+    /**
+     * 파라미터 정리 (숫자가 아니면 기본값, 허용 범위로 자름)
+     */
+    static normalizeParams(params = {}) {
+        return Utils.normalizeParams(params, PARAM_LIMITS);
+    }
+
+    /**
+     * 발 하나의 깔창 설계
+     * positions: 발 기준 좌표(mm), foot: 'left'|'right' (아치 지지를 둘 안쪽 결정: 왼발은 -X, 오른발은 +X)
+     * 반환: { foot, params, length, width, heelCup, archSupport(발바닥에 맞춰 실제로 올라간 최대 높이),
+     *   outline: [{ z, minX, maxX }], soleY, mesh: { positions(발 기준 좌표 mm), index } } 또는 null
+     */
+    static design(positions, foot, params = {}) {
+        const normalized = InsoleDesigner.normalizeParams(params);
+        const bounds = Utils.measureBounds(positions);
+        if (!bounds) return null;
+
+        const outline = InsoleDesigner.extractOutline(positions, bounds, normalized.heelCupDepth);
+        if (!outline) return null;
+
+        const plantar = InsoleDesigner.extractPlantar(positions, bounds);
+        const medialSign = foot === 'left' ? -1 : 1;
+        const { columns } = INSOLE_SETTINGS;
+        const stationCount = outline.length;
+        const vertexCount = stationCount * (columns + 1);
+        const meshPositions = new Float32Array(vertexCount * 2 * 3);
+        let heelCup = 0;
+        let archSupport = 0;
+
+        outline.forEach(({ z, minX, maxX }, s) => {
+            const t = (z - bounds.heelZ) / bounds.length;
+            const center = (minX + maxX) / 2;
+            const half = (maxX - minX) / 2;
+            const thickness = InsoleDesigner.thicknessAt(t, normalized);
+
+            for (let j = 0; j <= columns; j++) {
+                const u = -1 + (2 * j) / columns;
+                const x = center + u * half;
+                const shape = InsoleDesigner.contourAt(t, u, u * medialSign, normalized);
+                const top = Math.min(shape.height, plantar.sample(x, z) + shape.wall);
+
+                if (shape.region === 'heelCup') heelCup = Math.max(heelCup, top);
+                if (shape.region === 'arch') archSupport = Math.max(archSupport, top);
+
+                const topOffset = (s * (columns + 1) + j) * 3;
+                const bottomOffset = topOffset + vertexCount * 3;
+                meshPositions.set([x, bounds.soleY + top, z], topOffset);
+                meshPositions.set([x, bounds.soleY - thickness, z], bottomOffset);
+            }
+        });
+
+        const design = {
+            foot,
+            params: normalized,
+            length: bounds.length,
+            width: Math.max(...outline.map(({ minX, maxX }) => maxX - minX)),
+            heelCup,
+            archSupport,
+            outline,
+            soleY: bounds.soleY,
+            mesh: { positions: meshPositions, index: InsoleDesigner.buildIndex(stationCount, columns) }
+        };
+
+        console.log(`🩴 ${foot === 'left' ? '왼발' : '오른발'} 깔창 설계:`, {
+            length: design.length.toFixed(1),
+            width: design.width.toFixed(1),
+            heelCup: heelCup.toFixed(1),
+            archSupport: archSupport.toFixed(1)
+        });
+        return design;
+    }
+
+    /**
+     * 발 윤곽 - 바닥 가까운 정점의 길이 방향 단면별 좌우 끝 (빈 단면은 보간, 평활 후 뒤꿈치는 컵 벽 폭만큼 넓히고 양 끝을 좁혀 마감)
+     * 반환: [{ z, minX, maxX }] (뒤꿈치 → 발끝) 또는 null
+     */
+    static extractOutline(positions, bounds, heelCupDepth) {
+        const S = INSOLE_SETTINGS;
+        const { soleY, heelZ, length } = bounds;
+        const count = Math.max(8, Math.ceil(length / S.stationStep));
+        const step = length / count;
+        const heelExtra = Math.max(0, heelCupDepth - S.outlineHeight);
+
+        const minX = new Float64Array(count).fill(Infinity);
+        const maxX = new Float64Array(count).fill(-Infinity);
+        for (let i = 0; i + 2 < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            const t = (z - heelZ) / length;
+            if (!(y - soleY <= S.outlineHeight + heelExtra * InsoleDesigner.heelWeight(t))) continue;
+
+            const row = Math.min(count - 1, Math.max(0, Math.floor((z - heelZ) / step)));
+            if (x < minX[row]) minX[row] = x;
+            if (x > maxX[row]) maxX[row] = x;
+        }
+
+        let validCount = 0;
+        for (let r = 0; r < count; r++) if (minX[r] <= maxX[r]) validCount++;
+        if (validCount < count / 2) return null;
+
+        // 빈 단면은 앞뒤 단면 사이 선형 보간 (양 끝은 가장 가까운 단면 값)
+        const filled = (values) => Utils.fillGaps(Array.from(values, value => (Number.isFinite(value) ? value : null)));
+        const smoothed = (values) => values.map((_, r) => {
+            const from = Math.max(0, r - S.smoothRadius);
+            const to = Math.min(count - 1, r + S.smoothRadius);
+            let sum = 0;
+            for (let k = from; k <= to; k++) sum += values[k];
+            return sum / (to - from + 1);
+        });
+
+        const left = smoothed(filled(minX));
+        const right = smoothed(filled(maxX));
+        const stations = left.map((value, r) => {
+            const z = heelZ + (r + 0.5) * step;
+            const margin = S.cupMargin * InsoleDesigner.heelWeight((z - heelZ) / length);
+            return { z, minX: value - margin, maxX: right[r] + margin };
+        });
+
+        const taper = ({ minX: a, maxX: b }, z) => {
+            const center = (a + b) / 2;
+            const half = ((b - a) / 2) * S.endTaper;
+            return { z, minX: center - half, maxX: center + half };
+        };
+        return [taper(stations[0], heelZ), ...stations, taper(stations[count - 1], bounds.toeZ)];
+    }
+
+    /**
+     * 발바닥 높이 지도 - 격자마다 가장 낮은 정점의 바닥면 위 높이 (빈 격자는 이웃 평균으로 채움)
+     * 반환: { sample(x, z) → 높이 mm (발이 없는 곳은 Infinity) }
+     */
+    static extractPlantar(positions, bounds) {
+        const S = INSOLE_SETTINGS;
+        const { soleY, heelZ, minX } = bounds;
+        const cols = Math.max(2, Math.ceil((bounds.maxX - minX) / S.cellSize) + 1);
+        const rows = Math.max(2, Math.ceil(bounds.length / S.cellSize) + 1);
+        let heights = new Float64Array(cols * rows).fill(Infinity);
+
+        for (let i = 0; i + 2 < positions.length; i += 3) {
+            const col = Math.round((positions[i] - minX) / S.cellSize);
+            const row = Math.round((positions[i + 2] - heelZ) / S.cellSize);
+            if (!(col >= 0 && col < cols && row >= 0 && row < rows)) continue;
+
+            const cell = row * cols + col;
+            const height = positions[i + 1] - soleY;
+            if (height < heights[cell]) heights[cell] = height;
+        }
+
+        for (let pass = 0; pass < S.fillPasses; pass++) {
+            const next = heights.slice();
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    if (heights[row * cols + col] !== Infinity) continue;
+
+                    let sum = 0, count = 0;
+                    for (let dr = -1; dr <= 1; dr++) {
+                        for (let dc = -1; dc <= 1; dc++) {
+                            const r = row + dr, c = col + dc;
+                            if (r < 0 || r >= rows || c < 0 || c >= cols) continue;
+                            const value = heights[r * cols + c];
+                            if (value !== Infinity) {
+                                sum += value;
+                                count++;
+                            }
+                        }
+                    }
+                    if (count > 0) next[row * cols + col] = sum / count;
+                }
+            }
+            heights = next;
+        }
+
+        // 격자 사이는 양선형 보간 (빈 격자는 빼고 나머지 가중 평균)
+        const sample = (x, z) => {
+            const fc = Math.min(cols - 1, Math.max(0, (x - minX) / S.cellSize));
+            const fr = Math.min(rows - 1, Math.max(0, (z - heelZ) / S.cellSize));
+            const c0 = Math.min(cols - 2, Math.floor(fc)), r0 = Math.min(rows - 2, Math.floor(fr));
+            const dc = fc - c0, dr = fr - r0;
+
+            let sum = 0, weight = 0;
+            [[0, 0, (1 - dc) * (1 - dr)], [1, 0, dc * (1 - dr)], [0, 1, (1 - dc) * dr], [1, 1, dc * dr]].forEach(([oc, or, w]) => {
+                const value = heights[(r0 + or) * cols + c0 + oc];
+                if (value !== Infinity && w > 0) {
+                    sum += value * w;
+                    weight += w;
+                }
+            });
+            return weight > 0 ? sum / weight : Infinity;
+        };
+
+        return { sample };
+    }
+
+    /**
+     * 파라미터 형상 높이 (바닥면 위 mm, 실제 윗면은 이 값과 발바닥 높이 중 낮은 값)
+     * t: 발 길이 비율, u: 좌우 위치(-1 ~ 1), medial: 안쪽이 +1인 좌우 위치
+     * 반환: { height, wall(발바닥 면 위로 올라가도 되는 컵 벽 높이), region('heelCup'|'arch'|null, 더 높은 쪽) }
+     */
+    static contourAt(t, u, medial, { heelCupDepth, archSupportHeight }) {
+        const { heelCup, arch } = INSOLE_REGIONS;
+
+        // 뒤꿈치 컵: 가장자리와 뒷벽으로 갈수록 깊이까지 올라감
+        const rim = Math.max(Math.abs(u), t < heelCup.back ? 1 - t / heelCup.back : 0);
+        const cup = heelCupDepth * InsoleDesigner.heelWeight(t) * rim * rim;
+        const wall = cup * Utils.smoothstep(...INSOLE_SETTINGS.cupWall, rim);
+
+        // 아치 지지: 안쪽 절반에서 중족부 구간만큼 올라감
+        const archWeight = Utils.smoothstep(arch.start, arch.start + arch.blend, t)
+            * (1 - Utils.smoothstep(arch.end - arch.blend, arch.end, t));
+        const support = archSupportHeight * archWeight * Utils.smoothstep(-0.2, 0.7, medial);
+
+        if (cup <= 0 && support <= 0) return { height: 0, wall: 0, region: null };
+        return cup >= support ? { height: cup, wall, region: 'heelCup' } : { height: support, wall: 0, region: 'arch' };
+    }
+
+    /**
+     * 발 길이 비율 위치의 깔창 두께 (뒤꿈치·중족부는 기본 두께, 전족부는 전족부 두께)
+     */
+    static thicknessAt(t, { baseThickness, forefootThickness }) {
+        const { forefoot } = INSOLE_REGIONS;
+        return baseThickness + (forefootThickness - baseThickness) * Utils.smoothstep(forefoot.start, forefoot.end, t);
+    }
+
+    static heelWeight(t) {
+        const { heelCup } = INSOLE_REGIONS;
+        return 1 - Utils.smoothstep(heelCup.end - heelCup.blend, heelCup.end, t);
+    }
+
+    /**
+     * 닫힌 깔창 메시 삼각형 (윗면, 아랫면, 좌우 옆면, 뒤꿈치·발끝 끝면, 바깥 방향 반시계 감기)
+     * 정점 순서: 윗면 [단면][칸], 이어서 아랫면 [단면][칸]
+     */
+    static buildIndex(stationCount, columns) {
+        const width = columns + 1;
+        const top = (s, j) => s * width + j;
+        const bottom = (s, j) => stationCount * width + s * width + j;
+        const index = [];
+
+        for (let s = 0; s < stationCount - 1; s++) {
+            for (let j = 0; j < columns; j++) {
+                index.push(top(s, j), top(s + 1, j + 1), top(s, j + 1), top(s, j), top(s + 1, j), top(s + 1, j + 1));
+                index.push(bottom(s, j), bottom(s, j + 1), bottom(s + 1, j + 1), bottom(s, j), bottom(s + 1, j + 1), bottom(s + 1, j));
+            }
+            // -X 옆면, +X 옆면
+            index.push(top(s, 0), bottom(s, 0), bottom(s + 1, 0), top(s, 0), bottom(s + 1, 0), top(s + 1, 0));
+            index.push(top(s, columns), bottom(s + 1, columns), bottom(s, columns), top(s, columns), top(s + 1, columns), bottom(s + 1, columns));
+        }
+
+        // 뒤꿈치 끝면(-Z), 발끝 끝면(+Z)
+        const last = stationCount - 1;
+        for (let j = 0; j < columns; j++) {
+            index.push(top(0, j), top(0, j + 1), bottom(0, j + 1), top(0, j), bottom(0, j + 1), bottom(0, j));
+            index.push(top(last, j), bottom(last, j + 1), top(last, j + 1), top(last, j), bottom(last, j), bottom(last, j + 1));
+        }
+
+        return new Uint32Array(index);
+    }
+
+    /**
+     * 출력용 배치 (MeshExporter.layoutFeet: mm, Z 위, 반전 없이 위에서 보았을 때 왼발 깔창이 왼쪽)
+     */
+    static toPrintMeshes(designs) {
+        const part = (design, name) => (design ? { name, positions: design.mesh.positions, index: design.mesh.index } : null);
+        return MeshExporter.layoutFeet({ left: part(designs.left, 'Left insole'), right: part(designs.right, 'Right insole') });
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * 랜드마크 검출 모듈 - 정렬된 발 스캔에서 해부학적 기준점(뒤꿈치점, 발끝점, 중족골두 등) 자동 검출 전담
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { FootFrame } from './foot-frame.js';
+import { ToeProfile } from './toe-profile.js';
+
+// 검출 구간 (발 길이 비율, 뒤꿈치점 기준 앞쪽 거리 / 발바닥 기준 높이)
+const SEARCH_BANDS = {
+    pternionMaxHeight: 0.2,
+    mth1: { z: [0.62, 0.82], y: [0, 0.12] },
+    mth5: { z: [0.52, 0.75], y: [0, 0.12] },
+    navicular: { z: [0.3, 0.5], y: [0.08, 0.22] },
+    sphyrion: { z: [0.05, 0.35], y: [0.2, 0.45] }
+};
+
+const MAX_TOES = 5;
+
+const LANDMARK_LABELS = {
+    pternion: '뒤꿈치점 (Pternion)',
+    acropodion: '발끝점 (Acropodion)',
+    mth1: '제1중족골두 (MTH1)',
+    mth5: '제5중족골두 (MTH5)',
+    navicular: '주상골 결절 (Navicular)',
+    sphyrion: '안쪽 복사뼈 (Sphyrion)'
+};
+
+export class LandmarkDetector {
+    /**
+     * 랜드마크 자동 검출
+     * positions: 원본 geometry 좌표, frame: 발 기준 좌표계, side: 'left'|'right' (엄지 쪽 판단)
+     * 반환: { pternion, acropodion, mth1, mth5, navicular, sphyrion, toe1..toe5 } (원본 geometry 좌표 [x, y, z], 못 찾으면 항목 없음)
+     */
+    static detect(positions, frame, side) {
+        if (!frame) return {};
+
+        const local = FootFrame.toFramePositions(positions, frame);
+        // 발 좌표계에서 왼발 엄지는 -X, 오른발 엄지는 +X 쪽
+        const medialSign = side === 'right' ? 1 : -1;
+        const landmarks = {};
+
+        const pternion = LandmarkDetector.extremePoint(local, (x, y, z) => -z,
+            (x, y) => y <= frame.size.z * SEARCH_BANDS.pternionMaxHeight);
+        const acropodion = LandmarkDetector.extremePoint(local, (x, y, z) => z);
+        if (!pternion || !acropodion) return {};
+
+        landmarks.pternion = pternion;
+        landmarks.acropodion = acropodion;
+
+        const heelZ = pternion[2];
+        const length = acropodion[2] - heelZ;
+
+        // 구간 안에서 안쪽(또는 바깥쪽)으로 가장 튀어나온 점
+        const prominence = (band, sign) => LandmarkDetector.extremePoint(local, (x) => sign * x, (x, y, z) => (
+            z >= heelZ + length * band.z[0] && z <= heelZ + length * band.z[1] &&
+            y >= length * band.y[0] && y <= length * band.y[1]
+        ));
+
+        landmarks.mth1 = prominence(SEARCH_BANDS.mth1, medialSign);
+        landmarks.mth5 = prominence(SEARCH_BANDS.mth5, -medialSign);
+        landmarks.navicular = prominence(SEARCH_BANDS.navicular, medialSign);
+        // 발목 절단 높이가 낮으면 복사뼈가 스캔에 없을 수 있음
+        landmarks.sphyrion = prominence(SEARCH_BANDS.sphyrion, medialSign);
+
+        // 발가락 끝: 발끝 윤곽의 국소 최댓값을 엄지부터 순서대로
+        const { peaks } = ToeProfile.extract(local, frame.size.z);
+        ToeProfile.orderMedialToLateral(peaks, medialSign)
+            .slice(0, MAX_TOES)
+            .forEach((peak, i) => { landmarks[`toe${i + 1}`] = [peak.x, peak.y, peak.z]; });
+
+        // 발 좌표 → 원본 geometry 좌표
+        const point = new THREE.Vector3();
+        Object.keys(landmarks).forEach(name => {
+            if (!landmarks[name]) {
+                delete landmarks[name];
+                return;
+            }
+            landmarks[name] = point.fromArray(landmarks[name]).applyMatrix4(frame.inverse).toArray();
+        });
+
+        console.log(`📍 랜드마크 검출 (${side === 'right' ? '오른발' : '왼발'}):`, Object.keys(landmarks).join(', '));
+        return landmarks;
+    }
+
+    /**
+     * 조건을 만족하는 정점 중 score가 가장 큰 점 ([x, y, z] 또는 null)
+     */
+    static extremePoint(local, score, predicate = null) {
+        let best = null;
+        let bestScore = -Infinity;
+
+        for (let i = 0; i < local.length; i += 3) {
+            const x = local[i], y = local[i + 1], z = local[i + 2];
+            if (!Number.isFinite(x + y + z)) continue;
+            if (predicate && !predicate(x, y, z)) continue;
+
+            const value = score(x, y, z);
+            if (value > bestScore) {
+                bestScore = value;
+                best = i;
+            }
+        }
+
+        return best === null ? null : [local[best], local[best + 1], local[best + 2]];
+    }
+
+    /**
+     * 랜드마크 표시 이름
+     */
+    static getLabel(name) {
+        if (LANDMARK_LABELS[name]) return LANDMARK_LABELS[name];
+        const toe = /^toe(\d)$/.exec(name);
+        return toe ? `${toe[1]}번 발가락 끝` : name;
+    }
+}
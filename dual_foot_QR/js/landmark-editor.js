@@ -0,0 +1,293 @@
+/**
+ * 랜드마크 편집 모듈 - 발 모델 위 랜드마크 마커 표시와 드래그 보정(메시 표면에 레이캐스트로 붙임) 전담
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { LandmarkDetector } from './landmark-detector.js';
+
+const LANDMARK_COLORS = {
+    pternion: '#f97316',
+    acropodion: '#facc15',
+    mth1: '#22d3ee',
+    mth5: '#3b82f6',
+    navicular: '#a3e635',
+    sphyrion: '#f472b6',
+    toe: '#e5e7eb'
+};
+
+// 마커 반지름 (발 geometry 최대 치수 대비)
+const MARKER_RADIUS_RATIO = 0.012;
+
+export class LandmarkEditor extends EventTarget {
+    constructor(sceneManager, cameraController, canvasContainer) {
+        super();
+        this.sceneManager = sceneManager;
+        this.cameraController = cameraController;
+        this.canvasContainer = canvasContainer;
+
+        this.landmarks = { left: null, right: null };
+        this.visible = true;
+        this.dragging = null; // { marker, foot, landmark }
+        this.pendingPointer = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        this.tooltip = this.createTooltip();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onDualModelUpdated = () => this.attachMarkers();
+
+        // OrbitControls보다 먼저 받기 위해 캔버스 부모에서 캡처 단계로 수신
+        this.canvasContainer.addEventListener('pointerdown', this.onPointerDown, true);
+        this.canvasContainer.addEventListener('pointermove', this.onPointerMove);
+        this.sceneManager.addEventListener('dualModelUpdated', this.onDualModelUpdated);
+    }
+
+    /**
+     * 발별 랜드마크 설정 후 마커 다시 그림 ({ name: [x, y, z] } 원본 geometry 좌표)
+     */
+    setLandmarks(foot, landmarks) {
+        this.landmarks[foot] = landmarks ? { ...landmarks } : null;
+        this.attachMarkers();
+    }
+
+    /**
+     * 마커 표시/숨김
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.forEachMarkerGroup(group => { group.visible = visible; });
+        if (!visible) this.hideTooltip();
+    }
+
+    /**
+     * 양발 분석 모델에 마커 부착 (모델을 다시 만들면 dualModelUpdated에서 다시 호출)
+     */
+    attachMarkers() {
+        if (this.sceneManager.getCurrentModel()?.name !== 'DualFootModel') return;
+
+        ['left', 'right'].forEach(foot => {
+            const footModel = this.getFootModel(foot);
+            if (!footModel) return;
+
+            const previous = footModel.getObjectByName('LandmarkMarkers');
+            if (previous) {
+                footModel.remove(previous);
+                this.sceneManager.disposeObject(previous);
+            }
+
+            const landmarks = this.landmarks[foot];
+            if (landmarks) footModel.add(this.createMarkers(foot, footModel, landmarks));
+        });
+    }
+
+    /**
+     * 마커 그룹 생성 (발 모델의 자식이므로 원본 geometry 좌표 그대로 배치)
+     */
+    createMarkers(foot, footModel, landmarks) {
+        const group = new THREE.Group();
+        group.name = 'LandmarkMarkers';
+        group.visible = this.visible;
+
+        const geometry = footModel.children[0].geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+        const radius = Math.max(size.x, size.y, size.z) * MARKER_RADIUS_RATIO;
+
+        Object.entries(landmarks).forEach(([name, position]) => {
+            const color = LANDMARK_COLORS[name] || LANDMARK_COLORS.toe;
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(radius, 16, 12),
+                new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.95 })
+            );
+            marker.position.fromArray(position);
+            marker.renderOrder = 2;
+            marker.userData = { foot, landmark: name };
+            group.add(marker);
+        });
+
+        return group;
+    }
+
+    /**
+     * 드래그 시작 - 마커를 누르면 카메라 조작 대신 마커 이동
+     */
+    onPointerDown(event) {
+        if (!this.visible || event.button !== 0) return;
+
+        const marker = this.pickMarker(event);
+        if (!marker) return;
+
+        event.stopPropagation();
+        event.preventDefault();
+
+        this.dragging = { marker, ...marker.userData };
+        this.cameraController.getControls().enabled = false;
+        this.canvasContainer.style.cursor = 'grabbing';
+        this.showTooltip(event, marker.userData.landmark);
+
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    /**
+     * 드래그 중에는 표면으로 마커 이동 (프레임당 한 번), 아니면 마커 위에서 커서/이름 표시
+     */
+    onPointerMove(event) {
+        if (!this.visible) return;
+
+        if (!this.dragging) {
+            const marker = this.pickMarker(event);
+            this.canvasContainer.style.cursor = marker ? 'grab' : '';
+            if (marker) this.showTooltip(event, marker.userData.landmark);
+            else this.hideTooltip();
+            return;
+        }
+
+        const scheduled = this.pendingPointer !== null;
+        this.pendingPointer = { clientX: event.clientX, clientY: event.clientY };
+        if (scheduled) return;
+
+        requestAnimationFrame(() => {
+            const pointer = this.pendingPointer;
+            this.pendingPointer = null;
+            if (!this.dragging || !pointer) return;
+
+            const position = this.snapToSurface(pointer, this.dragging.foot);
+            if (position) this.dragging.marker.position.copy(position);
+            this.showTooltip(pointer, this.dragging.landmark);
+        });
+    }
+
+    /**
+     * 드래그 종료 - 바뀐 위치를 이벤트로 알림 (측정 재계산은 구독 측에서)
+     */
+    onPointerUp() {
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+
+        const { marker, foot, landmark } = this.dragging;
+        this.dragging = null;
+        this.pendingPointer = null;
+        this.cameraController.getControls().enabled = true;
+        this.canvasContainer.style.cursor = '';
+        this.hideTooltip();
+
+        const position = marker.position.toArray();
+        const previous = this.landmarks[foot]?.[landmark];
+        if (!previous || previous.every((value, i) => Math.abs(value - position[i]) < 1e-9)) return;
+
+        this.landmarks[foot][landmark] = position;
+        console.log(`📍 랜드마크 이동: ${foot} ${landmark}`, position);
+
+        this.dispatchEvent(new CustomEvent('landmarkMoved', {
+            detail: { foot, name: landmark, position }
+        }));
+    }
+
+    /**
+     * 화면 좌표 → 보이는 마커 중 가장 가까운 것
+     */
+    pickMarker(event) {
+        const markers = [];
+        this.forEachMarkerGroup(group => {
+            if (this.isShown(group)) markers.push(...group.children);
+        });
+        if (markers.length === 0) return null;
+
+        this.setRay(event);
+        const [hit] = this.raycaster.intersectObjects(markers, false);
+        return hit ? hit.object : null;
+    }
+
+    /**
+     * 화면 좌표 → 발 표면 위 점 (발 모델 로컬 = 원본 geometry 좌표), 점군은 가장 가까운 점에 붙임
+     */
+    snapToSurface(pointer, foot) {
+        const footModel = this.getFootModel(foot);
+        const surface = footModel?.children[0];
+        if (!surface) return null;
+
+        this.setRay(pointer);
+        if (surface.isPoints) {
+            // 점 선택 허용 거리는 화면상 마커 크기 정도 (월드 좌표 기준)
+            const markerRadius = footModel.getObjectByName('LandmarkMarkers')?.children[0]?.geometry.parameters.radius || 1;
+            this.raycaster.params.Points.threshold = markerRadius * footModel.getWorldScale(new THREE.Vector3()).x;
+        }
+
+        const [hit] = this.raycaster.intersectObject(surface, false);
+        if (!hit) return null;
+
+        if (surface.isPoints) {
+            return new THREE.Vector3().fromBufferAttribute(surface.geometry.attributes.position, hit.index);
+        }
+        return footModel.worldToLocal(hit.point.clone());
+    }
+
+    setRay({ clientX, clientY }) {
+        const rect = this.sceneManager.getRenderer().domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.cameraController.getActiveCamera());
+    }
+
+    /**
+     * 조상까지 모두 보이는지 (한쪽 발만 보기일 때 숨은 발의 마커 제외)
+     */
+    isShown(object) {
+        for (let current = object; current; current = current.parent) {
+            if (!current.visible) return false;
+        }
+        return true;
+    }
+
+    getFootModel(foot) {
+        return foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel();
+    }
+
+    forEachMarkerGroup(callback) {
+        ['left', 'right'].forEach(foot => {
+            const group = this.getFootModel(foot)?.getObjectByName('LandmarkMarkers');
+            if (group) callback(group);
+        });
+    }
+
+    /**
+     * 마커 이름 표시용 말풍선
+     */
+    createTooltip() {
+        const tooltip = document.createElement('div');
+        tooltip.className = 'landmark-tooltip hidden';
+        this.canvasContainer.appendChild(tooltip);
+        return tooltip;
+    }
+
+    showTooltip({ clientX, clientY }, name) {
+        const rect = this.canvasContainer.getBoundingClientRect();
+        this.tooltip.textContent = LandmarkDetector.getLabel(name);
+        this.tooltip.style.left = `${clientX - rect.left + 12}px`;
+        this.tooltip.style.top = `${clientY - rect.top + 12}px`;
+        this.tooltip.classList.remove('hidden');
+    }
+
+    hideTooltip() {
+        this.tooltip.classList.add('hidden');
+    }
+
+    /**
+     * 정리 (이벤트 해제)
+     */
+    dispose() {
+        this.canvasContainer.removeEventListener('pointerdown', this.onPointerDown, true);
+        this.canvasContainer.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+        this.sceneManager.removeEventListener('dualModelUpdated', this.onDualModelUpdated);
+        this.tooltip.remove();
+        console.log('🧹 Landmark Editor 정리 완료');
+    }
+}
@@ -0,0 +1,325 @@
+/**
+ * 라스트 생성 모듈 - 정렬한 발 스캔으로 단순화한 구두 라스트(평활 단면 로프트, 여유 길이, 토 스프링, 힐 피치, 여유 둘레)와 라스트 치수 생성 전담
+ * 좌표는 발 기준 좌표계(X 좌우, Y 위, Z 뒤꿈치→발끝, mm)로 변환된 값을 받고, 발마다 자기 스캔으로 만들어 좌우 형상이 그대로 유지됨
+ */
+import { MeshSlicer } from './mesh-slicer.js';
+import { Utils } from './utils.js';
+
+// 라스트 형상 설정 (mm, 비율은 발 길이 기준)
+const LAST_SETTINGS = {
+    stationStep: 4,        // 길이 방향 단면 간격
+    angles: 48,            // 단면 둘레 정점 수
+    topHeight: 0.32,       // 라스트 윗면 높이 (바닥면 기준)
+    heelSeat: 0.2,         // 힐 피치만큼 통째로 올라가는 뒤꿈치 바닥 구간
+    angleSmoothing: 2,     // 둘레 방향 Taubin 평활 반복 횟수
+    stationSmoothing: 2,   // 길이 방향 평활 반경 (단면 수)
+    minFilledAngles: 0.25  // 정점이 있는 방향이 이 비율보다 적은 단면은 앞뒤 단면으로 보간
+};
+
+// 둘레 방향 Taubin 평활 계수 (λ, μ)
+const TAUBIN_FACTORS = [0.5, -0.53];
+
+// 라스트 치수 위치 (발 길이 비율, 뒤꿈치 기준, 둘레는 측정 엔진처럼 줄자 둘레)
+const LAST_MEASURE_POINTS = {
+    ball: 0.72,            // 볼 둘레 횡단면 (중족골두 위치를 모를 때)
+    instep: 0.5,           // 발등 둘레 (측정 엔진과 같은 위치)
+    heelBand: [0.05, 0.25],
+    heelWidthHeight: 0.08  // 뒤꿈치 너비를 재는 바닥면 위 높이
+};
+
+// 여유 둘레는 뒤꿈치에는 더하지 않고 이 구간에서 늘려 발등부터 전부 더함
+const GIRTH_ALLOWANCE_BAND = [0.15, 0.4];
+
+// 파라미터 기본값과 허용 범위 (mm, 여유 길이는 측정값 탭과 같은 범위)
+const PARAM_LIMITS = {
+    toeAllowance: { value: 15, min: 0, max: 30 },
+    toeSpring: { value: 12, min: 0, max: 30 },
+    heelPitch: { value: 20, min: 0, max: 80 },
+    girthAllowance: { value: 5, min: 0, max: 20 }
+};
+
+// CSV 열 (라스트 치수 mm와 만든 파라미터)
+const CSV_COLUMNS = [
+    ['foot', (last) => last.foot],
+    ['length_mm', (last) => last.measurements.length],
+    ['ball_girth_mm', (last) => last.measurements.ballGirth],
+    ['instep_girth_mm', (last) => last.measurements.instepGirth],
+    ['heel_width_mm', (last) => last.measurements.heelWidth],
+    ['toe_allowance_mm', (last) => last.params.toeAllowance],
+    ['toe_spring_mm', (last) => last.params.toeSpring],
+    ['heel_pitch_mm', (last) => last.params.heelPitch],
+    ['girth_allowance_mm', (last) => last.params.girthAllowance]
+];
+
+export class LastGenerator {
+    /**
+     * 파라미터 정리 (숫자가 아니면 기본값, 허용 범위로 자름)
+     */
+    static normalizeParams(params = {}) {
+        return Utils.normalizeParams(params, PARAM_LIMITS);
+    }
+
+    /**
+     * 발 하나의 라스트 생성
+     * positions: 발 기준 좌표(mm), ballPoints: [MTH1, MTH5] 발 기준 좌표(mm, 모르면 null)
+     * 볼 둘레는 측정 엔진과 같이 두 중족골두를 지나는 수직 평면, 볼 앞쪽부터 여유 길이·토 스프링 적용
+     * 반환: { foot, params, measurements: { length, ballGirth, instepGirth, heelWidth },
+     *   mesh: { positions(발 기준 좌표 mm), index } } 또는 null
+     */
+    static generate(positions, foot, params = {}, { ballPoints = null } = {}) {
+        const normalized = LastGenerator.normalizeParams(params);
+        const bounds = Utils.measureBounds(positions);
+        if (!bounds) return null;
+
+        const stations = LastGenerator.extractSections(positions, bounds);
+        if (!stations) return null;
+
+        const { heelZ, toeZ, length, soleY } = bounds;
+        const ballZ = ballPoints
+            ? Math.min(toeZ - 1, Math.max(heelZ + 1, (ballPoints[0][2] + ballPoints[1][2]) / 2))
+            : heelZ + length * LAST_MEASURE_POINTS.ball;
+        const topY = soleY + length * LAST_SETTINGS.topHeight;
+
+        // 단면 윤곽 (여유 둘레만큼 바깥으로, 윗면 위는 잘라냄)
+        const rings = stations.map(({ z, center, radii }) => {
+            const t = (z - heelZ) / length;
+            const offset = (normalized.girthAllowance * Utils.smoothstep(...GIRTH_ALLOWANCE_BAND, t)) / (2 * Math.PI);
+            return { z, points: LastGenerator.offsetRing(LastGenerator.ringPoints(center, radii), offset, topY) };
+        });
+
+        // 치수는 변형 전 형상에서 (토 스프링·힐 피치는 단면을 통째로 올리고 여유 길이는 볼 앞만 늘림)
+        const measurements = LastGenerator.measure(LastGenerator.buildMesh(rings, (z) => ({ z, lift: 0 }), bounds), rings, bounds, ballZ, ballPoints);
+        measurements.length = length + normalized.toeAllowance;
+
+        const mesh = LastGenerator.buildMesh(rings, (z) => LastGenerator.deform(z, bounds, ballZ, normalized), bounds);
+        const last = { foot, params: normalized, measurements, mesh };
+
+        console.log(`🥿 ${foot === 'left' ? '왼발' : '오른발'} 라스트 생성:`, Object.fromEntries(
+            Object.entries(measurements).map(([key, value]) => [key, Number.isFinite(value) ? value.toFixed(1) : '-'])
+        ));
+        return last;
+    }
+
+    /**
+     * 길이 방향 단면별 둘레 반지름 (윗면 아래 정점만, 단면 중심에서 방향별 가장 먼 거리, 평활)
+     * 반환: [{ z, center: [x, y], radii: Float64Array }] (뒤꿈치 → 발끝) 또는 null
+     */
+    static extractSections(positions, bounds) {
+        const S = LAST_SETTINGS;
+        const { heelZ, length, soleY } = bounds;
+        const topY = soleY + length * S.topHeight;
+        const count = Math.max(8, Math.ceil(length / S.stationStep));
+        const step = length / count;
+
+        const slabs = Array.from({ length: count }, () => []);
+        for (let i = 0; i + 2 < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            if (!(y <= topY) || !Number.isFinite(x + z)) continue;
+            slabs[Math.min(count - 1, Math.max(0, Math.floor((z - heelZ) / step)))].push(x, y);
+        }
+
+        const sections = slabs.map(slab => LastGenerator.sectionRadii(slab));
+        if (sections.filter(Boolean).length < count / 2) return null;
+
+        // 빈 단면은 앞뒤 단면 사이 보간 (양 끝은 가장 가까운 단면)
+        const filled = Utils.fillGaps(sections, (a, b, w) => ({
+            center: [Utils.lerp(a.center[0], b.center[0], w), Utils.lerp(a.center[1], b.center[1], w)],
+            radii: a.radii.map((r, k) => Utils.lerp(r, b.radii[k], w))
+        }));
+
+        // 길이 방향 평활 (중심과 반지름)
+        return filled.map((_, s) => {
+            const from = Math.max(0, s - S.stationSmoothing);
+            const to = Math.min(count - 1, s + S.stationSmoothing);
+            const n = to - from + 1;
+            const center = [0, 0];
+            const radii = new Float64Array(S.angles);
+            for (let k = from; k <= to; k++) {
+                center[0] += filled[k].center[0] / n;
+                center[1] += filled[k].center[1] / n;
+                filled[k].radii.forEach((r, a) => { radii[a] += r / n; });
+            }
+            return { z: heelZ + (s + 0.5) * step, center, radii };
+        });
+    }
+
+    /**
+     * 한 단면 점(x, y 쌍)의 방향별 가장 먼 거리 (빈 방향은 둘레를 따라 보간, 둘레 방향 평활)
+     * 반환: { center: [x, y], radii } 또는 null
+     */
+    static sectionRadii(slab) {
+        const S = LAST_SETTINGS;
+        if (slab.length < 6) return null;
+
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (let i = 0; i < slab.length; i += 2) {
+            minX = Math.min(minX, slab[i]);
+            maxX = Math.max(maxX, slab[i]);
+            minY = Math.min(minY, slab[i + 1]);
+            maxY = Math.max(maxY, slab[i + 1]);
+        }
+        const center = [(minX + maxX) / 2, (minY + maxY) / 2];
+
+        const raw = new Float64Array(S.angles).fill(-1);
+        for (let i = 0; i < slab.length; i += 2) {
+            const dx = slab[i] - center[0], dy = slab[i + 1] - center[1];
+            const angle = Math.atan2(dy, dx);
+            const bin = ((Math.round((angle / (2 * Math.PI)) * S.angles) % S.angles) + S.angles) % S.angles;
+            raw[bin] = Math.max(raw[bin], Math.hypot(dx, dy));
+        }
+
+        const filled = [];
+        raw.forEach((r, k) => { if (r >= 0) filled.push(k); });
+        if (filled.length < S.angles * S.minFilledAngles) return null;
+
+        // 빈 방향은 둘레를 따라 앞뒤 방향 사이 선형 보간
+        const radii = raw.map((r, k) => {
+            if (r >= 0) return r;
+            const before = filled.filter(f => f < k).pop() ?? filled[filled.length - 1] - S.angles;
+            const after = filled.find(f => f > k) ?? filled[0] + S.angles;
+            const at = (f) => raw[(f + S.angles) % S.angles];
+            return at(before) + ((at(after) - at(before)) * (k - before)) / (after - before);
+        });
+
+        // Taubin 평활 (줄이는 단계와 되돌리는 단계를 번갈아 잡음은 줄이고 단면은 거의 줄지 않게 함)
+        let smoothed = radii;
+        for (let pass = 0; pass < S.angleSmoothing * 2; pass++) {
+            const factor = TAUBIN_FACTORS[pass % 2];
+            const current = smoothed;
+            smoothed = current.map((r, k) => {
+                const neighbors = (current[(k - 1 + S.angles) % S.angles] + current[(k + 1) % S.angles]) / 2;
+                return r + factor * (neighbors - r);
+            });
+        }
+
+        return { center, radii: smoothed };
+    }
+
+    /**
+     * 반지름 → 단면 둘레 점 [[x, y]] (+X에서 +Y 방향으로 반시계)
+     */
+    static ringPoints(center, radii) {
+        return Array.from(radii, (r, k) => {
+            const angle = (2 * Math.PI * k) / radii.length;
+            return [center[0] + r * Math.cos(angle), center[1] + r * Math.sin(angle)];
+        });
+    }
+
+    /**
+     * 둘레 점을 바깥 법선 방향으로 offset만큼 밀고 윗면 위는 잘라냄 (볼록한 단면이면 둘레가 2π·offset 늘어남)
+     */
+    static offsetRing(points, offset, topY) {
+        const n = points.length;
+        return points.map(([x, y], k) => {
+            const [px, py] = points[(k - 1 + n) % n];
+            const [nx, ny] = points[(k + 1) % n];
+            const tx = nx - px, ty = ny - py;
+            const length = Math.hypot(tx, ty) || 1;
+            return [x + (offset * ty) / length, Math.min(topY, y - (offset * tx) / length)];
+        });
+    }
+
+    /**
+     * 변형 전 라스트 치수 (mm): 볼·발등 둘레는 라스트 메시 단면의 줄자 둘레, 뒤꿈치 너비는 뒤꿈치 구간 단면이 바닥면 위 일정 높이에서 가장 넓은 폭
+     */
+    static measure(mesh, rings, { heelZ, length, soleY }, ballZ, ballPoints) {
+        const M = LAST_MEASURE_POINTS;
+        const girth = (plane) => {
+            const { contours } = MeshSlicer.slice(mesh.positions, mesh.index, plane);
+            const { length: tape } = MeshSlicer.tapeGirth(contours, plane);
+            return tape > 0 ? tape : null;
+        };
+        const ballPlane = ballPoints
+            ? MeshSlicer.planeFromPointNormal(ballPoints[0], [-(ballPoints[1][2] - ballPoints[0][2]), 0, ballPoints[1][0] - ballPoints[0][0]])
+            : { normal: [0, 0, 1], offset: ballZ };
+
+        const widthY = soleY + length * M.heelWidthHeight;
+        const widthAt = ({ points }) => {
+            const crossings = [];
+            points.forEach(([x, y], k) => {
+                const [nx, ny] = points[(k + 1) % points.length];
+                if ((y - widthY) * (ny - widthY) <= 0 && y !== ny) crossings.push(x + ((nx - x) * (widthY - y)) / (ny - y));
+            });
+            return crossings.length >= 2 ? Math.max(...crossings) - Math.min(...crossings) : null;
+        };
+
+        const heelWidths = rings
+            .filter(ring => ring.z >= heelZ + length * M.heelBand[0] && ring.z <= heelZ + length * M.heelBand[1])
+            .map(widthAt)
+            .filter(Number.isFinite);
+
+        return {
+            length,
+            ballGirth: girth(ballPlane),
+            instepGirth: girth({ normal: [0, 0, 1], offset: heelZ + length * M.instep }),
+            heelWidth: heelWidths.length > 0 ? Math.max(...heelWidths) : null
+        };
+    }
+
+    /**
+     * 발 축 위치 z의 변형 → { z, lift }
+     * 볼 앞은 여유 길이만큼 늘리고 발끝으로 갈수록 토 스프링만큼 들어 올림, 볼 뒤는 뒤꿈치 바닥 구간이 힐 피치만큼 올라가도록 매끄럽게 올림
+     */
+    static deform(z, { heelZ, toeZ, length }, ballZ, { toeAllowance, toeSpring, heelPitch }) {
+        if (z >= ballZ) {
+            const t = (z - ballZ) / (toeZ - ballZ);
+            return { z: ballZ + t * (toeZ - ballZ + toeAllowance), lift: toeSpring * t * t };
+        }
+        const seatZ = heelZ + length * LAST_SETTINGS.heelSeat;
+        return { z, lift: heelPitch * (1 - Utils.smoothstep(seatZ, ballZ, z)) };
+    }
+
+    /**
+     * 단면 고리를 이은 닫힌 메시 (옆면 + 뒤꿈치·발끝 끝을 단면 중심 한 점으로 모은 마감, 바깥 방향 반시계 감기)
+     */
+    static buildMesh(rings, deformAt, { heelZ, toeZ }) {
+        const angles = rings[0].points.length;
+        const ringCount = rings.length;
+        const positions = new Float32Array((ringCount * angles + 2) * 3);
+
+        rings.forEach(({ z, points }, s) => {
+            const { z: movedZ, lift } = deformAt(z);
+            points.forEach(([x, y], k) => positions.set([x, y + lift, movedZ], (s * angles + k) * 3));
+        });
+
+        // 끝 마감점: 첫·마지막 단면 중심을 뒤꿈치·발끝 위치로
+        const capOf = ({ points }, z) => {
+            const { z: movedZ, lift } = deformAt(z);
+            const cx = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+            const cy = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+            return [cx, cy + lift, movedZ];
+        };
+        const heelCap = ringCount * angles;
+        const toeCap = heelCap + 1;
+        positions.set(capOf(rings[0], heelZ), heelCap * 3);
+        positions.set(capOf(rings[ringCount - 1], toeZ), toeCap * 3);
+
+        const vertex = (s, k) => s * angles + (k % angles);
+        const index = [];
+        for (let s = 0; s < ringCount - 1; s++) {
+            for (let k = 0; k < angles; k++) {
+                index.push(vertex(s, k), vertex(s, k + 1), vertex(s + 1, k + 1), vertex(s, k), vertex(s + 1, k + 1), vertex(s + 1, k));
+            }
+        }
+        for (let k = 0; k < angles; k++) {
+            index.push(heelCap, vertex(0, k + 1), vertex(0, k));
+            index.push(toeCap, vertex(ringCount - 1, k), vertex(ringCount - 1, k + 1));
+        }
+
+        return { positions, index: new Uint32Array(index) };
+    }
+
+    /**
+     * 라스트 치수 CSV (lasts: { left, right } generate 결과, 발마다 한 행, mm 소수 첫째 자리)
+     */
+    static toCSV(lasts) {
+        const format = (value) => {
+            if (typeof value === 'string') return value;
+            return Number.isFinite(value) ? value.toFixed(1) : '';
+        };
+        const rows = ['left', 'right']
+            .filter(foot => lasts[foot])
+            .map(foot => CSV_COLUMNS.map(([, valueOf]) => format(valueOf(lasts[foot]))).join(','));
+        return [CSV_COLUMNS.map(([name]) => name).join(','), ...rows].join('\r\n');
+    }
+}
@@ -2,7 +2,6 @@
  * 메인 애플리케이션 - 양발 분석 시스템 (개선된 버전)
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
-import { PLYLoader } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/loaders/PLYLoader.js';
 import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/controls/OrbitControls.js';
 
 import { SceneManager } from './scene-manager.js';
@@ -11,8 +10,35 @@ import { FileLoader } from './file-loader.js';
 import { MeasurementEngine } from './measurement.js';
 import { UIController } from './ui-controller.js';
 import { ReportGenerator } from './report-generator.js';
+import { ScanWorkerClient } from './scan-worker-client.js';
+import { ScanInspector } from './scan-inspector.js';
+import { ChiralityDetector } from './chirality-detector.js';
+import { FootFrame } from './foot-frame.js';
+import { ScanCleaner } from './scan-cleaner.js';
+import { SessionStore } from './session-store.js';
+import { LandmarkDetector } from './landmark-detector.js';
+import { LandmarkEditor } from './landmark-editor.js';
+import { MeasureTool } from './measure-tool.js';
+import { SectionPlane } from './section-plane.js';
+import { SectionExporter } from './section-exporter.js';
+import { SurfaceDeviation } from './surface-deviation.js';
+import { ScanHistory } from './scan-history.js';
+import { FootFlexibility } from './foot-flexibility.js';
+import { ShoeSizer } from './shoe-sizer.js';
+import { ShoeCatalogue } from './shoe-catalogue.js';
+import { ShoeFitter } from './shoe-fitter.js';
+import { ShoeInventory } from './shoe-inventory.js';
+import { InsoleDesigner } from './insole-designer.js';
+import { LastGenerator } from './last-generator.js';
+import { MeshExporter } from './mesh-exporter.js';
 import { Utils } from './utils.js';
 
+// 뷰어 편차 범례 문구
+const DEVIATION_LEGEND_CAPTIONS = {
+    symmetry: '왼발 − 반전한 오른발 (+: 왼발이 더 큼)',
+    progression: '현재 − 이전 스캔 (+: 커짐)'
+};
+
 class DualFootAnalyzer {
     constructor() {
         this.canvasContainer = document.getElementById('canvas-container');
@@ -25,27 +51,69 @@ class DualFootAnalyzer {
         this.measurementEngine = null;
         this.uiController = null;
         this.reportGenerator = null;
+        this.scanWorkerClient = null;
+        this.scanCleaner = null;
+        this.sessionStore = null;
+        this.landmarkEditor = null;
+        this.measureTool = null;
+        this.sectionPlane = null;
+        this.surfaceDeviation = null;
+
+        // 좌우 표면 비교 결과 { distances, summary } (분석 전/실패 시 null)
+        this.deviationResult = null;
+
+        // 경과 비교 (이전 방문 기록, 비교할 발, 이전 스캔과의 표면 비교 결과 { foot, distances, summary })
+        this.scanHistory = null;
+        this.previousVisit = null;
+        this.progressionFoot = 'left';
+        this.progressionResult = null;
+
+        // 체중 부하 비교 (발별 짝 스캔 { state, fileName, measurements, overlay, fitError, assessment }, 탭에서 보는 발, 분석한 스캔의 자세)
+        this.loadPairs = { left: null, right: null };
+        this.loadPairFoot = 'left';
+        this.primaryLoadStates = { left: 'loaded', right: 'loaded' };
+
+        // 신발 추천 (매장 카탈로그, 매장 재고)
+        this.shoeCatalogue = null;
+        this.shoeInventory = null;
+
+        // 맞춤 깔창 (발별 InsoleDesigner.design 결과)
+        this.insoles = { left: null, right: null };
+
+        // 구두 라스트 (발별 LastGenerator.generate 결과)
+        this.shoeLasts = { left: null, right: null };
 
         // 양발 상태 관리
         this.footData = {
             left: {
                 fileName: '',
                 geometry: null,
+                rawGeometry: null, // 정리 전 원본 (정리 설정을 바꾸면 다시 정리)
+                cleanup: null,
+                landmarks: null, // { points: { name: [x, y, z] }, edited: [수동 보정한 이름] }
                 measurements: null,
                 analysis: null,
+                inspection: null,
+                chirality: null,
                 isLoaded: false
             },
             right: {
                 fileName: '',
                 geometry: null,
+                rawGeometry: null,
+                cleanup: null,
+                landmarks: null,
                 measurements: null,
                 analysis: null,
+                inspection: null,
+                chirality: null,
                 isLoaded: false
             }
         };
 
         this.analysisComplete = false;
         this.animationId = null;
+        this.processingCount = 0; // 진행 중인 로딩/측정 작업 수 (오버레이 표시용)
     }
 
     /**
@@ -90,272 +158,1501 @@ class DualFootAnalyzer {
         this.cameraController = new CameraController(this.sceneManager, this.canvasContainer);
         this.cameraController.init();
 
-        this.fileLoader = new FileLoader(this.sceneManager);
-        this.measurementEngine = new MeasurementEngine();
+        this.landmarkEditor = new LandmarkEditor(this.sceneManager, this.cameraController, this.canvasContainer);
+        this.measureTool = new MeasureTool(this.sceneManager, this.cameraController, this.canvasContainer);
+        this.sectionPlane = new SectionPlane(this.sceneManager, this.cameraController, this.canvasContainer);
+
+        // 파싱과 측정은 워커에서 수행 (미지원 브라우저는 메인 스레드로 자동 전환)
+        this.scanWorkerClient = new ScanWorkerClient();
+        this.fileLoader = new FileLoader(this.sceneManager, this.scanWorkerClient);
+        this.measurementEngine = new MeasurementEngine(this.scanWorkerClient);
+        this.scanCleaner = new ScanCleaner(this.scanWorkerClient);
+        this.surfaceDeviation = new SurfaceDeviation(this.scanWorkerClient);
         this.reportGenerator = new ReportGenerator();
+        this.sessionStore = new SessionStore();
+        this.scanHistory = new ScanHistory();
+        this.refreshScanHistory();
+        this.shoeInventory = new ShoeInventory();
+        this.shoeCatalogue = new ShoeCatalogue();
+        this.loadShoeCatalogue();
 
         console.log('✅ 모든 모듈 초기화 완료');
     }
 
 
     /**
-     * 이벤트 리스너 설정 (양발 분석에 맞게 수정)
+     * 이벤트 리스너 설정 (양발 분석에 맞게 수정)
+     */
+    setupEventListeners() {
+        // UI Controller 이벤트 설정
+        this.uiController.setupEventListeners();
+
+        // 양발 파일 선택 이벤트
+        this.uiController.addEventListener('footFileSelected', this.handleFootFileSelected.bind(this));
+        this.uiController.addEventListener('dualFootAnalysisStarted', this.handleDualFootAnalysisStarted.bind(this));
+        this.uiController.addEventListener('footSwapRequested', this.handleFootSwapRequested.bind(this));
+        this.uiController.addEventListener('cleanupOptionsChanged', this.handleCleanupOptionsChanged.bind(this));
+        this.uiController.addEventListener('cleanupPreviewModeChanged', this.showCleanupPreview.bind(this));
+
+        // 뷰어 제어 이벤트
+        this.uiController.addEventListener('viewModeChanged', this.handleViewModeChanged.bind(this));
+        this.uiController.addEventListener('footViewChanged', this.handleFootViewChanged.bind(this));
+        this.uiController.addEventListener('gridToggleRequested', this.handleGridToggle.bind(this));
+        this.uiController.addEventListener('girthContoursToggleRequested', this.handleGirthContoursToggle.bind(this));
+        this.uiController.addEventListener('deviationMapToggleRequested', () => this.refreshDeviationMap());
+        this.uiController.addEventListener('progressionMapToggleRequested', () => this.refreshDeviationMap());
+        this.uiController.addEventListener('progressionFootChanged', this.handleProgressionFootChanged.bind(this));
+        this.uiController.addEventListener('progressionHistoryLoadRequested', this.handleProgressionHistoryLoadRequested.bind(this));
+        this.uiController.addEventListener('progressionFileSelected', this.handleProgressionFileSelected.bind(this));
+        this.uiController.addEventListener('sessionSaveRequested', this.handleSessionSaveRequested.bind(this));
+        this.uiController.addEventListener('loadPairFootChanged', this.handleLoadPairFootChanged.bind(this));
+        this.uiController.addEventListener('loadPairStateChanged', this.handleLoadPairStateChanged.bind(this));
+        this.uiController.addEventListener('loadPairFileSelected', this.handleLoadPairFileSelected.bind(this));
+        this.uiController.addEventListener('loadOverlayToggleRequested', (e) => this.sceneManager.setLoadOverlayVisible(e.detail.visible));
+        this.uiController.addEventListener('toeAllowanceChanged', () => {
+            this.uiController.updateShoeSizes(this.computeShoeSizes());
+            this.refreshShoeFits();
+            if (this.analysisComplete) this.refreshShoeLasts();
+        });
+        this.uiController.addEventListener('shoeCatalogueFileSelected', this.handleShoeCatalogueFileSelected.bind(this));
+        this.uiController.addEventListener('shoeCatalogueExportRequested', this.handleShoeCatalogueExportRequested.bind(this));
+        this.uiController.addEventListener('shoeCatalogueResetRequested', this.handleShoeCatalogueResetRequested.bind(this));
+        this.uiController.addEventListener('shoeInventoryFileSelected', this.handleShoeInventoryFileSelected.bind(this));
+        this.uiController.addEventListener('shoeInventoryClearRequested', this.handleShoeInventoryClearRequested.bind(this));
+        this.uiController.addEventListener('shoeStockFilterChanged', () => this.refreshShoeFits());
+        this.uiController.addEventListener('insoleParamsChanged', () => {
+            if (this.analysisComplete) this.refreshInsoles();
+        });
+        this.uiController.addEventListener('insolePreviewToggleRequested', (e) => this.sceneManager.setInsoleVisible(e.detail.visible));
+        this.uiController.addEventListener('insoleExportRequested', this.handleInsoleExportRequested.bind(this));
+        this.uiController.addEventListener('lastParamsChanged', () => {
+            if (this.analysisComplete) this.refreshShoeLasts();
+        });
+        this.uiController.addEventListener('lastPreviewToggleRequested', (e) => this.sceneManager.setShoeLastVisible(e.detail.visible));
+        this.uiController.addEventListener('lastExportRequested', this.handleShoeLastExportRequested.bind(this));
+        this.uiController.addEventListener('landmarksToggleRequested', this.handleLandmarksToggle.bind(this));
+        this.uiController.addEventListener('landmarkResetRequested', this.handleLandmarkResetRequested.bind(this));
+        this.uiController.addEventListener('viewResetRequested', this.handleViewResetRequested.bind(this));
+        this.uiController.addEventListener('standardViewRequested', this.handleStandardViewRequested.bind(this));
+        this.uiController.addEventListener('measureToolRequested', this.handleMeasureToolRequested.bind(this));
+        this.uiController.addEventListener('customMeasurementRemoved', (e) => this.measureTool.remove(e.detail.id));
+        this.uiController.addEventListener('customMeasurementReportToggled', (e) => this.measureTool.setIncludeInReport(e.detail.id, e.detail.include));
+        this.uiController.addEventListener('sectionPlaneToggled', this.handleSectionPlaneToggled.bind(this));
+        this.uiController.addEventListener('sectionAxisChanged', (e) => this.sectionPlane.setAxis(e.detail.axis));
+        this.uiController.addEventListener('sectionPositionChanged', (e) => this.sectionPlane.setPosition(e.detail.ratio));
+        this.uiController.addEventListener('sectionFlipToggled', (e) => this.sectionPlane.setFlipped(e.detail.flipped));
+        this.uiController.addEventListener('sectionExportRequested', this.handleSectionExportRequested.bind(this));
+        this.uiController.addEventListener('processingCancelRequested', this.handleProcessingCancelRequested.bind(this));
+
+        // 리포트 관련 이벤트
+        this.uiController.addEventListener('reportDownloadRequested', this.handleReportDownloadRequested.bind(this));
+        this.uiController.addEventListener('qrGenerationRequested', this.handleQrGenerationRequested.bind(this));
+
+        // File Loader 이벤트
+        this.fileLoader.addEventListener('loadStarted', this.handleFileLoadStarted.bind(this));
+        this.fileLoader.addEventListener('loadCompleted', this.handleFileLoadCompleted.bind(this));
+        this.fileLoader.addEventListener('loadError', this.handleFileLoadError.bind(this));
+        this.fileLoader.addEventListener('loadProgress', this.handleFileLoadProgress.bind(this));
+
+        // 랜드마크 보정 이벤트
+        this.landmarkEditor.addEventListener('landmarkMoved', this.handleLandmarkMoved.bind(this));
+
+        // 사용자 측정 이벤트
+        this.measureTool.addEventListener('customMeasurementsChanged', this.handleCustomMeasurementsChanged.bind(this));
+        this.measureTool.addEventListener('measureToolError', (e) => this.uiController.showErrorMessage(e.detail.message));
+
+        // 단면 평면 이벤트
+        this.sectionPlane.addEventListener('sectionChanged', (e) => this.uiController.updateSectionPanel(e.detail));
+        this.sectionPlane.addEventListener('sectionPlaneMoved', (e) => this.uiController.setSectionPosition(e.detail.ratio));
+
+        // Measurement Engine 이벤트
+        this.measurementEngine.addEventListener('measurementStarted', this.handleMeasurementStarted.bind(this));
+        this.measurementEngine.addEventListener('measurementProgress', this.handleMeasurementProgress.bind(this));
+        this.measurementEngine.addEventListener('measurementComplete', this.handleMeasurementComplete.bind(this));
+
+        // Report Generator 이벤트
+        this.reportGenerator.addEventListener('qrGenerated', this.handleQrGenerated.bind(this));
+        this.reportGenerator.addEventListener('qrError', (e) => this.uiController.showErrorMessage(e.detail.message));
+    }
+
+    /**
+     * 윈도우 이벤트 설정
+     */
+    setupWindowEvents() {
+        const debouncedResize = Utils.debounce(() => {
+            this.sceneManager.onWindowResize();
+            this.cameraController.onWindowResize();
+        }, 150);
+        window.addEventListener('resize', debouncedResize);
+    }
+
+    /**
+     * 애니메이션 시작
+     */
+    startAnimation() {
+        const animate = () => {
+            this.animationId = requestAnimationFrame(animate);
+            this.cameraController.update();
+            this.sceneManager.render(this.cameraController.getActiveCamera());
+        };
+        animate();
+    }
+
+    // ==================== 양발 파일 처리 이벤트 핸들러 ====================
+
+    /**
+     * 발별 파일 선택 처리 (foot이 'auto'이거나 스캔이 여러 개면 형상으로 좌우 자동 배정)
+     */
+    handleFootFileSelected(event) {
+        const { foot } = event.detail;
+        const files = event.detail.files || [event.detail.file];
+
+        // 분석 중이거나 분석이 끝난 뒤(업로드 영역 숨김)에는 캔버스 드롭 무시
+        if (!this.uiController.isUploadSectionVisible()) {
+            this.uiController.showErrorMessage('분석이 시작된 뒤에는 새 스캔을 올릴 수 없습니다.');
+            return;
+        }
+
+        // 여러 파일이 함께 선택되면 스캔 파일을 고르고 나머지는 MTL/텍스처 등 동반 파일로 사용
+        const scanFiles = files.filter(f => this.isValidScanFile(f));
+
+        // 파일 유효성 검사
+        if (scanFiles.length === 0) {
+            this.uiController.showErrorMessage(this.fileLoader.getUnsupportedFormatMessage());
+            return;
+        }
+
+        const companionFiles = files.filter(f => !scanFiles.includes(f));
+
+        if (foot === 'auto' || scanFiles.length > 1) {
+            this.loadAutoAssignedFiles(scanFiles, companionFiles);
+            return;
+        }
+
+        const file = scanFiles[0];
+        console.log(`📁 ${foot === 'left' ? '왼발' : '오른발'} 파일 선택:`, file.name, companionFiles.map(f => f.name));
+
+        // 상태 업데이트
+        this.resetFootSlot(foot, file.name);
+
+        // 파일 로드
+        this.loadFootFile(foot, file, companionFiles);
+    }
+
+    /**
+     * 3D 스캔 파일 유효성 검사 (PLY, STL, OBJ, glTF/GLB)
+     */
+    isValidScanFile(file) {
+        return this.fileLoader.isValidFile(file);
+    }
+
+    /**
+     * 새 파일을 받기 전 발 슬롯 초기화
+     */
+    resetFootSlot(foot, fileName) {
+        this.footData[foot].fileName = fileName;
+        this.footData[foot].isLoaded = false;
+        this.footData[foot].inspection = null;
+        this.footData[foot].chirality = null;
+        this.uiController.updateFootUploadStatus(foot, false, '로딩 중...');
+        this.uiController.showFootInspection(foot, null);
+    }
+
+    /**
+     * 스캔 로딩 + 품질 검사 + 정리 + 좌우 판별 (발 슬롯에는 저장하지 않음)
+     */
+    async loadScan(file, companionFiles = []) {
+        // PLY 헤더 사전 검사 (깨진 파일은 여기서 사유와 함께 중단)
+        const header = await this.fileLoader.inspectFile(file);
+        const rawGeometry = await this.fileLoader.loadGeometry(file, companionFiles);
+        const quality = ScanInspector.checkQuality({ file, header, geometry: rawGeometry });
+
+        return { rawGeometry, inspection: { header, quality }, ...await this.cleanScan(rawGeometry) };
+    }
+
+    /**
+     * 바닥면/잡음 점/발목 위 제거 후 발 기준 좌표계와 좌우 판별 계산
+     */
+    async cleanScan(rawGeometry) {
+        const options = {
+            ...this.uiController.getCleanupOptions(),
+            unitScale: this.detectUnitScale(rawGeometry)
+        };
+
+        const cleanup = await this.scanCleaner.clean(rawGeometry, options);
+        const geometry = cleanup.geometry;
+        const frame = this.computeFootFrame(geometry);
+        const chirality = ChiralityDetector.detect(geometry.attributes.position.array, frame);
+
+        return { geometry, cleanup, chirality };
+    }
+
+    /**
+     * 스캔 1단위의 mm 환산값 (측정 엔진의 단위 추정 기준 사용)
+     */
+    detectUnitScale(geometry) {
+        geometry.computeBoundingBox();
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+        return this.measurementEngine.detectUnit(Math.max(size.x, size.y, size.z)).multiplier;
+    }
+
+    /**
+     * 발 기준 좌표계 계산 후 geometry에 저장 (정렬·측정·표준 뷰에서 공통 사용)
+     * 정리 단계에서 바닥면을 찾았으면 그 평면을 발바닥 높이로 사용
+     * 실패하면 null을 저장하고 기존 최장축 정렬로 대체
+     */
+    computeFootFrame(geometry) {
+        let frame = null;
+        try {
+            frame = FootFrame.computeCanonical(geometry.attributes.position.array, geometry.userData.floorPlane || null);
+        } catch (error) {
+            console.warn('⚠️ 발 기준 좌표계 계산 실패 - 기본 정렬 사용:', error.message);
+        }
+
+        geometry.userData.canonicalFrame = frame;
+        return frame;
+    }
+
+    /**
+     * 발별 파일 로드
+     */
+    async loadFootFile(foot, file, companionFiles = []) {
+        const footLabel = foot === 'left' ? '왼발' : '오른발';
+        this.beginProcessing(`${footLabel} 파일 로딩 중...`);
+
+        try {
+            const scan = await this.loadScan(file, companionFiles);
+            this.assignFootScan(foot, file, scan);
+            this.checkFootSides();
+
+            console.log(`✅ ${footLabel} 파일 로드 완료`);
+
+        } catch (error) {
+            this.handleScanLoadError([foot], error);
+        } finally {
+            this.endProcessing();
+        }
+    }
+
+    /**
+     * 양발 스캔을 한 번에 받아 형상으로 좌우 자동 배정
+     */
+    async loadAutoAssignedFiles(scanFiles, companionFiles = []) {
+        if (scanFiles.length > 2) {
+            this.uiController.showErrorMessage('양발 스캔은 한 번에 최대 2개까지 올릴 수 있습니다.');
+            return;
+        }
+
+        console.log('📁 좌우 자동 배정 파일:', scanFiles.map(f => f.name));
+        this.beginProcessing('스캔 로딩 및 좌우 판별 중...');
+
+        try {
+            const scans = await Promise.all(scanFiles.map(async file => ({ file, scan: await this.loadScan(file, companionFiles) })));
+            const assignments = this.assignSides(scans);
+
+            assignments.forEach(({ foot, file, scan }) => {
+                this.resetFootSlot(foot, file.name);
+                this.assignFootScan(foot, file, scan);
+            });
+            this.checkFootSides();
+
+            const summary = assignments.map(({ foot, file }) => `${foot === 'left' ? '왼발' : '오른발'}: ${file.name}`).join(', ');
+            this.uiController.showSuccessMessage(`자동 배정 완료 - ${summary}`);
+
+        } catch (error) {
+            this.handleScanLoadError([], error);
+        } finally {
+            this.endProcessing();
+        }
+    }
+
+    /**
+     * 판별 점수로 좌우 배정 (두 개면 점수가 더 왼발 쪽인 스캔을 왼발로)
+     */
+    assignSides(scans) {
+        if (scans.length === 1) {
+            const [{ file, scan }] = scans;
+            const fallbackFoot = this.footData.left.isLoaded && !this.footData.right.isLoaded ? 'right' : 'left';
+            return [{ foot: scan.chirality.side || fallbackFoot, file, scan }];
+        }
+
+        const [first, second] = [...scans].sort((a, b) => a.scan.chirality.score - b.scan.chirality.score);
+        return [
+            { foot: 'left', ...first },
+            { foot: 'right', ...second }
+        ];
+    }
+
+    /**
+     * 로딩된 스캔을 발 슬롯에 저장하고 UI 반영
+     */
+    assignFootScan(foot, file, scan) {
+        const footLabel = foot === 'left' ? '왼발' : '오른발';
+
+        // 발 데이터 저장
+        this.footData[foot].fileName = file.name;
+        this.footData[foot].geometry = scan.geometry;
+        this.footData[foot].rawGeometry = scan.rawGeometry;
+        this.footData[foot].cleanup = scan.cleanup;
+        this.footData[foot].landmarks = null;
+        this.footData[foot].inspection = scan.inspection;
+        this.footData[foot].chirality = scan.chirality;
+        this.footData[foot].isLoaded = true;
+
+        this.sessionStore.updateFoot(foot, {
+            fileName: file.name,
+            cleanup: SessionStore.describeCleanup(scan.cleanup),
+            landmarks: null,
+            customMeasurements: []
+        });
+        this.measureTool.clear(foot);
+        this.setDeviationResult(null);
+        this.previousVisit = null;
+        this.setProgressionResult(null);
+
+        // 분석 시작 전에 스캔 내용과 품질 경고 표시
+        this.refreshFootInspection(foot);
+        if (!scan.inspection.quality.ok) {
+            this.uiController.showWarningMessage(`${footLabel} 스캔 품질 경고 ${scan.inspection.quality.warnings.length}건 - 분석 전에 확인해주세요.`);
+        }
+
+        // UI 상태 업데이트
+        this.uiController.updateFootUploadStatus(foot, true, file.name);
+        this.updateFileNameDisplay();
+
+        // 대시보드 표시 (첫 번째 파일이 로드될 때)
+        if (!this.isDashboardVisible()) {
+            this.uiController.showDashboard();
+        }
+
+        this.showCleanupPreview();
+    }
+
+    /**
+     * 정리 설정 변경 - 불러온 발을 원본에서 다시 정리
+     */
+    async handleCleanupOptionsChanged() {
+        const feet = ['left', 'right'].filter(foot => this.footData[foot].isLoaded);
+        if (feet.length === 0 || this.analysisComplete) return;
+
+        this.beginProcessing('스캔 다시 정리 중...');
+
+        try {
+            for (const foot of feet) {
+                const { geometry, cleanup, chirality } = await this.cleanScan(this.footData[foot].rawGeometry);
+                Object.assign(this.footData[foot], { geometry, cleanup, chirality });
+                this.sessionStore.updateFoot(foot, { cleanup: SessionStore.describeCleanup(cleanup) });
+            }
+
+            this.checkFootSides();
+            this.showCleanupPreview();
+            this.uiController.showSuccessMessage('새 설정으로 스캔을 다시 정리했습니다.');
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.uiController.showErrorMessage('스캔 정리가 취소되었습니다. 이전 정리 결과를 유지합니다.');
+                return;
+            }
+            console.error('❌ 스캔 정리 실패:', error);
+            this.uiController.showErrorMessage(`스캔 정리에 실패했습니다: ${error.message || '알 수 없는 오류'}`);
+        } finally {
+            this.endProcessing();
+        }
+    }
+
+    /**
+     * 분석 전 뷰어에 정리 전/후 미리보기 표시
+     */
+    showCleanupPreview() {
+        if (this.analysisComplete || !this.uiController.isUploadSectionVisible()) return;
+
+        const feet = ['left', 'right']
+            .filter(foot => this.footData[foot].isLoaded)
+            .map(foot => ({
+                foot,
+                original: this.footData[foot].rawGeometry,
+                cleaned: this.footData[foot].geometry,
+                removedPositions: this.footData[foot].cleanup.removedPositions
+            }));
+
+        this.sceneManager.showCleanupPreview(feet, this.uiController.getCleanupPreviewMode());
+
+        const previewModel = this.sceneManager.getCurrentModel();
+        if (previewModel) {
+            this.cameraController.fitCameraToModel(previewModel);
+        }
+    }
+
+    /**
+     * 정리 결과 요약 문구 (업로드 영역 표시용)
+     */
+    describeCleanup(cleanup) {
+        const { floor, outliers, ankle, kept } = cleanup.stats;
+        const removed = [
+            floor > 0 && `바닥 ${floor.toLocaleString()}`,
+            outliers > 0 && `잡음 ${outliers.toLocaleString()}`,
+            ankle > 0 && `발목 위 ${ankle.toLocaleString()}`
+        ].filter(Boolean);
+
+        return removed.length > 0
+            ? `정리: ${removed.join(' · ')}개 제거 (남은 정점 ${kept.toLocaleString()})`
+            : '정리: 제거한 점 없음';
+    }
+
+    /**
+     * 로딩 실패/취소 처리
+     */
+    handleScanLoadError(feet, error) {
+        feet.forEach(foot => {
+            this.footData[foot].isLoaded = false;
+            this.uiController.updateFootUploadStatus(foot, false, '로드 실패');
+        });
+
+        const label = feet.length === 1 ? (feet[0] === 'left' ? '왼발' : '오른발') : '양발';
+
+        if (error.name === 'AbortError') {
+            console.log(`⏹️ ${label} 파일 로딩 취소`);
+            feet.forEach(foot => { this.footData[foot].fileName = ''; });
+            this.updateFileNameDisplay();
+            this.uiController.showErrorMessage(`${label} 파일 로딩이 취소되었습니다.`);
+            return;
+        }
+
+        console.error(`❌ ${label} 파일 로드 실패:`, error);
+        this.uiController.showErrorMessage(`${label} 파일 로드에 실패했습니다: ${error.message || '알 수 없는 오류'}`);
+    }
+
+    /**
+     * 형상 판별 결과와 업로드 위치가 다른 발이 있으면 경고하고 좌우 바꾸기 버튼 표시
+     */
+    checkFootSides() {
+        const mismatched = ['left', 'right'].filter(foot => this.isFootSideMismatched(foot));
+
+        mismatched.forEach(foot => {
+            const footLabel = foot === 'left' ? '왼발' : '오른발';
+            const detectedLabel = foot === 'left' ? '오른발' : '왼발';
+            this.uiController.showWarningMessage(`${footLabel} 자리에 ${detectedLabel}로 보이는 스캔이 있습니다. 좌우를 확인해주세요.`);
+        });
+
+        ['left', 'right'].forEach(foot => this.refreshFootInspection(foot));
+        this.uiController.setSwapFeetVisible(mismatched.length > 0);
+    }
+
+    /**
+     * 판별 신뢰도가 낮지 않은데 배정된 자리와 다른지 여부
+     */
+    isFootSideMismatched(foot) {
+        const { isLoaded, chirality } = this.footData[foot];
+        return isLoaded && !!chirality?.side && chirality.side !== foot && chirality.confidence !== '낮음';
+    }
+
+    /**
+     * 내보낼 발({ left, right }, 없는 발은 null) 중 스캔 좌우가 바뀌어 보이는 발이 있으면 안내
+     * (깔창·라스트는 배정된 발 스캔 형상 그대로 나가므로 내보내기 전에 확인)
+     */
+    warnExportFootSides(parts) {
+        const mismatched = ['left', 'right'].filter(side => parts[side] && this.isFootSideMismatched(side));
+        if (mismatched.length === 0) return;
+
+        const labels = mismatched.map(side => (side === 'left' ? '왼발' : '오른발')).join(', ');
+        this.uiController.showWarningMessage(`${labels} 스캔이 형상상 반대쪽 발로 보입니다. 좌우가 바뀌지 않았는지 확인하세요.`);
+    }
+
+    /**
+     * 업로드 영역의 검사 결과 갱신 (헤더 요약, 품질 경고, 좌우 판별)
+     */
+    refreshFootInspection(foot) {
+        const { isLoaded, inspection, chirality, cleanup } = this.footData[foot];
+        if (!isLoaded || !inspection) return;
+
+        const { header, quality } = inspection;
+        const warnings = [...quality.warnings];
+
+        if (this.isFootSideMismatched(foot)) {
+            warnings.push({
+                code: 'wrongSide',
+                message: `형상상 ${chirality.side === 'left' ? '왼발' : '오른발'}로 보입니다. 좌우가 바뀌었는지 확인하세요.`
+            });
+        }
+
+        this.uiController.showFootInspection(foot, {
+            summary: header ? ScanInspector.summarizeHeader(header) : null,
+            comments: header ? [...header.comments, ...header.objInfo] : [],
+            chirality: chirality?.side
+                ? `형상 판별: ${chirality.side === 'left' ? '왼발' : '오른발'} (신뢰도 ${chirality.confidence})`
+                : '형상 판별: 판별 불가',
+            cleanup: cleanup ? this.describeCleanup(cleanup) : null,
+            warnings
+        });
+    }
+
+    /**
+     * 왼발/오른발 데이터 맞바꾸기
+     */
+    handleFootSwapRequested() {
+        if (this.analysisComplete) return;
+
+        [this.footData.left, this.footData.right] = [this.footData.right, this.footData.left];
+        this.sessionStore.swapFeet();
+        console.log('🔁 좌우 스캔 교체');
+
+        ['left', 'right'].forEach(foot => {
+            const { isLoaded, fileName } = this.footData[foot];
+            this.uiController.updateFootUploadStatus(foot, isLoaded, fileName);
+            if (!isLoaded) this.uiController.showFootInspection(foot, null);
+        });
+
+        this.updateFileNameDisplay();
+        this.checkFootSides();
+        this.showCleanupPreview();
+        this.uiController.showSuccessMessage('왼발과 오른발을 바꿨습니다.');
+    }
+
+    /**
+     * 처리 오버레이 시작 (취소는 워커 사용 시에만 가능)
+     */
+    beginProcessing(status) {
+        this.processingCount++;
+        this.uiController.showProcessingProgress(status, 0, this.scanWorkerClient.isAvailable);
+    }
+
+    /**
+     * 처리 오버레이 종료 (진행 중인 작업이 모두 끝나면 숨김)
+     */
+    endProcessing() {
+        this.processingCount = Math.max(0, this.processingCount - 1);
+        if (this.processingCount === 0) {
+            this.uiController.hideProcessingProgress();
+        }
+    }
+
+    /**
+     * 대시보드 표시 여부 확인
+     */
+    isDashboardVisible() {
+        return !this.uiController.elements.dashboardScreen.classList.contains('hidden');
+    }
+
+    /**
+     * 파일명 표시 업데이트
+     */
+    updateFileNameDisplay() {
+        this.uiController.updateFileName(
+            this.footData.left.fileName,
+            this.footData.right.fileName
+        );
+    }
+
+    /**
+     * 양발 분석 시작
+     */
+    async handleDualFootAnalysisStarted() {
+        if (!this.footData.left.isLoaded || !this.footData.right.isLoaded) {
+            this.uiController.showErrorMessage('양발 파일을 모두 업로드해주세요.');
+            return;
+        }
+
+        console.log('🔬 양발 분석 시작...');
+        this.beginProcessing('양발 분석 준비 중...');
+
+        try {
+            // 업로드 섹션 숨기기
+            this.uiController.hideUploadSection();
+
+            // 양발 모델 표시
+            await this.displayBothFeet();
+
+            // 랜드마크 자동 검출 (측정 기준점)
+            this.landmarkEditor.setVisible(this.uiController.isLandmarksVisible());
+            ['left', 'right'].forEach(foot => this.detectLandmarks(foot));
+
+            // 사용자 측정 도구·단면 평면의 mm 환산 기준
+            ['left', 'right'].forEach(foot => {
+                const unitScale = this.detectUnitScale(this.footData[foot].geometry);
+                this.measureTool.setUnitScale(foot, unitScale);
+                this.sectionPlane.setUnitScale(foot, unitScale);
+            });
+
+            // 양발 측정 수행
+            await this.performDualFootMeasurement();
+
+            // 반전한 오른발을 왼발에 정합해 표면 편차 계산
+            await this.compareFootSurfaces();
+
+            this.analysisComplete = true;
+            this.sectionPlane.setEnabled(this.uiController.isSectionPlaneVisible());
+            this.refreshDeviationMap();
+            this.refreshInsoles();
+            this.refreshShoeLasts();
+            this.sessionStore.update({ clientName: this.uiController.getUserName(), analyzedAt: new Date().toISOString() });
+            this.archiveVisit();
+            this.uiController.changeStep(2);
+            this.uiController.showSuccessMessage('양발 분석이 완료되었습니다!');
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('⏹️ 양발 분석 취소');
+                this.uiController.showUploadSection();
+                this.uiController.showErrorMessage('양발 분석이 취소되었습니다.');
+                return;
+            }
+
+            console.error('❌ 양발 분석 실패:', error);
+            this.uiController.showErrorMessage('양발 분석 중 오류가 발생했습니다.');
+        } finally {
+            this.endProcessing();
+        }
+    }
+
+    /**
+     * 양발 모델 표시
+     */
+    async displayBothFeet() {
+        console.log('👣 양발 모델 표시 중...');
+
+        // Scene Manager에 양발 geometry 설정
+        this.sceneManager.setDualGeometry(
+            this.footData.left.geometry,
+            this.footData.right.geometry
+        );
+
+        // (핵심 수정) 모델 뷰 업데이트 함수 이름 변경
+        this.sceneManager.updateDualModelView('mesh');
+
+        // 카메라 자동 조정
+        setTimeout(() => {
+            const currentModel = this.sceneManager.getCurrentModel();
+            if (currentModel) {
+                this.cameraController.fitCameraToModel(currentModel);
+            }
+        }, 200);
+    }
+
+    /**
+     * 양발 측정 수행
+     */
+    async performDualFootMeasurement() {
+        console.log('📏 양발 측정 수행 중...');
+
+        // 왼발 측정
+        this.uiController.showProcessingProgress('왼발 측정 중...', 25, this.scanWorkerClient.isAvailable);
+        const leftMeasurements = await this.measureFoot('left');
+
+        // 오른발 측정
+        this.uiController.showProcessingProgress('오른발 측정 중...', 75, this.scanWorkerClient.isAvailable);
+        const rightMeasurements = await this.measureFoot('right');
+
+        // 둘레 단면선 표시
+        this.sceneManager.setGirthContoursVisible(this.uiController.isGirthContoursVisible());
+
+        this.storeFootMeasurements('left', leftMeasurements);
+        this.storeFootMeasurements('right', rightMeasurements);
+        this.refreshMeasurementViews();
+    }
+
+    /**
+     * 좌우 표면 비교 (실패해도 분석은 계속 진행, 취소는 그대로 전달)
+     */
+    async compareFootSurfaces() {
+        this.uiController.showProcessingProgress('좌우 표면 비교 중...', 90, this.scanWorkerClient.isAvailable);
+
+        const input = (foot) => {
+            const geometry = this.footData[foot].geometry;
+            const model = foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel();
+            return { geometry, model, unitScale: this.detectUnitScale(geometry) };
+        };
+
+        try {
+            this.setDeviationResult(await this.surfaceDeviation.compare(input('left'), input('right')));
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+
+            console.warn('⚠️ 좌우 표면 비교 실패:', error);
+            this.setDeviationResult(null);
+            this.uiController.showWarningMessage('좌우 표면 비교에 실패했습니다. 나머지 분석 결과는 그대로 사용할 수 있습니다.');
+        }
+    }
+
+    /**
+     * 좌우 표면 비교 결과를 히트맵과 비교 탭에 반영 (null이면 초기화)
+     */
+    setDeviationResult(result) {
+        this.deviationResult = result;
+        this.uiController.updateSurfaceDeviation(result?.summary || null);
+        this.refreshDeviationMap();
+    }
+
+    /**
+     * 뷰어 히트맵 선택 (경과 변화 맵을 켰으면 그것, 아니면 좌우 비교 맵) 후 범례 갱신
+     */
+    refreshDeviationMap() {
+        let map = null;
+        if (this.uiController.isProgressionMapVisible() && this.progressionResult) {
+            map = { ...this.progressionResult, caption: DEVIATION_LEGEND_CAPTIONS.progression };
+        } else if (this.uiController.isDeviationMapVisible() && this.deviationResult) {
+            map = { foot: 'left', ...this.deviationResult, caption: DEVIATION_LEGEND_CAPTIONS.symmetry };
+        }
+
+        this.sceneManager.setDeviationMap(map?.foot, map?.distances || null, map?.summary.colorRange);
+        this.sceneManager.setDeviationMapVisible(!!map);
+        this.uiController.updateDeviationLegend(map ? { range: map.summary.colorRange, caption: map.caption } : null);
+    }
+
+    /**
+     * 발 하나 측정 (랜드마크가 있으면 랜드마크 기준)
+     */
+    measureFoot(foot) {
+        const { geometry, landmarks } = this.footData[foot];
+        const footModel = foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel();
+        return this.measurementEngine.performPreciseMeasurements(geometry, footModel, landmarks?.points || null);
+    }
+
+    /**
+     * 발별 측정 결과 저장 + 유형 분석 + 둘레 단면선 갱신
+     */
+    storeFootMeasurements(foot, measurements) {
+        // 폴백 측정 사유에 스캔 품질 경고를 덧붙여 고객 안내 문구로 정리
+        if (measurements?.fallbackReason) {
+            measurements.fallbackReason = this.describeFallbackReason(foot, measurements.fallbackReason);
+            this.uiController.showWarningMessage(`${foot === 'left' ? '왼발' : '오른발'}은 기본 측정으로 대체되었습니다: ${measurements.fallbackReason}`);
+        }
+
+        this.footData[foot].measurements = measurements;
+        this.footData[foot].analysis = this.analyzeFootType(measurements);
+        this.sceneManager.setGirthContours(foot, measurements?.girths);
+        this.sessionStore.updateFoot(foot, { measurements: SessionStore.describeMeasurements(measurements) });
+    }
+
+    /**
+     * 측정값/비교/AI 분석/리포트 탭 갱신
+     */
+    refreshMeasurementViews() {
+        const { left, right } = this.footData;
+
+        this.uiController.storeMeasurements(
+            left.measurements, right.measurements,
+            left.analysis, right.analysis
+        );
+
+        this.uiController.updateShoeSizes(this.computeShoeSizes());
+        this.refreshShoeFits();
+        this.uiController.updateAIAnalysis(left.analysis, right.analysis);
+
+        // 🔧 리포트 업데이트 시 사용자 이름 확인
+        const currentUserName = this.uiController.getUserName();
+        console.log('📋 리포트 업데이트 - 현재 사용자 이름:', currentUserName);
+        this.uiController.updateReport(
+            left.measurements, right.measurements,
+            left.analysis, right.analysis,
+            left.fileName, right.fileName
+        );
+    }
+
+    /**
+     * 양발 신발 사이즈 환산 (환영 화면 성별과 측정값 탭 여유 길이 사용)
+     */
+    computeShoeSizes() {
+        const options = { gender: this.uiController.getUserGender(), toeAllowance: this.uiController.getToeAllowance() };
+        const convert = (measurements) => (measurements ? ShoeSizer.convert({
+            length: measurements.length,
+            ballGirth: measurements.girths?.ball?.value ?? null,
+            width: measurements.width
+        }, options) : null);
+
+        const left = convert(this.footData.left.measurements);
+        const right = convert(this.footData.right.measurements);
+        return { left, right, recommended: ShoeSizer.recommend(left, right) };
+    }
+
+    // ==================== 경과 비교 ====================
+
+    /**
+     * 현재 분석을 스캔 기록에 보관 (실패해도 분석에는 영향 없음)
+     */
+    async archiveVisit() {
+        if (!this.scanHistory?.isAvailable || !this.analysisComplete) return;
+
+        try {
+            await this.scanHistory.save(SessionStore.createVisit(this.sessionStore.session, this.createFootFrameScans()));
+            await this.refreshScanHistory();
+        } catch (error) {
+            console.warn('⚠️ 스캔 기록 저장 실패:', error);
+        }
+    }
+
+    /**
+     * 경과 비교 탭의 스캔 기록 목록 갱신
+     */
+    async refreshScanHistory() {
+        if (!this.scanHistory?.isAvailable) return;
+
+        try {
+            this.uiController.updateProgressionHistory(await this.scanHistory.list(), this.sessionStore.session.id);
+        } catch (error) {
+            console.warn('⚠️ 스캔 기록 목록 읽기 실패:', error);
+        }
+    }
+
+    /**
+     * 발별 스캔을 발 기준 좌표(mm)로 옮긴 복사본 (기록·세션 파일용, 다시 열 때 정렬 정보가 필요 없도록)
+     */
+    createFootFrameScans() {
+        const scans = {};
+        ['left', 'right'].forEach(foot => {
+            const { geometry } = this.footData[foot];
+            const model = foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel();
+            if (!geometry || !model) {
+                scans[foot] = null;
+                return;
+            }
+
+            const positions = SurfaceDeviation.toFootFrame({
+                positions: geometry.attributes.position.array,
+                rotation: model.rotation.toArray(),
+                unitScale: this.detectUnitScale(geometry)
+            }, false);
+            scans[foot] = {
+                positions: Float32Array.from(positions),
+                index: geometry.index ? geometry.index.array.slice() : null,
+                isPointCloud: geometry.userData.isPointCloud === true
+            };
+        });
+        return scans;
+    }
+
+    async handleProgressionHistoryLoadRequested(event) {
+        if (!this.analysisComplete) {
+            this.uiController.showErrorMessage('분석을 완료한 후 이전 스캔과 비교할 수 있습니다.');
+            return;
+        }
+
+        try {
+            const visit = await this.scanHistory.get(event.detail.id);
+            if (!visit) {
+                this.uiController.showErrorMessage('스캔 기록을 찾을 수 없습니다.');
+                return;
+            }
+            await this.loadPreviousVisit(visit);
+        } catch (error) {
+            console.error('❌ 스캔 기록 읽기 실패:', error);
+            this.uiController.showErrorMessage(`스캔 기록을 읽지 못했습니다: ${error.message || '알 수 없는 오류'}`);
+        }
+    }
+
+    async handleProgressionFileSelected(event) {
+        if (!this.analysisComplete) {
+            this.uiController.showErrorMessage('분석을 완료한 후 이전 스캔과 비교할 수 있습니다.');
+            return;
+        }
+
+        try {
+            const visit = SessionStore.fromFile(await event.detail.file.text());
+            await this.loadPreviousVisit(visit);
+        } catch (error) {
+            console.error('❌ 세션 파일 읽기 실패:', error);
+            this.uiController.showErrorMessage(error.message || '세션 파일을 읽지 못했습니다.');
+        }
+    }
+
+    handleProgressionFootChanged(event) {
+        this.progressionFoot = event.detail.foot;
+        if (this.previousVisit) this.compareProgression();
+    }
+
+    /**
+     * 현재 분석을 세션 파일로 저장 (다음 방문 때 경과 비교에 사용)
+     */
+    handleSessionSaveRequested() {
+        if (!this.analysisComplete) {
+            this.uiController.showErrorMessage('분석을 완료한 후 세션을 저장할 수 있습니다.');
+            return;
+        }
+
+        const { session } = this.sessionStore;
+        const content = SessionStore.toFile(session, this.createFootFrameScans());
+        const date = (session.analyzedAt || new Date().toISOString()).slice(0, 10);
+        Utils.downloadFile(content, `foot_session_${date}_${session.id}.json`, 'application/json');
+        console.log('💾 세션 파일 저장:', session.id);
+    }
+
+    /**
+     * 이전 방문 기록을 불러와 현재 스캔과 비교
+     */
+    async loadPreviousVisit(visit) {
+        if (visit.id === this.sessionStore.session.id) {
+            this.uiController.showErrorMessage('현재 세션과 같은 기록입니다. 이전 방문 기록을 선택해주세요.');
+            return;
+        }
+
+        this.previousVisit = visit;
+        console.log(`📅 이전 방문 불러옴: ${visit.analyzedAt} (${visit.id})`);
+        await this.compareProgression();
+    }
+
+    /**
+     * 선택한 발의 현재 스캔과 이전 스캔을 ICP로 정합해 표면 변화 계산 (측정값 변화는 스캔이 없어도 표시)
+     */
+    async compareProgression() {
+        const foot = this.progressionFoot;
+        const footLabel = foot === 'left' ? '왼발' : '오른발';
+        const previousScan = this.previousVisit?.feet[foot]?.scan;
+
+        this.setProgressionResult(null);
+        if (!previousScan) {
+            this.uiController.showWarningMessage(`불러온 기록에 ${footLabel} 스캔이 없어 측정값 변화만 표시합니다.`);
+            return;
+        }
+
+        this.beginProcessing(`${footLabel} 이전 스캔과 비교 중...`);
+
+        try {
+            const { geometry } = this.footData[foot];
+            const model = foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel();
+            const result = await this.surfaceDeviation.compare(
+                { geometry, model, unitScale: this.detectUnitScale(geometry) },
+                { ...previousScan, rotation: null, unitScale: 1 },
+                { mirror: false }
+            );
+            this.setProgressionResult({ foot, ...result });
+            this.uiController.showSuccessMessage(`${footLabel} 이전 스캔과 비교했습니다.`);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.uiController.showErrorMessage('경과 비교가 취소되었습니다.');
+                return;
+            }
+            console.error('❌ 경과 비교 실패:', error);
+            this.uiController.showErrorMessage(`이전 스캔과 표면을 비교하지 못했습니다: ${error.message || '알 수 없는 오류'}`);
+        } finally {
+            this.endProcessing();
+        }
+    }
+
+    /**
+     * 경과 비교 결과를 히트맵과 경과 탭에 반영 (null이면 초기화)
+     */
+    setProgressionResult(result) {
+        this.progressionResult = result;
+        this.updateProgressionView();
+        this.refreshDeviationMap();
+    }
+
+    /**
+     * 경과 탭 표시 (이전 방문이 없으면 초기화)
+     */
+    updateProgressionView() {
+        const foot = this.progressionFoot;
+        const previous = this.previousVisit?.feet[foot];
+        if (!previous) {
+            this.uiController.updateProgression(null);
+            return;
+        }
+
+        this.uiController.updateProgression({
+            foot,
+            previous: { analyzedAt: this.previousVisit.analyzedAt, measurements: previous.measurements },
+            current: {
+                analyzedAt: this.sessionStore.session.analyzedAt || new Date().toISOString(),
+                measurements: SessionStore.describeMeasurements(this.footData[foot].measurements)
+            },
+            summary: this.progressionResult?.foot === foot ? this.progressionResult.summary : null
+        });
+    }
+
+    // ==================== 체중 부하 비교 ====================
+
+    /**
+     * 같은 발의 다른 자세 스캔을 불러와 측정하고 분석한 스캔에 정합한 뒤 유연성 평가
      */
-    setupEventListeners() {
-        // UI Controller 이벤트 설정
-        this.uiController.setupEventListeners();
+    async handleLoadPairFileSelected(event) {
+        if (!this.analysisComplete) {
+            this.uiController.showErrorMessage('분석을 완료한 후 짝 스캔을 올릴 수 있습니다.');
+            return;
+        }
 
-        // 양발 파일 선택 이벤트
-        this.uiController.addEventListener('footFileSelected', this.handleFootFileSelected.bind(this));
-        this.uiController.addEventListener('dualFootAnalysisStarted', this.handleDualFootAnalysisStarted.bind(this));
+        const { files } = event.detail;
+        const scanFiles = files.filter(f => this.isValidScanFile(f));
+        if (scanFiles.length !== 1) {
+            this.uiController.showErrorMessage(scanFiles.length === 0
+                ? this.fileLoader.getUnsupportedFormatMessage()
+                : '짝 스캔은 한 번에 하나만 올릴 수 있습니다.');
+            return;
+        }
 
-        // 뷰어 제어 이벤트
-        this.uiController.addEventListener('viewModeChanged', this.handleViewModeChanged.bind(this));
-        this.uiController.addEventListener('footViewChanged', this.handleFootViewChanged.bind(this));
-        this.uiController.addEventListener('gridToggleRequested', this.handleGridToggle.bind(this));
-        this.uiController.addEventListener('viewResetRequested', this.handleViewResetRequested.bind(this));
+        const [file] = scanFiles;
+        const foot = this.loadPairFoot;
+        const footLabel = foot === 'left' ? '왼발' : '오른발';
+        const pairedState = this.primaryLoadStates[foot] === 'loaded' ? 'unloaded' : 'loaded';
+        const stateLabel = pairedState === 'loaded' ? '체중 부하' : '비부하';
+        this.beginProcessing(`${footLabel} ${stateLabel} 스캔 분석 중...`);
 
-        // 리포트 관련 이벤트
-        this.uiController.addEventListener('reportDownloadRequested', this.handleReportDownloadRequested.bind(this));
-        this.uiController.addEventListener('qrGenerationRequested', this.handleQrGenerationRequested.bind(this));
+        try {
+            const scan = await this.loadScan(file, files.filter(f => f !== file));
+            if (!scan.inspection.quality.ok) {
+                this.uiController.showWarningMessage(`${stateLabel} 스캔 품질 경고 ${scan.inspection.quality.warnings.length}건 - 결과를 확인해주세요.`);
+            }
+            if (scan.chirality.side && scan.chirality.side !== foot && scan.chirality.confidence !== '낮음') {
+                this.uiController.showWarningMessage(`올린 ${stateLabel} 스캔이 형상상 ${scan.chirality.side === 'left' ? '왼발' : '오른발'}로 보입니다. 같은 발인지 확인하세요.`);
+            }
 
-        // File Loader 이벤트
-        this.fileLoader.addEventListener('loadStarted', this.handleFileLoadStarted.bind(this));
-        this.fileLoader.addEventListener('loadCompleted', this.handleFileLoadCompleted.bind(this));
-        this.fileLoader.addEventListener('loadError', this.handleFileLoadError.bind(this));
+            // 분석한 스캔과 같은 방식으로 랜드마크 검출 후 측정
+            const { geometry } = scan;
+            const model = this.createMeasurementModel(geometry);
+            const points = LandmarkDetector.detect(geometry.attributes.position.array, geometry.userData.canonicalFrame, foot);
+            const measurements = await this.measurementEngine.performPreciseMeasurements(geometry, model, Object.keys(points).length > 0 ? points : null);
 
-        // Measurement Engine 이벤트
-        this.measurementEngine.addEventListener('measurementStarted', this.handleMeasurementStarted.bind(this));
-        this.measurementEngine.addEventListener('measurementComplete', this.handleMeasurementComplete.bind(this));
+            this.uiController.showProcessingProgress(`${footLabel} 두 자세 스캔 정합 중...`, 90, this.scanWorkerClient.isAvailable);
+            const primary = {
+                geometry: this.footData[foot].geometry,
+                model: foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel()
+            };
+            primary.unitScale = this.detectUnitScale(primary.geometry);
+            const paired = { geometry, model, unitScale: this.detectUnitScale(geometry) };
+            const registration = await this.surfaceDeviation.compare(primary, paired, { mirror: false });
+
+            this.loadPairs[foot] = {
+                state: pairedState,
+                fileName: file.name,
+                measurements,
+                overlay: this.createLoadOverlay(paired, primary, registration.matrix),
+                fitError: registration.summary.fitError,
+                assessment: null
+            };
+            this.sceneManager.setLoadOverlay(foot, this.loadPairs[foot].overlay);
+            this.refreshLoadAssessment(foot);
+            this.uiController.showSuccessMessage(`${footLabel} ${stateLabel} 스캔과 비교했습니다.`);
 
-        // Report Generator 이벤트
-        this.reportGenerator.addEventListener('qrGenerated', this.handleQrGenerated.bind(this));
-        this.reportGenerator.addEventListener('qrError', (e) => this.uiController.showErrorMessage(e.detail.message));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.uiController.showErrorMessage(`${stateLabel} 스캔 분석이 취소되었습니다.`);
+                return;
+            }
+            console.error(`❌ ${stateLabel} 스캔 분석 실패:`, error);
+            this.uiController.showErrorMessage(`${stateLabel} 스캔을 비교하지 못했습니다: ${error.message || '알 수 없는 오류'}`);
+        } finally {
+            this.endProcessing();
+        }
+    }
+
+    handleLoadPairFootChanged(event) {
+        this.loadPairFoot = event.detail.foot;
+        this.updateLoadPairView();
     }
 
     /**
-     * 윈도우 이벤트 설정
+     * 분석한 스캔의 자세 변경 (이미 올린 짝 스캔은 반대 자세로 보고 다시 평가)
      */
-    setupWindowEvents() {
-        const debouncedResize = Utils.debounce(() => {
-            this.sceneManager.onWindowResize();
-            this.cameraController.onWindowResize();
-        }, 150);
-        window.addEventListener('resize', debouncedResize);
+    handleLoadPairStateChanged(event) {
+        const foot = this.loadPairFoot;
+        const { state } = event.detail;
+        this.primaryLoadStates[foot] = state;
+
+        const pair = this.loadPairs[foot];
+        if (pair) pair.state = state === 'loaded' ? 'unloaded' : 'loaded';
+        this.refreshLoadAssessment(foot);
     }
 
     /**
-     * 애니메이션 시작
+     * 화면에 올리지 않은 스캔의 측정용 모델 (분석 모델과 같은 방식으로 회전만 맞춤)
      */
-    startAnimation() {
-        const animate = () => {
-            this.animationId = requestAnimationFrame(animate);
-            this.cameraController.update();
-            this.sceneManager.render(this.cameraController.getActiveCamera());
-        };
-        animate();
+    createMeasurementModel(geometry) {
+        const model = new THREE.Group();
+        model.add(new THREE.Mesh(geometry));
+        this.sceneManager.alignSingleFoot(model);
+        return model;
     }
 
-    // ==================== 양발 파일 처리 이벤트 핸들러 ====================
-
     /**
-     * 발별 파일 선택 처리
+     * 정합한 짝 스캔 정점을 분석한 발 geometry 좌표로 옮긴 겹쳐 보기 데이터
+     * paired/primary: { geometry, model, unitScale }, matrix: 짝 → 분석한 발 기준 좌표 변환
      */
-    handleFootFileSelected(event) {
-        const { foot, file } = event.detail;
+    createLoadOverlay(paired, primary, matrix) {
+        const frameInput = ({ geometry, model, unitScale }) => ({
+            positions: geometry.attributes.position.array,
+            rotation: model.rotation.toArray(),
+            unitScale
+        });
 
-        console.log(`📁 ${foot === 'left' ? '왼발' : '오른발'} 파일 선택:`, file.name);
+        const moved = SurfaceDeviation.applyTransform(
+            SurfaceDeviation.toFootFrame(frameInput(paired), false),
+            new THREE.Matrix4().fromArray(matrix)
+        );
+        return {
+            positions: SurfaceDeviation.fromFootFrame(moved, frameInput(primary)),
+            index: paired.geometry.index ? paired.geometry.index.array : null,
+            isPointCloud: paired.geometry.userData.isPointCloud === true
+        };
+    }
 
-        // 파일 유효성 검사
-        if (!this.isValidPLYFile(file)) {
-            this.uiController.showErrorMessage('PLY 파일만 지원됩니다.');
-            return;
+    /**
+     * 짝 스캔이 있으면 현재 측정값으로 유연성 다시 평가 후 세션 기록과 탭 갱신
+     */
+    refreshLoadAssessment(foot) {
+        const pair = this.loadPairs[foot];
+        if (pair) {
+            const primary = this.footData[foot].measurements;
+            const [loaded, unloaded] = pair.state === 'loaded' ? [pair.measurements, primary] : [primary, pair.measurements];
+            pair.assessment = FootFlexibility.assess(loaded, unloaded);
+            this.sessionStore.updateFoot(foot, {
+                loadPair: { fileName: pair.fileName, state: pair.state, fitError: pair.fitError, assessment: pair.assessment }
+            });
         }
 
-        // 상태 업데이트
-        this.footData[foot].fileName = file.name;
-        this.uiController.updateFootUploadStatus(foot, false, '로딩 중...');
+        if (foot === this.loadPairFoot) this.updateLoadPairView();
+    }
 
-        // 파일 로드
-        this.loadFootFile(foot, file);
+    /**
+     * 체중 부하 탭 표시 (탭에서 보는 발 기준)
+     */
+    updateLoadPairView() {
+        const foot = this.loadPairFoot;
+        const pair = this.loadPairs[foot];
+
+        this.uiController.setLoadPairState(this.primaryLoadStates[foot]);
+        this.uiController.updateLoadPair(pair ? {
+            foot,
+            fileName: pair.fileName,
+            pairedState: pair.state,
+            assessment: pair.assessment,
+            fitError: pair.fitError
+        } : null);
     }
 
     /**
-     * PLY 파일 유효성 검사
+     * 리포트용 발별 유연성 평가 (짝 스캔이 없는 발은 null)
      */
-    isValidPLYFile(file) {
-        return file.name.toLowerCase().endsWith('.ply');
+    getFlexibilityAssessments() {
+        const describe = (pair) => (pair?.assessment ? { ...pair.assessment, fitError: pair.fitError } : null);
+        return { left: describe(this.loadPairs.left), right: describe(this.loadPairs.right) };
     }
 
+    // ==================== 신발 추천 ====================
+
     /**
-     * 발별 파일 로드
+     * 신발 카탈로그 읽기 (저장된 매장 목록 우선, 저장된 매장 재고도 함께)
      */
-    async loadFootFile(foot, file) {
+    async loadShoeCatalogue() {
+        this.shoeInventory.load();
+        this.updateShoeInventoryStatus();
+
         try {
-            const geometry = await this.loadPLYFile(file);
+            await this.shoeCatalogue.load();
+            this.updateShoeCatalogueStatus();
+        } catch (error) {
+            console.warn('⚠️ 신발 카탈로그 읽기 실패:', error);
+            this.uiController.updateShoeCatalogueStatus(null);
+        }
+        this.refreshShoeFits();
+    }
 
-            // 발 데이터 저장
-            this.footData[foot].geometry = geometry;
-            this.footData[foot].isLoaded = true;
+    async handleShoeCatalogueFileSelected(event) {
+        const { file, replace } = event.detail;
+        try {
+            const { added, updated, total } = this.shoeCatalogue.importCSV(await file.text(), { replace });
+            this.updateShoeCatalogueStatus();
+            this.refreshShoeFits();
+            this.uiController.showSuccessMessage(`신발 카탈로그: 추가 ${added}, 갱신 ${updated} (전체 ${total}개 모델)`);
+        } catch (error) {
+            console.error('❌ 신발 카탈로그 가져오기 실패:', error);
+            this.uiController.showErrorMessage(error.message || '신발 카탈로그 CSV를 읽지 못했습니다.');
+        }
+    }
 
-            // UI 상태 업데이트
-            this.uiController.updateFootUploadStatus(foot, true, file.name);
-            this.updateFileNameDisplay();
+    handleShoeCatalogueExportRequested() {
+        const date = new Date().toISOString().slice(0, 10);
+        Utils.downloadFile(this.shoeCatalogue.toCSV(), `shoe_catalogue_${date}.csv`, 'text/csv');
+    }
 
-            // 대시보드 표시 (첫 번째 파일이 로드될 때)
-            if (!this.isDashboardVisible()) {
-                this.uiController.showDashboard();
-            }
+    async handleShoeCatalogueResetRequested() {
+        if (!await this.uiController.confirmAction('매장에서 가져온 신발 목록을 지우고 기본 목록으로 되돌릴까요?')) return;
+        try {
+            await this.shoeCatalogue.reset();
+            this.updateShoeCatalogueStatus();
+        } catch (error) {
+            console.warn('⚠️ 기본 신발 카탈로그 읽기 실패:', error);
+            this.uiController.updateShoeCatalogueStatus(null);
+        }
+        this.refreshShoeFits();
+    }
 
-            console.log(`✅ ${foot === 'left' ? '왼발' : '오른발'} 파일 로드 완료`);
+    updateShoeCatalogueStatus() {
+        const { source, models, updatedAt } = this.shoeCatalogue;
+        this.uiController.updateShoeCatalogueStatus({ source, count: models.length, updatedAt });
+    }
 
+    async handleShoeInventoryFileSelected(event) {
+        const { file } = event.detail;
+        try {
+            const { count, quantity } = this.shoeInventory.importFile(await file.text(), file.name);
+            this.updateShoeInventoryStatus();
+            this.refreshShoeFits();
+            this.uiController.showSuccessMessage(`매장 재고: ${count}개 품목, ${quantity}켤레`);
         } catch (error) {
-            console.error(`❌ ${foot === 'left' ? '왼발' : '오른발'} 파일 로드 실패:`, error);
-            this.footData[foot].isLoaded = false;
-            this.uiController.updateFootUploadStatus(foot, false, '로드 실패');
-            this.uiController.showErrorMessage(`${foot === 'left' ? '왼발' : '오른발'} 파일 로드에 실패했습니다.`);
+            console.error('❌ 매장 재고 가져오기 실패:', error);
+            this.uiController.showErrorMessage(error.message || '재고 파일을 읽지 못했습니다.');
         }
     }
 
+    async handleShoeInventoryClearRequested() {
+        if (!this.shoeInventory.isLoaded) return;
+        if (!await this.uiController.confirmAction('저장된 매장 재고를 지울까요?')) return;
+        this.shoeInventory.clear();
+        this.updateShoeInventoryStatus();
+        this.refreshShoeFits();
+    }
+
+    updateShoeInventoryStatus() {
+        const { items, fileName, updatedAt, isLoaded } = this.shoeInventory;
+        this.uiController.updateShoeInventoryStatus(isLoaded
+            ? { fileName, count: items.length, quantity: ShoeInventory.totalQuantity(items), updatedAt }
+            : null);
+    }
+
     /**
-     * PLY 파일 로딩 (Promise 기반)
+     * 신발 추천 탭 갱신 (측정 전이면 안내 문구)
      */
-    loadPLYFile(file) {
-        return new Promise((resolve, reject) => {
-            const loader = new PLYLoader();
-            const objectURL = URL.createObjectURL(file);
+    refreshShoeFits() {
+        const { left, right } = this.footData;
+        this.uiController.updateShoeFits(left.measurements || right.measurements ? this.computeShoeFits() : null);
+    }
 
-            loader.load(
-                objectURL,
-                (geometry) => {
-                    URL.revokeObjectURL(objectURL);
-                    resolve(geometry);
-                },
-                undefined,
-                (error) => {
-                    URL.revokeObjectURL(objectURL);
-                    reject(error);
-                }
-            );
+    /**
+     * 카탈로그 모델 추천 (양발 측정값·아치 유형, 측정값 탭 여유 길이)
+     * 매장 재고가 있으면 양발 추천 발볼 등급의 재고로 치수를 고르고 재고 있는 모델을 앞에 둠
+     */
+    computeShoeFits() {
+        const { left, right } = this.footData;
+        const inventory = this.shoeInventory;
+        const width = this.computeShoeSizes().recommended?.width?.grade || null;
+
+        return ShoeFitter.rank(this.shoeCatalogue?.models || [], {
+            left: left.measurements,
+            right: right.measurements
+        }, {
+            archTypes: { left: left.analysis?.archType, right: right.analysis?.archType },
+            toeAllowance: this.uiController.getToeAllowance(),
+            stockOf: inventory?.isLoaded ? (model, size) => inventory.stockOf(model.brand, model.model, size, width) : null,
+            inStockOnly: this.uiController.isShoeStockOnly()
         });
     }
 
+    // ==================== 맞춤 깔창 ====================
+
     /**
-     * 대시보드 표시 여부 확인
+     * 양발 깔창 설계 후 미리보기와 깔창 탭 갱신 (형상 입력값은 범위를 정리해 다시 표시)
      */
-    isDashboardVisible() {
-        return !this.uiController.elements.dashboardScreen.classList.contains('hidden');
+    refreshInsoles() {
+        const params = InsoleDesigner.normalizeParams(this.uiController.getInsoleParams());
+        this.uiController.setInsoleParams(params);
+
+        ['left', 'right'].forEach(foot => {
+            const geometry = this.footData[foot].geometry;
+            const model = foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel();
+            if (!geometry || !model) {
+                this.insoles[foot] = null;
+                this.sceneManager.setInsole(foot, null);
+                return;
+            }
+
+            // 발 기준 좌표(mm)에서 설계하고, 미리보기는 발 모델에 붙이도록 geometry 좌표로 되돌림
+            const frame = { positions: geometry.attributes.position.array, rotation: model.rotation.toArray(), unitScale: this.detectUnitScale(geometry) };
+            const design = InsoleDesigner.design(SurfaceDeviation.toFootFrame(frame, false), foot, params);
+            this.insoles[foot] = design;
+            this.sceneManager.setInsole(foot, design
+                ? { positions: SurfaceDeviation.fromFootFrame(design.mesh.positions, frame), index: design.mesh.index }
+                : null);
+        });
+
+        this.sceneManager.setInsoleVisible(this.uiController.isInsolePreviewVisible());
+        this.uiController.updateInsoles(this.insoles);
     }
 
     /**
-     * 파일명 표시 업데이트
+     * 깔창을 STL/3MF 파일로 저장 (양발이면 한 파일에 나란히 배치)
      */
-    updateFileNameDisplay() {
-        this.uiController.updateFileName(
-            this.footData.left.fileName,
-            this.footData.right.fileName
-        );
+    handleInsoleExportRequested(event) {
+        const { format, foot } = event.detail;
+        const designs = {
+            left: foot === 'right' ? null : this.insoles.left,
+            right: foot === 'left' ? null : this.insoles.right
+        };
+        if (!this.analysisComplete || (!designs.left && !designs.right)) {
+            this.uiController.showErrorMessage('내보낼 깔창이 없습니다. 분석을 완료한 후 다시 시도해주세요.');
+            return;
+        }
+
+        this.warnExportFootSides(designs);
+
+        const meshes = InsoleDesigner.toPrintMeshes(designs);
+        const side = foot === 'both' ? 'pair' : foot;
+        const fileName = `insole_${side}_${new Date().toISOString().slice(0, 10)}.${format}`;
+        if (format === '3mf') {
+            MeshExporter.download(MeshExporter.to3MF(meshes), fileName, 'model/3mf');
+        } else {
+            MeshExporter.download(MeshExporter.toSTL(meshes, `dual-foot insole ${side} (mm)`), fileName, 'model/stl');
+        }
+
+        console.log('💾 깔창 내보내기 완료:', fileName);
+    }
+
+    // ==================== 구두 라스트 ====================
+
+    /**
+     * 양발 라스트 생성 후 미리보기와 라스트 탭 갱신 (여유 길이는 측정값 탭 값, 형상 입력값은 범위를 정리해 다시 표시)
+     */
+    refreshShoeLasts() {
+        const params = LastGenerator.normalizeParams({ ...this.uiController.getLastParams(), toeAllowance: this.uiController.getToeAllowance() });
+        this.uiController.setLastParams(params);
+
+        ['left', 'right'].forEach(foot => {
+            const { geometry, landmarks } = this.footData[foot];
+            const model = foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel();
+            if (!geometry || !model) {
+                this.shoeLasts[foot] = null;
+                this.sceneManager.setShoeLast(foot, null);
+                return;
+            }
+
+            // 볼 둘레는 측정 엔진처럼 MTH1·MTH5를 지나는 면에서 재도록 랜드마크도 발 기준 좌표로 변환
+            const frame = { positions: geometry.attributes.position.array, rotation: model.rotation.toArray(), unitScale: this.detectUnitScale(geometry) };
+            const { mth1, mth5 } = landmarks?.points || {};
+            const ballPoints = mth1 && mth5
+                ? [mth1, mth5].map(point => Array.from(SurfaceDeviation.toFootFrame({ ...frame, positions: point }, false)))
+                : null;
+
+            const shoeLast = LastGenerator.generate(SurfaceDeviation.toFootFrame(frame, false), foot, params, { ballPoints });
+            this.shoeLasts[foot] = shoeLast;
+            this.sceneManager.setShoeLast(foot, shoeLast
+                ? { positions: SurfaceDeviation.fromFootFrame(shoeLast.mesh.positions, frame), index: shoeLast.mesh.index }
+                : null);
+        });
+
+        this.sceneManager.setShoeLastVisible(this.uiController.isLastPreviewVisible());
+        this.uiController.updateShoeLasts(this.shoeLasts);
     }
 
     /**
-     * 양발 분석 시작
+     * 라스트 STL/OBJ 파일과 라스트 치수 CSV를 ZIP 하나로 저장 (양발이면 한 메시 파일에 나란히 배치)
      */
-    async handleDualFootAnalysisStarted() {
-        if (!this.footData.left.isLoaded || !this.footData.right.isLoaded) {
-            this.uiController.showErrorMessage('양발 파일을 모두 업로드해주세요.');
+    handleShoeLastExportRequested(event) {
+        const { format, foot } = event.detail;
+        const lasts = {
+            left: foot === 'right' ? null : this.shoeLasts.left,
+            right: foot === 'left' ? null : this.shoeLasts.right
+        };
+        if (!this.analysisComplete || (!lasts.left && !lasts.right)) {
+            this.uiController.showErrorMessage('내보낼 라스트가 없습니다. 분석을 완료한 후 다시 시도해주세요.');
             return;
         }
 
-        console.log('🔬 양발 분석 시작...');
+        this.warnExportFootSides(lasts);
 
-        try {
-            // 업로드 섹션 숨기기
-            this.uiController.hideUploadSection();
+        const meshes = MeshExporter.layoutFeet({
+            left: lasts.left && { name: 'Left last', ...lasts.left.mesh },
+            right: lasts.right && { name: 'Right last', ...lasts.right.mesh }
+        });
+        const side = foot === 'both' ? 'pair' : foot;
+        const baseName = `shoe_last_${side}_${new Date().toISOString().slice(0, 10)}`;
+        const header = `dual-foot shoe last ${side} (mm)`;
+        const archive = MeshExporter.toZip({
+            [`${baseName}.${format}`]: format === 'obj' ? MeshExporter.toOBJ(meshes, header) : MeshExporter.toSTL(meshes, header),
+            [`${baseName}.csv`]: LastGenerator.toCSV(lasts)
+        });
+        MeshExporter.download(archive, `${baseName}.zip`, 'application/zip');
 
-            // 양발 모델 표시
-            await this.displayBothFeet();
+        console.log('💾 라스트 내보내기 완료:', `${baseName}.zip`);
+    }
 
-            // 양발 측정 수행
-            await this.performDualFootMeasurement();
+    // ==================== 랜드마크 ====================
 
-            this.analysisComplete = true;
-            this.uiController.changeStep(2);
-            this.uiController.showSuccessMessage('양발 분석이 완료되었습니다!');
+    /**
+     * 정렬된 발에서 랜드마크 자동 검출 (수동 보정 기록은 초기화)
+     */
+    detectLandmarks(foot) {
+        const { geometry } = this.footData[foot];
+        const points = LandmarkDetector.detect(geometry.attributes.position.array, geometry.userData.canonicalFrame, foot);
 
-        } catch (error) {
-            console.error('❌ 양발 분석 실패:', error);
-            this.uiController.showErrorMessage('양발 분석 중 오류가 발생했습니다.');
-        }
+        this.footData[foot].landmarks = { points, edited: [] };
+        this.applyLandmarks(foot);
     }
 
     /**
-     * 양발 모델 표시
+     * 랜드마크를 마커, 목록, 세션 기록에 반영
      */
-    async displayBothFeet() {
-        console.log('👣 양발 모델 표시 중...');
+    applyLandmarks(foot) {
+        const { points, edited } = this.footData[foot].landmarks;
+
+        this.landmarkEditor.setLandmarks(foot, points);
+        this.uiController.updateLandmarkList(foot, Object.keys(points).map(name => ({
+            label: LandmarkDetector.getLabel(name),
+            edited: edited.includes(name)
+        })));
+        this.sessionStore.updateFoot(foot, { landmarks: SessionStore.describeLandmarks(this.footData[foot].landmarks) });
+    }
 
-        // Scene Manager에 양발 geometry 설정
-        this.sceneManager.setDualGeometry(
-            this.footData.left.geometry,
-            this.footData.right.geometry
-        );
+    /**
+     * 마커를 옮기면 보정 위치 저장 후 해당 발 다시 측정
+     */
+    async handleLandmarkMoved(event) {
+        const { foot, name, position } = event.detail;
+        const { landmarks } = this.footData[foot];
+        if (!landmarks) return;
 
-        // (핵심 수정) 모델 뷰 업데이트 함수 이름 변경
-        this.sceneManager.updateDualModelView('mesh');
+        landmarks.points[name] = position;
+        if (!landmarks.edited.includes(name)) landmarks.edited.push(name);
+        this.applyLandmarks(foot);
 
-        // 카메라 자동 조정
-        setTimeout(() => {
-            const currentModel = this.sceneManager.getCurrentModel();
-            if (currentModel) {
-                this.cameraController.fitCameraToModel(currentModel);
-            }
-        }, 200);
+        await this.remeasureFoot(foot);
     }
 
     /**
-     * 양발 측정 수행
+     * 선택한 발의 랜드마크를 자동 검출 위치로 되돌림
      */
-    async performDualFootMeasurement() {
-        console.log('📏 양발 측정 수행 중...');
-
-        // 왼발 측정
-        const leftMeasurements = await this.measurementEngine.performPreciseMeasurements(
-            this.footData.left.geometry,
-            this.sceneManager.getLeftFootModel()
-        );
+    async handleLandmarkResetRequested(event) {
+        const { foot } = event.detail;
+        if (!this.analysisComplete || !this.footData[foot].landmarks) return;
 
-        // 오른발 측정
-        const rightMeasurements = await this.measurementEngine.performPreciseMeasurements(
-            this.footData.right.geometry,
-            this.sceneManager.getRightFootModel()
-        );
+        this.detectLandmarks(foot);
+        await this.remeasureFoot(foot);
+        this.uiController.showSuccessMessage(`${foot === 'left' ? '왼발' : '오른발'} 랜드마크를 자동 검출 위치로 되돌렸습니다.`);
+    }
 
-        // 발별 분석
-        const leftAnalysis = this.analyzeFootType(leftMeasurements);
-        const rightAnalysis = this.analyzeFootType(rightMeasurements);
+    /**
+     * 랜드마크 변경 후 발 하나만 다시 측정
+     */
+    async remeasureFoot(foot) {
+        if (!this.analysisComplete) return;
 
-        // 데이터 저장
-        this.footData.left.measurements = leftMeasurements;
-        this.footData.left.analysis = leftAnalysis;
-        this.footData.right.measurements = rightMeasurements;
-        this.footData.right.analysis = rightAnalysis;
+        const footLabel = foot === 'left' ? '왼발' : '오른발';
+        this.beginProcessing(`${footLabel} 다시 측정 중...`);
 
-        // UI 업데이트
-        this.uiController.storeMeasurements(
-            leftMeasurements, rightMeasurements,
-            leftAnalysis, rightAnalysis
-        );
+        try {
+            this.storeFootMeasurements(foot, await this.measureFoot(foot));
+            this.refreshMeasurementViews();
+            this.updateProgressionView();
+            this.refreshLoadAssessment(foot);
+            this.refreshShoeLasts();
+            this.archiveVisit();
+            console.log(`✅ ${footLabel} 랜드마크 기준 재측정 완료`);
 
-        this.uiController.updateAIAnalysis(leftAnalysis, rightAnalysis);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.uiController.showErrorMessage(`${footLabel} 재측정이 취소되었습니다. 이전 측정값을 유지합니다.`);
+                return;
+            }
+            console.error(`❌ ${footLabel} 재측정 실패:`, error);
+            this.uiController.showErrorMessage(`${footLabel} 재측정에 실패했습니다: ${error.message || '알 수 없는 오류'}`);
+        } finally {
+            this.endProcessing();
+        }
+    }
 
-        // 🔧 리포트 업데이트 시 사용자 이름 확인
-        const currentUserName = this.uiController.getUserName();
-        console.log('📋 리포트 업데이트 - 현재 사용자 이름:', currentUserName);
-        this.uiController.updateReport(
-            leftMeasurements, rightMeasurements,
-            leftAnalysis, rightAnalysis,
-            this.footData.left.fileName, this.footData.right.fileName
-        );
+    /**
+     * 폴백 측정 사유 문구 (측정 실패 사유 + 로딩 시 품질 경고)
+     */
+    describeFallbackReason(foot, reason) {
+        const warnings = this.footData[foot].inspection?.quality.warnings || [];
+        return [reason, ...warnings.map(w => w.message)].join(' / ');
     }
 
     /**
@@ -371,7 +1668,6 @@ class DualFootAnalyzer {
         }
 
         const lwRatio = measurements.length / measurements.width;
-        const hlRatio = measurements.height / measurements.length;
 
         let footType = '';
         let description = '';
@@ -387,14 +1683,8 @@ class DualFootAnalyzer {
             description = 'Well-balanced foot proportions with standard dimensions';
         }
 
-        let archType = '';
-        if (hlRatio > 0.25) {
-            archType = 'High Arch';
-        } else if (hlRatio < 0.18) {
-            archType = 'Low Arch / Flat Foot';
-        } else {
-            archType = 'Normal Arch';
-        }
+        // 아치 유형은 Arch Height Index 기준 (측정하지 못했으면 'Analysis Pending')
+        const archType = MeasurementEngine.classifyArch(measurements.arch);
 
         return { footType, archType, description };
     }
@@ -417,11 +1707,79 @@ class DualFootAnalyzer {
         console.log('🎛️ 그리드 토글:', isVisible ? '표시' : '숨김');
     }
 
+    handleGirthContoursToggle(event) {
+        this.sceneManager.setGirthContoursVisible(event.detail.visible);
+        console.log('🎛️ 둘레선 토글:', event.detail.visible ? '표시' : '숨김');
+    }
+
+    handleLandmarksToggle(event) {
+        this.landmarkEditor.setVisible(event.detail.visible);
+        console.log('🎛️ 랜드마크 토글:', event.detail.visible ? '표시' : '숨김');
+    }
+
+    handleSectionPlaneToggled(event) {
+        this.sectionPlane.setEnabled(event.detail.visible && this.analysisComplete);
+        console.log('🎛️ 단면 평면 토글:', event.detail.visible ? '표시' : '숨김');
+    }
+
+    /**
+     * 현재 단면 윤곽선을 SVG/DXF 파일로 저장
+     */
+    handleSectionExportRequested(event) {
+        const { format } = event.detail;
+        const state = this.sectionPlane.getState();
+        if (!state.enabled || (!state.sections.left && !state.sections.right)) {
+            this.uiController.showErrorMessage('내보낼 단면이 없습니다. 평면 위치를 확인해주세요.');
+            return;
+        }
+
+        const content = format === 'dxf' ? SectionExporter.toDXF(state) : SectionExporter.toSVG(state);
+        const mimeType = format === 'dxf' ? 'application/dxf' : 'image/svg+xml';
+        const fileName = `foot_section_${state.axis}_${Math.round(state.ratio * 100)}_${new Date().toISOString().slice(0, 10)}.${format}`;
+        SectionExporter.download(content, fileName, mimeType);
+
+        console.log('💾 단면 내보내기 완료:', fileName);
+    }
+
+    handleMeasureToolRequested(event) {
+        const { tool } = event.detail;
+        if (tool && !this.analysisComplete) {
+            this.uiController.showErrorMessage('분석을 완료한 후 측정 도구를 사용할 수 있습니다.');
+            return;
+        }
+
+        this.measureTool.setMode(tool);
+        this.uiController.setActiveMeasureTool(this.measureTool.getMode());
+        console.log('📐 측정 도구:', tool || '해제');
+    }
+
+    /**
+     * 사용자 측정이 바뀌면 목록과 세션 기록 갱신
+     */
+    handleCustomMeasurementsChanged(event) {
+        const { foot, measurements } = event.detail;
+        this.uiController.updateCustomMeasurementList(foot, measurements);
+        this.sessionStore.updateFoot(foot, { customMeasurements: SessionStore.describeCustomMeasurements(measurements) });
+    }
+
     handleViewResetRequested() {
         console.log('🔄 뷰 리셋 요청');
         this.cameraController.resetView();
     }
 
+    handleStandardViewRequested(event) {
+        this.cameraController.setStandardView(event.detail.direction);
+    }
+
+    /**
+     * 진행 중인 워커 작업 취소
+     */
+    handleProcessingCancelRequested() {
+        if (!this.scanWorkerClient.cancel()) {
+            console.log('ℹ️ 취소할 작업이 없습니다.');
+        }
+    }
+
     // ==================== 기존 이벤트 핸들러 (호환성 유지) ====================
 
     handleFileLoadStarted(event) {
@@ -432,6 +1790,20 @@ class DualFootAnalyzer {
         console.log('✅ 파일 로딩 완료:', event.detail.fileName);
     }
 
+    handleFileLoadProgress(event) {
+        const { fileName, percentage } = event.detail;
+        const foot = ['left', 'right'].find(f => this.footData[f].fileName === fileName && !this.footData[f].isLoaded);
+
+        // 자동 배정 중에는 아직 발이 정해지지 않았으므로 파일명으로 표시
+        if (foot) this.uiController.updateFootLoadProgress(foot, percentage);
+        const label = foot ? (foot === 'left' ? '왼발' : '오른발') : fileName;
+        this.uiController.showProcessingProgress(
+            `${label} 파일 로딩 중... ${Math.round(percentage)}%`,
+            percentage,
+            this.scanWorkerClient.isAvailable
+        );
+    }
+
     handleFileLoadError(event) {
         console.error('❌ 파일 로드 실패:', event.detail);
         this.uiController.showErrorMessage(`파일 로드 실패: ${event.detail.message}`);
@@ -441,6 +1813,11 @@ class DualFootAnalyzer {
         console.log('🔬 측정 시작:', event.detail.status);
     }
 
+    handleMeasurementProgress(event) {
+        console.log('🔬 측정 진행:', event.detail.status);
+        this.uiController.showProcessingProgress(event.detail.status, null, this.scanWorkerClient.isAvailable);
+    }
+
     handleMeasurementComplete(event) {
         console.log('✅ 측정 완료:', event.detail);
     }
@@ -454,14 +1831,17 @@ class DualFootAnalyzer {
         }
 
         console.log('📄 양발 PDF 리포트 생성 요청');
-        this.reportGenerator.generateDualFootPDFReport(
-            this.footData.left.measurements,
-            this.footData.right.measurements,
-            this.footData.left.fileName,
-            this.footData.right.fileName,
-            this.sceneManager,
-            this.cameraController.getActiveCamera()
-        );
+        this.reportGenerator.generateDualFootPDFReport(this.footData.left.measurements, this.footData.right.measurements, {
+            leftFileName: this.footData.left.fileName,
+            rightFileName: this.footData.right.fileName,
+            sceneManager: this.sceneManager,
+            activeCamera: this.cameraController.getActiveCamera(),
+            customMeasurements: this.measureTool.getMeasurements().filter(measurement => measurement.includeInReport),
+            surfaceDeviation: this.deviationResult?.summary || null,
+            flexibility: this.getFlexibilityAssessments(),
+            shoeSizes: this.computeShoeSizes(),
+            shoeFits: this.computeShoeFits()
+        });
     }
 
     handleQrGenerationRequested() {
@@ -489,24 +1869,35 @@ class DualFootAnalyzer {
         const avgLength = (leftMeasurements.length + rightMeasurements.length) / 2;
         const avgWidth = (leftMeasurements.width + rightMeasurements.width) / 2;
         const avgHeight = (leftMeasurements.height + rightMeasurements.height) / 2;
+        const archIndices = [leftMeasurements.arch?.ahi, rightMeasurements.arch?.ahi].filter(Number.isFinite);
 
         return {
             length: avgLength,
             width: avgWidth,
             height: avgHeight,
+            archIndex: archIndices.length > 0 ? archIndices.reduce((a, b) => a + b) / archIndices.length : null,
             unit: leftMeasurements.unit,
             confidence: 'Dual Foot Analysis',
             // 추가 정보
             leftFoot: {
                 length: leftMeasurements.length,
                 width: leftMeasurements.width,
-                height: leftMeasurements.height
+                height: leftMeasurements.height,
+                forefoot: leftMeasurements.forefoot,
+                volume: leftMeasurements.volume,
+                flexibility: this.loadPairs.left?.assessment || null
             },
             rightFoot: {
                 length: rightMeasurements.length,
                 width: rightMeasurements.width,
-                height: rightMeasurements.height
-            }
+                height: rightMeasurements.height,
+                forefoot: rightMeasurements.forefoot,
+                volume: rightMeasurements.volume,
+                flexibility: this.loadPairs.right?.assessment || null
+            },
+            surfaceDeviation: this.deviationResult?.summary || null,
+            shoeSize: this.computeShoeSizes(),
+            shoeFits: this.computeShoeFits()
         };
     }
 
@@ -594,6 +1985,15 @@ class DualFootAnalyzer {
             length: 254.3,
             width: 98.7,
             height: 67.2,
+            arch: { dorsalHeight: 64.8, truncatedLength: 186.9, ahi: 0.347, navicularHeight: 38.5, profile: [] },
+            forefoot: {
+                halluxValgusAngle: 12.4, halluxValgusGrade: 'Normal', fifthToeAngle: 8.1, fifthToeVarus: false,
+                toes: [{ number: 1, length: 254.3, offset: 0 }, { number: 2, length: 251.6, offset: -2.7 }], toeShape: 'Egyptian'
+            },
+            volume: {
+                volume: 912.4, surfaceArea: 668.3, regions: { rearfoot: 352.1, midfoot: 338.7, forefoot: 221.6 },
+                ankleCapped: true, watertight: true, holeCount: 0, nonManifoldEdges: 0, confidence: '높음'
+            },
             unit: 'mm',
             confidence: '높음 (샘플)'
         };
@@ -602,6 +2002,15 @@ class DualFootAnalyzer {
             length: 256.1,
             width: 99.2,
             height: 68.1,
+            arch: { dorsalHeight: 66.0, truncatedLength: 188.2, ahi: 0.351, navicularHeight: 39.2, profile: [] },
+            forefoot: {
+                halluxValgusAngle: 16.3, halluxValgusGrade: 'Mild', fifthToeAngle: 9.4, fifthToeVarus: false,
+                toes: [{ number: 1, length: 256.1, offset: 0 }, { number: 2, length: 253.9, offset: -2.2 }], toeShape: 'Egyptian'
+            },
+            volume: {
+                volume: 927.8, surfaceArea: 675.9, regions: { rearfoot: 357.4, midfoot: 344.0, forefoot: 226.4 },
+                ankleCapped: true, watertight: true, holeCount: 0, nonManifoldEdges: 0, confidence: '높음'
+            },
             unit: 'mm',
             confidence: '높음 (샘플)'
         };
@@ -676,17 +2085,22 @@ class DualFootAnalyzer {
         }
 
         // 각 모듈 정리
+        this.landmarkEditor?.dispose();
+        this.measureTool?.dispose();
+        this.sectionPlane?.dispose();
         this.sceneManager?.dispose();
         this.cameraController?.dispose();
         this.fileLoader?.dispose();
         this.measurementEngine?.dispose?.();
         this.uiController?.dispose();
         this.reportGenerator?.dispose();
+        this.scanWorkerClient?.dispose();
+        this.scanHistory?.dispose();
 
         // 양발 데이터 정리
         this.footData = {
-            left: { fileName: '', geometry: null, measurements: null, analysis: null, isLoaded: false },
-            right: { fileName: '', geometry: null, measurements: null, analysis: null, isLoaded: false }
+            left: { fileName: '', geometry: null, landmarks: null, measurements: null, analysis: null, inspection: null, chirality: null, isLoaded: false },
+            right: { fileName: '', geometry: null, landmarks: null, measurements: null, analysis: null, inspection: null, chirality: null, isLoaded: false }
         };
 
         // 인스턴스 초기화
@@ -696,6 +2110,22 @@ class DualFootAnalyzer {
         this.measurementEngine = null;
         this.uiController = null;
         this.reportGenerator = null;
+        this.scanWorkerClient = null;
+        this.scanCleaner = null;
+        this.sessionStore = null;
+        this.landmarkEditor = null;
+        this.measureTool = null;
+        this.sectionPlane = null;
+        this.surfaceDeviation = null;
+        this.deviationResult = null;
+        this.scanHistory = null;
+        this.previousVisit = null;
+        this.progressionResult = null;
+        this.loadPairs = { left: null, right: null };
+        this.shoeCatalogue = null;
+        this.shoeInventory = null;
+        this.insoles = { left: null, right: null };
+        this.shoeLasts = { left: null, right: null };
 
         this.analysisComplete = false;
         this.isInitialized = false;
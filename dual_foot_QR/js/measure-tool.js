@@ -0,0 +1,412 @@
+/**
+ * 측정 도구 모듈 - 뷰어에서 발 표면을 클릭해 직선 거리, 표면 경로 길이, 세 점 각도를 재는 사용자 측정 전담
+ * 측정점은 발 모델 로컬(원본 geometry) 좌표로 저장하고, 값은 발별 단위 환산값으로 mm(각도는 도)로 계산
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { SurfacePath } from './surface-path.js';
+import { Utils } from './utils.js';
+
+// 도구별 필요한 점 개수와 표시 이름
+const MEASURE_TYPES = {
+    distance: { points: 2, label: '거리', unit: 'mm' },
+    path: { points: 2, label: '표면 경로', unit: 'mm' },
+    angle: { points: 3, label: '각도', unit: '°' }
+};
+
+const MEASURE_COLORS = {
+    distance: '#facc15',
+    path: '#34d399',
+    angle: '#f472b6',
+    pending: '#ffffff'
+};
+
+// 마커 반지름·라벨 높이 (발 geometry 최대 치수 대비)
+const MARKER_RADIUS_RATIO = 0.008;
+const LABEL_HEIGHT_RATIO = 0.045;
+
+// 클릭으로 볼 최대 포인터 이동 거리 (px, 이보다 많이 움직이면 카메라 조작으로 간주)
+const CLICK_TOLERANCE = 4;
+
+export class MeasureTool extends EventTarget {
+    constructor(sceneManager, cameraController, canvasContainer) {
+        super();
+        this.sceneManager = sceneManager;
+        this.cameraController = cameraController;
+        this.canvasContainer = canvasContainer;
+
+        this.mode = null; // 'distance' | 'path' | 'angle' | null
+        this.measurements = []; // [{ id, type, foot, label, points, path, value, unit, includeInReport }]
+        this.pending = null; // { foot, picks: [{ point, vertices }] }
+        this.unitScales = { left: 1, right: 1 };
+        this.graphs = new WeakMap(); // geometry → 표면 경로 그래프
+        this.pointerDown = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onDualModelUpdated = () => this.attachOverlays();
+
+        this.canvasContainer.addEventListener('pointerdown', this.onPointerDown);
+        this.canvasContainer.addEventListener('pointerup', this.onPointerUp);
+        window.addEventListener('keydown', this.onKeyDown);
+        this.sceneManager.addEventListener('dualModelUpdated', this.onDualModelUpdated);
+    }
+
+    /**
+     * 측정 도구 선택 (null이면 측정 모드 종료, 진행 중인 점 선택은 취소)
+     */
+    setMode(mode) {
+        this.mode = MEASURE_TYPES[mode] ? mode : null;
+        this.pending = null;
+        this.canvasContainer.style.cursor = this.mode ? 'crosshair' : '';
+        this.attachOverlays();
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * 발별 스캔 1단위의 mm 환산값
+     */
+    setUnitScale(foot, scale) {
+        this.unitScales[foot] = scale || 1;
+    }
+
+    /**
+     * 저장된 측정 복원 (세션 기록 형태)
+     */
+    setMeasurements(foot, measurements) {
+        this.measurements = [
+            ...this.measurements.filter(m => m.foot !== foot),
+            ...(measurements || []).map(m => ({ ...m, foot }))
+        ];
+        this.attachOverlays();
+        this.notifyChanged(foot);
+    }
+
+    getMeasurements(foot = null) {
+        return foot ? this.measurements.filter(m => m.foot === foot) : [...this.measurements];
+    }
+
+    /**
+     * 측정 삭제
+     */
+    remove(id) {
+        const measurement = this.measurements.find(m => m.id === id);
+        if (!measurement) return;
+
+        this.measurements = this.measurements.filter(m => m.id !== id);
+        this.attachOverlays();
+        this.notifyChanged(measurement.foot);
+    }
+
+    /**
+     * 리포트 포함 여부 변경
+     */
+    setIncludeInReport(id, include) {
+        const measurement = this.measurements.find(m => m.id === id);
+        if (!measurement) return;
+
+        measurement.includeInReport = include;
+        this.notifyChanged(measurement.foot);
+    }
+
+    /**
+     * 발의 측정을 모두 지움 (스캔을 바꿨을 때)
+     */
+    clear(foot) {
+        if (this.pending?.foot === foot) this.pending = null;
+        if (!this.measurements.some(m => m.foot === foot)) return;
+
+        this.measurements = this.measurements.filter(m => m.foot !== foot);
+        this.attachOverlays();
+        this.notifyChanged(foot);
+    }
+
+    notifyChanged(foot) {
+        this.dispatchEvent(new CustomEvent('customMeasurementsChanged', {
+            detail: { foot, measurements: this.getMeasurements(foot) }
+        }));
+    }
+
+    /**
+     * 카메라 조작과 구분하기 위해 누른 위치 기억
+     */
+    onPointerDown(event) {
+        // 랜드마크·단면 평면 드래그로 이미 처리된 입력은 측정점으로 쓰지 않음
+        this.pointerDown = this.mode && event.button === 0 && !event.defaultPrevented ? { x: event.clientX, y: event.clientY } : null;
+    }
+
+    /**
+     * 제자리 클릭이면 발 표면에 측정점 추가
+     */
+    onPointerUp(event) {
+        const start = this.pointerDown;
+        this.pointerDown = null;
+        if (!this.mode || !start) return;
+        if (Math.hypot(event.clientX - start.x, event.clientY - start.y) > CLICK_TOLERANCE) return;
+
+        const pick = this.pickSurface(event);
+        if (!pick) return;
+
+        // 다른 발을 누르면 그 발에서 새로 시작 (한 측정의 점은 모두 같은 발 위)
+        if (!this.pending || this.pending.foot !== pick.foot) {
+            this.pending = { foot: pick.foot, picks: [] };
+        }
+        this.pending.picks.push({ point: pick.point, vertices: pick.vertices });
+
+        if (this.pending.picks.length >= MEASURE_TYPES[this.mode].points) {
+            const { foot, picks } = this.pending;
+            this.pending = null;
+            this.completeMeasurement(foot, picks);
+        }
+        this.attachOverlays();
+    }
+
+    /**
+     * Esc로 진행 중인 점 선택 취소
+     */
+    onKeyDown(event) {
+        if (event.key !== 'Escape' || !this.pending) return;
+        this.pending = null;
+        this.attachOverlays();
+    }
+
+    /**
+     * 선택한 점으로 측정값 계산 후 목록에 추가
+     */
+    completeMeasurement(foot, picks) {
+        const type = this.mode;
+        const points = picks.map(pick => pick.point);
+        const scale = this.unitScales[foot];
+        let value = null;
+        let path = null;
+
+        if (type === 'distance') {
+            value = new THREE.Vector3().fromArray(points[0]).distanceTo(new THREE.Vector3().fromArray(points[1])) * scale;
+        } else if (type === 'angle') {
+            const vertex = new THREE.Vector3().fromArray(points[1]);
+            const a = new THREE.Vector3().fromArray(points[0]).sub(vertex);
+            const b = new THREE.Vector3().fromArray(points[2]).sub(vertex);
+            value = THREE.MathUtils.radToDeg(a.angleTo(b));
+        } else {
+            const result = this.computeSurfacePath(foot, picks);
+            if (!result) {
+                this.dispatchEvent(new CustomEvent('measureToolError', {
+                    detail: { message: '표면 경로는 면이 이어진 메시에서만 잴 수 있습니다.' }
+                }));
+                return;
+            }
+            value = result.length * scale;
+            path = result.points;
+        }
+
+        const count = this.measurements.filter(m => m.type === type).length + 1;
+        const measurement = {
+            id: Utils.generateId(8),
+            type,
+            foot,
+            label: `${MEASURE_TYPES[type].label} ${count}`,
+            points,
+            path,
+            value,
+            unit: MEASURE_TYPES[type].unit,
+            includeInReport: true
+        };
+
+        this.measurements.push(measurement);
+        console.log(`📐 사용자 측정 (${foot}): ${measurement.label} = ${value.toFixed(1)}${measurement.unit}`);
+        this.notifyChanged(foot);
+    }
+
+    /**
+     * 메시 표면을 따라가는 최단 경로 (점군이면 null)
+     */
+    computeSurfacePath(foot, picks) {
+        const surface = this.getFootModel(foot)?.children[0];
+        if (!surface || surface.isPoints) return null;
+
+        const { geometry } = surface;
+        const positions = geometry.attributes.position.array;
+        const index = geometry.index ? geometry.index.array : null;
+        if (!this.graphs.has(geometry)) this.graphs.set(geometry, SurfacePath.buildGraph(positions, index));
+
+        return SurfacePath.shortestPath(positions, this.graphs.get(geometry), picks[0], picks[1]);
+    }
+
+    /**
+     * 화면 좌표 → 보이는 발 표면의 가장 가까운 점 ({ foot, point, vertices }, 점군은 가장 가까운 점)
+     */
+    pickSurface({ clientX, clientY }) {
+        const surfaces = ['left', 'right']
+            .map(foot => ({ foot, surface: this.getFootModel(foot)?.children[0] }))
+            .filter(({ surface }) => surface && this.isShown(surface));
+        if (surfaces.length === 0) return null;
+
+        const rect = this.sceneManager.getRenderer().domElement.getBoundingClientRect();
+        this.pointer.set(((clientX - rect.left) / rect.width) * 2 - 1, -((clientY - rect.top) / rect.height) * 2 + 1);
+        this.raycaster.setFromCamera(this.pointer, this.cameraController.getActiveCamera());
+
+        let nearest = null;
+        surfaces.forEach(({ foot, surface }) => {
+            if (surface.isPoints) {
+                const footModel = this.getFootModel(foot);
+                this.raycaster.params.Points.threshold = this.getMarkerRadius(surface.geometry) * footModel.getWorldScale(new THREE.Vector3()).x;
+            }
+            const [hit] = this.raycaster.intersectObject(surface, false);
+            if (hit && (!nearest || hit.distance < nearest.hit.distance)) nearest = { foot, surface, hit };
+        });
+        if (!nearest) return null;
+
+        const { foot, surface, hit } = nearest;
+        if (surface.isPoints) {
+            const point = new THREE.Vector3().fromBufferAttribute(surface.geometry.attributes.position, hit.index);
+            return { foot, point: point.toArray(), vertices: [hit.index, hit.index, hit.index] };
+        }
+        return {
+            foot,
+            point: this.getFootModel(foot).worldToLocal(hit.point.clone()).toArray(),
+            vertices: [hit.face.a, hit.face.b, hit.face.c]
+        };
+    }
+
+    /**
+     * 양발 분석 모델에 측정 표시 부착 (모델을 다시 만들면 dualModelUpdated에서 다시 호출)
+     */
+    attachOverlays() {
+        if (this.sceneManager.getCurrentModel()?.name !== 'DualFootModel') return;
+
+        ['left', 'right'].forEach(foot => {
+            const footModel = this.getFootModel(foot);
+            if (!footModel) return;
+
+            const previous = footModel.getObjectByName('CustomMeasurements');
+            if (previous) {
+                footModel.remove(previous);
+                // 라벨 스프라이트의 캔버스 텍스처는 장면 관리자의 해제 대상이 아니므로 직접 해제
+                previous.traverse(child => {
+                    if (!child.isSprite) return;
+                    child.material.map.dispose();
+                    child.material.dispose();
+                });
+                this.sceneManager.disposeObject(previous);
+            }
+
+            const measurements = this.getMeasurements(foot);
+            const pending = this.pending?.foot === foot ? this.pending.picks : [];
+            if (measurements.length > 0 || pending.length > 0) {
+                footModel.add(this.createOverlay(footModel, measurements, pending));
+            }
+        });
+    }
+
+    /**
+     * 측정 표시 그룹 (마커, 선, 값 라벨) - 발 모델의 자식이므로 원본 geometry 좌표 그대로 배치
+     */
+    createOverlay(footModel, measurements, pending) {
+        const group = new THREE.Group();
+        group.name = 'CustomMeasurements';
+
+        const geometry = footModel.children[0].geometry;
+        const radius = this.getMarkerRadius(geometry);
+
+        measurements.forEach(measurement => {
+            const color = MEASURE_COLORS[measurement.type];
+            measurement.points.forEach(point => group.add(this.createMarker(point, radius, color)));
+            group.add(this.createLine(measurement.path || measurement.points, color));
+
+            const anchor = measurement.type === 'angle'
+                ? measurement.points[1]
+                : (measurement.path || measurement.points)[Math.floor((measurement.path || measurement.points).length / 2)];
+            const text = `${measurement.label}: ${measurement.value.toFixed(1)}${measurement.unit === '°' ? '°' : ' mm'}`;
+            group.add(this.createLabel(text, anchor, radius / MARKER_RADIUS_RATIO * LABEL_HEIGHT_RATIO, color));
+        });
+
+        pending.forEach(({ point }) => group.add(this.createMarker(point, radius, MEASURE_COLORS.pending)));
+        if (pending.length > 1) group.add(this.createLine(pending.map(pick => pick.point), MEASURE_COLORS.pending));
+
+        return group;
+    }
+
+    createMarker(point, radius, color) {
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 12, 8),
+            new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.95 })
+        );
+        marker.position.fromArray(point);
+        marker.renderOrder = 3;
+        return marker;
+    }
+
+    createLine(points, color) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(points.map(point => new THREE.Vector3().fromArray(point)));
+        const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true }));
+        line.renderOrder = 3;
+        return line;
+    }
+
+    /**
+     * 값 라벨 스프라이트 (항상 카메라를 향함)
+     */
+    createLabel(text, anchor, height, color) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        const fontSize = 48;
+        context.font = `bold ${fontSize}px sans-serif`;
+        canvas.width = Math.ceil(context.measureText(text).width) + 24;
+        canvas.height = fontSize + 20;
+
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.font = `bold ${fontSize}px sans-serif`;
+        context.fillStyle = color;
+        context.textBaseline = 'middle';
+        context.fillText(text, 12, canvas.height / 2);
+
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            depthTest: false,
+            transparent: true
+        }));
+        sprite.scale.set(height * (canvas.width / canvas.height), height, 1);
+        sprite.position.fromArray(anchor);
+        sprite.center.set(0, -0.3);
+        sprite.renderOrder = 4;
+        return sprite;
+    }
+
+    getMarkerRadius(geometry) {
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+        return Math.max(size.x, size.y, size.z) * MARKER_RADIUS_RATIO;
+    }
+
+    /**
+     * 조상까지 모두 보이는지 (한쪽 발만 보기일 때 숨은 발 제외)
+     */
+    isShown(object) {
+        for (let current = object; current; current = current.parent) {
+            if (!current.visible) return false;
+        }
+        return true;
+    }
+
+    getFootModel(foot) {
+        return foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel();
+    }
+
+    /**
+     * 정리 (이벤트 해제)
+     */
+    dispose() {
+        this.canvasContainer.removeEventListener('pointerdown', this.onPointerDown);
+        this.canvasContainer.removeEventListener('pointerup', this.onPointerUp);
+        window.removeEventListener('keydown', this.onKeyDown);
+        this.sceneManager.removeEventListener('dualModelUpdated', this.onDualModelUpdated);
+        console.log('🧹 Measure Tool 정리 완료');
+    }
+}
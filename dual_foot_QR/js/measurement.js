@@ -2,10 +2,58 @@
  * 측정 엔진 모듈 - 발 측정 및 분석 전담 (개선된 버전)
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { SpatialIndex } from './spatial-index.js';
+import { MeshSlicer } from './mesh-slicer.js';
+import { FootprintAnalyzer } from './footprint-analyzer.js';
+import { ToeProfile } from './toe-profile.js';
+import { MeshVolume } from './mesh-volume.js';
+
+// 둘레 단면 위치 (발 길이 비율, 뒤꿈치 기준)
+const GIRTH_SETTINGS = {
+    ballBand: [0.55, 0.85],       // 중족골두(MTH1/MTH5) 탐색 구간
+    ballMaxHeight: 0.12,          // 중족골두 탐색 높이 상한
+    instep: 0.5,                  // 발등 둘레 단면 위치
+    searchStep: 0.01,             // 허리 둘레 탐색 간격
+    longHeelAngles: [20, 70, 2.5], // 긴 뒤꿈치 둘레 평면 기울기 탐색 (도)
+    ankleMinHeight: 0.3,          // 발목 둘레 탐색 시작 높이
+    ankleTopMargin: 0.03,         // 잘린 스캔 윗단에서 띄울 높이
+    ankleStep: 0.02,
+    pointSlab: 0.006              // 점군 단면 두께
+};
+
+// 아치 측정 (발 길이 비율, 뒤꿈치 기준)
+const ARCH_SETTINGS = {
+    dorsumAt: 0.5,                // 발등 높이 측정 위치 (AHI 분자)
+    dorsumBand: 0.01,             // 측정 위치 앞뒤 탐색 폭
+    profileStep: 0.02,            // 안쪽 아치 곡선 샘플 간격
+    profileMaxHeight: 0.15,       // 곡선 계산에 쓰는 발 아랫부분 높이
+    medialStrip: 0.1,             // 안쪽 가장자리 띠 폭 (단면 너비 비율)
+    ahiRange: [0.31, 0.37]        // AHI 정상 범위 (선 자세 기준 평균 ± 약 1 SD)
+};
+
+// 앞발 분석 (발 길이 비율, 뒤꿈치 기준)
+const FOREFOOT_SETTINGS = {
+    outlineMaxHeight: 0.12,       // 위에서 본 윤곽에 쓰는 발 아랫부분 높이
+    heelBand: [0, 0.25],          // 뒤꿈치 접선점 탐색 구간
+    mth1Band: [0.62, 0.82],       // 랜드마크가 없을 때 제1중족골두 탐색 구간
+    mth5Band: [0.52, 0.75],       // 랜드마크가 없을 때 제5중족골두 탐색 구간
+    toeGap: 0.03,                 // 중족골두 앞 발가락 접선점 탐색 시작 거리
+    toeShapeTolerance: 0.01,      // 엄지와 둘째 발가락 길이가 같다고 보는 차이
+    toeHeightFrom: 0.8,           // 발가락 높이(앞코 높이 비교용)를 재는 구간 시작
+    halluxValgusGrades: [15, 20, 40], // 경증·중등도·중증 시작 각도 (도)
+    fifthToeVarus: 14             // 새끼발가락 내반으로 보는 각도 (도)
+};
+
+// 부피 측정 (발 길이 비율, 뒤꿈치 기준)
+const VOLUME_SETTINGS = {
+    regionSplits: [0.3, 0.6],     // 뒤발 / 중간발 / 앞발 경계 (대략 쇼파르·리스프랑 관절 위치)
+    openingMinHeight: 0.15        // 이 높이 위의 가장 큰 열린 경계는 발목 절단면으로 간주
+};
 
 export class MeasurementEngine extends EventTarget {
-    constructor() {
+    constructor(workerClient = null) {
         super();
+        this.workerClient = workerClient; // 있으면 측정을 워커에서 수행
         this.footMeasurements = {};
         this.measurementLines = [];
         this.debugMode = true; // 디버깅용
@@ -13,8 +61,9 @@ export class MeasurementEngine extends EventTarget {
 
     /**
      * 정밀 측정 수행 (개선된 버전)
+     * landmarks(원본 geometry 좌표)가 있으면 길이·너비·높이와 둘레 단면 위치를 랜드마크 기준으로 계산
      */
-    async performPreciseMeasurements(geometry, currentModel) {
+    async performPreciseMeasurements(geometry, currentModel, landmarks = null) {
         if (!geometry || !geometry.attributes || !geometry.attributes.position) {
             console.error('❌ 유효하지 않은 geometry:', geometry);
             this.dispatchEvent(new CustomEvent('measurementStarted', { 
@@ -22,6 +71,16 @@ export class MeasurementEngine extends EventTarget {
             }));
             return;
         }
+
+        if (this.workerClient?.isAvailable) {
+            try {
+                return await this.performMeasurementsInWorker(geometry, currentModel, landmarks);
+            } catch (error) {
+                // 워커 자체를 띄울 수 없을 때만 메인 스레드로 재시도 (취소는 그대로 전달)
+                if (error.name !== 'WorkerError') throw error;
+                console.warn('⚠️ 스캔 워커 사용 불가 - 메인 스레드에서 측정:', error.message);
+            }
+        }
         
         console.log('🔬 정밀 측정 시작...');
         console.log('📊 Geometry 정보:', {
@@ -39,31 +98,27 @@ export class MeasurementEngine extends EventTarget {
             const vertexCount = geometry.attributes.position.count;
             
             if (vertexCount === 0 || positions.length === 0) {
-                throw new Error('빈 geometry 데이터');
+                throw new Error('3D 데이터에 정점이 없습니다');
             }
             
             console.log(`📐 정점 개수: ${vertexCount}, 위치 배열 길이: ${positions.length}`);
             
-            const originalVertices = [];
-            
-            // 원본 geometry 정점 데이터 추출
-            for (let i = 0; i < positions.length; i += 3) {
-                const vertex = new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]);
-                originalVertices.push(vertex);
-            }
-            
-            console.log(`✅ ${originalVertices.length}개 정점 추출 완료`);
-            
             // 회전만 적용 (스케일 제외)
-            if (currentModel) {
-                const rotationMatrix = new THREE.Matrix4();
-                rotationMatrix.makeRotationFromEuler(currentModel.rotation);
-                originalVertices.forEach(vertex => vertex.applyMatrix4(rotationMatrix));
-                console.log('🔄 모델 회전 적용 완료');
+            const rotationMatrix = currentModel
+                ? new THREE.Matrix4().makeRotationFromEuler(currentModel.rotation)
+                : null;
+            const rotatedPositions = MeasurementEngine.transformPositions(positions, rotationMatrix);
+            if (rotationMatrix) console.log('🔄 모델 회전 적용 완료');
+
+            // 축별 정렬 인덱스 기반 공간 인덱스 (밴드 검색용)
+            const index = new SpatialIndex(rotatedPositions);
+            if (index.size === 0) {
+                throw new Error('유효한 좌표를 가진 정점이 없습니다 (NaN/무한대 값만 존재)');
             }
+            console.log(`✅ ${index.size}개 정점 인덱싱 완료`);
             
             // 바운딩 박스 및 크기 계산
-            const bbox = new THREE.Box3().setFromPoints(originalVertices);
+            const bbox = new THREE.Box3(new THREE.Vector3().fromArray(index.min), new THREE.Vector3().fromArray(index.max));
             const size = bbox.getSize(new THREE.Vector3());
             const maxDim = Math.max(size.x, size.y, size.z);
             
@@ -82,10 +137,24 @@ export class MeasurementEngine extends EventTarget {
                 detail: { status: '정밀 측정 수행 중...' }
             }));
             
+            // 랜드마크가 있으면 해부학적 기준점으로, 없는 항목은 기존 비율 구간으로 측정
+            const points = landmarks ? MeasurementEngine.transformLandmarks(landmarks, rotationMatrix) : null;
+            const fromLandmarks = points ? this.measureFromLandmarks(index, points) : {};
+
             // 정밀 측정 수행
-            const footLength = this.measureFootLength(originalVertices, bbox) * unitData.multiplier;
-            const footWidth = this.measureFootWidth(originalVertices, bbox) * unitData.multiplier;
-            const footHeight = this.measureFootHeight(originalVertices, bbox) * unitData.multiplier;
+            const footLength = (fromLandmarks.length ?? this.measureFootLength(index, bbox)) * unitData.multiplier;
+            const footWidth = (fromLandmarks.width ?? this.measureFootWidth(index, bbox)) * unitData.multiplier;
+            const footHeight = (fromLandmarks.height ?? this.measureFootHeight(index, bbox)) * unitData.multiplier;
+
+            this.dispatchEvent(new CustomEvent('measurementProgress', { 
+                detail: { status: '둘레 단면 계산 중...' }
+            }));
+
+            const girths = this.measureGirths(rotatedPositions, geometry, index, footLength / unitData.multiplier, unitData.multiplier, rotationMatrix, points);
+            const arch = this.measureArch(index, footLength / unitData.multiplier, unitData.multiplier, points);
+            const footprint = this.measureFootprint(rotatedPositions, index, footLength / unitData.multiplier, unitData.multiplier, points);
+            const forefoot = this.measureForefoot(index, footLength / unitData.multiplier, unitData.multiplier, points);
+            const volume = this.measureVolume(rotatedPositions, geometry, index, footLength / unitData.multiplier, unitData.multiplier, points);
             
             console.log('📊 측정 결과 (원본 단위):', { 
                 length: footLength / unitData.multiplier, 
@@ -97,7 +166,7 @@ export class MeasurementEngine extends EventTarget {
             // 측정값 검증
             if (!this.validateMeasurements(footLength, footWidth, footHeight)) {
                 console.warn('⚠️ 측정값이 비정상적입니다. 기본값으로 대체...');
-                throw new Error('측정값 검증 실패');
+                throw new Error('측정값이 일반적인 발 크기 범위를 벗어났습니다 (스캔 단위 또는 범위 확인 필요)');
             }
             
             // 측정 결과 저장
@@ -105,9 +174,14 @@ export class MeasurementEngine extends EventTarget {
                 length: footLength,
                 width: footWidth,
                 height: footHeight,
+                girths: girths,
+                arch: arch,
+                footprint: footprint,
+                forefoot: forefoot,
+                volume: volume,
+                landmarkBased: Object.keys(fromLandmarks).length > 0,
                 unit: unitData.unit,
                 confidence: unitData.confidence,
-                originalVertices: originalVertices,
                 boundingBox: bbox,
                 vertexCount: vertexCount
             };
@@ -116,7 +190,7 @@ export class MeasurementEngine extends EventTarget {
             const ratios = this.calculateRatios(footLength, footWidth, footHeight);
             
             // 발 유형 분석
-            const analysis = this.analyzeFootType(footLength, footWidth, footHeight);
+            const analysis = this.analyzeFootType(footLength, footWidth, footHeight, arch);
             
             this.dispatchEvent(new CustomEvent('measurementComplete', {
                 detail: {
@@ -135,7 +209,7 @@ export class MeasurementEngine extends EventTarget {
             console.error('❌ 측정 중 오류:', error);
             
             // 폴백: 기본 바운딩 박스 측정
-            const fallbackResult = this.performFallbackMeasurement(geometry, currentModel);
+            const fallbackResult = this.performFallbackMeasurement(geometry, currentModel, error.message);
             
             this.dispatchEvent(new CustomEvent('measurementComplete', {
                 detail: {
@@ -143,6 +217,7 @@ export class MeasurementEngine extends EventTarget {
                     ratios: fallbackResult.ratios,
                     analysis: fallbackResult.analysis,
                     status: '기본 측정 완료 (폴백 모드)',
+                    fallbackReason: fallbackResult.measurements.fallbackReason,
                     confidence: '낮음 (폴백)'
                 }
             }));
@@ -152,9 +227,44 @@ export class MeasurementEngine extends EventTarget {
     }
 
     /**
-     * 폴백 측정 (기본 바운딩 박스 기반)
+     * 워커에서 측정 수행 (진행 이벤트와 완료 이벤트는 메인 스레드 엔진이 그대로 재발행)
+     */
+    async performMeasurementsInWorker(geometry, currentModel, landmarks = null) {
+        console.log('🧵 워커에서 정밀 측정 시작...');
+
+        const result = await this.workerClient.measure(geometry, currentModel, landmarks, (detail) => {
+            this.dispatchEvent(new CustomEvent(detail.event, {
+                detail: { status: detail.status }
+            }));
+        });
+
+        const { boundingBox, ...measurements } = result.measurements;
+        this.footMeasurements = {
+            ...measurements,
+            boundingBox: boundingBox
+                ? new THREE.Box3(new THREE.Vector3().fromArray(boundingBox.min), new THREE.Vector3().fromArray(boundingBox.max))
+                : null
+        };
+
+        this.dispatchEvent(new CustomEvent('measurementComplete', {
+            detail: {
+                measurements: this.footMeasurements,
+                ratios: result.ratios,
+                analysis: result.analysis,
+                status: result.status,
+                fallbackReason: this.footMeasurements.fallbackReason,
+                confidence: result.confidence
+            }
+        }));
+
+        console.log('✅ 워커 정밀 측정 완료');
+        return this.footMeasurements;
+    }
+
+    /**
+     * 폴백 측정 (기본 바운딩 박스 기반, reason은 고객 안내용 사유)
      */
-    performFallbackMeasurement(geometry, currentModel) {
+    performFallbackMeasurement(geometry, currentModel, reason = '정밀 측정에 실패했습니다') {
         console.log('🔄 폴백 측정 모드로 전환...');
         
         // 기본 바운딩 박스 계산
@@ -191,7 +301,7 @@ export class MeasurementEngine extends EventTarget {
             height: Math.max(footHeight, 20), // 최소 20mm
             unit: unit,
             confidence: '낮음 (폴백 모드)',
-            originalVertices: [],
+            fallbackReason: reason,
             boundingBox: bbox,
             vertexCount: geometry.attributes.position.count
         };
@@ -267,35 +377,55 @@ export class MeasurementEngine extends EventTarget {
         return { multiplier: unitMultiplier, unit, confidence };
     }
 
+    /**
+     * 정점 좌표에 행렬 적용 (Vector3.applyMatrix4와 같은 연산 순서, 결과는 Float64Array)
+     */
+    static transformPositions(positions, matrix = null) {
+        const result = new Float64Array(positions.length);
+
+        if (!matrix) {
+            result.set(positions);
+            return result;
+        }
+
+        const e = matrix.elements;
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            const w = 1 / (e[3] * x + e[7] * y + e[11] * z + e[15]);
+
+            result[i] = (e[0] * x + e[4] * y + e[8] * z + e[12]) * w;
+            result[i + 1] = (e[1] * x + e[5] * y + e[9] * z + e[13]) * w;
+            result[i + 2] = (e[2] * x + e[6] * y + e[10] * z + e[14]) * w;
+        }
+
+        return result;
+    }
+
     /**
      * 발 길이 측정 (개선된 버전)
      */
-    measureFootLength(vertices, bbox) {
-        if (!vertices || vertices.length === 0) {
-            console.warn('⚠️ 빈 vertices 배열');
+    measureFootLength(index, bbox) {
+        if (!index || index.size === 0) {
+            console.warn('⚠️ 빈 정점 인덱스');
             return bbox ? bbox.getSize(new THREE.Vector3()).z : 0;
         }
         
         try {
             // 발바닥 높이 기준점 찾기 (Y축 최솟값 근처)
-            const yValues = vertices.map(v => v.y).sort((a, b) => a - b);
-            const minY = yValues[0];
-            const maxY = yValues[yValues.length - 1];
+            const minY = index.min[1];
+            const maxY = index.max[1];
             const footSoleThreshold = minY + (maxY - minY) * 0.15;
             
             // 발바닥 근처 점들만 필터링
-            const footSoleVertices = vertices.filter(v => v.y <= footSoleThreshold);
+            const footSoleIndices = index.rangeOnAxis('y', -Infinity, footSoleThreshold);
             
-            if (footSoleVertices.length === 0) {
+            if (footSoleIndices.length === 0) {
                 console.warn('⚠️ 발바닥 정점을 찾을 수 없음. 전체 Z축 범위 사용');
-                const zValues = vertices.map(v => v.z).sort((a, b) => a - b);
-                return zValues[zValues.length - 1] - zValues[0];
+                return index.max[2] - index.min[2];
             }
             
             // 발뒤꿈치와 발가락 끝 찾기
-            const zValues = footSoleVertices.map(v => v.z).sort((a, b) => a - b);
-            const heelZ = zValues[0];
-            const toeZ = zValues[zValues.length - 1];
+            const { min: heelZ, max: toeZ } = index.extentOf(footSoleIndices, 'z');
             
             const length = toeZ - heelZ;
             console.log(`📏 발 길이 측정: 뒤꿈치(${heelZ.toFixed(2)}) ~ 발가락(${toeZ.toFixed(2)}) = ${length.toFixed(2)}`);
@@ -311,17 +441,16 @@ export class MeasurementEngine extends EventTarget {
     /**
      * 발 너비 측정 (개선된 버전)
      */
-    measureFootWidth(vertices, bbox) {
-        if (!vertices || vertices.length === 0) {
-            console.warn('⚠️ 빈 vertices 배열');
+    measureFootWidth(index, bbox) {
+        if (!index || index.size === 0) {
+            console.warn('⚠️ 빈 정점 인덱스');
             return bbox ? bbox.getSize(new THREE.Vector3()).x : 0;
         }
         
         try {
             // 발볼 부위 찾기 (발 전체 길이의 60-75% 지점)
-            const zValues = vertices.map(v => v.z).sort((a, b) => a - b);
-            const minZ = zValues[0];
-            const maxZ = zValues[zValues.length - 1];
+            const minZ = index.min[2];
+            const maxZ = index.max[2];
             const footLength = maxZ - minZ;
             
             // 발볼 위치 정의
@@ -329,26 +458,23 @@ export class MeasurementEngine extends EventTarget {
             const ballEndZ = minZ + footLength * 0.75;
             
             // 발바닥 높이 기준
-            const yValues = vertices.map(v => v.y).sort((a, b) => a - b);
-            const minY = yValues[0];
-            const maxY = yValues[yValues.length - 1];
+            const minY = index.min[1];
+            const maxY = index.max[1];
             const footSoleThreshold = minY + (maxY - minY) * 0.2;
             
             // 발볼 부위 점들 필터링
-            const ballVertices = vertices.filter(v => 
-                v.z >= ballStartZ && v.z <= ballEndZ && v.y <= footSoleThreshold
+            const ballIndices = index.filter(
+                index.rangeOnAxis('z', ballStartZ, ballEndZ),
+                i => index.getCoordinate(i, 'y') <= footSoleThreshold
             );
             
-            if (ballVertices.length === 0) {
+            if (ballIndices.length === 0) {
                 console.warn('⚠️ 발볼 정점을 찾을 수 없음. 전체 X축 범위 사용');
-                const xValues = vertices.map(v => v.x).sort((a, b) => a - b);
-                return xValues[xValues.length - 1] - xValues[0];
+                return index.max[0] - index.min[0];
             }
             
             // 발볼 너비 계산
-            const xValues = ballVertices.map(v => v.x).sort((a, b) => a - b);
-            const leftX = xValues[0];
-            const rightX = xValues[xValues.length - 1];
+            const { min: leftX, max: rightX } = index.extentOf(ballIndices, 'x');
             
             const width = rightX - leftX;
             console.log(`📏 발 너비 측정: 좌측(${leftX.toFixed(2)}) ~ 우측(${rightX.toFixed(2)}) = ${width.toFixed(2)}`);
@@ -364,38 +490,33 @@ export class MeasurementEngine extends EventTarget {
     /**
      * 발 높이 측정 (개선된 버전)
      */
-    measureFootHeight(vertices, bbox) {
-        if (!vertices || vertices.length === 0) {
-            console.warn('⚠️ 빈 vertices 배열');
+    measureFootHeight(index, bbox) {
+        if (!index || index.size === 0) {
+            console.warn('⚠️ 빈 정점 인덱스');
             return bbox ? bbox.getSize(new THREE.Vector3()).y : 0;
         }
         
         try {
             // 발바닥 찾기
-            const yValues = vertices.map(v => v.y).sort((a, b) => a - b);
-            const soleY = yValues[0];
+            const soleY = index.min[1];
             
             // 발등 중앙 부위 찾기 (발 중앙 30-70% 지점)
-            const zValues = vertices.map(v => v.z).sort((a, b) => a - b);
-            const minZ = zValues[0];
-            const maxZ = zValues[zValues.length - 1];
+            const minZ = index.min[2];
+            const maxZ = index.max[2];
             const footLength = maxZ - minZ;
             
             const instepStartZ = minZ + footLength * 0.3;
             const instepEndZ = minZ + footLength * 0.7;
             
-            const instepVertices = vertices.filter(v => 
-                v.z >= instepStartZ && v.z <= instepEndZ
-            );
+            const instepIndices = index.rangeOnAxis('z', instepStartZ, instepEndZ);
             
-            if (instepVertices.length === 0) {
+            if (instepIndices.length === 0) {
                 console.warn('⚠️ 발등 정점을 찾을 수 없음. 전체 Y축 범위 사용');
-                return yValues[yValues.length - 1] - soleY;
+                return index.max[1] - soleY;
             }
             
             // 발등 최고점 찾기
-            const instepYValues = instepVertices.map(v => v.y).sort((a, b) => a - b);
-            const instepTopY = instepYValues[instepYValues.length - 1];
+            const instepTopY = index.extentOf(instepIndices, 'y').max;
             
             const height = instepTopY - soleY;
             console.log(`📏 발 높이 측정: 발바닥(${soleY.toFixed(2)}) ~ 발등(${instepTopY.toFixed(2)}) = ${height.toFixed(2)}`);
@@ -408,6 +529,506 @@ export class MeasurementEngine extends EventTarget {
         }
     }
 
+    /**
+     * 둘레 측정 (볼·허리·발등·긴 뒤꿈치·발목)
+     * positions는 발 기준 좌표계로 회전된 좌표(X 좌우, Y 위, Z 뒤꿈치→발끝), footLength는 원본 단위
+     * 둘레는 단면을 감싸는 줄자 길이(볼록 껍질 둘레, mm), contours는 화면 표시용 원본 geometry 좌표
+     * points(측정 좌표계 랜드마크)가 있으면 뒤꿈치점·중족골두·복사뼈 위치로 단면을 잡음
+     */
+    measureGirths(positions, geometry, index, footLength, unitMultiplier, rotationMatrix = null, points = null) {
+        const girths = {};
+        if (!footLength) return girths;
+
+        try {
+            const isPointCloud = geometry.userData?.isPointCloud === true;
+            const faces = geometry.index ? geometry.index.array : null;
+            // 인덱스 없는 메시는 후보 평면마다 용접하지 않도록 한 번만 용접해 재사용
+            const weld = !isPointCloud && !faces ? MeshSlicer.weldVertices(positions) : null;
+            const inverse = rotationMatrix ? rotationMatrix.clone().invert() : null;
+
+            const L = footLength;
+            const heelZ = points?.pternion ? points.pternion[2] : index.min[2];
+            const soleY = index.min[1];
+            const S = GIRTH_SETTINGS;
+
+            const section = (plane) => {
+                const { contours, pointCount } = isPointCloud
+                    ? MeshSlicer.slicePoints(positions, plane, L * S.pointSlab)
+                    : MeshSlicer.slice(positions, faces, plane, weld);
+                if (contours.length === 0) return null;
+                return { plane, contours, pointCount, tape: MeshSlicer.tapeGirth(contours, plane) };
+            };
+
+            // 후보 평면 중 줄자 둘레가 가장 짧은 단면 (스캔 가장자리에서 끊긴 단면보다 닫힌 단면 우선)
+            // 점군은 점이 듬성한 단면일수록 껍질이 작아지므로 점 수가 중앙값의 절반 미만인 단면은 제외
+            const isClosed = (candidate) => candidate.contours.every(contour => contour.closed);
+            const minimalSection = (planes) => {
+                let candidates = planes.map(section).filter(candidate => candidate && candidate.tape.length > 0);
+                if (isPointCloud && candidates.length > 2) {
+                    const counts = candidates.map(candidate => candidate.pointCount).sort((a, b) => a - b);
+                    const median = counts[Math.floor(counts.length / 2)];
+                    candidates = candidates.filter(candidate => candidate.pointCount >= median * 0.5);
+                }
+
+                return candidates.reduce((best, current) => {
+                    if (!best) return current;
+                    if (isClosed(current) !== isClosed(best)) return isClosed(current) ? current : best;
+                    return current.tape.length < best.tape.length ? current : best;
+                }, null);
+            };
+
+            // from~to 구간을 step 간격으로 (끝값 포함)
+            const range = (from, to, step) => {
+                const values = [];
+                for (let v = from; v < to - step * 1e-6; v += step) values.push(v);
+                values.push(to);
+                return values;
+            };
+
+            // 볼 둘레: 발볼 구간의 안쪽/바깥쪽 최돌출점(MTH1, MTH5 추정)을 지나는 수직 평면
+            const ballPoints = points?.mth1 && points?.mth5
+                ? [points.mth1, points.mth5]
+                : this.findBallPoints(index, heelZ, soleY, L);
+            let ballRearZ = heelZ + L * S.ballBand[0];
+            girths.ball = null;
+            if (ballPoints) {
+                const [p1, p5] = ballPoints;
+                const plane = MeshSlicer.planeFromPointNormal(p1, [-(p5[2] - p1[2]), 0, p5[0] - p1[0]]);
+                girths.ball = section(plane);
+                ballRearZ = Math.min(p1[2], p5[2]);
+            }
+
+            // 발등 둘레: 발 길이 50% 지점의 횡단면
+            const transverse = (z) => ({ normal: [0, 0, 1], offset: z });
+            const instepZ = heelZ + L * S.instep;
+            girths.instep = section(transverse(instepZ));
+
+            // 허리 둘레: 발등 단면과 볼 단면 사이에서 가장 가는 횡단면
+            girths.waist = minimalSection(range(instepZ, ballRearZ, L * S.searchStep).map(transverse));
+
+            // 긴 뒤꿈치 둘레: 뒤꿈치 아래 뒤쪽 모서리를 지나는 좌우축 회전 평면 중 최소 둘레 (발목 앞 주름을 지나는 단면)
+            const [fromAngle, toAngle, angleStep] = S.longHeelAngles;
+            girths.longHeel = minimalSection(range(fromAngle, toAngle, angleStep).map(angle => {
+                const theta = THREE.MathUtils.degToRad(angle);
+                return MeshSlicer.planeFromPointNormal([0, soleY, heelZ], [0, Math.cos(theta), -Math.sin(theta)]);
+            }));
+
+            // 발목 둘레: 발등 위쪽(복사뼈가 있으면 그 위) 다리 구간의 최소 수평 둘레 (발목 절단으로 스캔이 낮으면 측정 불가)
+            const ankleTop = index.max[1] - L * S.ankleTopMargin;
+            const ankleFrom = points?.sphyrion
+                ? points.sphyrion[1] + L * S.ankleStep
+                : soleY + L * S.ankleMinHeight;
+            girths.ankle = ankleTop >= ankleFrom
+                ? minimalSection(range(ankleFrom, ankleTop, L * S.ankleStep).map(y => ({ normal: [0, 1, 0], offset: y })))
+                : null;
+
+            Object.keys(girths).forEach(type => {
+                girths[type] = girths[type]?.contours
+                    ? this.describeGirth(girths[type], unitMultiplier, inverse, isPointCloud)
+                    : null;
+            });
+
+            console.log('📏 둘레 측정 (mm):', Object.fromEntries(
+                Object.entries(girths).map(([type, girth]) => [type, girth ? girth.value.toFixed(1) : '-'])
+            ));
+
+        } catch (error) {
+            console.error('❌ 둘레 측정 오류:', error);
+            return {};
+        }
+
+        return girths;
+    }
+
+    /**
+     * 랜드마크 → 측정 좌표계 좌표 ({ name: [x, y, z] })
+     */
+    static transformLandmarks(landmarks, rotationMatrix) {
+        const point = new THREE.Vector3();
+        return Object.fromEntries(Object.entries(landmarks).map(([name, position]) => {
+            point.fromArray(position);
+            if (rotationMatrix) point.applyMatrix4(rotationMatrix);
+            return [name, point.toArray()];
+        }));
+    }
+
+    /**
+     * 랜드마크 기준 길이·너비·높이 (원본 단위, 필요한 랜드마크가 없는 항목은 제외)
+     * 길이: 뒤꿈치점→발끝점 (발 축 방향), 너비: MTH1–MTH5 좌우 거리, 높이: 주상골 위치의 발등 높이
+     */
+    measureFromLandmarks(index, points) {
+        const result = {};
+        const { pternion, acropodion, mth1, mth5, navicular } = points;
+
+        if (pternion && acropodion) {
+            result.length = Math.abs(acropodion[2] - pternion[2]);
+        }
+        if (mth1 && mth5) {
+            result.width = Math.abs(mth1[0] - mth5[0]);
+        }
+        if (navicular && result.length) {
+            const halfBand = result.length * 0.02;
+            const band = index.rangeOnAxis('z', navicular[2] - halfBand, navicular[2] + halfBand);
+            const extent = index.extentOf(band, 'y');
+            if (extent) result.height = extent.max - index.min[1];
+        }
+
+        console.log('📍 랜드마크 기준 측정 (원본 단위):', result);
+        return result;
+    }
+
+    /**
+     * 아치 측정 (mm, 못 구한 항목은 null)
+     * dorsalHeight: 발 길이 50% 지점 발등 높이, truncatedLength: 뒤꿈치점→제1중족골두 길이
+     * ahi: Arch Height Index (dorsalHeight / truncatedLength), navicularHeight: 주상골 결절 높이
+     * profile: 뒤꿈치→제1중족골두 사이 안쪽 가장자리 발바닥 높이 [{ position(0~1), height }]
+     */
+    measureArch(index, footLength, unitMultiplier, points = null) {
+        const arch = { dorsalHeight: null, truncatedLength: null, ahi: null, navicularHeight: null, profile: [] };
+        if (!footLength) return arch;
+
+        try {
+            const S = ARCH_SETTINGS;
+            const L = footLength;
+            const heelZ = points?.pternion ? points.pternion[2] : index.min[2];
+            const soleY = index.min[1];
+
+            const dorsumZ = heelZ + L * S.dorsumAt;
+            const dorsum = index.extentOf(index.rangeOnAxis('z', dorsumZ - L * S.dorsumBand, dorsumZ + L * S.dorsumBand), 'y');
+            if (dorsum) arch.dorsalHeight = (dorsum.max - soleY) * unitMultiplier;
+
+            // 랜드마크가 없으면 발볼 최돌출점 중 더 앞쪽 점을 제1중족골두로 간주
+            const mth1 = points?.mth1
+                || this.findBallPoints(index, heelZ, soleY, L)?.reduce((front, point) => (point[2] > front[2] ? point : front));
+            if (mth1 && mth1[2] > heelZ) arch.truncatedLength = (mth1[2] - heelZ) * unitMultiplier;
+
+            if (arch.dorsalHeight && arch.truncatedLength) {
+                arch.ahi = arch.dorsalHeight / arch.truncatedLength;
+            }
+
+            if (points?.navicular) {
+                arch.navicularHeight = (points.navicular[1] - soleY) * unitMultiplier;
+            }
+
+            // 안쪽 방향은 MTH1과 MTH5의 좌우 위치로 판단 (둘 다 있어야 곡선 계산)
+            if (points?.mth1 && points?.mth5 && arch.truncatedLength) {
+                const medialSign = Math.sign(points.mth1[0] - points.mth5[0]) || 1;
+                arch.profile = this.measureMedialArchProfile(index, heelZ, soleY, points.mth1[2], medialSign, L, unitMultiplier);
+            }
+
+            console.log('📏 아치 측정 (mm):', {
+                dorsalHeight: arch.dorsalHeight?.toFixed(1),
+                truncatedLength: arch.truncatedLength?.toFixed(1),
+                ahi: arch.ahi?.toFixed(3),
+                navicularHeight: arch.navicularHeight?.toFixed(1),
+                profilePoints: arch.profile.length
+            });
+
+        } catch (error) {
+            console.error('❌ 아치 측정 오류:', error);
+        }
+
+        return arch;
+    }
+
+    /**
+     * 안쪽 아치 곡선 - 구간마다 안쪽 가장자리 띠에서 가장 낮은 점의 발바닥 기준 높이
+     */
+    measureMedialArchProfile(index, heelZ, soleY, endZ, medialSign, footLength, unitMultiplier) {
+        const S = ARCH_SETTINGS;
+        const step = footLength * S.profileStep;
+        const span = endZ - heelZ;
+        const profile = [];
+
+        for (let z = heelZ; z <= endZ + step * 1e-6; z += step) {
+            const band = index.filter(
+                index.rangeOnAxis('z', z - step / 2, z + step / 2),
+                i => index.getCoordinate(i, 'y') <= soleY + footLength * S.profileMaxHeight
+            );
+            const extent = index.extentOf(band, 'x');
+            if (!extent) continue;
+
+            const medialEdge = medialSign > 0 ? extent.max : extent.min;
+            const stripWidth = (extent.max - extent.min) * S.medialStrip;
+            const strip = index.filter(band, i => medialSign * (medialEdge - index.getCoordinate(i, 'x')) <= stripWidth);
+            const bottom = index.extentOf(strip, 'y');
+            if (!bottom) continue;
+
+            profile.push({
+                position: (z - heelZ) / span,
+                height: (bottom.min - soleY) * unitMultiplier
+            });
+        }
+
+        return profile;
+    }
+
+    /**
+     * 발자국 투영과 발자국 지수 (랜드마크가 있으면 중족골두 앞에서 발가락 제외, 실패하면 null)
+     */
+    measureFootprint(positions, index, footLength, unitMultiplier, points = null) {
+        if (!footLength) return null;
+
+        try {
+            return FootprintAnalyzer.analyze(positions, {
+                soleY: index.min[1],
+                heelZ: points?.pternion ? points.pternion[2] : index.min[2],
+                footLength,
+                unitMultiplier,
+                toeLineZ: FootprintAnalyzer.toeLineFromLandmarks(points, footLength)
+            });
+        } catch (error) {
+            console.error('❌ 발자국 분석 오류:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 앞발 분석 - 엄지발가락 외반각, 새끼발가락 각, 발가락 끝 상대 길이와 발가락 형태 (각도는 도, 길이는 mm, 못 구한 항목은 null)
+     * 외반각: 뒤꿈치–제1중족골두 안쪽 접선과 제1중족골두–엄지 안쪽 접선 사이 각 (엄지가 바깥으로 휠수록 큼)
+     * 새끼발가락 각: 같은 방법으로 바깥쪽 윤곽에서 계산 (새끼발가락이 안쪽으로 휠수록 큼)
+     * toes: 안쪽→바깥쪽 [{ number, length(뒤꿈치 기준), offset(엄지 대비, 길면 양수) }]
+     * toeHeight: 발 길이 80% 앞쪽의 발바닥 위 최고 높이 (신발 앞코 높이와 비교)
+     */
+    measureForefoot(index, footLength, unitMultiplier, points = null) {
+        const forefoot = {
+            halluxValgusAngle: null,
+            halluxValgusGrade: null,
+            fifthToeAngle: null,
+            fifthToeVarus: null,
+            toes: [],
+            toeShape: null,
+            toeHeight: null
+        };
+        if (!footLength) return forefoot;
+
+        try {
+            const S = FOREFOOT_SETTINGS;
+            const L = footLength;
+            const heelZ = points?.pternion ? points.pternion[2] : index.min[2];
+            const soleY = index.min[1];
+            const outlineTop = soleY + L * S.outlineMaxHeight;
+
+            // 뒤꿈치·발바닥 기준 앞발 좌표 (발가락 윤곽 모듈 입력)
+            const local = [];
+            index.rangeOnAxis('z', heelZ + L * 0.75, Infinity).forEach(i => {
+                local.push(index.getCoordinate(i, 'x'), index.getCoordinate(i, 'y') - soleY, index.getCoordinate(i, 'z') - heelZ);
+            });
+
+            let toeTop = -Infinity;
+            for (let i = 0; i < local.length; i += 3) {
+                if (local[i + 2] >= L * S.toeHeightFrom && local[i + 1] > toeTop) toeTop = local[i + 1];
+            }
+            if (Number.isFinite(toeTop)) forefoot.toeHeight = toeTop * unitMultiplier;
+
+            // 안쪽 방향: 중족골두 랜드마크가 있으면 그 좌우 위치, 없으면 엄지 쪽 판별
+            const medialSign = points?.mth1 && points?.mth5
+                ? Math.sign(points.mth1[0] - points.mth5[0])
+                : Math.sign(ToeProfile.halluxOffset(local, L));
+            if (!medialSign) return forefoot;
+
+            // 발가락 끝: 랜드마크 우선, 없으면 발끝 윤곽의 국소 최댓값
+            const landmarkToes = [1, 2, 3, 4, 5].map(n => points?.[`toe${n}`]).filter(Boolean);
+            const tips = landmarkToes.length > 0
+                ? landmarkToes
+                : ToeProfile.orderMedialToLateral(ToeProfile.extract(local, L).peaks, medialSign)
+                    .slice(0, 5)
+                    .map(peak => [peak.x, peak.y + soleY, peak.z + heelZ]);
+
+            forefoot.toes = tips.map((tip, i) => ({
+                number: i + 1,
+                length: (tip[2] - heelZ) * unitMultiplier,
+                offset: (tip[2] - tips[0][2]) * unitMultiplier
+            }));
+            if (tips.length >= 2) {
+                forefoot.toeShape = MeasurementEngine.classifyToeShape((tips[1][2] - tips[0][2]) / L);
+            }
+
+            const outline = (from, to) => index.filter(
+                index.rangeOnAxis('z', from, to),
+                i => index.getCoordinate(i, 'y') <= outlineTop
+            );
+            const point = (i) => [index.getCoordinate(i, 'x'), index.getCoordinate(i, 'y'), index.getCoordinate(i, 'z')];
+            const best = (indices, score) => {
+                let bestIndex = -1;
+                let bestScore = -Infinity;
+                indices.forEach(i => {
+                    const value = score(index.getCoordinate(i, 'x'), index.getCoordinate(i, 'z'));
+                    if (value > bestScore) {
+                        bestScore = value;
+                        bestIndex = i;
+                    }
+                });
+                return bestIndex >= 0 ? point(bestIndex) : null;
+            };
+
+            // 한쪽(sign 방향) 윤곽의 뒤꿈치 접선과 발가락 접선 사이 각 (발가락이 반대쪽으로 휠수록 큼)
+            const borderAngle = (sign, joint, band) => {
+                const head = joint || best(outline(heelZ + L * band[0], heelZ + L * band[1]), (x) => sign * x);
+                if (!head) return null;
+
+                const [heelFrom, heelTo] = S.heelBand;
+                const heel = best(outline(heelZ + L * heelFrom, heelZ + L * heelTo),
+                    (x, z) => Math.atan2(sign * (x - head[0]), head[2] - z));
+                const toe = best(outline(head[2] + L * S.toeGap, Infinity),
+                    (x, z) => Math.atan2(sign * (x - head[0]), z - head[2]));
+                if (!heel || !toe) return null;
+
+                const border = Math.atan2(sign * (head[0] - heel[0]), head[2] - heel[2]);
+                const toeLine = Math.atan2(sign * (toe[0] - head[0]), toe[2] - head[2]);
+                return THREE.MathUtils.radToDeg(border - toeLine);
+            };
+
+            forefoot.halluxValgusAngle = borderAngle(medialSign, points?.mth1, S.mth1Band);
+            forefoot.halluxValgusGrade = MeasurementEngine.classifyHalluxValgus(forefoot.halluxValgusAngle);
+            forefoot.fifthToeAngle = borderAngle(-medialSign, points?.mth5, S.mth5Band);
+            forefoot.fifthToeVarus = forefoot.fifthToeAngle !== null ? forefoot.fifthToeAngle >= S.fifthToeVarus : null;
+
+            console.log('📏 앞발 분석:', {
+                halluxValgusAngle: forefoot.halluxValgusAngle?.toFixed(1),
+                fifthToeAngle: forefoot.fifthToeAngle?.toFixed(1),
+                toes: forefoot.toes.map(toe => toe.offset.toFixed(1)),
+                toeShape: forefoot.toeShape,
+                toeHeight: forefoot.toeHeight?.toFixed(1)
+            });
+
+        } catch (error) {
+            console.error('❌ 앞발 분석 오류:', error);
+        }
+
+        return forefoot;
+    }
+
+    /**
+     * 부피·표면적 (cm³, cm², 점군이거나 실패하면 null)
+     * 발목 절단면은 막아서 계산하고, 그 밖의 구멍이나 비다양체 모서리가 있으면 watertight=false, 신뢰도 '낮음'
+     * regions: 발 축을 따라 나눈 뒤발·중간발·앞발 부피
+     */
+    measureVolume(positions, geometry, index, footLength, unitMultiplier, points = null) {
+        if (!footLength || geometry.userData?.isPointCloud === true) return null;
+
+        try {
+            const S = VOLUME_SETTINGS;
+            const L = footLength;
+            const heelZ = points?.pternion ? points.pternion[2] : index.min[2];
+            const soleY = index.min[1];
+
+            const result = MeshVolume.analyze(positions, geometry.index ? geometry.index.array : null, {
+                splits: S.regionSplits.map(ratio => heelZ + L * ratio),
+                axis: 2
+            });
+
+            const [largest] = result.loops;
+            const opening = largest && largest.centroid[1] >= soleY + L * S.openingMinHeight ? largest : null;
+            const holeCount = result.loops.length - (opening ? 1 : 0);
+            const watertight = holeCount === 0 && result.nonManifoldEdges === 0 && result.inconsistentEdges === 0;
+
+            const toCm3 = unitMultiplier ** 3 / 1000;
+            const [rearfoot, midfoot, forefoot] = result.regions.map(value => value * toCm3);
+            const volume = {
+                volume: result.volume * toCm3,
+                surfaceArea: result.area * unitMultiplier ** 2 / 100,
+                regions: { rearfoot, midfoot, forefoot },
+                ankleCapped: !!opening,
+                watertight,
+                holeCount,
+                nonManifoldEdges: result.nonManifoldEdges + result.inconsistentEdges,
+                confidence: watertight ? '높음' : '낮음'
+            };
+
+            console.log('📦 부피 측정:', {
+                volume: volume.volume.toFixed(1) + ' cm³',
+                surfaceArea: volume.surfaceArea.toFixed(1) + ' cm²',
+                regions: [rearfoot, midfoot, forefoot].map(value => value.toFixed(1)).join(' / '),
+                holeCount,
+                watertight
+            });
+
+            return volume;
+        } catch (error) {
+            console.error('❌ 부피 측정 오류:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 엄지발가락 외반 정도 ('Normal' | 'Mild' | 'Moderate' | 'Severe', 각도가 없으면 null)
+     */
+    static classifyHalluxValgus(angle) {
+        if (!Number.isFinite(angle)) return null;
+
+        const [mild, moderate, severe] = FOREFOOT_SETTINGS.halluxValgusGrades;
+        if (angle >= severe) return 'Severe';
+        if (angle >= moderate) return 'Moderate';
+        if (angle >= mild) return 'Mild';
+        return 'Normal';
+    }
+
+    /**
+     * 발가락 형태 (둘째 발가락이 엄지보다 길면 Greek, 짧으면 Egyptian, 비슷하면 Roman)
+     * secondToeOffset: 엄지 대비 둘째 발가락 끝 위치 (발 길이 비율)
+     */
+    static classifyToeShape(secondToeOffset) {
+        if (!Number.isFinite(secondToeOffset)) return null;
+
+        const tolerance = FOREFOOT_SETTINGS.toeShapeTolerance;
+        if (secondToeOffset > tolerance) return 'Greek';
+        if (secondToeOffset < -tolerance) return 'Egyptian';
+        return 'Roman';
+    }
+
+    /**
+     * 아치 유형 (AHI 기준, AHI를 못 구하면 'Analysis Pending')
+     */
+    static classifyArch(arch) {
+        if (!Number.isFinite(arch?.ahi)) return 'Analysis Pending';
+
+        const [low, high] = ARCH_SETTINGS.ahiRange;
+        if (arch.ahi > high) return 'High Arch';
+        if (arch.ahi < low) return 'Low Arch / Flat Foot';
+        return 'Normal Arch';
+    }
+
+    /**
+     * 발볼 구간의 좌우 최돌출점 두 개 ([x, y, z] 원본 단위, 안쪽/바깥쪽 구분 없이 X 작은 쪽부터)
+     */
+    findBallPoints(index, heelZ, soleY, footLength) {
+        const [from, to] = GIRTH_SETTINGS.ballBand;
+        const band = index.filter(
+            index.rangeOnAxis('z', heelZ + footLength * from, heelZ + footLength * to),
+            i => index.getCoordinate(i, 'y') <= soleY + footLength * GIRTH_SETTINGS.ballMaxHeight
+        );
+        if (band.length === 0) return null;
+
+        let minIndex = band[0];
+        let maxIndex = band[0];
+        for (let n = 1; n < band.length; n++) {
+            const x = index.getCoordinate(band[n], 'x');
+            if (x < index.getCoordinate(minIndex, 'x')) minIndex = band[n];
+            if (x > index.getCoordinate(maxIndex, 'x')) maxIndex = band[n];
+        }
+
+        const point = (i) => [index.getCoordinate(i, 'x'), index.getCoordinate(i, 'y'), index.getCoordinate(i, 'z')];
+        return [point(minIndex), point(maxIndex)];
+    }
+
+    /**
+     * 단면 → 둘레 결과 (mm 값 + 원본 geometry 좌표의 윤곽선, 워커에서 그대로 전송 가능한 형태)
+     * plane은 측정 좌표계(발 기준 회전 적용, 원본 단위) 기준
+     */
+    describeGirth({ plane, contours, tape }, unitMultiplier, inverse, isPointCloud) {
+        const toGeometry = (points) => Float32Array.from(MeasurementEngine.transformPositions(points, inverse));
+
+        return {
+            value: tape.length * unitMultiplier,
+            contourLength: contours[0].length * unitMultiplier,
+            closed: contours.every(contour => contour.closed),
+            method: isPointCloud ? 'points' : 'mesh',
+            plane,
+            contours: contours.map(contour => ({ points: toGeometry(contour.points), closed: contour.closed }))
+        };
+    }
+
     /**
      * 비율 계산
      */
@@ -424,7 +1045,7 @@ export class MeasurementEngine extends EventTarget {
     /**
      * 발 유형 분석
      */
-    analyzeFootType(length, width, height) {
+    analyzeFootType(length, width, height, arch = null) {
         if (!length || !width || !height) {
             return { 
                 footType: 'Analysis Pending', 
@@ -434,7 +1055,6 @@ export class MeasurementEngine extends EventTarget {
         }
 
         const lwRatio = length / width;
-        const hlRatio = height / length;
         
         let footType = '';
         let description = '';
@@ -450,14 +1070,7 @@ export class MeasurementEngine extends EventTarget {
             description = 'Well-balanced foot proportions with standard dimensions';
         }
         
-        let archType = '';
-        if (hlRatio > 0.25) {
-            archType = 'High Arch';
-        } else if (hlRatio < 0.18) {
-            archType = 'Low Arch / Flat Foot';
-        } else {
-            archType = 'Normal Arch';
-        }
+        const archType = MeasurementEngine.classifyArch(arch);
         
         return { footType, archType, description };
     }
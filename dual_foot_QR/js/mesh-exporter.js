@@ -0,0 +1,178 @@
+/**
+ * 메시 내보내기 모듈 - 발별 삼각형 메시를 출력 좌표(mm, Z 위)로 배치하고 3D 프린팅·가공용 STL(바이너리)/3MF/OBJ 파일로 변환·저장 전담 (여러 파일은 ZIP 하나로 묶음)
+ * meshes: [{ name, positions(Float32Array xyz), index(Uint32Array, 바깥 방향 반시계 감기) }]
+ */
+import { zipSync, strToU8 } from 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/jsm/libs/fflate.module.js';
+import { Utils } from './utils.js';
+
+// 바이너리 STL 머리글 80바이트, 삼각형마다 50바이트 (법선 + 꼭짓점 3개 + 속성 2바이트)
+const STL_HEADER_BYTES = 80;
+const STL_TRIANGLE_BYTES = 50;
+
+// 출력 배치에서 두 발 메시 사이 간격 (mm)
+const LAYOUT_SPACING = 15;
+
+// 3MF 패키지 구성 파일
+const THREEMF_CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>'
+    + '</Types>';
+const THREEMF_RELS = '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>'
+    + '</Relationships>';
+
+export class MeshExporter {
+    /**
+     * 발별 메시를 출력 좌표로 배치 (mm, Z 위, Y 발끝 방향, 가장 낮은 점이 Z = 0)
+     * parts: { left, right } ({ name, positions(발 기준 좌표 mm), index } 또는 null)
+     * 발 기준 좌표 (x, y, z) → (-x, z, y) 회전만 하므로 반전 없이 왼발·오른발 형상과 면 방향이 그대로 유지됨
+     * 위에서 보았을 때 왼발을 왼쪽, 오른발을 오른쪽에 둠
+     * 반환: [{ name, foot, positions, index }]
+     */
+    static layoutFeet(parts) {
+        const meshes = [];
+        let cursor = 0;
+
+        ['left', 'right'].forEach(foot => {
+            const part = parts[foot];
+            if (!part) return;
+
+            const source = part.positions;
+            const positions = new Float32Array(source.length);
+            for (let i = 0; i + 2 < source.length; i += 3) {
+                positions[i] = -source[i];
+                positions[i + 1] = source[i + 2];
+                positions[i + 2] = source[i + 1];
+            }
+
+            const min = [Infinity, Infinity, Infinity];
+            let maxX = -Infinity;
+            for (let i = 0; i + 2 < positions.length; i += 3) {
+                for (let axis = 0; axis < 3; axis++) min[axis] = Math.min(min[axis], positions[i + axis]);
+                maxX = Math.max(maxX, positions[i]);
+            }
+            for (let i = 0; i + 2 < positions.length; i += 3) {
+                positions[i] += cursor - min[0];
+                positions[i + 1] -= min[1];
+                positions[i + 2] -= min[2];
+            }
+
+            meshes.push({ name: part.name, foot, positions, index: part.index });
+            cursor += maxX - min[0] + LAYOUT_SPACING;
+        });
+
+        return meshes;
+    }
+
+    /**
+     * 바이너리 STL (모든 메시를 한 파일에, 법선은 감기 방향으로 계산)
+     */
+    static toSTL(meshes, header = 'dual-foot mesh (mm)') {
+        const triangleCount = meshes.reduce((sum, mesh) => sum + mesh.index.length / 3, 0);
+        const buffer = new ArrayBuffer(STL_HEADER_BYTES + 4 + triangleCount * STL_TRIANGLE_BYTES);
+        const view = new DataView(buffer);
+
+        // 머리글은 ASCII만 (일부 프로그램은 'solid'로 시작하면 ASCII STL로 읽으므로 피함)
+        const title = header.replace(/[^\x20-\x7e]/g, '').replace(/^solid/i, 'mesh').slice(0, STL_HEADER_BYTES);
+        for (let i = 0; i < title.length; i++) view.setUint8(i, title.charCodeAt(i));
+        view.setUint32(STL_HEADER_BYTES, triangleCount, true);
+
+        let offset = STL_HEADER_BYTES + 4;
+        meshes.forEach(({ positions, index }) => {
+            for (let t = 0; t < index.length; t += 3) {
+                const corners = [index[t], index[t + 1], index[t + 2]].map(v => [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]]);
+                [MeshExporter.faceNormal(...corners), ...corners].forEach(([x, y, z]) => {
+                    view.setFloat32(offset, x, true);
+                    view.setFloat32(offset + 4, y, true);
+                    view.setFloat32(offset + 8, z, true);
+                    offset += 12;
+                });
+                offset += 2;
+            }
+        });
+
+        return buffer;
+    }
+
+    /**
+     * 3MF 패키지 (메시마다 객체 하나, 단위 mm)
+     */
+    static to3MF(meshes) {
+        const format = (value) => `${Math.round(value * 1000) / 1000}`;
+        const objects = meshes.map(({ name, positions, index }, i) => {
+            const vertices = [];
+            for (let v = 0; v + 2 < positions.length; v += 3) {
+                vertices.push(`<vertex x="${format(positions[v])}" y="${format(positions[v + 1])}" z="${format(positions[v + 2])}"/>`);
+            }
+            const triangles = [];
+            for (let t = 0; t < index.length; t += 3) {
+                triangles.push(`<triangle v1="${index[t]}" v2="${index[t + 1]}" v3="${index[t + 2]}"/>`);
+            }
+            return `<object id="${i + 1}" name="${Utils.escapeHtml(name)}" type="model"><mesh>`
+                + `<vertices>${vertices.join('')}</vertices><triangles>${triangles.join('')}</triangles>`
+                + '</mesh></object>';
+        });
+        const items = meshes.map((mesh, i) => `<item objectid="${i + 1}"/>`);
+
+        const model = '<?xml version="1.0" encoding="UTF-8"?>\n'
+            + '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">'
+            + `<resources>${objects.join('')}</resources><build>${items.join('')}</build></model>`;
+
+        return zipSync({
+            '[Content_Types].xml': strToU8(THREEMF_CONTENT_TYPES),
+            '_rels/.rels': strToU8(THREEMF_RELS),
+            '3D/3dmodel.model': strToU8(model)
+        });
+    }
+
+    /**
+     * OBJ 텍스트 (메시마다 o 그룹 하나, 면 번호는 파일 전체에서 1부터)
+     */
+    static toOBJ(meshes, header = 'dual-foot mesh (mm)') {
+        const format = (value) => `${Math.round(value * 1000) / 1000}`;
+        const lines = [`# ${header}`];
+        let base = 1;
+
+        meshes.forEach(({ name, positions, index }) => {
+            lines.push(`o ${name.replace(/\s+/g, '_')}`);
+            for (let v = 0; v + 2 < positions.length; v += 3) {
+                lines.push(`v ${format(positions[v])} ${format(positions[v + 1])} ${format(positions[v + 2])}`);
+            }
+            for (let t = 0; t < index.length; t += 3) {
+                lines.push(`f ${index[t] + base} ${index[t + 1] + base} ${index[t + 2] + base}`);
+            }
+            base += positions.length / 3;
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * 여러 파일을 ZIP 하나로 (files: { 파일 이름: 문자열 | ArrayBuffer | Uint8Array }, 브라우저가 연속 다운로드를 막지 않도록 한 번에 저장)
+     */
+    static toZip(files) {
+        const entries = {};
+        Object.entries(files).forEach(([name, content]) => {
+            if (typeof content === 'string') entries[name] = strToU8(content);
+            else entries[name] = content instanceof Uint8Array ? content : new Uint8Array(content);
+        });
+        return zipSync(entries);
+    }
+
+    /**
+     * 삼각형 단위 법선 (넓이가 0이면 0 벡터)
+     */
+    static faceNormal(a, b, c) {
+        const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const length = Math.hypot(n[0], n[1], n[2]);
+        return length > 0 ? n.map(value => value / length) : [0, 0, 0];
+    }
+
+    static download(content, fileName, mimeType) {
+        Utils.downloadFile(new Blob([content], { type: mimeType }), fileName, mimeType);
+    }
+}
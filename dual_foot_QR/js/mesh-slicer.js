@@ -0,0 +1,312 @@
+/**
+ * 메시 단면 모듈 - 평면과 삼각형 메시의 교차 단면(윤곽선)과 둘레 계산 전담
+ * 평면은 { normal: [x, y, z](단위 벡터), offset } 형태로 normal·p = offset 을 만족하는 점의 집합
+ */
+
+// 인덱스 없는 메시의 정점 용접 격자 (좌표 단위에 비례)
+const WELD_PRECISION = 1e-6;
+
+export class MeshSlicer {
+    /**
+     * 메시 단면 계산
+     * index가 없으면 정점 3개씩을 삼각형으로 보고 같은 좌표의 정점을 용접해 윤곽선을 연결
+     * (같은 메시를 여러 번 자를 때는 weldVertices 결과를 weld로 넘겨 재사용)
+     * 반환: { contours: [{ points: Float64Array(xyz...), closed, length }], pointCount }
+     */
+    static slice(positions, index, plane, weld = null) {
+        const vertexCount = Math.floor(positions.length / 3);
+        const faces = index || MeshSlicer.sequentialIndex(vertexCount);
+        weld = index ? null : (weld || MeshSlicer.weldVertices(positions));
+        const distances = MeshSlicer.signedDistances(positions, plane);
+
+        // 교차 모서리(정점 쌍) → 교점 번호, 삼각형마다 교점 두 개를 잇는 선분 하나
+        const edgePoints = new Map();
+        const points = [];
+        const segments = [];
+
+        const edgePoint = (a, b) => {
+            const ka = weld ? weld[a] : a;
+            const kb = weld ? weld[b] : b;
+            const key = ka < kb ? ka * vertexCount + kb : kb * vertexCount + ka;
+
+            let id = edgePoints.get(key);
+            if (id === undefined) {
+                const t = distances[a] / (distances[a] - distances[b]);
+                const oa = a * 3, ob = b * 3;
+                id = points.length / 3;
+                points.push(
+                    positions[oa] + (positions[ob] - positions[oa]) * t,
+                    positions[oa + 1] + (positions[ob + 1] - positions[oa + 1]) * t,
+                    positions[oa + 2] + (positions[ob + 2] - positions[oa + 2]) * t
+                );
+                edgePoints.set(key, id);
+            }
+            return id;
+        };
+
+        for (let f = 0; f + 2 < faces.length; f += 3) {
+            const a = faces[f], b = faces[f + 1], c = faces[f + 2];
+            // 평면 위 정점은 양수 쪽으로 취급해 삼각형당 교차 모서리가 항상 0개 또는 2개가 되도록 함
+            const sa = distances[a] >= 0, sb = distances[b] >= 0, sc = distances[c] >= 0;
+            if (sa === sb && sb === sc) continue;
+            if (!Number.isFinite(distances[a] + distances[b] + distances[c])) continue;
+
+            const crossing = [];
+            if (sa !== sb) crossing.push(edgePoint(a, b));
+            if (sb !== sc) crossing.push(edgePoint(b, c));
+            if (sc !== sa) crossing.push(edgePoint(c, a));
+            if (crossing[0] !== crossing[1]) segments.push(crossing[0], crossing[1]);
+        }
+
+        return {
+            contours: MeshSlicer.chainSegments(points, segments),
+            pointCount: points.length / 3
+        };
+    }
+
+    /**
+     * 점군 단면 - 평면에서 thickness/2 이내의 점을 평면에 투영해 볼록 껍질을 윤곽선으로 사용
+     */
+    static slicePoints(positions, plane, thickness) {
+        const distances = MeshSlicer.signedDistances(positions, plane);
+        const [nx, ny, nz] = plane.normal;
+        const half = thickness / 2;
+        const points = [];
+
+        for (let i = 0; i < distances.length; i++) {
+            const d = distances[i];
+            if (!(Math.abs(d) <= half)) continue;
+            const o = i * 3;
+            points.push(positions[o] - nx * d, positions[o + 1] - ny * d, positions[o + 2] - nz * d);
+        }
+
+        if (points.length < 9) return { contours: [], pointCount: points.length / 3 };
+
+        const hull = MeshSlicer.hullOnPlane(points, plane);
+        return {
+            contours: [{ points: hull.points, closed: true, length: hull.length }],
+            pointCount: points.length / 3
+        };
+    }
+
+    /**
+     * 선분 목록 → 이어진 윤곽선 (닫힌 고리 또는 구멍에서 끊긴 열린 선)
+     */
+    static chainSegments(points, segments) {
+        const pointCount = points.length / 3;
+        const segmentCount = segments.length / 2;
+
+        // 교점마다 연결된 선분 (다양체 메시는 교점당 최대 2개)
+        const links = Array.from({ length: pointCount }, () => []);
+        for (let s = 0; s < segmentCount; s++) {
+            links[segments[s * 2]].push(s);
+            links[segments[s * 2 + 1]].push(s);
+        }
+
+        const used = new Uint8Array(segmentCount);
+        const contours = [];
+
+        const walk = (start, firstSegment) => {
+            const chain = [start];
+            let current = start;
+            let segment = firstSegment;
+
+            while (segment !== -1 && !used[segment]) {
+                used[segment] = 1;
+                const next = segments[segment * 2] === current ? segments[segment * 2 + 1] : segments[segment * 2];
+                chain.push(next);
+                current = next;
+                segment = links[current].find(s => !used[s]) ?? -1;
+            }
+            return chain;
+        };
+
+        // 끝점(연결 선분 1개)에서 먼저 출발해 열린 선을 온전히 추적한 뒤 남은 고리 처리
+        const starts = [];
+        for (let p = 0; p < pointCount; p++) if (links[p].length === 1) starts.push(p);
+        for (let p = 0; p < pointCount; p++) if (links[p].length > 1) starts.push(p);
+
+        for (const start of starts) {
+            const segment = links[start].find(s => !used[s]);
+            if (segment === undefined) continue;
+
+            const chain = walk(start, segment);
+            const closed = chain.length > 3 && chain[0] === chain[chain.length - 1];
+            if (closed) chain.pop();
+            if (chain.length < 2) continue;
+
+            const flat = new Float64Array(chain.length * 3);
+            chain.forEach((p, i) => {
+                flat[i * 3] = points[p * 3];
+                flat[i * 3 + 1] = points[p * 3 + 1];
+                flat[i * 3 + 2] = points[p * 3 + 2];
+            });
+
+            contours.push({ points: flat, closed, length: MeshSlicer.polylineLength(flat, closed) });
+        }
+
+        return contours.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * 줄자 둘레 - 단면 전체를 감싸는 볼록 껍질의 둘레 (발가락 사이, 아치 안쪽 오목부는 건너뜀)
+     * 반환: { length, points: Float64Array(껍질 꼭짓점 xyz) }
+     */
+    static tapeGirth(contours, plane) {
+        const all = [];
+        contours.forEach(contour => {
+            for (let i = 0; i < contour.points.length; i++) all.push(contour.points[i]);
+        });
+        if (all.length < 9) return { length: 0, points: new Float64Array(0) };
+
+        return MeshSlicer.hullOnPlane(all, plane);
+    }
+
+    /**
+     * 평면 위 점(xyz 배열) → 평면 좌표계 2D 볼록 껍질 (Andrew monotone chain)
+     */
+    static hullOnPlane(points, plane) {
+        const { u, v } = MeshSlicer.planeBasis(plane.normal);
+        const count = points.length / 3;
+        const projected = new Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const x = points[i * 3], y = points[i * 3 + 1], z = points[i * 3 + 2];
+            projected[i] = [x * u[0] + y * u[1] + z * u[2], x * v[0] + y * v[1] + z * v[2], i];
+        }
+        projected.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const lower = [];
+        const upper = [];
+
+        for (const p of projected) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+            lower.push(p);
+        }
+        for (let i = projected.length - 1; i >= 0; i--) {
+            const p = projected[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+            upper.push(p);
+        }
+
+        const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+        const flat = new Float64Array(hull.length * 3);
+        hull.forEach((p, i) => {
+            const o = p[2] * 3;
+            flat[i * 3] = points[o];
+            flat[i * 3 + 1] = points[o + 1];
+            flat[i * 3 + 2] = points[o + 2];
+        });
+
+        return { length: MeshSlicer.polylineLength(flat, true), points: flat };
+    }
+
+    /**
+     * 평면 내 직교 기저 (u, v)
+     */
+    static planeBasis(normal) {
+        const [nx, ny, nz] = normal;
+        // 법선과 가장 덜 평행한 좌표축으로 첫 기저 생성
+        const helper = Math.abs(nx) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+
+        let u = [
+            helper[1] * nz - helper[2] * ny,
+            helper[2] * nx - helper[0] * nz,
+            helper[0] * ny - helper[1] * nx
+        ];
+        const length = Math.hypot(u[0], u[1], u[2]);
+        u = u.map(c => c / length);
+
+        const v = [
+            ny * u[2] - nz * u[1],
+            nz * u[0] - nx * u[2],
+            nx * u[1] - ny * u[0]
+        ];
+
+        return { u, v };
+    }
+
+    /**
+     * 정점별 평면까지의 부호 거리
+     */
+    static signedDistances(positions, plane) {
+        const [nx, ny, nz] = plane.normal;
+        const count = Math.floor(positions.length / 3);
+        const distances = new Float64Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const o = i * 3;
+            distances[i] = nx * positions[o] + ny * positions[o + 1] + nz * positions[o + 2] - plane.offset;
+        }
+
+        return distances;
+    }
+
+    /**
+     * 통과점과 법선(정규화 전) → 평면 객체
+     */
+    static planeFromPointNormal(point, normal) {
+        const length = Math.hypot(normal[0], normal[1], normal[2]);
+        const n = normal.map(c => c / length);
+        return { normal: n, offset: n[0] * point[0] + n[1] * point[1] + n[2] * point[2] };
+    }
+
+    /**
+     * 꺾은선 길이 (closed면 마지막 점→첫 점 포함)
+     */
+    static polylineLength(points, closed) {
+        const count = points.length / 3;
+        let length = 0;
+
+        for (let i = 1; i < count; i++) {
+            const o = i * 3;
+            length += Math.hypot(points[o] - points[o - 3], points[o + 1] - points[o - 2], points[o + 2] - points[o - 1]);
+        }
+        if (closed && count > 2) {
+            const o = (count - 1) * 3;
+            length += Math.hypot(points[0] - points[o], points[1] - points[o + 1], points[2] - points[o + 2]);
+        }
+
+        return length;
+    }
+
+    /**
+     * 인덱스 없는 메시용 순차 인덱스
+     */
+    static sequentialIndex(vertexCount) {
+        const index = new Uint32Array(vertexCount - (vertexCount % 3));
+        for (let i = 0; i < index.length; i++) index[i] = i;
+        return index;
+    }
+
+    /**
+     * 같은 좌표의 정점 → 대표 정점 번호 (인덱스 없는 메시에서 이웃 삼각형의 교점을 공유하기 위함)
+     */
+    static weldVertices(positions) {
+        const count = Math.floor(positions.length / 3);
+        const weld = new Uint32Array(count);
+        const seen = new Map();
+
+        let scale = 0;
+        for (let i = 0; i < positions.length; i++) {
+            const value = Math.abs(positions[i]);
+            if (Number.isFinite(value) && value > scale) scale = value;
+        }
+        const step = (scale || 1) * WELD_PRECISION;
+
+        for (let i = 0; i < count; i++) {
+            const o = i * 3;
+            const key = `${Math.round(positions[o] / step)},${Math.round(positions[o + 1] / step)},${Math.round(positions[o + 2] / step)}`;
+            const existing = seen.get(key);
+            if (existing === undefined) {
+                seen.set(key, i);
+                weld[i] = i;
+            } else {
+                weld[i] = existing;
+            }
+        }
+
+        return weld;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * 메시 부피 모듈 - 삼각형 메시의 부피·표면적과 한 축을 따라 나눈 구간별 부피 계산 전담
+ * 열린 경계(발목 절단면, 스캔 구멍)는 경계 고리 중심점으로 부채꼴 삼각형을 덧대 막은 뒤 부피를 계산
+ */
+import { MeshSlicer } from './mesh-slicer.js';
+
+export class MeshVolume {
+    /**
+     * 부피·표면적 계산 (발산 정리: 구간 경계 평면과 나란한 벡터장의 면 적분)
+     * index가 없으면 정점 3개씩을 삼각형으로 보고, 같은 좌표의 정점은 용접해 모서리를 공유
+     * splits: 구간 경계 좌표 (오름차순), axis: 구간을 나눌 축 (0: X, 1: Y, 2: Z)
+     * 반환 (원본 단위): { volume, area, regions: [구간별 부피 (splits.length + 1개)],
+     *   loops: [{ length, centroid, edgeCount }], nonManifoldEdges, inconsistentEdges }
+     */
+    static analyze(positions, index, { splits = [], axis = 2 } = {}) {
+        const vertexCount = Math.floor(positions.length / 3);
+        const faces = index || MeshSlicer.sequentialIndex(vertexCount);
+        const weld = MeshSlicer.weldVertices(positions);
+        const regions = new Float64Array(splits.length + 1);
+        const point = (v) => [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]];
+
+        // 방향 있는 모서리(a→b) 사용 횟수
+        const halfEdges = new Map();
+        const addHalfEdge = (a, b) => {
+            const key = a * vertexCount + b;
+            halfEdges.set(key, (halfEdges.get(key) || 0) + 1);
+        };
+
+        let area = 0;
+        for (let f = 0; f + 2 < faces.length; f += 3) {
+            const a = weld[faces[f]], b = weld[faces[f + 1]], c = weld[faces[f + 2]];
+            if (a === b || b === c || c === a) continue;
+
+            const pa = point(a), pb = point(b), pc = point(c);
+            const triangleArea = MeshVolume.triangleArea(pa, pb, pc);
+            if (!Number.isFinite(triangleArea)) continue;
+
+            area += triangleArea;
+            MeshVolume.accumulate(regions, [pa, pb, pc], splits, axis);
+            addHalfEdge(a, b);
+            addHalfEdge(b, c);
+            addHalfEdge(c, a);
+        }
+
+        // 모서리 검사: 반대 방향 짝이 없으면 경계, 같은 방향이 겹치면 면 방향 불일치, 세 면 이상이면 비다양체
+        const boundary = new Map(); // 경계 시작 정점 → 끝 정점 목록
+        let nonManifoldEdges = 0;
+        let inconsistentEdges = 0;
+        halfEdges.forEach((count, key) => {
+            const a = Math.floor(key / vertexCount);
+            const b = key - a * vertexCount;
+            const reverse = halfEdges.get(b * vertexCount + a) || 0;
+
+            if (count > 1) inconsistentEdges++;
+            if (count + reverse > 2 && (a < b || reverse === 0)) nonManifoldEdges++;
+            if (count === 1 && reverse === 0) {
+                if (!boundary.has(a)) boundary.set(a, []);
+                boundary.get(a).push(b);
+            }
+        });
+
+        // 경계 고리마다 중심점으로 덮개 삼각형(경계 모서리의 반대 방향)을 만들어 부피에 더함
+        const loops = MeshVolume.traceLoops(boundary);
+        const loopInfo = loops.map(loop => {
+            const centroid = [0, 0, 0];
+            let length = 0;
+            loop.forEach(([a, b]) => {
+                const pa = point(a), pb = point(b);
+                centroid[0] += pa[0];
+                centroid[1] += pa[1];
+                centroid[2] += pa[2];
+                length += Math.hypot(pb[0] - pa[0], pb[1] - pa[1], pb[2] - pa[2]);
+            });
+            centroid.forEach((value, i) => { centroid[i] = value / loop.length; });
+
+            loop.forEach(([a, b]) => MeshVolume.accumulate(regions, [point(b), point(a), centroid], splits, axis));
+            return { length, centroid, edgeCount: loop.length };
+        });
+
+        // 면 방향이 안쪽을 향하면 부호가 뒤집히므로 전체 부호에 맞춤
+        let volume = regions.reduce((sum, value) => sum + value, 0);
+        if (volume < 0) {
+            volume = -volume;
+            regions.forEach((value, i) => { regions[i] = -value; });
+        }
+
+        return {
+            volume,
+            area,
+            regions: Array.from(regions),
+            loops: loopInfo.sort((a, b) => b.length - a.length),
+            nonManifoldEdges,
+            inconsistentEdges
+        };
+    }
+
+    /**
+     * 다각형의 구간별 부피 기여분 누적 (구간 경계를 넘으면 경계 평면으로 잘라 나눔)
+     */
+    static accumulate(regions, polygon, splits, axis) {
+        const regionOf = (value) => {
+            let r = 0;
+            while (r < splits.length && value >= splits[r]) r++;
+            return r;
+        };
+
+        const first = regionOf(polygon[0][axis]);
+        let last = first;
+        let lowest = first;
+        for (let i = 1; i < polygon.length; i++) {
+            const r = regionOf(polygon[i][axis]);
+            lowest = Math.min(lowest, r);
+            last = Math.max(last, r);
+        }
+
+        if (lowest === last) {
+            regions[lowest] += MeshVolume.polygonFlux(polygon, axis);
+            return;
+        }
+
+        for (let r = lowest; r <= last; r++) {
+            const lo = r === 0 ? -Infinity : splits[r - 1];
+            const hi = r === splits.length ? Infinity : splits[r];
+            const clipped = MeshVolume.clipPolygon(MeshVolume.clipPolygon(polygon, axis, lo, 1), axis, hi, -1);
+            if (clipped.length >= 3) regions[r] += MeshVolume.polygonFlux(clipped, axis);
+        }
+    }
+
+    /**
+     * 다각형을 axis 좌표 기준 평면으로 자름 (direction 1: limit 이상 유지, -1: limit 이하 유지)
+     */
+    static clipPolygon(polygon, axis, limit, direction) {
+        if (!Number.isFinite(limit)) return polygon;
+
+        const inside = (p) => direction * (p[axis] - limit) >= 0;
+        const result = [];
+        polygon.forEach((current, i) => {
+            const previous = polygon[(i + polygon.length - 1) % polygon.length];
+            const currentIn = inside(current);
+            if (currentIn !== inside(previous)) {
+                const t = (limit - previous[axis]) / (current[axis] - previous[axis]);
+                result.push(previous.map((value, k) => value + (current[k] - value) * t));
+            }
+            if (currentIn) result.push(current);
+        });
+        return result;
+    }
+
+    /**
+     * 다각형 면을 지나는 벡터장 (축 axis 다음 성분만 좌표값을 갖는 장) 선속 - 닫힌 면 전체 합이 부피
+     * 벡터장이 구간 경계 평면과 나란하므로 자른 단면은 선속이 없어 구간별 합이 곧 구간 부피
+     */
+    static polygonFlux(polygon, axis) {
+        const f = (axis + 1) % 3;
+        const u = (f + 1) % 3;
+        const v = (f + 2) % 3;
+        const p0 = polygon[0];
+        let flux = 0;
+
+        for (let i = 1; i + 1 < polygon.length; i++) {
+            const p1 = polygon[i], p2 = polygon[i + 1];
+            const normal = (p1[u] - p0[u]) * (p2[v] - p0[v]) - (p1[v] - p0[v]) * (p2[u] - p0[u]);
+            flux += (normal / 2) * ((p0[f] + p1[f] + p2[f]) / 3);
+        }
+        return flux;
+    }
+
+    /**
+     * 삼각형 넓이
+     */
+    static triangleArea(a, b, c) {
+        const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+        const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+        return Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+    }
+
+    /**
+     * 경계 모서리 → 경계 고리 목록 ([[a, b], ...], 끊긴 경계는 이어진 데까지만 하나의 고리로 취급)
+     */
+    static traceLoops(boundary) {
+        const loops = [];
+        boundary.forEach((targets, start) => {
+            while (targets.length > 0) {
+                const loop = [];
+                let current = start;
+                let next = targets.pop();
+                while (next !== undefined) {
+                    loop.push([current, next]);
+                    current = next;
+                    next = current === start ? undefined : boundary.get(current)?.pop();
+                }
+                loops.push(loop);
+            }
+        });
+        return loops;
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * 포인트 클라우드 파서 모듈 - 스캐너 원본 ASCII 점군(XYZ, PTS, TXT/ASC) 파싱 전담
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+
+export class PointCloudParser {
+    /**
+     * ASCII 점군 텍스트를 BufferGeometry로 변환
+     * 컬럼 구성은 열 개수와 값 범위로 자동 판별 (x y z [i] [r g b] [nx ny nz])
+     */
+    static parseASCII(text, format = 'xyz') {
+        const rows = PointCloudParser.readNumericRows(text, format);
+
+        if (rows.length === 0) {
+            throw new Error('점군 데이터가 없습니다.');
+        }
+
+        const layout = PointCloudParser.detectColumnLayout(rows);
+        console.log(`☁️ ${format.toUpperCase()} 점군 컬럼 구성:`, layout);
+
+        const count = rows.length;
+        const positions = new Float32Array(count * 3);
+        const colors = layout.color !== null ? new Float32Array(count * 3) : null;
+        const normals = layout.normal !== null ? new Float32Array(count * 3) : null;
+
+        for (let i = 0; i < count; i++) {
+            const row = rows[i];
+            positions[i * 3] = row[0];
+            positions[i * 3 + 1] = row[1];
+            positions[i * 3 + 2] = row[2];
+
+            if (colors) {
+                for (let k = 0; k < 3; k++) {
+                    colors[i * 3 + k] = row[layout.color + k] / layout.colorScale;
+                }
+            }
+
+            if (normals) {
+                for (let k = 0; k < 3; k++) {
+                    normals[i * 3 + k] = row[layout.normal + k];
+                }
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        if (colors) geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        if (normals) geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+
+        geometry.userData.sourceFormat = format;
+        geometry.userData.isPointCloud = true;
+
+        return geometry;
+    }
+
+    /**
+     * 숫자 행만 추출 (주석, 헤더, PTS 점 개수 줄은 건너뜀)
+     */
+    static readNumericRows(text, format) {
+        const rows = [];
+        let expectedColumns = 0;
+
+        const lines = text.split(/\r?\n/);
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#') || line.startsWith('//')) continue;
+
+            const values = line.split(/[\s,;]+/).map(Number);
+            if (values.some(v => !Number.isFinite(v))) continue;
+
+            // PTS는 블록마다 점 개수만 적힌 줄이 앞에 옴
+            if (format === 'pts' && values.length === 1) continue;
+            if (values.length < 3) continue;
+
+            // 첫 데이터 행의 열 개수를 기준으로 깨진 행은 제외
+            if (expectedColumns === 0) expectedColumns = values.length;
+            if (values.length !== expectedColumns) continue;
+
+            rows.push(values);
+        }
+
+        return rows;
+    }
+
+    /**
+     * 열 개수와 표본 값으로 색상/법선 컬럼 위치 판별
+     */
+    static detectColumnLayout(rows) {
+        const columns = rows[0].length;
+        const layout = { columns, intensity: null, color: null, normal: null, colorScale: 1 };
+
+        switch (columns) {
+            case 3:
+                break;
+            case 4:
+                layout.intensity = 3;
+                break;
+            case 6:
+                // x y z nx ny nz 또는 x y z r g b
+                if (PointCloudParser.looksLikeNormals(rows, 3)) {
+                    layout.normal = 3;
+                } else {
+                    layout.color = 3;
+                }
+                break;
+            case 7:
+                // PTS 표준: x y z intensity r g b
+                layout.intensity = 3;
+                layout.color = 4;
+                break;
+            case 9:
+                // x y z r g b nx ny nz 또는 x y z nx ny nz r g b
+                if (PointCloudParser.looksLikeNormals(rows, 6)) {
+                    layout.color = 3;
+                    layout.normal = 6;
+                } else {
+                    layout.normal = 3;
+                    layout.color = 6;
+                }
+                break;
+            case 10:
+                // x y z intensity r g b nx ny nz
+                layout.intensity = 3;
+                layout.color = 4;
+                layout.normal = 7;
+                break;
+            default:
+                console.warn(`⚠️ 알 수 없는 점군 컬럼 수(${columns}) - 좌표만 사용`);
+                break;
+        }
+
+        if (layout.color !== null) {
+            layout.colorScale = PointCloudParser.detectColorScale(rows, layout.color);
+        }
+
+        return layout;
+    }
+
+    /**
+     * 해당 위치의 세 컬럼이 단위 벡터(법선)인지 표본 검사
+     */
+    static looksLikeNormals(rows, offset) {
+        const sampleCount = Math.min(rows.length, 200);
+        const step = Math.max(1, Math.floor(rows.length / sampleCount));
+        let unitCount = 0;
+        let checked = 0;
+
+        for (let i = 0; i < rows.length && checked < sampleCount; i += step, checked++) {
+            const row = rows[i];
+            const length = Math.hypot(row[offset], row[offset + 1], row[offset + 2]);
+            if (Math.abs(length - 1) < 0.05) unitCount++;
+        }
+
+        return unitCount / checked > 0.9;
+    }
+
+    /**
+     * 색상 값이 0-255 정수인지 0-1 실수인지 판별
+     */
+    static detectColorScale(rows, offset) {
+        for (const row of rows) {
+            if (row[offset] > 1 || row[offset + 1] > 1 || row[offset + 2] > 1) {
+                return 255;
+            }
+        }
+        return 1;
+    }
+}
@@ -1,6 +1,29 @@
 /**
  * 리포트 생성기 모듈 - 양발 PDF 및 QR 코드 생성 전담
  */
+import { MeasurementEngine } from './measurement.js';
+import { FootprintRenderer } from './footprint-renderer.js';
+
+// 좌우 표면 편차 부위 (surface-deviation.js 부위 순서) → PDF 표 이름
+const DEVIATION_REGION_NAMES = {
+    heel: 'Heel',
+    arch: 'Arch (midfoot)',
+    forefoot: 'Forefoot',
+    toes: 'Toes'
+};
+
+// 신발 추천 판정 항목 → PDF 약칭
+const FIT_DIMENSION_NAMES = {
+    length: 'length',
+    ballGirth: 'girth',
+    width: 'width',
+    toeBoxHeight: 'toe box'
+};
+
+// QR에 담는 추천 신발 모델 수와 이름 길이
+const QR_SHOE_FIT_LIMIT = 3;
+const QR_SHOE_NAME_LENGTH = 28;
+
 export class ReportGenerator extends EventTarget {
     constructor() {
         super();
@@ -9,8 +32,20 @@ export class ReportGenerator extends EventTarget {
 
     /**
      * 양발 PDF 리포트 생성
+     * options: { leftFileName, rightFileName, sceneManager, activeCamera, customMeasurements, surfaceDeviation, flexibility, shoeSizes, shoeFits }
+     * (sceneManager·activeCamera는 3D 모델 이미지용, 나머지 섹션은 값이 있을 때만 추가)
      */
-    generateDualFootPDFReport(leftMeasurements, rightMeasurements, leftFileName, rightFileName, sceneManager, activeCamera) {
+    generateDualFootPDFReport(leftMeasurements, rightMeasurements, {
+        leftFileName = '',
+        rightFileName = '',
+        sceneManager,
+        activeCamera,
+        customMeasurements = [],
+        surfaceDeviation = null,
+        flexibility = null,
+        shoeSizes = null,
+        shoeFits = []
+    } = {}) {
         if (!leftMeasurements || !rightMeasurements || Object.keys(leftMeasurements).length === 0 || Object.keys(rightMeasurements).length === 0) {
             this.dispatchEvent(new CustomEvent('reportError', {
                 detail: { message: '양발 측정 데이터가 없습니다. 먼저 양발 3D 모델을 로드해주세요.' }
@@ -56,6 +91,55 @@ export class ReportGenerator extends EventTarget {
             // 추천 사항 섹션
             const recommendationsYPos = this.addDualRecommendationsSection(doc, leftMeasurements, rightMeasurements, analysisYPos + 30);
 
+            // 둘레 측정 섹션 (새 페이지)
+            doc.addPage();
+            const girthYPos = this.addDualGirthSection(doc, leftMeasurements, rightMeasurements, 30);
+
+            // 발자국 섹션 (둘레 표 아래)
+            this.addDualFootprintSection(doc, leftMeasurements, rightMeasurements, girthYPos + 10);
+
+            // 부피·표면적 섹션 (새 페이지)
+            doc.addPage();
+            const volumeYPos = this.addDualVolumeSection(doc, leftMeasurements, rightMeasurements, 30);
+
+            // 신발 사이즈 섹션 (부피 표 아래, 길이를 잰 발이 있을 때만)
+            let pageYPos = volumeYPos + 10;
+            if (shoeSizes?.recommended) {
+                pageYPos = this.addShoeSizeSection(doc, shoeSizes, pageYPos) + 10;
+            }
+
+            // 추천 신발 모델 섹션 (카탈로그에 잘 맞는 모델이 있을 때만)
+            if (shoeFits.length > 0) {
+                if (pageYPos > 210) {
+                    doc.addPage();
+                    pageYPos = 30;
+                }
+                pageYPos = this.addShoeFitSection(doc, shoeFits, pageYPos) + 10;
+            }
+
+            // 사용자 측정 섹션 (리포트 포함으로 표시한 항목이 있을 때만)
+            if (customMeasurements.length > 0) {
+                pageYPos = this.addCustomMeasurementSection(doc, customMeasurements, pageYPos) + 10;
+            }
+
+            // 좌우 표면 편차 섹션 (표면 비교에 성공했을 때만, 자리가 모자라면 새 페이지)
+            if (surfaceDeviation) {
+                if (pageYPos > 190) {
+                    doc.addPage();
+                    pageYPos = 30;
+                }
+                pageYPos = this.addSurfaceDeviationSection(doc, surfaceDeviation, pageYPos);
+            }
+
+            // 발 유연성 섹션 (체중 부하/비부하 짝 스캔을 올린 발이 있을 때만)
+            if (flexibility?.left || flexibility?.right) {
+                if (pageYPos > 190) {
+                    doc.addPage();
+                    pageYPos = 30;
+                }
+                this.addFlexibilitySection(doc, flexibility, pageYPos);
+            }
+
             // 새 페이지 추가
             doc.addPage();
 
@@ -93,7 +177,6 @@ export class ReportGenerator extends EventTarget {
         }
 
         const lwRatio = measurements.length / measurements.width;
-        const hlRatio = measurements.height / measurements.length;
 
         let footType = '';
         let description = '';
@@ -109,14 +192,7 @@ export class ReportGenerator extends EventTarget {
             description = 'Well-balanced foot proportions with standard dimensions';
         }
 
-        let archType = '';
-        if (hlRatio > 0.25) {
-            archType = 'High Arch';
-        } else if (hlRatio < 0.18) {
-            archType = 'Low Arch / Flat Foot';
-        } else {
-            archType = 'Normal Arch';
-        }
+        const archType = MeasurementEngine.classifyArch(measurements.arch);
 
         return { footType, archType, description };
     }
@@ -170,6 +246,394 @@ export class ReportGenerator extends EventTarget {
         return currentY;
     }
 
+    /**
+     * 양발 둘레 측정 섹션 추가 (항목별 왼발/오른발/차이 표)
+     */
+    addDualGirthSection(doc, leftMeasurements, rightMeasurements, yPos) {
+        const girthLabels = {
+            ball: 'Ball Girth',
+            waist: 'Waist Girth',
+            instep: 'Instep Girth',
+            longHeel: 'Long Heel Girth',
+            ankle: 'Ankle Girth'
+        };
+
+        doc.setFontSize(16);
+        doc.text('Girth Measurements', 20, yPos);
+
+        let currentY = yPos + 15;
+        doc.setFontSize(11);
+        doc.text('Item', 20, currentY);
+        doc.text('Left', 90, currentY);
+        doc.text('Right', 125, currentY);
+        doc.text('Difference', 160, currentY);
+        currentY += 3;
+        doc.line(20, currentY, 190, currentY);
+        currentY += 8;
+
+        doc.setFontSize(10);
+        const format = (girth) => (girth ? `${girth.value.toFixed(1)} mm` : 'N/A');
+
+        Object.entries(girthLabels).forEach(([type, label]) => {
+            const left = leftMeasurements.girths?.[type];
+            const right = rightMeasurements.girths?.[type];
+
+            doc.text(label, 20, currentY);
+            doc.text(format(left), 90, currentY);
+            doc.text(format(right), 125, currentY);
+            doc.text(left && right ? `${Math.abs(left.value - right.value).toFixed(1)} mm` : '-', 160, currentY);
+            currentY += 8;
+        });
+
+        currentY += 4;
+        doc.setFontSize(9);
+        doc.text('Girths are tape-measure lengths around cross-sections of the scan (convex hull perimeter).', 20, currentY);
+        currentY += 10;
+
+        return currentY;
+    }
+
+    /**
+     * 양발 부피·표면적 섹션 추가 (뒤발·중간발·앞발 부피 포함, 막힌 메시가 아니면 신뢰도 낮음 표시)
+     */
+    addDualVolumeSection(doc, leftMeasurements, rightMeasurements, yPos) {
+        const rows = [
+            ['Volume', 'cm³', (volume) => volume.volume],
+            ['Surface Area', 'cm²', (volume) => volume.surfaceArea],
+            ['Rearfoot Volume', 'cm³', (volume) => volume.regions.rearfoot],
+            ['Midfoot Volume', 'cm³', (volume) => volume.regions.midfoot],
+            ['Forefoot Volume', 'cm³', (volume) => volume.regions.forefoot]
+        ];
+        const left = leftMeasurements.volume;
+        const right = rightMeasurements.volume;
+
+        doc.setFontSize(16);
+        doc.text('Volume & Surface Area', 20, yPos);
+
+        let currentY = yPos + 15;
+        doc.setFontSize(11);
+        doc.text('Item', 20, currentY);
+        doc.text('Left', 90, currentY);
+        doc.text('Right', 125, currentY);
+        doc.text('Difference', 160, currentY);
+        currentY += 3;
+        doc.line(20, currentY, 190, currentY);
+        currentY += 8;
+
+        doc.setFontSize(10);
+        rows.forEach(([label, unit, valueOf]) => {
+            const leftValue = left ? valueOf(left) : null;
+            const rightValue = right ? valueOf(right) : null;
+
+            doc.text(label, 20, currentY);
+            doc.text(leftValue !== null ? `${leftValue.toFixed(1)} ${unit}` : 'N/A', 90, currentY);
+            doc.text(rightValue !== null ? `${rightValue.toFixed(1)} ${unit}` : 'N/A', 125, currentY);
+            doc.text(leftValue !== null && rightValue !== null ? `${Math.abs(leftValue - rightValue).toFixed(1)} ${unit}` : '-', 160, currentY);
+            currentY += 8;
+        });
+
+        const confidence = (volume) => (volume ? (volume.watertight ? 'High' : `Low (${volume.holeCount} holes filled)`) : 'N/A');
+        doc.text('Confidence', 20, currentY);
+        doc.text(confidence(left), 90, currentY);
+        doc.text(confidence(right), 125, currentY);
+        currentY += 12;
+
+        doc.setFontSize(9);
+        doc.text('Volumes are enclosed by the scan surface with the ankle cut capped. Regions split the foot length at 30% and 60%.', 20, currentY);
+        currentY += 10;
+
+        return currentY;
+    }
+
+    /**
+     * 사용자 측정 섹션 추가 (뷰어에서 직접 잰 거리·표면 경로·각도)
+     */
+    addCustomMeasurementSection(doc, customMeasurements, yPos) {
+        const typeLabels = { distance: 'Distance', path: 'Surface Path', angle: 'Angle' };
+
+        doc.setFontSize(16);
+        doc.text('Custom Measurements', 20, yPos);
+
+        let currentY = yPos + 15;
+        doc.setFontSize(11);
+        doc.text('Foot', 20, currentY);
+        doc.text('Type', 50, currentY);
+        doc.text('No.', 100, currentY);
+        doc.text('Value', 125, currentY);
+        currentY += 3;
+        doc.line(20, currentY, 190, currentY);
+        currentY += 8;
+
+        doc.setFontSize(10);
+        customMeasurements.forEach(measurement => {
+            if (currentY > 270) {
+                doc.addPage();
+                currentY = 20;
+            }
+            // 라벨은 한글이라 PDF 기본 글꼴로 쓸 수 없어 종류와 번호로 표시
+            const number = measurement.label.match(/\d+$/)?.[0] || '-';
+            doc.text(measurement.foot === 'left' ? 'Left' : 'Right', 20, currentY);
+            doc.text(typeLabels[measurement.type] || measurement.type, 50, currentY);
+            doc.text(`#${number}`, 100, currentY);
+            doc.text(`${measurement.value.toFixed(1)}${measurement.unit === '°' ? '°' : ' mm'}`, 125, currentY);
+            currentY += 8;
+        });
+
+        return currentY;
+    }
+
+    /**
+     * 좌우 표면 편차 섹션 추가 (반전한 오른발을 왼발에 정합한 뒤 부위별 부호 거리, +: 왼발이 더 큼)
+     */
+    addSurfaceDeviationSection(doc, deviation, yPos) {
+        const formatSigned = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)} mm`;
+
+        doc.setFontSize(16);
+        doc.text('Surface Deviation (Left vs Mirrored Right)', 20, yPos);
+
+        let currentY = yPos + 15;
+        doc.setFontSize(11);
+        doc.text('Region', 20, currentY);
+        doc.text('Mean', 70, currentY);
+        doc.text('Mean |Dev.|', 105, currentY);
+        doc.text('Peak', 150, currentY);
+        currentY += 3;
+        doc.line(20, currentY, 190, currentY);
+        currentY += 8;
+
+        doc.setFontSize(10);
+        Object.entries(DEVIATION_REGION_NAMES).forEach(([region, name]) => {
+            const stats = deviation.regions[region];
+            const peak = stats ? (Math.abs(stats.max) >= Math.abs(stats.min) ? stats.max : stats.min) : null;
+
+            doc.text(name, 20, currentY);
+            doc.text(stats ? formatSigned(stats.mean) : 'N/A', 70, currentY);
+            doc.text(stats ? `${stats.meanAbs.toFixed(1)} mm` : 'N/A', 105, currentY);
+            doc.text(stats ? formatSigned(peak) : 'N/A', 150, currentY);
+            currentY += 8;
+        });
+
+        doc.text(`Overall RMS: ${deviation.rms.toFixed(1)} mm    Registration error: ${deviation.fitError.toFixed(1)} mm`, 20, currentY);
+        currentY += 10;
+
+        // 차이가 가장 큰 부위와 그 방향
+        const largest = deviation.largestRegion ? deviation.regions[deviation.largestRegion] : null;
+        if (largest) {
+            const direction = largest.mean >= 0 ? 'the left foot is larger' : 'the right foot is larger';
+            doc.text(`The feet differ most at the ${DEVIATION_REGION_NAMES[deviation.largestRegion].toLowerCase()} (mean ${formatSigned(largest.mean)}; ${direction}).`, 20, currentY);
+            currentY += 10;
+        }
+
+        doc.setFontSize(9);
+        doc.text('Signed distance from the left surface to the mirrored, ICP-registered right surface. +: left foot larger.', 20, currentY);
+        currentY += 10;
+
+        return currentY;
+    }
+
+    /**
+     * 신발 사이즈 섹션 추가 (왼발·오른발·양발 추천, 환산하지 못한 항목은 N/A)
+     */
+    addShoeSizeSection(doc, shoeSizes, yPos) {
+        const { recommended } = shoeSizes;
+        const orNA = (value) => (value === null || value === undefined ? 'N/A' : `${value}`);
+
+        doc.setFontSize(16);
+        doc.text('Shoe Size', 20, yPos);
+
+        let currentY = yPos + 15;
+        doc.setFontSize(11);
+        doc.text('System', 20, currentY);
+        doc.text('Left Foot', 80, currentY);
+        doc.text('Right Foot', 120, currentY);
+        doc.text('Recommended', 160, currentY);
+        currentY += 3;
+        doc.line(20, currentY, 190, currentY);
+        currentY += 8;
+
+        const rows = [
+            ['KS (mm)', (size) => orNA(size.ks)],
+            ['US Men', (size) => orNA(size.us.men)],
+            ['US Women', (size) => orNA(size.us.women)],
+            ['US Kids', (size) => orNA(size.us.kids)],
+            ['UK', (size) => orNA(size.uk)],
+            ['EU', (size) => orNA(size.eu)],
+            ['JP (cm)', (size) => orNA(size.jp)],
+            ['Width', (size) => (size.width ? `${size.width.grade} (${size.width.basis})` : 'N/A')]
+        ];
+
+        doc.setFontSize(10);
+        rows.forEach(([label, valueOf]) => {
+            doc.text(label, 20, currentY);
+            doc.text(shoeSizes.left ? valueOf(shoeSizes.left) : '-', 80, currentY);
+            doc.text(shoeSizes.right ? valueOf(shoeSizes.right) : '-', 120, currentY);
+            doc.text(valueOf(recommended), 160, currentY);
+            currentY += 8;
+        });
+
+        const gender = { male: 'male', female: 'female' }[recommended.gender] || 'not specified';
+        doc.setFontSize(9);
+        doc.text(`KS/JP use foot length; US/UK/EU add a ${recommended.toeAllowance} mm toe allowance. Width grade by ${gender} last tables.`, 20, currentY);
+        currentY += 10;
+
+        return currentY;
+    }
+
+    /**
+     * 추천 신발 모델 섹션 추가 (모델마다 치수·점수·안정성 분류, 양발 항목별 판정과 라스트 − 발 차이)
+     * 브랜드·모델명에 PDF 기본 글꼴로 쓸 수 없는 문자가 있으면 순번으로 표시
+     */
+    addShoeFitSection(doc, shoeFits, yPos) {
+        const printable = (text) => /^[\x20-\x7E]*$/.test(text);
+        const describeFit = (foot) => {
+            if (!foot) return '-';
+            return Object.entries(FIT_DIMENSION_NAMES)
+                .filter(([key]) => foot.dimensions[key])
+                .map(([key, name]) => {
+                    const { status, difference } = foot.dimensions[key];
+                    return `${name} ${status} (${difference > 0 ? '+' : ''}${difference.toFixed(0)})`;
+                })
+                .join(', ');
+        };
+
+        doc.setFontSize(16);
+        doc.text('Recommended Shoe Models', 20, yPos);
+
+        let currentY = yPos + 15;
+        doc.setFontSize(11);
+        doc.text('Model', 20, currentY);
+        doc.text('Size (KS)', 110, currentY);
+        doc.text('Score', 140, currentY);
+        doc.text('Stability', 160, currentY);
+        currentY += 3;
+        doc.line(20, currentY, 190, currentY);
+        currentY += 8;
+
+        shoeFits.forEach((fit, i) => {
+            if (currentY > 260) {
+                doc.addPage();
+                currentY = 20;
+            }
+            const name = `${fit.brand} ${fit.model}`;
+            doc.setFontSize(10);
+            doc.text(`${i + 1}. ${printable(name) ? name : `Catalogue model #${i + 1}`}`, 20, currentY);
+            doc.text(`${fit.size} mm`, 110, currentY);
+            doc.text(`${fit.score}`, 140, currentY);
+            doc.text(fit.stability, 160, currentY);
+            currentY += 6;
+
+            doc.setFontSize(8);
+            doc.text(`L: ${describeFit(fit.fit.left)}`, 25, currentY);
+            currentY += 5;
+            doc.text(`R: ${describeFit(fit.fit.right)}`, 25, currentY);
+            currentY += 8;
+        });
+
+        doc.setFontSize(9);
+        doc.text('Last minus foot (mm); length fit includes the toe allowance. tight: too small, loose: too large.', 20, currentY);
+        currentY += 10;
+
+        return currentY;
+    }
+
+    /**
+     * 발 유연성 섹션 추가 (체중 부하 − 비부하 변화량, 주상골 하강은 +가 내려앉음)
+     */
+    addFlexibilitySection(doc, flexibility, yPos) {
+        const format = (value) => (value === null ? 'N/A' : `${value.toFixed(1)} mm`);
+        const formatSigned = (value) => (value === null ? 'N/A' : `${value > 0 ? '+' : ''}${value.toFixed(1)} mm`);
+
+        doc.setFontSize(16);
+        doc.text('Foot Flexibility (Weight-bearing vs Non-weight-bearing)', 20, yPos);
+
+        let currentY = yPos + 15;
+        doc.setFontSize(11);
+        doc.text('Measurement', 20, currentY);
+        doc.text('Left Foot', 100, currentY);
+        doc.text('Right Foot', 150, currentY);
+        currentY += 3;
+        doc.line(20, currentY, 190, currentY);
+        currentY += 8;
+
+        const rows = [
+            ['Navicular Drop', (a) => format(a.navicularDrop)],
+            ['Arch Height Change', (a) => formatSigned(a.archHeightChange)],
+            ['Arch Rigidity Index', (a) => (a.archRigidityIndex === null ? 'N/A' : a.archRigidityIndex.toFixed(2))],
+            ['Forefoot Splay', (a) => formatSigned(a.forefootSplay)],
+            ['Length Increase', (a) => formatSigned(a.lengthIncrease)],
+            ['Flexibility', (a) => (a.grade || 'N/A')],
+            ['Registration Error', (a) => format(a.fitError)]
+        ];
+
+        doc.setFontSize(10);
+        rows.forEach(([label, valueOf]) => {
+            doc.text(label, 20, currentY);
+            doc.text(flexibility.left ? valueOf(flexibility.left) : '-', 100, currentY);
+            doc.text(flexibility.right ? valueOf(flexibility.right) : '-', 150, currentY);
+            currentY += 8;
+        });
+
+        doc.setFontSize(9);
+        doc.text('Changes are weight-bearing minus non-weight-bearing. Navicular drop < 5 mm: rigid, > 10 mm: hypermobile.', 20, currentY);
+        currentY += 10;
+
+        return currentY;
+    }
+
+    /**
+     * 양발 발자국 섹션 추가 (발자국 그림 + Cavanagh / Chippaux-Smirak / Staheli 지수 표)
+     */
+    addDualFootprintSection(doc, leftMeasurements, rightMeasurements, yPos) {
+        const left = leftMeasurements.footprint;
+        const right = rightMeasurements.footprint;
+
+        doc.setFontSize(16);
+        doc.text('Footprint (toes excluded)', 20, yPos);
+
+        let currentY = yPos + 8;
+        if (!left && !right) {
+            doc.setFontSize(10);
+            doc.text('No plantar contact region was found in the scans.', 20, currentY + 5);
+            return currentY + 15;
+        }
+
+        try {
+            doc.addImage(FootprintRenderer.toDataURL(left, right), 'PNG', 55, currentY, 100, 83);
+            currentY += 90;
+        } catch (error) {
+            console.error('❌ 발자국 이미지 추가 오류:', error);
+        }
+
+        const indices = [
+            ['Arch Index (Cavanagh)', (footprint) => footprint?.archIndex?.toFixed(3)],
+            ['Chippaux-Smirak Index', (footprint) => (footprint?.chippauxSmirak != null ? `${footprint.chippauxSmirak.toFixed(1)}%` : null)],
+            ['Staheli Index', (footprint) => footprint?.staheli?.toFixed(2)]
+        ];
+
+        doc.setFontSize(11);
+        doc.text('Index', 20, currentY);
+        doc.text('Left', 90, currentY);
+        doc.text('Right', 125, currentY);
+        currentY += 3;
+        doc.line(20, currentY, 190, currentY);
+        currentY += 8;
+
+        doc.setFontSize(10);
+        indices.forEach(([label, format]) => {
+            doc.text(label, 20, currentY);
+            doc.text(format(left) || 'N/A', 90, currentY);
+            doc.text(format(right) || 'N/A', 125, currentY);
+            currentY += 8;
+        });
+
+        currentY += 4;
+        doc.setFontSize(9);
+        doc.text(`Contact region: scan surface within ${(left || right).contactHeight} mm of the ground plane, split into thirds along the foot axis.`, 20, currentY);
+        doc.text('Arch Index: <= 0.21 high arch, >= 0.26 flat foot.', 20, currentY + 5);
+
+        return currentY + 15;
+    }
+
     /**
      * 양발 비교 분석 섹션 추가
      */
@@ -285,7 +749,9 @@ export class ReportGenerator extends EventTarget {
         doc.text(`Foot Shape: ${leftAnalysis.footType}`, 25, currentY);
         currentY += 8;
         doc.text(`Arch Type: ${leftAnalysis.archType}`, 25, currentY);
-        currentY += 15;
+        currentY += 8;
+        currentY = this.addForefootLines(doc, leftMeasurements.forefoot, currentY);
+        currentY += 7;
 
         doc.setFontSize(12);
         doc.text('Right Foot Analysis:', 20, currentY);
@@ -294,7 +760,37 @@ export class ReportGenerator extends EventTarget {
         doc.text(`Foot Shape: ${rightAnalysis.footType}`, 25, currentY);
         currentY += 8;
         doc.text(`Arch Type: ${rightAnalysis.archType}`, 25, currentY);
-        currentY += 15;
+        currentY += 8;
+        currentY = this.addForefootLines(doc, rightMeasurements.forefoot, currentY);
+        currentY += 7;
+
+        return currentY;
+    }
+
+    /**
+     * 앞발 분석 줄 (외반각, 새끼발가락 각, 발가락 형태) 추가 후 다음 y 위치 반환
+     */
+    addForefootLines(doc, forefoot, yPos) {
+        const lines = [];
+        if (Number.isFinite(forefoot?.halluxValgusAngle)) {
+            lines.push(`Hallux Valgus Angle: ${forefoot.halluxValgusAngle.toFixed(1)}° (${forefoot.halluxValgusGrade})`);
+        }
+        if (Number.isFinite(forefoot?.fifthToeAngle)) {
+            lines.push(`Fifth Toe Angle: ${forefoot.fifthToeAngle.toFixed(1)}°${forefoot.fifthToeVarus ? ' (Varus)' : ''}`);
+        }
+        if (forefoot?.toeShape) {
+            lines.push(`Toe Shape: ${forefoot.toeShape}`);
+        }
+
+        let currentY = yPos;
+        lines.forEach(line => {
+            if (currentY > 270) {
+                doc.addPage();
+                currentY = 20;
+            }
+            doc.text(line, 25, currentY);
+            currentY += 8;
+        });
 
         return currentY;
     }
@@ -423,6 +919,31 @@ export class ReportGenerator extends EventTarget {
             recommendations.push('Moderate cushioning and stability features recommended');
         }
 
+        // 앞발 분석 기반 추천 (엄지 외반, 새끼발가락 내반, 발가락 형태)
+        const feet = [['Left', leftMeasurements.forefoot], ['Right', rightMeasurements.forefoot]];
+        const valgusFeet = feet.filter(([, forefoot]) => ['Mild', 'Moderate', 'Severe'].includes(forefoot?.halluxValgusGrade));
+        if (valgusFeet.length > 0) {
+            const which = valgusFeet.length === 2 ? 'both feet' : `the ${valgusFeet[0][0].toLowerCase()} foot`;
+            recommendations.push(`Hallux valgus tendency in ${which} - choose a wide, soft toe box without pressure on the big toe joint`);
+            if (valgusFeet.some(([, forefoot]) => forefoot.halluxValgusGrade !== 'Mild')) {
+                recommendations.push('Pronounced big toe deviation - professional assessment and toe spacers or custom orthotics recommended');
+            }
+        }
+        if (feet.some(([, forefoot]) => forefoot?.fifthToeVarus)) {
+            recommendations.push('Inward-curving little toe observed - avoid tapered toe boxes that press on the outer forefoot');
+        }
+
+        const toeShapes = new Set(feet.map(([, forefoot]) => forefoot?.toeShape).filter(Boolean));
+        if (toeShapes.has('Egyptian')) {
+            recommendations.push('Egyptian toe shape - asymmetric or angled toe boxes follow the sloping toe line best');
+        }
+        if (toeShapes.has('Greek')) {
+            recommendations.push('Greek toe shape - allow extra length for the second toe and prefer rounded or pointed toe boxes');
+        }
+        if (toeShapes.has('Roman')) {
+            recommendations.push('Roman toe shape - square or wide rounded toe boxes fit the even toe line best');
+        }
+
         // 양발 특화 추천
         const maxLengthDiff = Math.max(lengthDiff, widthDiff, heightDiff);
         if (maxLengthDiff < 2) {
@@ -507,15 +1028,33 @@ export class ReportGenerator extends EventTarget {
             compact.lf = {
                 l: Math.round(measurements.leftFoot.length * 10) / 10,
                 w: Math.round(measurements.leftFoot.width * 10) / 10,
-                h: Math.round(measurements.leftFoot.height * 10) / 10
+                h: Math.round(measurements.leftFoot.height * 10) / 10,
+                ...this.compactForefoot(measurements.leftFoot.forefoot),
+                ...this.compactVolume(measurements.leftFoot.volume),
+                ...this.compactFlexibility(measurements.leftFoot.flexibility)
             };
             compact.rf = {
                 l: Math.round(measurements.rightFoot.length * 10) / 10,
                 w: Math.round(measurements.rightFoot.width * 10) / 10,
-                h: Math.round(measurements.rightFoot.height * 10) / 10
+                h: Math.round(measurements.rightFoot.height * 10) / 10,
+                ...this.compactForefoot(measurements.rightFoot.forefoot),
+                ...this.compactVolume(measurements.rightFoot.volume),
+                ...this.compactFlexibility(measurements.rightFoot.flexibility)
             };
         }
 
+        const deviation = this.compactDeviation(measurements.surfaceDeviation);
+        if (deviation) compact.dv = deviation;
+
+        const shoeSize = this.compactShoeSize(measurements.shoeSize?.recommended);
+        if (shoeSize) compact.sz = shoeSize;
+
+        if (measurements.shoeFits?.length > 0) {
+            // 추천 신발 모델 [이름, KS 치수, 점수]
+            compact.sf = measurements.shoeFits.slice(0, QR_SHOE_FIT_LIMIT)
+                .map(fit => [`${fit.brand} ${fit.model}`.substring(0, QR_SHOE_NAME_LENGTH), fit.size, fit.score]);
+        }
+
         // 발 유형 간단히 인코딩 (평균값 기준)
         if (measurements.length && measurements.width) {
             const lwRatio = measurements.length / measurements.width;
@@ -523,16 +1062,79 @@ export class ReportGenerator extends EventTarget {
             else if (lwRatio < 2.2) compact.t = 'W'; // Wide
             else compact.t = 'N'; // Normal
 
-            // 아치 타입
-            const hlRatio = measurements.height / measurements.length;
-            if (hlRatio > 0.25) compact.a = 'H'; // High
-            else if (hlRatio < 0.18) compact.a = 'F'; // Flat
-            else compact.a = 'N'; // Normal
+            // 아치 타입 (양발 평균 AHI 기준)
+            const archType = MeasurementEngine.classifyArch({ ahi: measurements.archIndex });
+            if (archType === 'High Arch') compact.a = 'H'; // High
+            else if (archType === 'Low Arch / Flat Foot') compact.a = 'F'; // Flat
+            else if (archType === 'Normal Arch') compact.a = 'N'; // Normal
+            else compact.a = 'P'; // Pending (AHI 측정 불가)
         }
 
         return compact;
     }
 
+    /**
+     * 앞발 분석 압축 필드 (hv: 외반각 정수, ft: 새끼발가락 각 정수, ts: 발가락 형태 E/G/R, 측정 못 한 항목은 생략)
+     */
+    compactForefoot(forefoot) {
+        const compact = {};
+        if (Number.isFinite(forefoot?.halluxValgusAngle)) compact.hv = Math.round(forefoot.halluxValgusAngle);
+        if (Number.isFinite(forefoot?.fifthToeAngle)) compact.ft = Math.round(forefoot.fifthToeAngle);
+        if (forefoot?.toeShape) compact.ts = forefoot.toeShape[0]; // Egyptian / Greek / Roman
+        return compact;
+    }
+
+    /**
+     * 부피 압축 필드 (v: 부피 cm³, s: 표면적 cm², vr: 뒤발·중간발·앞발 부피 cm³, vc: 막힌 메시가 아니면 0, 부피가 없으면 빈 객체)
+     */
+    compactVolume(volume) {
+        if (!volume) return {};
+        return {
+            v: Math.round(volume.volume),
+            s: Math.round(volume.surfaceArea),
+            vr: [volume.regions.rearfoot, volume.regions.midfoot, volume.regions.forefoot].map(Math.round),
+            vc: volume.watertight ? 1 : 0
+        };
+    }
+
+    /**
+     * 발 유연성 압축 필드 (nd: 주상골 하강 소수 첫째 자리 mm, fx: 판정 R/N/H, 짝 스캔이 없으면 빈 객체)
+     */
+    compactFlexibility(flexibility) {
+        if (!flexibility) return {};
+        const compact = {};
+        if (flexibility.navicularDrop !== null) compact.nd = Math.round(flexibility.navicularDrop * 10) / 10;
+        if (flexibility.grade) compact.fx = flexibility.grade[0]; // Rigid / Normal / Hypermobile
+        return compact;
+    }
+
+    /**
+     * 추천 신발 사이즈 압축 필드 (k: KS mm, um·uw·uc: US 남성·여성·아동, uk, e: EU, w: 발볼 등급, a: 여유 길이 mm, g: 성별 m/f, 환산 못 한 항목은 생략)
+     */
+    compactShoeSize(size) {
+        if (!size) return null;
+        const compact = { k: size.ks, e: size.eu, a: size.toeAllowance };
+        if (size.uk !== null) compact.uk = size.uk;
+        if (size.us.men !== null) compact.um = size.us.men;
+        if (size.us.women !== null) compact.uw = size.us.women;
+        if (size.us.kids) compact.uc = size.us.kids;
+        if (size.width) compact.w = size.width.grade;
+        if (size.gender) compact.g = size.gender[0];
+        return compact;
+    }
+
+    /**
+     * 좌우 표면 편차 압축 필드 (r: 전체 RMS, g: 뒤꿈치·아치·전족부·발가락 평균 편차, 소수 첫째 자리 mm, 비교 못 한 부위는 null)
+     */
+    compactDeviation(deviation) {
+        if (!deviation) return null;
+        const round = (value) => Math.round(value * 10) / 10;
+        return {
+            r: round(deviation.rms),
+            g: Object.keys(DEVIATION_REGION_NAMES).map(region => (deviation.regions[region] ? round(deviation.regions[region].mean) : null))
+        };
+    }
+
     /**
      * 짧은 모바일 URL 생성 (양발 지원)
      */
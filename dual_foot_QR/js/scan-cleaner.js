@@ -0,0 +1,486 @@
+/**
+ * 스캔 정리 모듈 - 측정 전 바닥면 제거, 잡음 점(통계적 이상치) 제거, 발목 위 자르기 전담
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { SpatialIndex } from './spatial-index.js';
+import { FootFrame } from './foot-frame.js';
+
+// 기본 정리 설정 (길이 단위 mm, unitScale로 스캔 단위 환산)
+const DEFAULT_OPTIONS = {
+    removeFloor: true,
+    floorThreshold: 3,       // 바닥 평면에서 이 거리 이내의 점은 바닥으로 간주
+    removeOutliers: true,
+    outlierNeighbors: 8,     // 평균 이웃 거리 계산에 쓰는 최근접 점 수
+    outlierStdRatio: 3,      // 평균 + 표준편차 × 배수보다 이웃이 먼 점은 잡음으로 제거
+    cutAnkle: true,
+    ankleCutHeight: 120,     // 발바닥에서 이 높이보다 위는 다리로 보고 제거
+    unitScale: 1             // 스캔 1단위의 mm 환산값
+};
+
+// 바닥 판정 기준
+const FLOOR_LIMITS = {
+    minInlierRatio: 0.05,    // 전체 점 중 평면 위 점 비율
+    minOneSidedRatio: 0.9,   // 평면 밖 점 중 한쪽(발 쪽)에 있는 비율
+    minUncoveredRatio: 0.25  // 평면 점 중 발 윤곽 밖으로 펼쳐진 비율 (발바닥 접지면과 구분)
+};
+
+const RANSAC_ITERATIONS = 256;
+const RANSAC_MAX_POINTS = 20000;
+
+export class ScanCleaner {
+    constructor(workerClient = null) {
+        this.workerClient = workerClient;
+    }
+
+    static getDefaultOptions() {
+        return { ...DEFAULT_OPTIONS };
+    }
+
+    /**
+     * 스캔 정리 (워커 사용 가능 시 제거 대상 계산은 워커에서 수행)
+     * 반환: { geometry(정리본), removedPositions, floorPlane, stats, options }
+     */
+    async clean(geometry, options = {}) {
+        const resolved = { ...DEFAULT_OPTIONS, ...options };
+        const positions = geometry.attributes.position.array;
+        let result = null;
+
+        if (this.workerClient?.isAvailable) {
+            try {
+                result = await this.workerClient.cleanup(positions, resolved);
+            } catch (error) {
+                if (error.name !== 'WorkerError') throw error;
+                console.warn('⚠️ 스캔 워커 사용 불가 - 메인 스레드에서 정리:', error.message);
+            }
+        }
+
+        if (!result) {
+            result = ScanCleaner.computeKeepMask(positions, resolved);
+        }
+
+        const floorPlane = result.floorPlane
+            ? { normal: new THREE.Vector3().fromArray(result.floorPlane.normal), offset: result.floorPlane.offset }
+            : null;
+
+        const { geometry: cleaned, removedPositions } = ScanCleaner.applyMask(geometry, result.keep);
+        cleaned.userData.floorPlane = floorPlane;
+
+        console.log('🧹 스캔 정리 완료:', result.stats);
+        return { geometry: cleaned, removedPositions, floorPlane, stats: result.stats, options: resolved };
+    }
+
+    /**
+     * 남길 정점 표시 계산 (1: 유지, 0: 제거) - 워커에서도 사용
+     * 좌표가 유한하지 않은 정점은 건드리지 않음 (측정 단계에서 제외됨)
+     */
+    static computeKeepMask(positions, options = {}) {
+        const resolved = { ...DEFAULT_OPTIONS, ...options };
+        const count = Math.floor(positions.length / 3);
+        const keep = new Uint8Array(count).fill(1);
+        const toUnits = (mm) => mm / (resolved.unitScale || 1);
+        const stats = { total: count, floor: 0, outliers: 0, ankle: 0, kept: count };
+
+        let floorPlane = null;
+        if (resolved.removeFloor) {
+            floorPlane = ScanCleaner.detectFloor(positions, toUnits(resolved.floorThreshold));
+            if (floorPlane) {
+                stats.floor = ScanCleaner.removeFloor(positions, keep, floorPlane, toUnits(resolved.floorThreshold));
+            }
+        }
+
+        if (resolved.removeOutliers) {
+            stats.outliers = ScanCleaner.removeOutliers(positions, keep, resolved.outlierNeighbors, resolved.outlierStdRatio);
+        }
+
+        if (resolved.cutAnkle) {
+            stats.ankle = ScanCleaner.cutAnkle(positions, keep, floorPlane, toUnits(resolved.ankleCutHeight));
+        }
+
+        stats.kept = count - stats.floor - stats.outliers - stats.ankle;
+        return { keep, floorPlane, stats };
+    }
+
+    /**
+     * 유지 중인 유한 좌표 정점 번호
+     */
+    static collectKept(positions, keep) {
+        const ids = [];
+        for (let i = 0; i < keep.length; i++) {
+            const o = i * 3;
+            if (keep[i] && Number.isFinite(positions[o]) && Number.isFinite(positions[o + 1]) && Number.isFinite(positions[o + 2])) {
+                ids.push(i);
+            }
+        }
+        return ids;
+    }
+
+    static gatherPositions(positions, ids) {
+        const result = new Float64Array(ids.length * 3);
+        ids.forEach((id, n) => {
+            result[n * 3] = positions[id * 3];
+            result[n * 3 + 1] = positions[id * 3 + 1];
+            result[n * 3 + 2] = positions[id * 3 + 2];
+        });
+        return result;
+    }
+
+    /**
+     * 바닥 평면 검출 (RANSAC으로 가장 큰 평면을 찾고 바닥 조건을 만족할 때만 채택)
+     * 반환: { normal: [x, y, z](발 쪽), offset, inlierRatio } 또는 null
+     */
+    static detectFloor(positions, threshold) {
+        const samples = FootFrame.samplePositions(positions);
+        const sampleCount = samples.length / 3;
+        if (sampleCount < 100) return null;
+
+        const stride = Math.max(1, Math.ceil(sampleCount / RANSAC_MAX_POINTS));
+        const random = FootFrame.createRandom();
+        const pick = () => Math.floor(random() * sampleCount) * 3;
+        const distanceTo = (normal, offset, i) => normal.x * samples[i] + normal.y * samples[i + 1] + normal.z * samples[i + 2] - offset;
+
+        const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+        let best = null;
+
+        for (let iteration = 0; iteration < RANSAC_ITERATIONS; iteration++) {
+            a.fromArray(samples, pick());
+            b.fromArray(samples, pick());
+            c.fromArray(samples, pick());
+
+            const normal = new THREE.Vector3().crossVectors(b.clone().sub(a), c.clone().sub(a));
+            if (normal.lengthSq() < 1e-18) continue;
+            normal.normalize();
+            const offset = normal.dot(a);
+
+            let inliers = 0;
+            for (let i = 0; i < samples.length; i += stride * 3) {
+                if (Math.abs(distanceTo(normal, offset, i)) <= threshold) inliers++;
+            }
+
+            if (!best || inliers > best.inliers) {
+                best = { normal, offset, inliers };
+            }
+        }
+
+        if (!best || best.inliers * stride < sampleCount * FLOOR_LIMITS.minInlierRatio) return null;
+
+        // 인라이어 전체로 평면 재추정
+        const inlierPoints = [];
+        for (let i = 0; i < samples.length; i += 3) {
+            if (Math.abs(distanceTo(best.normal, best.offset, i)) <= threshold) {
+                inlierPoints.push(samples[i], samples[i + 1], samples[i + 2]);
+            }
+        }
+        const { centroid, eigenvectors } = FootFrame.principalAxes(new Float64Array(inlierPoints));
+        const normal = eigenvectors[2].clone();
+        let offset = normal.dot(centroid);
+
+        // 평면 밖 점이 대부분 한쪽에 있어야 바닥 (그쪽이 위)
+        let above = 0;
+        let below = 0;
+        for (let i = 0; i < samples.length; i += 3) {
+            const distance = distanceTo(normal, offset, i);
+            if (distance > threshold) above++;
+            else if (distance < -threshold) below++;
+        }
+        if (below > above) {
+            normal.negate();
+            offset = -offset;
+            [above, below] = [below, above];
+        }
+        if (above === 0 || above / (above + below) < FLOOR_LIMITS.minOneSidedRatio) return null;
+
+        // 발바닥 접지면만 평면으로 잡힌 경우 제외 (바닥은 발 윤곽 밖으로도 펼쳐져 있음)
+        const uncoveredRatio = ScanCleaner.uncoveredPlaneRatio(samples, normal, offset, threshold);
+        if (uncoveredRatio < FLOOR_LIMITS.minUncoveredRatio) return null;
+
+        console.log(`🧱 바닥 평면 검출: 평면 점 ${(inlierPoints.length / 3).toLocaleString()}개, 발 윤곽 밖 비율 ${(uncoveredRatio * 100).toFixed(0)}%`);
+        return {
+            normal: normal.toArray(),
+            offset,
+            inlierRatio: inlierPoints.length / 3 / sampleCount
+        };
+    }
+
+    /**
+     * 평면에 투영했을 때 평면 점이 차지한 칸 중 발(평면 위쪽 점)이 덮지 않는 칸의 비율
+     */
+    static uncoveredPlaneRatio(samples, normal, offset, threshold, resolution = 64) {
+        const u = new THREE.Vector3(1, 0, 0);
+        if (Math.abs(normal.x) > 0.9) u.set(0, 1, 0);
+        u.sub(normal.clone().multiplyScalar(u.dot(normal))).normalize();
+        const v = new THREE.Vector3().crossVectors(normal, u);
+
+        const count = samples.length / 3;
+        const coords = new Float64Array(count * 2);
+        let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+
+        for (let n = 0; n < count; n++) {
+            const i = n * 3;
+            const pu = samples[i] * u.x + samples[i + 1] * u.y + samples[i + 2] * u.z;
+            const pv = samples[i] * v.x + samples[i + 1] * v.y + samples[i + 2] * v.z;
+            coords[n * 2] = pu;
+            coords[n * 2 + 1] = pv;
+            minU = Math.min(minU, pu); maxU = Math.max(maxU, pu);
+            minV = Math.min(minV, pv); maxV = Math.max(maxV, pv);
+        }
+
+        const cellSize = Math.max(maxU - minU, maxV - minV, 1e-9) / resolution;
+        const columns = Math.floor((maxU - minU) / cellSize) + 1;
+        const rows = Math.floor((maxV - minV) / cellSize) + 1;
+        const PLANE = 1, FOOT = 2;
+        const cells = new Uint8Array(columns * rows);
+
+        for (let n = 0; n < count; n++) {
+            const i = n * 3;
+            const distance = normal.x * samples[i] + normal.y * samples[i + 1] + normal.z * samples[i + 2] - offset;
+            const flag = Math.abs(distance) <= threshold ? PLANE : distance > threshold ? FOOT : 0;
+            if (!flag) continue;
+
+            const column = Math.floor((coords[n * 2] - minU) / cellSize);
+            const row = Math.floor((coords[n * 2 + 1] - minV) / cellSize);
+            cells[row * columns + column] |= flag;
+        }
+
+        let planeCells = 0;
+        let uncovered = 0;
+        for (let k = 0; k < cells.length; k++) {
+            if (!(cells[k] & PLANE)) continue;
+            planeCells++;
+            if (!(cells[k] & FOOT)) uncovered++;
+        }
+
+        return planeCells > 0 ? uncovered / planeCells : 0;
+    }
+
+    /**
+     * 바닥 평면 근처와 그 아래 정점 제거
+     */
+    static removeFloor(positions, keep, floorPlane, threshold) {
+        const [nx, ny, nz] = floorPlane.normal;
+        let removed = 0;
+
+        for (let i = 0; i < keep.length; i++) {
+            if (!keep[i]) continue;
+            const o = i * 3;
+            const distance = nx * positions[o] + ny * positions[o + 1] + nz * positions[o + 2] - floorPlane.offset;
+            if (distance <= threshold) {
+                keep[i] = 0;
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * 통계적 이상치 제거 (k개 최근접 이웃까지의 평균 거리가 전체 분포에서 크게 벗어난 점)
+     */
+    static removeOutliers(positions, keep, neighbors, stdRatio) {
+        const ids = ScanCleaner.collectKept(positions, keep);
+        if (ids.length <= neighbors) return 0;
+
+        const index = new SpatialIndex(ScanCleaner.gatherPositions(positions, ids));
+
+        // 점은 표면에 몰려 있으므로 부피 기준 격자를 실제 점유 칸 밀도에 맞춰 다시 구성
+        const TARGET_PER_CELL = 4;
+        let grid = index.buildGrid();
+        let occupiedCells = 0;
+        for (let c = 0; c + 1 < grid.cellStart.length; c++) {
+            if (grid.cellStart[c + 1] > grid.cellStart[c]) occupiedCells++;
+        }
+        const perCell = index.size / Math.max(1, occupiedCells);
+        if (perCell > TARGET_PER_CELL) {
+            grid = index.buildGrid(grid.cellSize * Math.sqrt(TARGET_PER_CELL / perCell));
+        }
+
+        const meanDistances = ScanCleaner.meanNeighbourDistances(index, neighbors, grid.cellSize);
+
+        let sum = 0;
+        let sumSq = 0;
+        for (let n = 0; n < meanDistances.length; n++) {
+            sum += meanDistances[n];
+            sumSq += meanDistances[n] * meanDistances[n];
+        }
+        const mean = sum / meanDistances.length;
+        const std = Math.sqrt(Math.max(0, sumSq / meanDistances.length - mean * mean));
+        const limit = mean + std * stdRatio;
+
+        let removed = 0;
+        for (let n = 0; n < meanDistances.length; n++) {
+            if (meanDistances[n] > limit) {
+                keep[ids[n]] = 0;
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * 점마다 k개 최근접 이웃까지 평균 거리 (이웃이 부족하면 검색 반경을 최대 8배까지 넓힘)
+     */
+    static meanNeighbourDistances(index, neighbors, cellSize) {
+        const positions = index.positions;
+        const result = new Float64Array(index.count);
+        const nearest = new Float64Array(neighbors);
+
+        for (let n = 0; n < index.count; n++) {
+            const x = positions[n * 3], y = positions[n * 3 + 1], z = positions[n * 3 + 2];
+            let found = 0;
+            let radius = cellSize;
+
+            for (;;) {
+                found = 0;
+                nearest.fill(Infinity);
+
+                index.forEachInRadius(x, y, z, radius, (i, distanceSq) => {
+                    if (i === n || distanceSq >= nearest[neighbors - 1]) return;
+
+                    // 정렬 상태를 유지하며 삽입
+                    let k = Math.min(found, neighbors - 1);
+                    while (k > 0 && nearest[k - 1] > distanceSq) {
+                        nearest[k] = nearest[k - 1];
+                        k--;
+                    }
+                    nearest[k] = distanceSq;
+                    found = Math.min(found + 1, neighbors);
+                });
+
+                if (found >= neighbors || radius >= cellSize * 8) break;
+                radius *= 2;
+            }
+
+            if (found === 0) {
+                result[n] = radius;
+                continue;
+            }
+
+            let sum = 0;
+            for (let k = 0; k < found; k++) sum += Math.sqrt(nearest[k]);
+            result[n] = sum / found;
+        }
+
+        return result;
+    }
+
+    /**
+     * 발 기준 좌표계에서 발바닥으로부터 cutHeight보다 높은 정점 제거
+     * 좌표계가 뒤집히는 등 절반 넘게 잘려 나가면 자르지 않음
+     */
+    static cutAnkle(positions, keep, floorPlane, cutHeight) {
+        const ids = ScanCleaner.collectKept(positions, keep);
+        if (ids.length < 9) return 0;
+
+        let frame;
+        try {
+            const groundPlane = floorPlane
+                ? { normal: new THREE.Vector3().fromArray(floorPlane.normal), offset: floorPlane.offset }
+                : null;
+            frame = FootFrame.computeCanonical(ScanCleaner.gatherPositions(positions, ids), groundPlane);
+        } catch (error) {
+            console.warn('⚠️ 발목 자르기 생략 - 발 좌표계 계산 실패:', error.message);
+            return 0;
+        }
+
+        const e = frame.matrix.elements;
+        const above = ids.filter(i => e[1] * positions[i * 3] + e[5] * positions[i * 3 + 1] + e[9] * positions[i * 3 + 2] + e[13] > cutHeight);
+
+        if (above.length > ids.length * 0.5) {
+            console.warn(`⚠️ 발목 자르기 생략 - 정점의 ${(above.length / ids.length * 100).toFixed(0)}%가 기준 높이 위에 있습니다.`);
+            return 0;
+        }
+
+        above.forEach(i => { keep[i] = 0; });
+        return above.length;
+    }
+
+    /**
+     * 표시된 정점만 남긴 새 geometry 생성 (모든 정점 속성·재질 그룹 보존)
+     * 면이 있는 메시는 세 꼭짓점이 모두 남은 면만 유지
+     * 반환: { geometry, removedPositions(Float32Array, 미리보기용) }
+     */
+    static applyMask(geometry, keepMask) {
+        const keep = keepMask.slice();
+        const positionAttribute = geometry.attributes.position;
+        const count = positionAttribute.count;
+        const isPointCloud = geometry.userData.isPointCloud === true;
+
+        // 인덱스 없는 메시는 면 단위로만 지울 수 있음
+        if (!geometry.index && !isPointCloud) {
+            for (let t = 0; t + 2 < count; t += 3) {
+                if (!(keep[t] && keep[t + 1] && keep[t + 2])) {
+                    keep[t] = keep[t + 1] = keep[t + 2] = 0;
+                }
+            }
+        }
+
+        const remap = new Int32Array(count).fill(-1);
+        let keptCount = 0;
+        for (let i = 0; i < count; i++) {
+            if (keep[i]) remap[i] = keptCount++;
+        }
+
+        const removedPositions = new Float32Array((count - keptCount) * 3);
+        let removedOffset = 0;
+        for (let i = 0; i < count; i++) {
+            if (keep[i]) continue;
+            removedPositions[removedOffset++] = positionAttribute.getX(i);
+            removedPositions[removedOffset++] = positionAttribute.getY(i);
+            removedPositions[removedOffset++] = positionAttribute.getZ(i);
+        }
+
+        const cleaned = new THREE.BufferGeometry();
+
+        Object.keys(geometry.attributes).forEach(name => {
+            const attribute = geometry.attributes[name];
+            const { itemSize, normalized } = attribute;
+            const array = new attribute.array.constructor(keptCount * itemSize);
+
+            for (let i = 0; i < count; i++) {
+                if (remap[i] < 0) continue;
+                for (let k = 0; k < itemSize; k++) {
+                    array[remap[i] * itemSize + k] = attribute.array[i * itemSize + k];
+                }
+            }
+
+            cleaned.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+        });
+
+        const groups = geometry.groups.length > 0
+            ? geometry.groups
+            : [{ start: 0, count: geometry.index ? geometry.index.count : count, materialIndex: 0 }];
+
+        if (geometry.index) {
+            const source = geometry.index.array;
+            const index = [];
+
+            groups.forEach(group => {
+                const start = index.length;
+                const end = Math.min(group.start + group.count, source.length);
+                for (let t = group.start; t + 2 < end; t += 3) {
+                    const a = remap[source[t]], b = remap[source[t + 1]], c = remap[source[t + 2]];
+                    if (a >= 0 && b >= 0 && c >= 0) index.push(a, b, c);
+                }
+                if (geometry.groups.length > 0) cleaned.addGroup(start, index.length - start, group.materialIndex);
+            });
+
+            cleaned.setIndex(new THREE.BufferAttribute(new Uint32Array(index), 1));
+
+        } else if (geometry.groups.length > 0) {
+            // 인덱스 없는 메시의 그룹은 정점 범위이므로 남은 정점 수로 다시 계산
+            geometry.groups.forEach(group => {
+                let start = -1;
+                let kept = 0;
+                for (let i = group.start; i < group.start + group.count && i < count; i++) {
+                    if (remap[i] < 0) continue;
+                    if (start < 0) start = remap[i];
+                    kept++;
+                }
+                if (kept > 0) cleaned.addGroup(start, kept, group.materialIndex);
+            });
+        }
+
+        cleaned.userData = { ...geometry.userData };
+        return { geometry: cleaned, removedPositions };
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * 스캔 기록 모듈 - 분석한 방문(발별 측정 요약 + 발 기준 좌표 스캔)을 브라우저 IndexedDB에 보관 전담
+ * 목록은 측정 요약만 담은 visits 저장소에서 읽고, 용량이 큰 스캔 배열은 scans 저장소에서 필요할 때만 읽음
+ */
+
+const HISTORY_DB_NAME = 'dualFootHistory';
+const HISTORY_DB_VERSION = 1;
+const VISIT_STORE = 'visits';
+const SCAN_STORE = 'scans';
+
+// 보관할 최대 방문 수 (넘으면 오래된 방문부터 삭제)
+const MAX_VISITS = 30;
+
+export class ScanHistory {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * IndexedDB 사용 가능 여부 (사생활 보호 모드 등에서는 없음)
+     */
+    get isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * 데이터베이스 열기 (처음 한 번만, 실패하면 다음 호출에서 다시 시도)
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.isAvailable) {
+                    reject(new Error('이 브라우저는 스캔 기록 저장을 지원하지 않습니다.'));
+                    return;
+                }
+
+                const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(VISIT_STORE)) db.createObjectStore(VISIT_STORE, { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains(SCAN_STORE)) db.createObjectStore(SCAN_STORE);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * 방문 저장 (같은 ID면 덮어씀)
+     * visit: { id, clientName, analyzedAt, feet: { left|right: { fileName, measurements, scan: { positions, index, isPointCloud } | null } } }
+     */
+    async save(visit) {
+        const db = await this.open();
+        const transaction = db.transaction([VISIT_STORE, SCAN_STORE], 'readwrite');
+        const visits = transaction.objectStore(VISIT_STORE);
+        const scans = transaction.objectStore(SCAN_STORE);
+
+        const feet = {};
+        Object.entries(visit.feet).forEach(([foot, { scan, ...record }]) => {
+            feet[foot] = { ...record, hasScan: !!scan };
+            if (scan) scans.put(scan, ScanHistory.scanKey(visit.id, foot));
+            else scans.delete(ScanHistory.scanKey(visit.id, foot));
+        });
+        visits.put({ id: visit.id, clientName: visit.clientName, analyzedAt: visit.analyzedAt, feet });
+
+        await ScanHistory.complete(transaction);
+        console.log(`🗂️ 스캔 기록 저장: ${visit.id}`);
+
+        await this.prune();
+    }
+
+    /**
+     * 방문 목록 (스캔 배열 제외, 최근 분석 순)
+     */
+    async list() {
+        const db = await this.open();
+        const transaction = db.transaction(VISIT_STORE, 'readonly');
+        const visits = await ScanHistory.result(transaction.objectStore(VISIT_STORE).getAll());
+        return visits.sort((a, b) => (b.analyzedAt || '').localeCompare(a.analyzedAt || ''));
+    }
+
+    /**
+     * 방문 하나를 스캔 배열까지 포함해 읽기 (없으면 null)
+     */
+    async get(id) {
+        const db = await this.open();
+        const transaction = db.transaction([VISIT_STORE, SCAN_STORE], 'readonly');
+        const scans = transaction.objectStore(SCAN_STORE);
+
+        // 트랜잭션이 끝나기 전에 요청을 한꺼번에 보냄
+        const [visit, ...footScans] = await Promise.all([
+            ScanHistory.result(transaction.objectStore(VISIT_STORE).get(id)),
+            ...['left', 'right'].map(foot => ScanHistory.result(scans.get(ScanHistory.scanKey(id, foot))))
+        ]);
+        if (!visit) return null;
+
+        const feet = {};
+        ['left', 'right'].forEach((foot, i) => {
+            if (!visit.feet[foot]) return;
+            const { hasScan, ...record } = visit.feet[foot];
+            feet[foot] = { ...record, scan: hasScan ? footScans[i] || null : null };
+        });
+
+        return { ...visit, feet };
+    }
+
+    /**
+     * 방문 삭제
+     */
+    async remove(id) {
+        const db = await this.open();
+        const transaction = db.transaction([VISIT_STORE, SCAN_STORE], 'readwrite');
+        transaction.objectStore(VISIT_STORE).delete(id);
+        ['left', 'right'].forEach(foot => transaction.objectStore(SCAN_STORE).delete(ScanHistory.scanKey(id, foot)));
+        await ScanHistory.complete(transaction);
+    }
+
+    /**
+     * 최대 보관 수를 넘는 오래된 방문 삭제
+     */
+    async prune() {
+        const visits = await this.list();
+        for (const visit of visits.slice(MAX_VISITS)) {
+            await this.remove(visit.id);
+            console.log(`🗂️ 오래된 스캔 기록 삭제: ${visit.id}`);
+        }
+    }
+
+    /**
+     * 데이터베이스 닫기
+     */
+    async dispose() {
+        if (!this.dbPromise) return;
+        try {
+            (await this.dbPromise).close();
+        } catch (error) {
+            // 열기에 실패한 경우는 닫을 것이 없음
+        }
+        this.dbPromise = null;
+    }
+
+    static scanKey(id, foot) {
+        return `${id}:${foot}`;
+    }
+
+    /**
+     * IDBRequest → Promise
+     */
+    static result(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 트랜잭션 완료 → Promise
+     */
+    static complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('스캔 기록 저장이 중단되었습니다.'));
+        });
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * 스캔 검사 모듈 - PLY 헤더 분석 및 로딩 전후 스캔 품질 사전 점검 전담
+ */
+
+// 품질 경고 기준
+const QUALITY_LIMITS = {
+    minFileBytes: 10 * 1024,   // 10KB 미만은 발 스캔으로 보기 어려움
+    minVertexCount: 2000       // 정점 2,000개 미만은 측정 정밀도 부족
+};
+
+const PLY_FORMAT_LABELS = {
+    ascii: 'ASCII',
+    binary_little_endian: 'Binary LE',
+    binary_big_endian: 'Binary BE'
+};
+
+const PLY_TYPE_SIZES = {
+    char: 1, uchar: 1, int8: 1, uint8: 1,
+    short: 2, ushort: 2, int16: 2, uint16: 2,
+    int: 4, uint: 4, int32: 4, uint32: 4,
+    float: 4, float32: 4,
+    double: 8, float64: 8
+};
+
+export class ScanInspector {
+    /**
+     * PLY 파일 앞부분만 읽어 헤더 분석 (본문은 읽지 않음)
+     */
+    static async inspectPLYHeader(file) {
+        const HEADER_READ_BYTES = 64 * 1024;
+        const buffer = await file.slice(0, HEADER_READ_BYTES).arrayBuffer();
+        const text = new TextDecoder('latin1').decode(buffer);
+
+        if (!text.startsWith('ply')) {
+            throw new Error('PLY 파일 시그니처(ply)가 없습니다. 파일이 손상되었거나 다른 형식입니다.');
+        }
+
+        const endMatch = /end_header\r?\n/.exec(text);
+        if (!endMatch) {
+            throw new Error('PLY 헤더의 끝(end_header)을 찾을 수 없습니다. 파일이 손상되었을 수 있습니다.');
+        }
+
+        const header = ScanInspector.parsePLYHeader(text.slice(0, endMatch.index));
+        header.headerLength = endMatch.index + endMatch[0].length;
+        header.fileSize = file.size;
+        header.isTruncated = ScanInspector.isPLYBodyTruncated(header);
+
+        console.log('🔍 PLY 헤더 분석:', header);
+        return header;
+    }
+
+    /**
+     * PLY 헤더 텍스트 파싱 (format, element, property, comment, obj_info)
+     */
+    static parsePLYHeader(headerText) {
+        const header = {
+            format: null,
+            formatLabel: '',
+            version: '',
+            comments: [],
+            objInfo: [],
+            elements: []
+        };
+
+        let currentElement = null;
+
+        headerText.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line === 'ply') return;
+
+            const [keyword, ...tokens] = line.split(/\s+/);
+
+            switch (keyword) {
+                case 'format':
+                    header.format = tokens[0];
+                    header.version = tokens[1] || '';
+                    header.formatLabel = PLY_FORMAT_LABELS[tokens[0]] || tokens[0];
+                    break;
+                case 'comment':
+                    header.comments.push(line.slice('comment'.length).trim());
+                    break;
+                case 'obj_info':
+                    header.objInfo.push(line.slice('obj_info'.length).trim());
+                    break;
+                case 'element':
+                    currentElement = { name: tokens[0], count: parseInt(tokens[1], 10) || 0, properties: [] };
+                    header.elements.push(currentElement);
+                    break;
+                case 'property':
+                    if (!currentElement) break;
+                    if (tokens[0] === 'list') {
+                        currentElement.properties.push({ name: tokens[3], isList: true, countType: tokens[1], itemType: tokens[2] });
+                    } else {
+                        currentElement.properties.push({ name: tokens[1], isList: false, type: tokens[0] });
+                    }
+                    break;
+            }
+        });
+
+        if (!PLY_FORMAT_LABELS[header.format]) {
+            throw new Error(`지원하지 않는 PLY 포맷입니다: ${header.format || '(없음)'}`);
+        }
+
+        const vertexElement = header.elements.find(e => e.name === 'vertex');
+        const faceElement = header.elements.find(e => e.name === 'face');
+        const vertexNames = new Set(vertexElement ? vertexElement.properties.map(p => p.name) : []);
+        const hasAll = (...names) => names.every(name => vertexNames.has(name));
+
+        header.vertexCount = vertexElement ? vertexElement.count : 0;
+        header.hasFaceElement = !!faceElement;
+        header.faceCount = faceElement ? faceElement.count : 0;
+        header.vertexProperties = {
+            normals: hasAll('nx', 'ny', 'nz'),
+            colors: hasAll('red', 'green', 'blue') || hasAll('r', 'g', 'b') || hasAll('diffuse_red', 'diffuse_green', 'diffuse_blue'),
+            alpha: vertexNames.has('alpha'),
+            confidence: ['confidence', 'quality', 'scalar_confidence'].some(name => vertexNames.has(name)),
+            intensity: ['intensity', 'scalar_intensity'].some(name => vertexNames.has(name)),
+            uv: hasAll('s', 't') || hasAll('u', 'v') || hasAll('texture_u', 'texture_v')
+        };
+
+        return header;
+    }
+
+    /**
+     * 바이너리 PLY의 본문 크기가 헤더 선언보다 작은지 검사 (리스트 속성은 최소 크기로 계산)
+     */
+    static isPLYBodyTruncated(header) {
+        if (header.format === 'ascii') return false;
+
+        let minimumBodySize = 0;
+        for (const element of header.elements) {
+            let stride = 0;
+            for (const property of element.properties) {
+                stride += property.isList
+                    ? (PLY_TYPE_SIZES[property.countType] || 1)
+                    : (PLY_TYPE_SIZES[property.type] || 4);
+            }
+            minimumBodySize += stride * element.count;
+        }
+
+        return header.fileSize - header.headerLength < minimumBodySize;
+    }
+
+    /**
+     * 로딩 결과 품질 점검 (헤더가 있으면 PLY 전용 항목도 포함)
+     */
+    static checkQuality({ file = null, header = null, geometry = null }) {
+        const warnings = [];
+        const addWarning = (code, message) => warnings.push({ code, message });
+
+        const stats = {
+            fileSize: file ? file.size : 0,
+            vertexCount: 0,
+            nonFiniteCount: 0,
+            isPointCloud: false
+        };
+
+        if (file && file.size < QUALITY_LIMITS.minFileBytes) {
+            addWarning('tooSmall', `파일 크기가 너무 작습니다 (${(file.size / 1024).toFixed(1)}KB). 발 전체가 스캔되었는지 확인하세요.`);
+        }
+
+        if (header) {
+            if (header.isTruncated) {
+                addWarning('truncated', '파일이 헤더 선언보다 짧습니다. 전송 중 잘렸을 수 있습니다.');
+            }
+            if (!header.hasFaceElement) {
+                addWarning('pointCloudOnly', '면(face) 정보가 없는 점군 전용 PLY입니다. 메시 기반 측정은 정밀도가 낮을 수 있습니다.');
+            } else if (header.faceCount === 0) {
+                addWarning('noFaces', 'face 요소가 선언되었지만 면이 0개입니다.');
+            }
+        }
+
+        if (geometry?.attributes?.position) {
+            const positions = geometry.attributes.position.array;
+            stats.vertexCount = geometry.attributes.position.count;
+            stats.isPointCloud = geometry.userData.isPointCloud === true;
+
+            for (let i = 0; i < positions.length; i++) {
+                if (!Number.isFinite(positions[i])) stats.nonFiniteCount++;
+            }
+
+            if (stats.vertexCount < QUALITY_LIMITS.minVertexCount) {
+                addWarning('tooFewVertices', `정점 수가 너무 적습니다 (${stats.vertexCount.toLocaleString()}개). 스캔 해상도를 높여 다시 스캔하세요.`);
+            }
+            if (stats.nonFiniteCount > 0) {
+                addWarning('nonFinite', `좌표에 NaN/무한대 값이 ${stats.nonFiniteCount.toLocaleString()}개 있습니다. 해당 정점은 측정에서 제외됩니다.`);
+            }
+            // PLY는 헤더에서 이미 판정
+            if (!header && stats.isPointCloud) {
+                addWarning('pointCloudOnly', '면 정보가 없는 점군 데이터입니다. 메시 기반 측정은 정밀도가 낮을 수 있습니다.');
+            }
+        }
+
+        return { ok: warnings.length === 0, warnings, stats };
+    }
+
+    /**
+     * 헤더 요약 문구 (업로드 영역 표시용)
+     */
+    static summarizeHeader(header) {
+        const props = header.vertexProperties;
+        const features = [
+            props.normals && '법선',
+            props.colors && '색상',
+            props.confidence && '신뢰도',
+            props.intensity && '강도',
+            props.uv && 'UV'
+        ].filter(Boolean);
+
+        const parts = [
+            `PLY ${header.formatLabel}`,
+            `정점 ${header.vertexCount.toLocaleString()}`,
+            header.hasFaceElement ? `면 ${header.faceCount.toLocaleString()}` : '면 없음',
+            features.length > 0 ? features.join('·') : '좌표만'
+        ];
+
+        return parts.join(' | ');
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * 스캔 워커 클라이언트 모듈 - 파싱/정리/측정 작업을 Web Worker로 위임하고 진행률·취소를 관리
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+
+export class ScanWorkerClient extends EventTarget {
+    constructor() {
+        super();
+        this.worker = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        this.isAvailable = typeof Worker !== 'undefined';
+    }
+
+    /**
+     * 워커 지연 생성 (취소 후에는 새로 생성)
+     */
+    ensureWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(new URL('./scan-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            // 모듈 워커 미지원/스크립트 로드 실패 - 이후에는 메인 스레드로 처리
+            console.error('❌ 스캔 워커 오류:', event.message || event);
+            event.preventDefault?.();
+            this.isAvailable = false;
+            this.rejectAll(ScanWorkerClient.createError('스캔 워커를 실행할 수 없습니다.', 'WorkerError'));
+            this.terminateWorker();
+        };
+
+        console.log('🧵 스캔 워커 시작');
+        return this.worker;
+    }
+
+    /**
+     * 워커 메시지 처리
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        switch (message.type) {
+            case 'progress':
+                request.onProgress?.(message.detail);
+                break;
+            case 'result':
+                this.pending.delete(message.id);
+                request.resolve(message.result);
+                break;
+            case 'error':
+                this.pending.delete(message.id);
+                request.reject(ScanWorkerClient.createError(message.message, 'ScanTaskError'));
+                break;
+        }
+    }
+
+    /**
+     * 워커에 작업 요청 (Promise 기반, onProgress로 진행 메시지 수신)
+     */
+    request(task, payload, transfer = [], onProgress = null) {
+        if (!this.isAvailable) {
+            return Promise.reject(ScanWorkerClient.createError('스캔 워커를 사용할 수 없습니다.', 'WorkerError'));
+        }
+
+        const id = this.nextRequestId++;
+        const worker = this.ensureWorker();
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { task, resolve, reject, onProgress });
+            worker.postMessage({ id, task, payload }, transfer);
+        });
+    }
+
+    /**
+     * 워커에서 스캔 파일 파싱 후 BufferGeometry로 복원
+     */
+    async parseFile(file, onProgress = null) {
+        const result = await this.request('parse', { file }, [], onProgress);
+        return ScanWorkerClient.deserializeGeometry(result.geometry);
+    }
+
+    /**
+     * 워커에서 측정 수행 (원본 geometry가 분리되지 않도록 position/index 복사본을 전달, 면 정보는 둘레 단면용)
+     */
+    async measure(geometry, currentModel, landmarks = null, onProgress = null) {
+        const positions = geometry.attributes.position.array.slice();
+        const index = geometry.index ? geometry.index.array.slice() : null;
+        const isPointCloud = geometry.userData.isPointCloud === true;
+        const rotation = currentModel ? currentModel.rotation.toArray() : null;
+
+        const transfer = index ? [positions.buffer, index.buffer] : [positions.buffer];
+        return this.request('measure', { positions, index, isPointCloud, rotation, landmarks }, transfer, onProgress);
+    }
+
+    /**
+     * 워커에서 스캔 정리 대상 계산 (남길 정점 표시와 바닥 평면만 돌려받음)
+     */
+    async cleanup(positions, options, onProgress = null) {
+        const copy = positions.slice();
+        return this.request('cleanup', { positions: copy, options }, [copy.buffer], onProgress);
+    }
+
+    /**
+     * 워커에서 표면 비교 (reference/compared: { positions, index, isPointCloud, rotation, unitScale }, 배열은 복사본 전달)
+     */
+    async compareSurfaces(reference, compared, options = {}, onProgress = null) {
+        const copy = (input) => ({
+            ...input,
+            positions: input.positions.slice(),
+            index: input.index ? input.index.slice() : null
+        });
+        const payload = { reference: copy(reference), compared: copy(compared), options };
+        const transfer = [payload.reference, payload.compared].flatMap(({ positions, index }) => (
+            index ? [positions.buffer, index.buffer] : [positions.buffer]
+        ));
+        return this.request('compare', payload, transfer, onProgress);
+    }
+
+    /**
+     * 진행 중인 모든 작업 취소 (워커 종료)
+     */
+    cancel() {
+        if (this.pending.size === 0) return false;
+
+        console.log(`⏹️ 스캔 작업 ${this.pending.size}건 취소`);
+        this.terminateWorker();
+        this.rejectAll(ScanWorkerClient.createError('작업이 취소되었습니다.', 'AbortError'));
+        this.dispatchEvent(new CustomEvent('cancelled'));
+        return true;
+    }
+
+    /**
+     * 진행 중인 작업 여부
+     */
+    isBusy() {
+        return this.pending.size > 0;
+    }
+
+    rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * BufferGeometry → 전송 가능한 typed array 구조 (워커 쪽에서도 사용)
+     */
+    static serializeGeometry(geometry) {
+        const attributes = {};
+        const transfer = new Set(); // 같은 버퍼를 공유하는 속성이 있어도 한 번만 전송
+
+        Object.keys(geometry.attributes).forEach(name => {
+            const attribute = geometry.attributes[name];
+            attributes[name] = {
+                array: attribute.array,
+                itemSize: attribute.itemSize,
+                normalized: attribute.normalized
+            };
+            transfer.add(attribute.array.buffer);
+        });
+
+        const index = geometry.index ? geometry.index.array : null;
+        if (index) transfer.add(index.buffer);
+
+        return {
+            data: {
+                attributes,
+                index,
+                groups: geometry.groups,
+                userData: {
+                    sourceFormat: geometry.userData.sourceFormat,
+                    isPointCloud: geometry.userData.isPointCloud === true
+                }
+            },
+            transfer: Array.from(transfer)
+        };
+    }
+
+    /**
+     * 전송된 typed array 구조 → BufferGeometry
+     */
+    static deserializeGeometry(data) {
+        const geometry = new THREE.BufferGeometry();
+
+        Object.keys(data.attributes).forEach(name => {
+            const { array, itemSize, normalized } = data.attributes[name];
+            geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+        });
+
+        if (data.index) {
+            geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+        }
+
+        data.groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex));
+        Object.assign(geometry.userData, data.userData);
+
+        return geometry;
+    }
+
+    static createError(message, name) {
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * 정리 (메모리 해제)
+     */
+    dispose() {
+        this.terminateWorker();
+        this.rejectAll(ScanWorkerClient.createError('워커가 정리되었습니다.', 'AbortError'));
+        console.log('🧹 Scan Worker Client 정리 완료');
+    }
+}
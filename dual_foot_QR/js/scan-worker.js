@@ -0,0 +1,131 @@
+/**
+ * 스캔 워커 - 메인 스레드를 막지 않도록 스캔 파싱, 정리, 측정, 표면 비교를 백그라운드에서 수행 (모듈 워커)
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { FileLoader } from './file-loader.js';
+import { MeasurementEngine } from './measurement.js';
+import { ScanWorkerClient } from './scan-worker-client.js';
+import { ScanCleaner } from './scan-cleaner.js';
+import { SurfaceDeviation } from './surface-deviation.js';
+
+// 워커 안에서는 위임 대상 없이 직접 처리
+const fileLoader = new FileLoader(null);
+const measurementEngine = new MeasurementEngine();
+
+let currentRequestId = null;
+
+const postProgress = (detail) => {
+    self.postMessage({ id: currentRequestId, type: 'progress', detail });
+};
+
+fileLoader.addEventListener('loadProgress', (e) => {
+    postProgress({ event: 'loadProgress', ...e.detail });
+});
+
+['measurementStarted', 'measurementProgress'].forEach(eventName => {
+    measurementEngine.addEventListener(eventName, (e) => {
+        postProgress({ event: eventName, status: e.detail.status });
+    });
+});
+
+let lastMeasurementDetail = null;
+measurementEngine.addEventListener('measurementComplete', (e) => {
+    lastMeasurementDetail = e.detail;
+});
+
+/**
+ * 스캔 파일 파싱 - 결과 typed array는 복사 없이 전송
+ */
+async function parseScan({ file }) {
+    const geometry = await fileLoader.loadGeometry(file);
+    const { data, transfer } = ScanWorkerClient.serializeGeometry(geometry);
+    return { result: { geometry: data }, transfer };
+}
+
+/**
+ * 측정 수행 - Box3는 배열로 풀어 전송, 둘레 윤곽선 배열은 복사 없이 전송
+ */
+async function measureScan({ positions, index, isPointCloud, rotation, landmarks }) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    if (index) geometry.setIndex(new THREE.BufferAttribute(index, 1));
+    geometry.userData.isPointCloud = isPointCloud === true;
+
+    const model = rotation ? { rotation: new THREE.Euler().fromArray(rotation) } : null;
+
+    lastMeasurementDetail = null;
+    await measurementEngine.performPreciseMeasurements(geometry, model, landmarks);
+
+    if (!lastMeasurementDetail) {
+        throw new Error('측정 결과가 없습니다.');
+    }
+
+    const { measurements, ratios, analysis, status, confidence } = lastMeasurementDetail;
+    const { boundingBox, ...rest } = measurements;
+    const transfer = Object.values(rest.girths || {})
+        .filter(Boolean)
+        .flatMap(girth => girth.contours.map(contour => contour.points.buffer));
+
+    return {
+        result: {
+            measurements: {
+                ...rest,
+                boundingBox: boundingBox ? { min: boundingBox.min.toArray(), max: boundingBox.max.toArray() } : null
+            },
+            ratios,
+            analysis,
+            status,
+            confidence
+        },
+        transfer
+    };
+}
+
+/**
+ * 스캔 정리 대상 계산 - 정점 속성이 많은 geometry 대신 표시 배열만 반환
+ */
+async function cleanupScan({ positions, options }) {
+    const result = ScanCleaner.computeKeepMask(positions, options);
+    return { result, transfer: [result.keep.buffer] };
+}
+
+/**
+ * 표면 비교 (좌우·경과) - 정점별 편차 배열은 복사 없이 전송
+ */
+async function compareSurfaces({ reference, compared, options }) {
+    const result = SurfaceDeviation.compute(reference, compared, options);
+    return { result, transfer: [result.distances.buffer] };
+}
+
+const tasks = {
+    parse: parseScan,
+    cleanup: cleanupScan,
+    measure: measureScan,
+    compare: compareSurfaces
+};
+
+/**
+ * 작업은 도착 순서대로 하나씩 처리 (진행률 메시지가 요청 ID와 어긋나지 않도록)
+ */
+async function runTask({ id, task, payload }) {
+    currentRequestId = id;
+
+    try {
+        if (!tasks[task]) {
+            throw new Error(`알 수 없는 작업: ${task}`);
+        }
+
+        const { result, transfer } = await tasks[task](payload);
+        self.postMessage({ id, type: 'result', result }, transfer);
+
+    } catch (error) {
+        console.error('❌ 스캔 워커 작업 실패:', error);
+        self.postMessage({ id, type: 'error', message: error.message || '알 수 없는 오류' });
+    }
+}
+
+let taskQueue = Promise.resolve();
+
+self.onmessage = (event) => {
+    taskQueue = taskQueue.then(() => runTask(event.data));
+};
@@ -3,6 +3,32 @@
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
 
+// 둘레 단면선 색상
+const GIRTH_COLORS = {
+    ball: '#f59e0b',
+    waist: '#ef4444',
+    instep: '#a855f7',
+    longHeel: '#ec4899',
+    ankle: '#06b6d4'
+};
+
+// 표면 편차 히트맵 색상 (-: 기준 표면이 작음, +: 기준 표면이 큼, 비교 불가 정점은 회색)
+const DEVIATION_COLORS = {
+    negative: '#2563eb',
+    neutral: '#f3f4f6',
+    positive: '#dc2626',
+    missing: '#6b7280'
+};
+
+// 체중 부하/비부하 짝 스캔 겹쳐 보기 색상
+const LOAD_OVERLAY_COLOR = '#f97316';
+
+// 맞춤 깔창 미리보기 색상
+const INSOLE_COLOR = '#eab308';
+
+// 구두 라스트 미리보기 색상
+const LAST_COLOR = '#a855f7';
+
 export class SceneManager extends EventTarget {
     constructor(canvasContainer) {
         super();
@@ -27,6 +53,26 @@ export class SceneManager extends EventTarget {
         // 현재 뷰 상태
         this.currentViewMode = 'mesh';
         this.footVisibility = 'both'; // 'both', 'left', 'right'
+
+        // 발별 둘레 측정 결과 (모델을 다시 만들 때마다 단면선을 다시 붙임)
+        this.girthContours = { left: null, right: null };
+        this.girthContoursVisible = true;
+
+        // 한 발의 정점별 표면 편차 (mm)와 색 범위 (모델을 다시 만들 때마다 다시 칠함)
+        this.deviationMap = null;
+        this.deviationMapVisible = false;
+
+        // 발별 체중 부하/비부하 짝 스캔 (발 geometry 좌표로 정합해 둔 정점, 모델을 다시 만들 때마다 다시 붙임)
+        this.loadOverlays = { left: null, right: null };
+        this.loadOverlayVisible = false;
+
+        // 발별 맞춤 깔창 (발 geometry 좌표 메시, 모델을 다시 만들 때마다 다시 붙임)
+        this.insoles = { left: null, right: null };
+        this.insoleVisible = false;
+
+        // 발별 구두 라스트 (발 geometry 좌표 메시, 모델을 다시 만들 때마다 다시 붙임)
+        this.shoeLasts = { left: null, right: null };
+        this.shoeLastVisible = false;
     }
 
     /**
@@ -99,6 +145,11 @@ export class SceneManager extends EventTarget {
         
         this.leftGeometry = leftGeometry;
         this.rightGeometry = rightGeometry;
+        this.girthContours = { left: null, right: null };
+        this.deviationMap = null;
+        this.loadOverlays = { left: null, right: null };
+        this.insoles = { left: null, right: null };
+        this.shoeLasts = { left: null, right: null };
         
         // 기존 모델 정리
         this.cleanupCurrentModels();
@@ -139,6 +190,11 @@ export class SceneManager extends EventTarget {
         
         this.dualFootModel.add(this.leftFootModel);
         this.dualFootModel.add(this.rightFootModel);
+        this.attachGirthContours();
+        this.applyDeviationMap();
+        this.attachLoadOverlays();
+        this.attachInsoles();
+        this.attachShoeLasts();
         
         this.scene.add(this.dualFootModel);
 
@@ -170,22 +226,28 @@ export class SceneManager extends EventTarget {
             side: THREE.DoubleSide,
         };
 
+        // 면이 없는 점군은 어떤 뷰 모드에서도 점으로만 표시
+        const isPointCloud = geometry.userData.isPointCloud === true;
+        const renderMode = isPointCloud ? 'points' : viewType;
+
         let material;
-        switch(viewType) {
+        switch(renderMode) {
             case 'points':
-                material = new THREE.PointsMaterial({ ...baseMaterialProps, size: 0.1 });
+                material = new THREE.PointsMaterial({ ...baseMaterialProps, size: isPointCloud ? 1.5 : 0.1 });
                 break;
             case 'wireframe':
                 material = new THREE.MeshBasicMaterial({ ...baseMaterialProps, wireframe: true });
                 break;
             case 'mesh':
             default:
-                material = new THREE.MeshStandardMaterial({ ...baseMaterialProps, flatShading: true });
+                material = geometry.userData.hasTexture ?
+                    this.createTexturedMaterials(geometry, baseMaterialProps) :
+                    new THREE.MeshStandardMaterial({ ...baseMaterialProps, flatShading: true });
                 break;
         }
 
         // 원본 geometry를 그대로 사용
-        const mesh = (viewType === 'points') ? 
+        const mesh = (renderMode === 'points') ? 
             new THREE.Points(geometry, material) : 
             new THREE.Mesh(geometry, material);
             
@@ -196,6 +258,424 @@ export class SceneManager extends EventTarget {
         return footModel;
     }
 
+    /**
+     * OBJ/glTF 텍스처 재질 생성 (병합 시 보존한 재질 그룹마다 하나씩)
+     */
+    createTexturedMaterials(geometry, baseMaterialProps) {
+        return geometry.userData.surfaceMaterials.map(surface => new THREE.MeshStandardMaterial({
+            ...baseMaterialProps,
+            // 텍스처가 있으면 발 구분 색상을 섞지 않고 원래 색 그대로 표시
+            color: surface.map ? 0xffffff : surface.color,
+            map: surface.map
+        }));
+    }
+
+    /**
+     * 스캔 정리 미리보기 (분석 전, 불러온 발만 표시)
+     * mode 'before': 원본 스캔 + 제거될 점(빨간색), 'after': 정리된 스캔
+     * feet: [{ foot, original, cleaned, removedPositions }]
+     */
+    showCleanupPreview(feet, mode = 'after') {
+        this.cleanupCurrentModels();
+        if (feet.length === 0) return;
+
+        this.dualFootModel = new THREE.Group();
+        this.dualFootModel.name = 'CleanupPreview';
+
+        feet.forEach(({ foot, original, cleaned, removedPositions }) => {
+            const color = foot === 'left' ? '#3b82f6' : '#10b981';
+            const footModel = this.createFootModel(mode === 'before' ? original : cleaned, color, 'mesh', foot);
+
+            if (mode === 'before' && removedPositions.length > 0) {
+                footModel.add(this.createRemovedPointsOverlay(removedPositions));
+            }
+
+            // 정리 전 원본도 정리 후 스캔의 발 기준 좌표계로 정렬해 위치 비교가 쉽도록 함
+            this.alignSingleFoot(footModel, cleaned.userData.canonicalFrame);
+
+            if (foot === 'left') this.leftFootModel = footModel;
+            else this.rightFootModel = footModel;
+            this.dualFootModel.add(footModel);
+        });
+
+        this.positionDualFeet();
+        this.scene.add(this.dualFootModel);
+        this.alignAndScaleDualModel();
+        this.updateHelpers();
+
+        console.log(`🧹 스캔 정리 미리보기: ${mode === 'before' ? '정리 전' : '정리 후'} (${feet.length}개)`);
+    }
+
+    /**
+     * 정리로 제거되는 점 표시용 점군
+     */
+    createRemovedPointsOverlay(removedPositions) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(removedPositions, 3));
+
+        const points = new THREE.Points(geometry, new THREE.PointsMaterial({ color: '#ef4444', size: 1.5 }));
+        points.name = 'RemovedPoints';
+        return points;
+    }
+
+    /**
+     * 발별 둘레 측정 결과 설정 후 현재 모델에 단면선 표시
+     */
+    setGirthContours(foot, girths) {
+        this.girthContours[foot] = girths || null;
+        this.attachGirthContours();
+    }
+
+    /**
+     * 둘레 단면선 표시/숨김
+     */
+    setGirthContoursVisible(visible) {
+        this.girthContoursVisible = visible;
+        [this.leftFootModel, this.rightFootModel].forEach(footModel => {
+            const group = footModel?.getObjectByName('GirthContours');
+            if (group) group.visible = visible;
+        });
+    }
+
+    /**
+     * 양발 모델에 둘레 단면선 부착 (분석 모델에만, 기존 단면선은 교체)
+     */
+    attachGirthContours() {
+        if (this.dualFootModel?.name !== 'DualFootModel') return;
+
+        [['left', this.leftFootModel], ['right', this.rightFootModel]].forEach(([foot, footModel]) => {
+            if (!footModel) return;
+
+            const previous = footModel.getObjectByName('GirthContours');
+            if (previous) {
+                footModel.remove(previous);
+                this.disposeObject(previous);
+            }
+
+            const girths = this.girthContours[foot];
+            if (girths) footModel.add(this.createGirthContourLines(girths));
+        });
+    }
+
+    /**
+     * 둘레 단면선 생성 (윤곽선 좌표는 발 geometry 좌표계이므로 발 모델의 자식으로 추가)
+     */
+    createGirthContourLines(girths) {
+        const group = new THREE.Group();
+        group.name = 'GirthContours';
+        group.visible = this.girthContoursVisible;
+
+        Object.entries(girths).forEach(([type, girth]) => {
+            if (!girth) return;
+
+            const material = new THREE.LineBasicMaterial({
+                color: GIRTH_COLORS[type] || '#ffffff',
+                depthTest: false, // 표면 위 선이 메시에 가려 깜박이지 않도록
+                transparent: true,
+                opacity: 0.9
+            });
+
+            girth.contours.forEach(contour => {
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.BufferAttribute(contour.points, 3));
+
+                const line = contour.closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+                line.name = `Girth-${type}`;
+                line.renderOrder = 1;
+                group.add(line);
+            });
+        });
+
+        return group;
+    }
+
+    /**
+     * 표면 편차 설정 (foot: 칠할 발, distances: 그 발 정점별 mm, range: 색이 가장 진해지는 ±mm)
+     */
+    setDeviationMap(foot, distances, range) {
+        this.deviationMap = distances ? { foot, distances, range } : null;
+        this.applyDeviationMap();
+    }
+
+    /**
+     * 편차 히트맵 표시/숨김
+     */
+    setDeviationMapVisible(visible) {
+        this.deviationMapVisible = visible;
+        this.applyDeviationMap();
+    }
+
+    /**
+     * 편차가 있는 발 표면을 히트맵으로 교체하고 나머지는 원래 geometry/재질로 복원 (분석 모델에만)
+     * 히트맵 geometry는 원본의 위치·인덱스를 공유하고 색 속성만 따로 가짐
+     */
+    applyDeviationMap() {
+        if (this.dualFootModel?.name !== 'DualFootModel') return;
+
+        [['left', this.leftFootModel], ['right', this.rightFootModel]].forEach(([foot, footModel]) => {
+            const surface = footModel?.children[0];
+            if (!surface) return;
+
+            this.restoreDeviationSurface(surface);
+
+            const map = this.deviationMap;
+            if (this.deviationMapVisible && map?.foot === foot && map.distances.length === surface.geometry.attributes.position.count) {
+                this.applyDeviationSurface(surface, map);
+            }
+        });
+    }
+
+    /**
+     * 히트맵으로 바꿔 둔 표면 복원
+     */
+    restoreDeviationSurface(surface) {
+        const original = surface.userData.deviationOriginal;
+        if (!original) return;
+
+        surface.geometry.dispose();
+        surface.material.dispose();
+        // 히트맵 표시 중 바뀐 단면 절단 평면 유지
+        [].concat(original.material).forEach(material => { material.clippingPlanes = surface.material.clippingPlanes; });
+        surface.geometry = original.geometry;
+        surface.material = original.material;
+        delete surface.userData.deviationOriginal;
+    }
+
+    /**
+     * 표면을 편차 색 히트맵으로 교체 (원래 geometry/재질은 userData에 보관)
+     */
+    applyDeviationSurface(surface, map) {
+        const geometry = surface.geometry;
+        const heatGeometry = new THREE.BufferGeometry();
+        heatGeometry.setAttribute('position', geometry.attributes.position);
+        if (geometry.index) heatGeometry.setIndex(geometry.index);
+        heatGeometry.setAttribute('color', new THREE.BufferAttribute(this.createDeviationColors(map.distances, map.range), 3));
+        heatGeometry.userData = geometry.userData;
+
+        const baseMaterial = [].concat(surface.material)[0];
+        const heatProps = { color: 0xffffff, vertexColors: true, side: THREE.DoubleSide, clippingPlanes: baseMaterial.clippingPlanes };
+        let heatMaterial;
+        if (surface.isPoints) {
+            heatMaterial = new THREE.PointsMaterial({ ...heatProps, size: baseMaterial.size });
+        } else if (baseMaterial.wireframe) {
+            heatMaterial = new THREE.MeshBasicMaterial({ ...heatProps, wireframe: true });
+        } else {
+            heatMaterial = new THREE.MeshStandardMaterial({ ...heatProps, flatShading: true });
+        }
+
+        surface.userData.deviationOriginal = { geometry, material: surface.material };
+        surface.geometry = heatGeometry;
+        surface.material = heatMaterial;
+    }
+
+    /**
+     * 편차 → 정점 색 (0은 중립색, ±range에서 양 끝 색, 비교 불가는 회색)
+     */
+    createDeviationColors(distances, range) {
+        const colors = new Float32Array(distances.length * 3);
+        const negative = new THREE.Color(DEVIATION_COLORS.negative);
+        const neutral = new THREE.Color(DEVIATION_COLORS.neutral);
+        const positive = new THREE.Color(DEVIATION_COLORS.positive);
+        const missing = new THREE.Color(DEVIATION_COLORS.missing);
+        const color = new THREE.Color();
+
+        distances.forEach((distance, i) => {
+            if (!Number.isFinite(distance)) {
+                color.copy(missing);
+            } else {
+                const t = Math.max(-1, Math.min(1, distance / range));
+                color.copy(neutral).lerp(t < 0 ? negative : positive, Math.abs(t));
+            }
+            color.toArray(colors, i * 3);
+        });
+
+        return colors;
+    }
+
+    /**
+     * 발별 짝 스캔 설정 (overlay: { positions(발 geometry 좌표), index, isPointCloud }, 없으면 null)
+     */
+    setLoadOverlay(foot, overlay) {
+        this.loadOverlays[foot] = overlay || null;
+        this.attachLoadOverlays();
+    }
+
+    /**
+     * 짝 스캔 겹쳐 보기 표시/숨김
+     */
+    setLoadOverlayVisible(visible) {
+        this.loadOverlayVisible = visible;
+        [this.leftFootModel, this.rightFootModel].forEach(footModel => {
+            const overlay = footModel?.getObjectByName('LoadOverlay');
+            if (overlay) overlay.visible = visible;
+        });
+    }
+
+    /**
+     * 양발 모델에 짝 스캔 부착 (분석 모델에만, 기존 것은 교체)
+     */
+    attachLoadOverlays() {
+        if (this.dualFootModel?.name !== 'DualFootModel') return;
+
+        [['left', this.leftFootModel], ['right', this.rightFootModel]].forEach(([foot, footModel]) => {
+            if (!footModel) return;
+
+            const previous = footModel.getObjectByName('LoadOverlay');
+            if (previous) {
+                footModel.remove(previous);
+                this.disposeObject(previous);
+            }
+
+            const overlay = this.loadOverlays[foot];
+            if (overlay) footModel.add(this.createLoadOverlay(overlay));
+        });
+    }
+
+    /**
+     * 짝 스캔 반투명 표면 (점군은 점으로)
+     */
+    createLoadOverlay({ positions, index, isPointCloud }) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        if (index) geometry.setIndex(new THREE.BufferAttribute(index, 1));
+
+        const materialProps = { color: LOAD_OVERLAY_COLOR, transparent: true, depthWrite: false };
+        let overlay;
+        if (isPointCloud) {
+            overlay = new THREE.Points(geometry, new THREE.PointsMaterial({ ...materialProps, size: 1.5, opacity: 0.6 }));
+        } else {
+            geometry.computeVertexNormals();
+            overlay = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ ...materialProps, side: THREE.DoubleSide, opacity: 0.35 }));
+        }
+
+        overlay.name = 'LoadOverlay';
+        overlay.renderOrder = 2;
+        overlay.visible = this.loadOverlayVisible;
+        return overlay;
+    }
+
+    /**
+     * 발별 맞춤 깔창 설정 (insole: { positions(발 geometry 좌표), index }, 없으면 null)
+     */
+    setInsole(foot, insole) {
+        this.insoles[foot] = insole || null;
+        this.attachInsoles();
+    }
+
+    /**
+     * 깔창 미리보기 표시/숨김
+     */
+    setInsoleVisible(visible) {
+        this.insoleVisible = visible;
+        [this.leftFootModel, this.rightFootModel].forEach(footModel => {
+            const insole = footModel?.getObjectByName('Insole');
+            if (insole) insole.visible = visible;
+        });
+    }
+
+    /**
+     * 양발 모델에 깔창 부착 (분석 모델에만, 기존 것은 교체)
+     */
+    attachInsoles() {
+        if (this.dualFootModel?.name !== 'DualFootModel') return;
+
+        [['left', this.leftFootModel], ['right', this.rightFootModel]].forEach(([foot, footModel]) => {
+            if (!footModel) return;
+
+            const previous = footModel.getObjectByName('Insole');
+            if (previous) {
+                footModel.remove(previous);
+                this.disposeObject(previous);
+            }
+
+            const insole = this.insoles[foot];
+            if (insole) footModel.add(this.createInsoleMesh(insole));
+        });
+    }
+
+    /**
+     * 발바닥 아래 깔창 메시 (발과 겹치는 부분이 보이도록 반투명)
+     */
+    createInsoleMesh({ positions, index }) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(index, 1));
+        geometry.computeVertexNormals();
+
+        const insole = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            color: INSOLE_COLOR,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide,
+            flatShading: true
+        }));
+        insole.name = 'Insole';
+        insole.renderOrder = 2;
+        insole.visible = this.insoleVisible;
+        return insole;
+    }
+
+    /**
+     * 발별 구두 라스트 설정 (shoeLast: { positions(발 geometry 좌표), index }, 없으면 null)
+     */
+    setShoeLast(foot, shoeLast) {
+        this.shoeLasts[foot] = shoeLast || null;
+        this.attachShoeLasts();
+    }
+
+    /**
+     * 라스트 미리보기 표시/숨김
+     */
+    setShoeLastVisible(visible) {
+        this.shoeLastVisible = visible;
+        [this.leftFootModel, this.rightFootModel].forEach(footModel => {
+            const shoeLast = footModel?.getObjectByName('ShoeLast');
+            if (shoeLast) shoeLast.visible = visible;
+        });
+    }
+
+    /**
+     * 양발 모델에 라스트 부착 (분석 모델에만, 기존 것은 교체)
+     */
+    attachShoeLasts() {
+        if (this.dualFootModel?.name !== 'DualFootModel') return;
+
+        [['left', this.leftFootModel], ['right', this.rightFootModel]].forEach(([foot, footModel]) => {
+            if (!footModel) return;
+
+            const previous = footModel.getObjectByName('ShoeLast');
+            if (previous) {
+                footModel.remove(previous);
+                this.disposeObject(previous);
+            }
+
+            const shoeLast = this.shoeLasts[foot];
+            if (shoeLast) footModel.add(this.createShoeLastMesh(shoeLast));
+        });
+    }
+
+    /**
+     * 발을 감싸는 라스트 메시 (안의 발이 보이도록 반투명, 뒷면은 그리지 않음)
+     */
+    createShoeLastMesh({ positions, index }) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(index, 1));
+        geometry.computeVertexNormals();
+
+        const shoeLast = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            color: LAST_COLOR,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false,
+            side: THREE.FrontSide
+        }));
+        shoeLast.name = 'ShoeLast';
+        shoeLast.renderOrder = 3;
+        shoeLast.visible = this.shoeLastVisible;
+        return shoeLast;
+    }
+
     /**
      * 양발 배치 (안정적인 간격 로직으로 수정)
      */
@@ -208,8 +688,9 @@ export class SceneManager extends EventTarget {
         // 발 너비의 60%를 간격으로 설정
         const spacing = leftSize.x * 0.6;
         
-        const leftPosition = -(leftSize.x / 2) - (spacing / 2);
-        const rightPosition = (leftSize.x / 2) + (spacing / 2);
+        // 발 좌표계(X = Y × Z)에서 사람의 왼쪽이 +X이므로 왼발을 +X에 배치 (엄지끼리 마주 보도록)
+        const leftPosition = (leftSize.x / 2) + (spacing / 2);
+        const rightPosition = -(leftSize.x / 2) - (spacing / 2);
         
         this.leftFootModel.position.x = leftPosition;
         this.rightFootModel.position.x = rightPosition;
@@ -239,19 +720,26 @@ export class SceneManager extends EventTarget {
 
     /**
      * 개별 발 정렬
+     * 발 기준 좌표계가 있으면 발바닥을 수평(Y 위)으로, 뒤꿈치→둘째 발가락을 +Z로 회전
+     * 없으면 가장 긴 축을 눕히는 기존 방식 사용
      */
-    alignSingleFoot(footModel) {
+    alignSingleFoot(footModel, frame = null) {
         if (!footModel || footModel.children.length === 0) return;
 
         const mesh = footModel.children[0];
-        
-        const initialBox = new THREE.Box3().setFromObject(mesh);
-        const initialSize = initialBox.getSize(new THREE.Vector3());
-
-        if (initialSize.y > initialSize.x && initialSize.y > initialSize.z) {
-            footModel.rotation.x = -Math.PI / 2;
-        } else if (initialSize.x > initialSize.y && initialSize.x > initialSize.z) {
-            footModel.rotation.z = -Math.PI / 2;
+        frame = frame || mesh.geometry.userData.canonicalFrame;
+
+        if (frame) {
+            footModel.quaternion.setFromRotationMatrix(frame.matrix);
+        } else {
+            const initialBox = new THREE.Box3().setFromObject(mesh);
+            const initialSize = initialBox.getSize(new THREE.Vector3());
+
+            if (initialSize.y > initialSize.x && initialSize.y > initialSize.z) {
+                footModel.rotation.x = -Math.PI / 2;
+            } else if (initialSize.x > initialSize.y && initialSize.x > initialSize.z) {
+                footModel.rotation.z = -Math.PI / 2;
+            }
         }
 
         const rotatedBox = new THREE.Box3().setFromObject(footModel);
@@ -298,12 +786,7 @@ export class SceneManager extends EventTarget {
     cleanupCurrentModels() {
         if (this.dualFootModel) {
             this.scene.remove(this.dualFootModel);
-            this.dualFootModel.traverse(child => {
-                if (child.isMesh || child.isPoints) {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) child.material.dispose();
-                }
-            });
+            this.disposeObject(this.dualFootModel);
         }
         
         this.dualFootModel = null;
@@ -311,6 +794,21 @@ export class SceneManager extends EventTarget {
         this.rightFootModel = null;
     }
 
+    /**
+     * 객체 하위 geometry/재질 해제
+     */
+    disposeObject(object) {
+        object.traverse(child => {
+            if (child.isMesh || child.isPoints || child.isLine) {
+                if (child.geometry) child.geometry.dispose();
+                // 텍스처 모델은 재질 배열을 사용 (텍스처 자체는 geometry가 계속 참조하므로 유지)
+                [].concat(child.material || []).forEach(material => material.dispose());
+                // 히트맵으로 바꿔 둔 표면의 원래 재질
+                [].concat(child.userData.deviationOriginal?.material || []).forEach(material => material.dispose());
+            }
+        });
+    }
+
     /**
      * 헬퍼 업데이트
      */
@@ -375,6 +873,21 @@ export class SceneManager extends EventTarget {
         return this.dualFootModel;
     }
     
+    /**
+     * 화면(월드) 기준 발 좌표축 (X: 좌우, Y: 위, Z: 뒤꿈치→발끝)
+     */
+    getCanonicalAxes() {
+        const quaternion = this.dualFootModel
+            ? this.dualFootModel.getWorldQuaternion(new THREE.Quaternion())
+            : new THREE.Quaternion();
+
+        return {
+            xAxis: new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion),
+            yAxis: new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion),
+            zAxis: new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion)
+        };
+    }
+
     getLeftFootModel() {
         return this.leftFootModel;
     }
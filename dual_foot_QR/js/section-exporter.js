@@ -0,0 +1,106 @@
+/**
+ * 단면 내보내기 모듈 - 양발 2D 단면 윤곽선을 CNC 작업용 SVG/DXF(mm 단위)로 변환·저장 전담
+ * 두 발을 가로로 나란히 배치 (왼발 왼쪽), 각 발은 단면 범위의 왼쪽 아래 모서리를 기준점으로 사용
+ */
+import { Utils } from './utils.js';
+
+// 두 발 단면 사이 간격과 SVG 여백 (mm)
+const FOOT_SPACING = 20;
+const SVG_MARGIN = 5;
+
+// DXF 레이어 (발별)
+const DXF_LAYERS = { left: 'LEFT_FOOT', right: 'RIGHT_FOOT' };
+
+export class SectionExporter {
+    /**
+     * 발별 윤곽선을 배치 좌표(mm, y 위쪽)로 옮긴 목록
+     * 반환: { feet: [{ foot, contours: [{ points: [[x, y]], closed }] }], width, height }
+     */
+    static layout(sections) {
+        const feet = [];
+        let cursor = 0;
+        let height = 0;
+
+        ['left', 'right'].forEach(foot => {
+            const section = sections[foot];
+            if (!section) return;
+
+            const { minU, minV } = section.bounds;
+            feet.push({
+                foot,
+                contours: section.contours.map(({ points, closed }) => ({
+                    points: points.map(([u, v]) => [u - minU + cursor, v - minV]),
+                    closed
+                }))
+            });
+            cursor += section.width + FOOT_SPACING;
+            height = Math.max(height, section.height);
+        });
+
+        return { feet, width: Math.max(cursor - FOOT_SPACING, 0), height };
+    }
+
+    /**
+     * SVG 문서 (1 사용자 단위 = 1 mm, 채우기 없는 윤곽선)
+     */
+    static toSVG(state) {
+        const { feet, width, height } = SectionExporter.layout(state.sections);
+        const totalWidth = width + SVG_MARGIN * 2;
+        const totalHeight = height + SVG_MARGIN * 2;
+        const toPoints = (points) => points
+            .map(([x, y]) => `${(x + SVG_MARGIN).toFixed(3)},${(height - y + SVG_MARGIN).toFixed(3)}`)
+            .join(' ');
+
+        const groups = feet.map(({ foot, contours }) => [
+            `  <g id="${foot}-foot" fill="none" stroke="#000000" stroke-width="0.2">`,
+            ...contours.map(({ points, closed }) => `    <${closed ? 'polygon' : 'polyline'} points="${toPoints(points)}"/>`),
+            '  </g>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth.toFixed(3)}mm" height="${totalHeight.toFixed(3)}mm" viewBox="0 0 ${totalWidth.toFixed(3)} ${totalHeight.toFixed(3)}">`,
+            `  <desc>Foot cross-section (axis ${state.axis}, ${(state.ratio * 100).toFixed(0)}%), units: mm</desc>`,
+            ...groups,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * DXF 문서 (R12 ASCII, 발별 레이어의 POLYLINE, 단위 mm)
+     */
+    static toDXF(state) {
+        const { feet } = SectionExporter.layout(state.sections);
+        const lines = [];
+        const add = (...pairs) => {
+            for (let i = 0; i < pairs.length; i += 2) lines.push(String(pairs[i]), String(pairs[i + 1]));
+        };
+
+        add(0, 'SECTION', 2, 'HEADER', 9, '$ACADVER', 1, 'AC1009', 9, '$INSUNITS', 70, 4, 0, 'ENDSEC');
+
+        add(0, 'SECTION', 2, 'TABLES', 0, 'TABLE', 2, 'LAYER', 70, feet.length);
+        feet.forEach(({ foot }) => add(0, 'LAYER', 2, DXF_LAYERS[foot], 70, 0, 62, 7, 6, 'CONTINUOUS'));
+        add(0, 'ENDTAB', 0, 'ENDSEC');
+
+        add(0, 'SECTION', 2, 'ENTITIES');
+        feet.forEach(({ foot, contours }) => {
+            const layer = DXF_LAYERS[foot];
+            contours.forEach(({ points, closed }) => {
+                add(0, 'POLYLINE', 8, layer, 66, 1, 70, closed ? 1 : 0);
+                points.forEach(([x, y]) => add(0, 'VERTEX', 8, layer, 10, x.toFixed(4), 20, y.toFixed(4), 30, '0.0'));
+                add(0, 'SEQEND', 8, layer);
+            });
+        });
+        add(0, 'ENDSEC', 0, 'EOF');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 텍스트 파일 저장 (브라우저 다운로드)
+     */
+    static download(content, fileName, mimeType) {
+        Utils.downloadFile(content, fileName, mimeType);
+    }
+}
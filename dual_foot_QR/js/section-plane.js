@@ -0,0 +1,560 @@
+/**
+ * 단면 평면 모듈 - 발 모델을 자르는 단면 평면(렌더러 클리핑) 표시·드래그와 평면 위치의 단면 윤곽선 계산 전담
+ * 평면은 발 기준 좌표축(X: 좌우, Y: 위, Z: 뒤꿈치→발끝)에 수직이고, 위치는 발마다 그 축 방향 범위의 비율(0~1)로 지정
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { MeshSlicer } from './mesh-slicer.js';
+
+// 축별 평면 법선과 2D 단면 그림의 가로(u)·세로(v) 방향 (발 기준 좌표)
+const SECTION_AXES = {
+    z: { normal: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0] }, // 횡단: 발끝 쪽에서 본 모습
+    x: { normal: [1, 0, 0], u: [0, 0, 1], v: [0, 1, 0] }, // 시상: 옆에서 본 모습, 발끝이 오른쪽
+    y: { normal: [0, 1, 0], u: [-1, 0, 0], v: [0, 0, 1] } // 수평: 위에서 본 모습, 발끝이 위
+};
+
+const SECTION_STYLE = {
+    planeColor: '#facc15',
+    planeOpacity: 0.15,
+    contourColor: '#facc15',
+    planeMargin: 1.15 // 평면 표시 크기 (발 단면 범위 대비)
+};
+
+// 점군 단면 두께 (축 방향 범위 대비)
+const POINT_SLAB_RATIO = 0.01;
+
+// 드래그 중 윤곽선 재계산 간격 (ms)
+const UPDATE_DELAY = 120;
+
+export class SectionPlane extends EventTarget {
+    constructor(sceneManager, cameraController, canvasContainer) {
+        super();
+        this.sceneManager = sceneManager;
+        this.cameraController = cameraController;
+        this.canvasContainer = canvasContainer;
+
+        this.enabled = false;
+        this.axis = 'z';
+        this.ratio = 0.5;
+        this.flipped = false; // false: 축 + 방향 쪽을 잘라냄, true: - 방향 쪽을 잘라냄
+        this.unitScales = { left: 1, right: 1 };
+        this.frames = new WeakMap(); // geometry → { quaternion, axes, extents, weld }
+        this.clipPlanes = { left: new THREE.Plane(), right: new THREE.Plane() };
+        this.sections = { left: null, right: null };
+        this.contours = { left: null, right: null }; // { geometry, contours } (3D 윤곽선, 원본 geometry 좌표)
+
+        this.dragging = null; // { foot }
+        this.pendingPointer = null;
+        this.hovering = false;
+        this.updateTimer = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onDualModelUpdated = () => this.attach();
+
+        // 랜드마크 편집기처럼 OrbitControls보다 먼저 받기 위해 캡처 단계로 수신
+        this.canvasContainer.addEventListener('pointerdown', this.onPointerDown, true);
+        this.canvasContainer.addEventListener('pointermove', this.onPointerMove);
+        this.sceneManager.addEventListener('dualModelUpdated', this.onDualModelUpdated);
+    }
+
+    /**
+     * 단면 평면 켜기/끄기 (끄면 클리핑과 평면 표시 제거)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled) this.sceneManager.getRenderer().localClippingEnabled = true;
+
+        this.attach();
+        if (enabled) this.computeSections();
+    }
+
+    /**
+     * 단면 축 선택 ('x' | 'y' | 'z')
+     */
+    setAxis(axis) {
+        if (!SECTION_AXES[axis] || axis === this.axis) return;
+
+        this.axis = axis;
+        this.attach();
+        if (this.enabled) this.computeSections();
+    }
+
+    /**
+     * 평면 위치 (축 방향 범위의 비율, 0: 최소 쪽 끝, 1: 최대 쪽 끝)
+     */
+    setPosition(ratio) {
+        this.ratio = Math.min(Math.max(ratio, 0), 1);
+        this.updatePlanes();
+        this.scheduleSectionUpdate();
+    }
+
+    /**
+     * 잘라낼 쪽 바꾸기
+     */
+    setFlipped(flipped) {
+        this.flipped = flipped;
+        this.updatePlanes();
+    }
+
+    /**
+     * 발별 스캔 1단위의 mm 환산값
+     */
+    setUnitScale(foot, scale) {
+        this.unitScales[foot] = scale || 1;
+    }
+
+    /**
+     * 현재 단면 상태 (sections: 발별 2D 단면 mm, 윤곽선이 없으면 null)
+     */
+    getState() {
+        return {
+            enabled: this.enabled,
+            axis: this.axis,
+            ratio: this.ratio,
+            flipped: this.flipped,
+            sections: { ...this.sections }
+        };
+    }
+
+    /**
+     * 양발 분석 모델에 평면 표시와 클리핑 부착 (모델을 다시 만들면 dualModelUpdated에서 다시 호출)
+     */
+    attach() {
+        if (this.sceneManager.getCurrentModel()?.name !== 'DualFootModel') return;
+
+        ['left', 'right'].forEach(foot => {
+            const footModel = this.getFootModel(foot);
+            const surface = footModel?.children[0];
+            if (!surface) return;
+
+            const previous = footModel.getObjectByName('SectionPlane');
+            if (previous) {
+                footModel.remove(previous);
+                this.sceneManager.disposeObject(previous);
+            }
+
+            [].concat(surface.material).forEach(material => {
+                material.clippingPlanes = this.enabled ? [this.clipPlanes[foot]] : null;
+                material.needsUpdate = true;
+            });
+
+            if (this.enabled) footModel.add(this.createPlaneGroup(foot, surface.geometry));
+        });
+
+        this.updatePlanes();
+    }
+
+    /**
+     * 평면 표시 그룹 (발 모델의 자식이므로 원본 geometry 좌표 그대로 배치)
+     */
+    createPlaneGroup(foot, geometry) {
+        const group = new THREE.Group();
+        group.name = 'SectionPlane';
+
+        const plane = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({
+                color: SECTION_STYLE.planeColor,
+                transparent: true,
+                opacity: SECTION_STYLE.planeOpacity,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        plane.name = 'SectionPlaneMesh';
+        plane.userData.foot = foot;
+        group.add(plane);
+
+        // 이전에 계산한 윤곽선은 같은 geometry일 때만 다시 표시
+        const stored = this.contours[foot];
+        if (stored?.geometry === geometry) group.add(this.createContourLines(stored.contours));
+
+        return group;
+    }
+
+    /**
+     * 단면 윤곽선 (메시에 가려지지 않게 깊이 검사 없이 표시)
+     */
+    createContourLines(contours) {
+        const group = new THREE.Group();
+        group.name = 'SectionContours';
+
+        const material = new THREE.LineBasicMaterial({
+            color: SECTION_STYLE.contourColor,
+            depthTest: false,
+            transparent: true
+        });
+
+        contours.forEach(contour => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(contour.points), 3));
+            const line = contour.closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+            line.renderOrder = 1;
+            group.add(line);
+        });
+
+        return group;
+    }
+
+    /**
+     * 현재 축·위치에 맞춰 평면 표시와 클리핑 평면(월드 좌표) 갱신
+     */
+    updatePlanes() {
+        if (!this.enabled) return;
+
+        ['left', 'right'].forEach(foot => {
+            const footModel = this.getFootModel(foot);
+            const surface = footModel?.children[0];
+            const planeMesh = footModel?.getObjectByName('SectionPlaneMesh');
+            if (!surface || !planeMesh) return;
+
+            const frame = this.getFrame(footModel, surface.geometry);
+            const { normal, u, v } = SECTION_AXES[this.axis];
+            const n = frame.toGeometry(normal);
+            const offset = this.getOffset(frame);
+
+            // 평면 중심: 세 축 범위의 가운데에서 법선 방향만 현재 위치로
+            const center = new THREE.Vector3();
+            ['x', 'y', 'z'].forEach(axis => {
+                const [min, max] = frame.extents[axis];
+                center.addScaledVector(frame.axes[axis], axis === this.axis ? offset : (min + max) / 2);
+            });
+
+            const uAxis = frame.toGeometry(u);
+            const vAxis = frame.toGeometry(v);
+            const size = (direction) => {
+                const key = ['x', 'y', 'z'][direction.findIndex(c => c !== 0)];
+                return frame.extents[key][1] - frame.extents[key][0];
+            };
+
+            planeMesh.position.copy(center);
+            planeMesh.quaternion.setFromRotationMatrix(
+                new THREE.Matrix4().makeBasis(uAxis, vAxis, new THREE.Vector3().crossVectors(uAxis, vAxis))
+            );
+            planeMesh.scale.set(size(u) * SECTION_STYLE.planeMargin, size(v) * SECTION_STYLE.planeMargin, 1);
+
+            // 평면 거리가 음수인 쪽이 잘려 나가므로 남길 쪽이 양수가 되도록 법선 방향 선택
+            const clipPlane = this.flipped
+                ? new THREE.Plane(n.clone(), -offset)
+                : new THREE.Plane(n.clone().negate(), offset);
+            surface.updateWorldMatrix(true, false);
+            this.clipPlanes[foot].copy(clipPlane.applyMatrix4(surface.matrixWorld));
+        });
+    }
+
+    /**
+     * 드래그가 이어지는 동안에는 일정 간격으로만 윤곽선 재계산
+     */
+    scheduleSectionUpdate() {
+        if (!this.enabled || this.updateTimer) return;
+
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = null;
+            this.computeSections();
+        }, UPDATE_DELAY);
+    }
+
+    /**
+     * 발별 단면 윤곽선 계산 후 3D 윤곽선 갱신, sectionChanged 이벤트로 2D 단면 전달
+     */
+    computeSections() {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+        if (!this.enabled) return;
+
+        ['left', 'right'].forEach(foot => {
+            const footModel = this.getFootModel(foot);
+            const surface = footModel?.children[0];
+            if (!surface) {
+                this.sections[foot] = null;
+                return;
+            }
+
+            const geometry = surface.geometry;
+            const frame = this.getFrame(footModel, geometry);
+            const { normal, u, v } = SECTION_AXES[this.axis];
+            const offset = this.getOffset(frame);
+            const plane = { normal: frame.toGeometry(normal).toArray(), offset };
+            const positions = geometry.attributes.position.array;
+
+            let result;
+            if (surface.isPoints) {
+                const [min, max] = frame.extents[this.axis];
+                result = MeshSlicer.slicePoints(positions, plane, (max - min) * POINT_SLAB_RATIO);
+            } else {
+                const index = geometry.index ? geometry.index.array : null;
+                if (!index && !frame.weld) frame.weld = MeshSlicer.weldVertices(positions);
+                result = MeshSlicer.slice(positions, index, plane, frame.weld);
+            }
+
+            this.contours[foot] = { geometry, contours: result.contours };
+            const group = footModel.getObjectByName('SectionPlane');
+            const previous = group?.getObjectByName('SectionContours');
+            if (previous) {
+                group.remove(previous);
+                this.sceneManager.disposeObject(previous);
+            }
+            group?.add(this.createContourLines(result.contours));
+
+            // 2D 단면 (mm): 발 기준 u/v 방향 성분
+            const scale = this.unitScales[foot];
+            const uAxis = frame.toGeometry(u).multiplyScalar(scale);
+            const vAxis = frame.toGeometry(v).multiplyScalar(scale);
+            const contours2D = result.contours.map(contour => {
+                const points = [];
+                for (let i = 0; i + 2 < contour.points.length; i += 3) {
+                    const p = [contour.points[i], contour.points[i + 1], contour.points[i + 2]];
+                    points.push([
+                        uAxis.x * p[0] + uAxis.y * p[1] + uAxis.z * p[2],
+                        vAxis.x * p[0] + vAxis.y * p[1] + vAxis.z * p[2]
+                    ]);
+                }
+                return { points, closed: contour.closed };
+            });
+
+            const section = SectionPlane.describeSection(contours2D);
+            this.sections[foot] = section && {
+                ...section,
+                position: (offset - frame.extents[this.axis][0]) * scale
+            };
+        });
+
+        this.dispatchEvent(new CustomEvent('sectionChanged', { detail: this.getState() }));
+    }
+
+    /**
+     * 2D 단면 치수 (mm, mm²) - 윤곽선이 없으면 null
+     * 넓이는 닫힌 윤곽선만 더하고, 다른 윤곽선 안에 들어 있는 윤곽선(구멍)은 뺌
+     */
+    static describeSection(contours) {
+        if (contours.length === 0) return null;
+
+        const bounds = { minU: Infinity, maxU: -Infinity, minV: Infinity, maxV: -Infinity };
+        let perimeter = 0;
+        contours.forEach(({ points, closed }) => {
+            points.forEach(([pu, pv], i) => {
+                bounds.minU = Math.min(bounds.minU, pu);
+                bounds.maxU = Math.max(bounds.maxU, pu);
+                bounds.minV = Math.min(bounds.minV, pv);
+                bounds.maxV = Math.max(bounds.maxV, pv);
+                const next = points[i + 1] || (closed ? points[0] : null);
+                if (next) perimeter += Math.hypot(next[0] - pu, next[1] - pv);
+            });
+        });
+
+        const closedContours = contours.filter(contour => contour.closed && contour.points.length >= 3);
+        const area = closedContours.reduce((sum, contour) => {
+            const depth = closedContours.filter(other => other !== contour && SectionPlane.containsPoint(other.points, contour.points[0])).length;
+            const contourArea = Math.abs(SectionPlane.polygonArea(contour.points));
+            return sum + (depth % 2 === 0 ? contourArea : -contourArea);
+        }, 0);
+
+        return {
+            contours,
+            bounds,
+            width: bounds.maxU - bounds.minU,
+            height: bounds.maxV - bounds.minV,
+            perimeter,
+            area
+        };
+    }
+
+    /**
+     * 다각형 부호 넓이 (신발끈 공식)
+     */
+    static polygonArea(points) {
+        let area = 0;
+        points.forEach(([x1, y1], i) => {
+            const [x2, y2] = points[(i + 1) % points.length];
+            area += x1 * y2 - x2 * y1;
+        });
+        return area / 2;
+    }
+
+    /**
+     * 점이 다각형 안에 있는지 (반직선 교차 횟수)
+     */
+    static containsPoint(polygon, [x, y]) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * 발 기준 좌표축을 geometry 좌표로 옮긴 축과 축별 범위 (발 모델 회전이 같으면 캐시 사용)
+     */
+    getFrame(footModel, geometry) {
+        const cached = this.frames.get(geometry);
+        if (cached && cached.quaternion.equals(footModel.quaternion)) return cached;
+
+        const inverse = footModel.quaternion.clone().invert();
+        const toGeometry = (vector) => new THREE.Vector3().fromArray(vector).applyQuaternion(inverse);
+        const axes = { x: toGeometry([1, 0, 0]), y: toGeometry([0, 1, 0]), z: toGeometry([0, 0, 1]) };
+
+        const positions = geometry.attributes.position.array;
+        const extents = {};
+        Object.entries(axes).forEach(([key, axis]) => {
+            let min = Infinity, max = -Infinity;
+            for (let i = 0; i + 2 < positions.length; i += 3) {
+                const value = axis.x * positions[i] + axis.y * positions[i + 1] + axis.z * positions[i + 2];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            extents[key] = [min, max];
+        });
+
+        const frame = { quaternion: footModel.quaternion.clone(), axes, extents, toGeometry, weld: cached?.weld || null };
+        this.frames.set(geometry, frame);
+        return frame;
+    }
+
+    getOffset(frame) {
+        const [min, max] = frame.extents[this.axis];
+        return min + (max - min) * this.ratio;
+    }
+
+    /**
+     * 드래그 시작 - 평면을 누르면 카메라 조작 대신 평면 이동 (랜드마크를 잡았으면 양보)
+     */
+    onPointerDown(event) {
+        if (!this.enabled || event.button !== 0 || event.defaultPrevented) return;
+
+        const plane = this.pickPlane(event);
+        if (!plane) return;
+
+        event.stopPropagation();
+        event.preventDefault();
+
+        this.dragging = { foot: plane.userData.foot };
+        this.cameraController.getControls().enabled = false;
+        this.canvasContainer.style.cursor = 'grabbing';
+
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    /**
+     * 드래그 중에는 포인터 광선에 가장 가까운 법선 위치로 평면 이동 (프레임당 한 번), 아니면 평면 위에서 커서 표시
+     */
+    onPointerMove(event) {
+        if (!this.enabled) return;
+
+        if (!this.dragging) {
+            const hovering = !!this.pickPlane(event);
+            if (hovering !== this.hovering) this.canvasContainer.style.cursor = hovering ? 'grab' : '';
+            this.hovering = hovering;
+            return;
+        }
+
+        const scheduled = this.pendingPointer !== null;
+        this.pendingPointer = { clientX: event.clientX, clientY: event.clientY };
+        if (scheduled) return;
+
+        requestAnimationFrame(() => {
+            const pointer = this.pendingPointer;
+            this.pendingPointer = null;
+            if (!this.dragging || !pointer) return;
+
+            const ratio = this.ratioAtPointer(pointer, this.dragging.foot);
+            if (ratio === null) return;
+
+            this.setPosition(ratio);
+            this.dispatchEvent(new CustomEvent('sectionPlaneMoved', { detail: { axis: this.axis, ratio: this.ratio } }));
+        });
+    }
+
+    /**
+     * 드래그 종료 - 최종 위치로 윤곽선 바로 계산
+     */
+    onPointerUp() {
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+
+        this.dragging = null;
+        this.pendingPointer = null;
+        this.cameraController.getControls().enabled = true;
+        this.canvasContainer.style.cursor = '';
+        this.computeSections();
+    }
+
+    /**
+     * 포인터 광선과 가장 가까운 법선 직선 위 점 → 평면 위치 비율 (광선이 법선과 나란하면 null)
+     */
+    ratioAtPointer(pointer, foot) {
+        const footModel = this.getFootModel(foot);
+        const surface = footModel?.children[0];
+        if (!surface) return null;
+
+        const frame = this.getFrame(footModel, surface.geometry);
+        const normal = frame.toGeometry(SECTION_AXES[this.axis].normal);
+        const offset = this.getOffset(frame);
+
+        this.setRay(pointer);
+        const ray = this.raycaster.ray.clone().applyMatrix4(new THREE.Matrix4().copy(surface.matrixWorld).invert());
+        const origin = footModel.getObjectByName('SectionPlaneMesh').position;
+
+        // 직선 origin + s·normal 과 광선 사이 최근접점의 s
+        const w = new THREE.Vector3().subVectors(origin, ray.origin);
+        const b = normal.dot(ray.direction);
+        const c = ray.direction.dot(ray.direction);
+        const denominator = c - b * b;
+        if (Math.abs(denominator) < 1e-6) return null;
+        const s = (b * ray.direction.dot(w) - c * normal.dot(w)) / denominator;
+
+        const [min, max] = frame.extents[this.axis];
+        return (offset + s - min) / (max - min);
+    }
+
+    /**
+     * 화면 좌표 → 보이는 평면 중 가장 가까운 것
+     */
+    pickPlane(event) {
+        const planes = ['left', 'right']
+            .map(foot => this.getFootModel(foot))
+            .filter(footModel => footModel?.visible)
+            .map(footModel => footModel.getObjectByName('SectionPlaneMesh'))
+            .filter(Boolean);
+        if (planes.length === 0) return null;
+
+        this.setRay(event);
+        const [hit] = this.raycaster.intersectObjects(planes, false);
+        return hit ? hit.object : null;
+    }
+
+    setRay({ clientX, clientY }) {
+        const rect = this.sceneManager.getRenderer().domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.cameraController.getActiveCamera());
+    }
+
+    getFootModel(foot) {
+        return foot === 'left' ? this.sceneManager.getLeftFootModel() : this.sceneManager.getRightFootModel();
+    }
+
+    /**
+     * 정리 (이벤트 해제, 클리핑 제거)
+     */
+    dispose() {
+        clearTimeout(this.updateTimer);
+        this.enabled = false;
+        this.attach();
+
+        this.canvasContainer.removeEventListener('pointerdown', this.onPointerDown, true);
+        this.canvasContainer.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+        this.sceneManager.removeEventListener('dualModelUpdated', this.onDualModelUpdated);
+        console.log('🧹 Section Plane 정리 완료');
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * 단면 그리기 모듈 - 양발 2D 단면 윤곽선과 폭·높이 치수선을 캔버스에 그리기 전담
+ */
+
+const SECTION_CANVAS_STYLE = {
+    background: '#1C1F29',
+    stroke: { left: '#60a5fa', right: '#f97316' },
+    dimension: 'rgba(255, 255, 255, 0.6)',
+    text: '#d1d5db',
+    padding: 10,
+    fontSize: 10,
+    lineWidth: 1.5
+};
+
+export class SectionRenderer {
+    /**
+     * 양발 단면 그리기 (왼발 왼쪽, 오른발 오른쪽, 두 발 같은 축척)
+     * 윤곽선 아래에 폭, 오른쪽에 높이 치수선 표시
+     */
+    static draw(canvas, leftSection, rightSection, style = {}) {
+        const S = { ...SECTION_CANVAS_STYLE, ...style };
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+
+        ctx.fillStyle = S.background;
+        ctx.fillRect(0, 0, width, height);
+
+        const feet = [['left', leftSection], ['right', rightSection]];
+        const maxWidth = Math.max(0, ...feet.map(([, section]) => section?.width || 0));
+        const maxHeight = Math.max(0, ...feet.map(([, section]) => section?.height || 0));
+
+        const slotWidth = width / 2;
+        const dimensionSpace = S.fontSize * 2.5; // 치수선과 글자 자리
+        const drawWidth = slotWidth - S.padding * 2 - dimensionSpace;
+        const drawHeight = height - S.padding * 2 - dimensionSpace - S.fontSize;
+        const scale = maxWidth > 0 && maxHeight > 0
+            ? Math.min(drawWidth / maxWidth, drawHeight / maxHeight)
+            : 0;
+
+        ctx.font = `${S.fontSize}px sans-serif`;
+        feet.forEach(([foot, section], slot) => {
+            const slotLeft = slotWidth * slot;
+
+            ctx.fillStyle = S.text;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(foot === 'left' ? 'L' : 'R', slotLeft + slotWidth / 2, S.padding / 2);
+
+            if (!section || scale === 0) {
+                ctx.textBaseline = 'middle';
+                ctx.fillText('단면 없음', slotLeft + slotWidth / 2, height / 2);
+                return;
+            }
+
+            const { bounds } = section;
+            const originX = slotLeft + S.padding + (drawWidth - section.width * scale) / 2;
+            const originY = S.padding + S.fontSize + (drawHeight + section.height * scale) / 2;
+            const toX = (u) => originX + (u - bounds.minU) * scale;
+            const toY = (v) => originY - (v - bounds.minV) * scale;
+
+            ctx.strokeStyle = S.stroke[foot];
+            ctx.lineWidth = S.lineWidth;
+            section.contours.forEach(({ points, closed }) => {
+                ctx.beginPath();
+                points.forEach(([u, v], i) => (i === 0 ? ctx.moveTo(toX(u), toY(v)) : ctx.lineTo(toX(u), toY(v))));
+                if (closed) ctx.closePath();
+                ctx.stroke();
+            });
+
+            // 치수선 (폭: 아래, 높이: 오른쪽)
+            const left = toX(bounds.minU), right = toX(bounds.maxU);
+            const top = toY(bounds.maxV), bottom = toY(bounds.minV);
+            const gap = S.fontSize * 0.6;
+
+            ctx.strokeStyle = S.dimension;
+            ctx.lineWidth = 1;
+            SectionRenderer.drawDimension(ctx, left, bottom + gap, right, bottom + gap, gap / 2);
+            SectionRenderer.drawDimension(ctx, right + gap, top, right + gap, bottom, gap / 2);
+
+            ctx.fillStyle = S.text;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(section.width.toFixed(1), (left + right) / 2, bottom + gap * 1.5);
+
+            ctx.save();
+            ctx.translate(right + gap * 1.5, (top + bottom) / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.fillText(section.height.toFixed(1), 0, 0);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * 양 끝에 짧은 눈금이 있는 치수선
+     */
+    static drawDimension(ctx, x1, y1, x2, y2, tick) {
+        const horizontal = y1 === y2;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        [[x1, y1], [x2, y2]].forEach(([x, y]) => {
+            if (horizontal) {
+                ctx.moveTo(x, y - tick);
+                ctx.lineTo(x, y + tick);
+            } else {
+                ctx.moveTo(x - tick, y);
+                ctx.lineTo(x + tick, y);
+            }
+        });
+        ctx.stroke();
+    }
+}
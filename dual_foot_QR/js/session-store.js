@@ -0,0 +1,243 @@
+/**
+ * 세션 모듈 - 분석 세션(발별 스캔 파일, 정리 설정 등) 기록과 로컬 저장소 보관, 세션 파일 변환 전담
+ */
+import { Utils } from './utils.js';
+
+const CURRENT_SESSION_KEY = 'dualFootCurrentSession';
+const SESSION_VERSION = 1;
+
+// 세션 파일 (기록 + 발 기준 좌표 스캔, JSON)
+const SESSION_FILE_FORMAT = 'dual-foot-session';
+const SESSION_FILE_VERSION = 1;
+
+// 세션 파일에 담을 수 있는 typed array
+const ARRAY_TYPES = { Float32Array, Uint32Array, Uint16Array };
+
+export class SessionStore {
+    constructor() {
+        this.session = SessionStore.createSession();
+    }
+
+    /**
+     * 빈 세션 생성
+     */
+    static createSession() {
+        const now = new Date().toISOString();
+        return {
+            id: Utils.generateId(12),
+            version: SESSION_VERSION,
+            createdAt: now,
+            updatedAt: now,
+            clientName: '',
+            analyzedAt: null,
+            feet: {
+                left: SessionStore.createFootRecord(),
+                right: SessionStore.createFootRecord()
+            }
+        };
+    }
+
+    static createFootRecord() {
+        return {
+            fileName: '',
+            cleanup: null,
+            landmarks: null,
+            customMeasurements: [],
+            measurements: null,
+            loadPair: null // 체중 부하/비부하 짝 스캔 { fileName, state, fitError, assessment }
+        };
+    }
+
+    /**
+     * 세션 단위 정보 갱신 후 저장 (clientName, analyzedAt)
+     */
+    update(changes) {
+        Object.assign(this.session, changes);
+        this.save();
+    }
+
+    /**
+     * 발별 기록 갱신 후 저장
+     */
+    updateFoot(foot, changes) {
+        Object.assign(this.session.feet[foot], changes);
+        this.save();
+    }
+
+    /**
+     * 좌우 스캔을 맞바꿀 때 기록도 함께 교체
+     */
+    swapFeet() {
+        const { feet } = this.session;
+        [feet.left, feet.right] = [feet.right, feet.left];
+        this.save();
+    }
+
+    /**
+     * 스캔 정리 결과 → 세션 기록 형태 (재현에 필요한 설정과 제거 통계만)
+     */
+    static describeCleanup(cleanup) {
+        return {
+            options: { ...cleanup.options },
+            stats: { ...cleanup.stats },
+            floorPlane: cleanup.floorPlane
+                ? { normal: cleanup.floorPlane.normal.toArray(), offset: cleanup.floorPlane.offset }
+                : null,
+            appliedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 랜드마크 → 세션 기록 형태 (원본 geometry 좌표, 수동 보정한 항목 이름)
+     */
+    static describeLandmarks(landmarks) {
+        return {
+            points: Object.fromEntries(Object.entries(landmarks.points).map(([name, point]) => [name, [...point]])),
+            edited: [...landmarks.edited],
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 사용자 측정 → 세션 기록 형태 (원본 geometry 좌표의 측정점과 mm/도 단위 값)
+     */
+    static describeCustomMeasurements(measurements) {
+        return measurements.map(({ id, type, label, points, path, value, unit, includeInReport }) => ({
+            id,
+            type,
+            label,
+            points: points.map(point => [...point]),
+            path: path ? path.map(point => [...point]) : null,
+            value,
+            unit,
+            includeInReport
+        }));
+    }
+
+    /**
+     * 측정 결과 → 세션 기록 형태 (경과 비교에 쓰는 길이·너비·높이·둘레·아치 높이, mm)
+     */
+    static describeMeasurements(measurements) {
+        if (!measurements) return null;
+        return {
+            length: measurements.length,
+            width: measurements.width,
+            height: measurements.height,
+            archHeight: measurements.arch?.navicularHeight ?? null,
+            dorsalHeight: measurements.arch?.dorsalHeight ?? null,
+            girths: Object.fromEntries(Object.entries(measurements.girths || {})
+                .filter(([, girth]) => girth)
+                .map(([type, girth]) => [type, girth.value]))
+        };
+    }
+
+    /**
+     * 세션 기록 + 발별 스캔 → 방문 기록 (스캔 기록과 세션 파일의 공통 형태)
+     * scans: { left|right: { positions(발 기준 좌표 mm), index, isPointCloud } | null }
+     */
+    static createVisit(session, scans = {}) {
+        const feet = {};
+        ['left', 'right'].forEach(foot => {
+            const record = session.feet[foot];
+            feet[foot] = {
+                fileName: record.fileName,
+                measurements: record.measurements || null,
+                scan: scans[foot] || null
+            };
+        });
+
+        return {
+            id: session.id,
+            clientName: session.clientName || '',
+            analyzedAt: session.analyzedAt || session.updatedAt,
+            feet
+        };
+    }
+
+    /**
+     * 세션 파일 내용 (스캔 배열은 base64)
+     */
+    static toFile(session, scans = {}) {
+        const encodeScan = (scan) => (scan ? {
+            positions: SessionStore.encodeArray(scan.positions),
+            index: scan.index ? SessionStore.encodeArray(scan.index) : null,
+            isPointCloud: scan.isPointCloud === true
+        } : null);
+
+        return JSON.stringify({
+            format: SESSION_FILE_FORMAT,
+            version: SESSION_FILE_VERSION,
+            session,
+            scans: { left: encodeScan(scans.left), right: encodeScan(scans.right) }
+        });
+    }
+
+    /**
+     * 세션 파일 → 방문 기록 (형식이 다르면 오류)
+     */
+    static fromFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('세션 파일을 읽을 수 없습니다.');
+        }
+        const feet = data?.session?.feet;
+        if (data?.format !== SESSION_FILE_FORMAT || !Utils.isObject(feet)
+            || !Utils.isObject(feet.left) || !Utils.isObject(feet.right)) {
+            throw new Error('발 분석 세션 파일이 아닙니다.');
+        }
+        if (data.version > SESSION_FILE_VERSION) {
+            throw new Error('더 새로운 버전에서 저장한 세션 파일입니다.');
+        }
+
+        const decodeScan = (scan) => (scan ? {
+            positions: SessionStore.decodeArray(scan.positions),
+            index: scan.index ? SessionStore.decodeArray(scan.index) : null,
+            isPointCloud: scan.isPointCloud === true
+        } : null);
+
+        let scans;
+        try {
+            scans = { left: decodeScan(data.scans?.left), right: decodeScan(data.scans?.right) };
+        } catch (error) {
+            console.warn('⚠️ 세션 파일 스캔 복원 실패:', error.message);
+            throw new Error('발 분석 세션 파일이 아닙니다.');
+        }
+
+        return SessionStore.createVisit(data.session, scans);
+    }
+
+    /**
+     * typed array → { type, data(base64) }
+     */
+    static encodeArray(array) {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return { type: array.constructor.name, data: btoa(binary) };
+    }
+
+    static decodeArray({ type, data }) {
+        const ArrayType = ARRAY_TYPES[type];
+        if (!ArrayType) throw new Error(`지원하지 않는 배열 형식입니다: ${type}`);
+
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        if (bytes.length % ArrayType.BYTES_PER_ELEMENT !== 0) {
+            throw new Error(`${type} 데이터 길이가 올바르지 않습니다.`);
+        }
+        return new ArrayType(bytes.buffer);
+    }
+
+    /**
+     * 현재 세션을 로컬 저장소에 보관
+     */
+    save() {
+        this.session.updatedAt = new Date().toISOString();
+        Utils.storage.set(CURRENT_SESSION_KEY, this.session);
+    }
+}
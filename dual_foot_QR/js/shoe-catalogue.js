@@ -0,0 +1,238 @@
+/**
+ * 신발 카탈로그 모듈 - 매장 신발 모델(치수 범위, 기준 치수의 라스트 치수) 목록 보관과 CSV 가져오기/내보내기 전담
+ * 기본 목록은 data/shoe-catalogue.json, 매장에서 가져온 목록은 브라우저 로컬 저장소에 보관
+ */
+import { Utils } from './utils.js';
+
+const CATALOGUE_FORMAT = 'dual-foot-shoe-catalogue';
+const CATALOGUE_VERSION = 1;
+const DEFAULT_CATALOGUE_URL = new URL('../data/shoe-catalogue.json', import.meta.url);
+const CATALOGUE_STORAGE_KEY = 'dualFootShoeCatalogue';
+
+// CSV 열 순서 (머리글은 대소문자·공백·밑줄·하이픈 무시), 치수는 KS mm
+const CSV_COLUMNS = [
+    'brand', 'model', 'sizeRun', 'sizeStep', 'baseSize',
+    'lastLength', 'ballGirth', 'width', 'toeBoxHeight', 'drop', 'stability'
+];
+const REQUIRED_COLUMNS = ['brand', 'model', 'sizeRun', 'baseSize', 'lastLength'];
+
+// 치수 간격 기본값과 허용 치수 범위 (KS mm)
+const DEFAULT_SIZE_STEP = 5;
+const SIZE_LIMITS = [100, 350];
+
+// 안정성 분류 (CSV에는 한국어도 허용)
+const STABILITY_ALIASES = {
+    neutral: 'neutral',
+    '중립': 'neutral',
+    stability: 'stability',
+    '안정': 'stability',
+    '안정화': 'stability',
+    'motion-control': 'motion-control',
+    'motioncontrol': 'motion-control',
+    '동작제어': 'motion-control',
+    '모션컨트롤': 'motion-control',
+    cushion: 'cushion',
+    '쿠션': 'cushion'
+};
+
+export class ShoeCatalogue {
+    constructor() {
+        this.models = [];
+        this.source = 'default'; // 'default' | 'imported'
+        this.updatedAt = null;
+    }
+
+    /**
+     * 저장된 매장 목록이 있으면 그것을, 없으면 기본 목록을 읽음
+     * 저장된 목록도 가져올 때와 같이 검증하고, 잘못된 모델이 있으면 지우고 기본 목록으로 되돌림
+     */
+    async load() {
+        const stored = Utils.storage.get(CATALOGUE_STORAGE_KEY);
+        if (stored?.format === CATALOGUE_FORMAT && Array.isArray(stored.models)) {
+            try {
+                this.models = stored.models.map((model, i) => ShoeCatalogue.normalize(model, `저장된 ${i + 1}번째 모델`));
+                this.source = 'imported';
+                this.updatedAt = stored.updatedAt || null;
+                console.log(`👟 매장 신발 카탈로그 읽음: ${this.models.length}개 모델`);
+                return this.models;
+            } catch (error) {
+                console.warn('⚠️ 저장된 매장 신발 카탈로그가 올바르지 않아 기본 목록으로 되돌림:', error.message);
+                return this.reset();
+            }
+        }
+        return this.loadDefault();
+    }
+
+    /**
+     * 기본 목록 읽기 (data/shoe-catalogue.json)
+     */
+    async loadDefault() {
+        const response = await fetch(DEFAULT_CATALOGUE_URL);
+        if (!response.ok) throw new Error(`기본 신발 카탈로그를 읽지 못했습니다 (${response.status})`);
+
+        const data = await response.json();
+        if (data?.format !== CATALOGUE_FORMAT || !Array.isArray(data.models)) {
+            throw new Error('신발 카탈로그 파일 형식이 아닙니다.');
+        }
+
+        this.models = data.models.map((model, i) => ShoeCatalogue.normalize(model, `${i + 1}번째 모델`));
+        this.source = 'default';
+        this.updatedAt = null;
+        console.log(`👟 기본 신발 카탈로그 읽음: ${this.models.length}개 모델`);
+        return this.models;
+    }
+
+    /**
+     * CSV 가져오기 (replace면 목록 전체 교체, 아니면 같은 브랜드·모델은 갱신하고 새 모델은 추가) 후 저장
+     * 반환: { added, updated, total }
+     */
+    importCSV(text, { replace = false } = {}) {
+        const entries = ShoeCatalogue.fromCSV(text);
+        const models = replace ? [] : [...this.models];
+        let added = 0;
+        let updated = 0;
+
+        entries.forEach(entry => {
+            const i = models.findIndex(model => ShoeCatalogue.keyOf(model) === ShoeCatalogue.keyOf(entry));
+            if (i >= 0) {
+                models[i] = entry;
+                updated++;
+            } else {
+                models.push(entry);
+                added++;
+            }
+        });
+
+        this.models = models;
+        this.source = 'imported';
+        this.updatedAt = new Date().toISOString();
+        Utils.storage.set(CATALOGUE_STORAGE_KEY, {
+            format: CATALOGUE_FORMAT,
+            version: CATALOGUE_VERSION,
+            updatedAt: this.updatedAt,
+            models
+        });
+
+        console.log(`👟 신발 카탈로그 가져오기: 추가 ${added}, 갱신 ${updated}, 전체 ${models.length}`);
+        return { added, updated, total: models.length };
+    }
+
+    /**
+     * 매장 목록을 지우고 기본 목록으로 되돌림
+     */
+    async reset() {
+        Utils.storage.remove(CATALOGUE_STORAGE_KEY);
+        return this.loadDefault();
+    }
+
+    /**
+     * 현재 목록을 CSV로 (가져오기와 같은 열, 매장에서 고쳐서 다시 가져올 수 있음)
+     */
+    toCSV() {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : `${value}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = this.models.map(model => CSV_COLUMNS.map(column => {
+            if (column === 'sizeRun') return `${model.sizeRun.min}-${model.sizeRun.max}`;
+            if (column === 'sizeStep') return model.sizeRun.step;
+            return model[column];
+        }).map(escape).join(','));
+
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+    }
+
+    /**
+     * CSV 텍스트 → 카탈로그 항목 (행 번호와 함께 잘못된 값 안내)
+     */
+    static fromCSV(text) {
+        const entries = Utils.readCSVRecords(text, CSV_COLUMNS, REQUIRED_COLUMNS)
+            .map(({ raw, line }) => ShoeCatalogue.normalize(ShoeCatalogue.fromCSVRecord(raw, line), `${line}행`));
+
+        if (entries.length === 0) throw new Error('CSV에 신발 모델이 없습니다.');
+        return entries;
+    }
+
+    /**
+     * CSV 한 행(문자열) → 카탈로그 항목 형태 (치수 범위 '230-290')
+     */
+    static fromCSVRecord(raw, line) {
+        const number = (value) => (value === undefined || value === '' ? null : Number(value));
+        const run = raw.sizeRun.match(/^(\d+(?:\.\d+)?)\s*[-~]\s*(\d+(?:\.\d+)?)$/);
+        if (!run) throw new Error(`${line}행: 치수 범위는 '230-290' 형식이어야 합니다 (${raw.sizeRun || '빈 값'})`);
+
+        return {
+            brand: raw.brand,
+            model: raw.model,
+            sizeRun: { min: Number(run[1]), max: Number(run[2]), step: number(raw.sizeStep) ?? DEFAULT_SIZE_STEP },
+            baseSize: number(raw.baseSize),
+            lastLength: number(raw.lastLength),
+            ballGirth: number(raw.ballGirth),
+            width: number(raw.width),
+            toeBoxHeight: number(raw.toeBoxHeight),
+            drop: number(raw.drop),
+            stability: raw.stability || null
+        };
+    }
+
+    /**
+     * 항목 검증 및 정리 (필수 값이 없거나 범위를 벗어나면 오류, 선택 값은 없으면 null)
+     */
+    static normalize(entry, label) {
+        const fail = (message) => {
+            throw new Error(`${label}: ${message}`);
+        };
+        const positive = (value) => Number.isFinite(value) && value > 0;
+        const optional = (value, name) => {
+            if (value === null || value === undefined) return null;
+            if (!Number.isFinite(value) || value < 0) fail(`${name} 값이 올바르지 않습니다 (${value})`);
+            return value;
+        };
+
+        const brand = `${entry.brand ?? ''}`.trim();
+        const model = `${entry.model ?? ''}`.trim();
+        if (!brand || !model) fail('브랜드와 모델명이 필요합니다.');
+
+        const { min, max, step = DEFAULT_SIZE_STEP } = entry.sizeRun || {};
+        if (!positive(min) || !positive(max) || min > max || min < SIZE_LIMITS[0] || max > SIZE_LIMITS[1]) {
+            fail(`치수 범위가 올바르지 않습니다 (${min}-${max}, ${SIZE_LIMITS[0]}~${SIZE_LIMITS[1]} mm)`);
+        }
+        if (!positive(step)) fail(`치수 간격이 올바르지 않습니다 (${step})`);
+        if (!positive(entry.baseSize)) fail(`기준 치수가 올바르지 않습니다 (${entry.baseSize})`);
+        if (!positive(entry.lastLength)) fail(`라스트 길이가 올바르지 않습니다 (${entry.lastLength})`);
+
+        const stabilityKey = `${entry.stability ?? 'neutral'}`.trim().toLowerCase().replace(/\s/g, '');
+        const stability = STABILITY_ALIASES[stabilityKey];
+        if (!stability) fail(`안정성 분류는 neutral, stability, motion-control, cushion 중 하나여야 합니다 (${entry.stability})`);
+
+        return {
+            brand,
+            model,
+            sizeRun: { min, max, step },
+            baseSize: entry.baseSize,
+            lastLength: entry.lastLength,
+            ballGirth: optional(entry.ballGirth, '볼 둘레'),
+            width: optional(entry.width, '너비'),
+            toeBoxHeight: optional(entry.toeBoxHeight, '앞코 높이'),
+            drop: optional(entry.drop, '힐-토 드롭'),
+            stability
+        };
+    }
+
+    /**
+     * 모델 식별 키 (브랜드 + 모델명, 대소문자 무시)
+     */
+    static keyOf(entry) {
+        return `${entry.brand}|${entry.model}`.toLowerCase();
+    }
+
+    /**
+     * 치수 범위의 모든 치수 (KS mm)
+     */
+    static sizesOf(entry) {
+        const { min, max, step } = entry.sizeRun;
+        const sizes = [];
+        for (let size = min; size <= max + 1e-6; size += step) sizes.push(Math.round(size * 10) / 10);
+        return sizes;
+    }
+}
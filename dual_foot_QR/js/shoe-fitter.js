@@ -0,0 +1,218 @@
+/**
+ * 신발 맞춤 모듈 - 양발 측정값을 카탈로그 모델의 라스트 치수와 비교해 모델·치수 추천과 항목별 맞음 판정 전담
+ * 라스트 치수는 카탈로그의 기준 치수 값을 치수마다 그레이딩해 환산 (길이는 치수와 같은 폭으로 증가)
+ */
+import { ShoeCatalogue } from './shoe-catalogue.js';
+
+// 라스트 그레이딩 (치수 1 mm당 증가량)
+const LAST_GRADING = {
+    ballGirth: 0.6,
+    width: 0.2,
+    toeBoxHeight: 0.05
+};
+
+// 항목별 맞음 범위 (라스트 − 발 mm, 길이는 여유 길이를 뺀 값): good 밖이면 tight/loose, scale mm마다 크게 감점, 가중치
+const FIT_RULES = {
+    length: { good: [-4, 6], scale: 4, weight: 0.4 },
+    ballGirth: { good: [-6, 8], scale: 6, weight: 0.3 },
+    width: { good: [-3, 5], scale: 3, weight: 0.2 },
+    toeBoxHeight: { good: [3, 15], scale: 4, weight: 0.1 }
+};
+
+// good 범위 끝의 점수 (가운데는 100, 카탈로그에 값이 없는 항목도 이 점수로 봄)
+const FIT_EDGE_SCORE = 80;
+
+// 이보다 점수가 낮은 모델은 추천하지 않음
+const MIN_SCORE = 50;
+
+// 아치 유형별 권장 안정성 분류 (앞쪽일수록 우선) 및 감점
+const STABILITY_PREFERENCES = {
+    'Low Arch / Flat Foot': ['stability', 'motion-control'],
+    'High Arch': ['cushion', 'neutral'],
+    'Normal Arch': ['neutral', 'cushion', 'stability']
+};
+const STABILITY_PENALTY = { preferred: 0, suitable: 3, other: 12 };
+
+// 기본 여유 길이 (mm, ShoeSizer와 같음)와 추천 개수
+const DEFAULT_TOE_ALLOWANCE = 15;
+const DEFAULT_LIMIT = 5;
+
+export class ShoeFitter {
+    /**
+     * 카탈로그 모델 순위 (모델마다 가장 잘 맞는 치수 하나, 점수 높은 순)
+     * feet: { left, right } (측정 엔진 형태, 한쪽만 있어도 됨), options: { archTypes: { left, right }, toeAllowance, limit, stockOf, inStockOnly }
+     * stockOf(model, size) → 재고 수량: 주면 추천할 만한 치수 중 재고 있는 치수를 고르고 재고 있는 모델을 앞에 둠 (inStockOnly면 재고 없는 모델 제외)
+     * 반환: [{ brand, model, size, score, stock(재고를 모르면 null), stability, stabilityMatch, drop, last, fit: { left, right } }]
+     */
+    static rank(models, feet, {
+        archTypes = {},
+        toeAllowance = DEFAULT_TOE_ALLOWANCE,
+        limit = DEFAULT_LIMIT,
+        stockOf = null,
+        inStockOnly = false
+    } = {}) {
+        const dims = {
+            left: ShoeFitter.describeFoot(feet.left),
+            right: ShoeFitter.describeFoot(feet.right)
+        };
+        if (!dims.left && !dims.right) return [];
+
+        const archType = ShoeFitter.combineArchTypes(archTypes.left, archTypes.right);
+        const ranked = models.map(model => {
+            const stabilityMatch = ShoeFitter.matchStability(model.stability, archType);
+            const candidates = ShoeCatalogue.sizesOf(model)
+                .map(size => ShoeFitter.evaluate(model, size, dims, toeAllowance))
+                .map(candidate => ({ ...candidate, score: Math.max(0, candidate.score - STABILITY_PENALTY[stabilityMatch]) }))
+                .sort((a, b) => b.score - a.score);
+
+            // 재고를 알면 추천할 만한 치수 중 재고 있는 가장 잘 맞는 치수, 없으면 가장 잘 맞는 치수 (재고 0)
+            let best = candidates[0];
+            let stock = null;
+            if (stockOf) {
+                const stocked = candidates
+                    .filter(candidate => candidate.score >= MIN_SCORE)
+                    .map(candidate => ({ candidate, stock: stockOf(model, candidate.size) }))
+                    .find(entry => entry.stock > 0);
+                best = stocked ? stocked.candidate : candidates[0];
+                stock = stocked ? stocked.stock : stockOf(model, best.size);
+            }
+
+            return {
+                brand: model.brand,
+                model: model.model,
+                size: best.size,
+                score: Math.round(best.score),
+                stock,
+                stability: model.stability,
+                stabilityMatch,
+                drop: model.drop,
+                last: best.last,
+                fit: best.fit
+            };
+        });
+
+        const inStock = (result) => (result.stock > 0 ? 1 : 0);
+        const results = ranked
+            .filter(result => result.score >= MIN_SCORE && (!stockOf || !inStockOnly || result.stock > 0))
+            .sort((a, b) => (stockOf ? inStock(b) - inStock(a) : 0) || b.score - a.score)
+            .slice(0, limit);
+        console.log('👟 신발 추천:', results.map(result => `${result.brand} ${result.model} ${result.size} (${result.score}${stockOf ? `, 재고 ${result.stock}` : ''})`));
+        return results;
+    }
+
+    /**
+     * 모델의 한 치수를 양발과 비교 (덜 맞는 발에 가중한 점수)
+     */
+    static evaluate(model, size, dims, toeAllowance) {
+        const last = ShoeFitter.gradeLast(model, size);
+        const fit = {
+            left: dims.left ? ShoeFitter.compareFoot(last, dims.left, toeAllowance) : null,
+            right: dims.right ? ShoeFitter.compareFoot(last, dims.right, toeAllowance) : null
+        };
+
+        const scores = [fit.left, fit.right].filter(Boolean).map(foot => foot.score);
+        const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        return { size, last, fit, score: (mean + Math.min(...scores)) / 2 };
+    }
+
+    /**
+     * 기준 치수의 라스트 치수를 다른 치수로 그레이딩 (없는 항목은 null)
+     */
+    static gradeLast(model, size) {
+        const delta = size - model.baseSize;
+        const grade = (value, rate) => (value === null ? null : value + delta * rate);
+        return {
+            length: model.lastLength + delta,
+            ballGirth: grade(model.ballGirth, LAST_GRADING.ballGirth),
+            width: grade(model.width, LAST_GRADING.width),
+            toeBoxHeight: grade(model.toeBoxHeight, LAST_GRADING.toeBoxHeight)
+        };
+    }
+
+    /**
+     * 라스트와 발 한쪽 비교
+     * 반환: { score, dimensions: { length|ballGirth|width|toeBoxHeight: { status('tight'|'good'|'loose'), difference(라스트 − 발 mm), score } } }
+     * 발 쪽 값이 없는 항목은 빼고 가중치를 다시 나누며, 라스트 쪽 값만 없으면 판정 없이 FIT_EDGE_SCORE로 계산
+     */
+    static compareFoot(last, foot, toeAllowance) {
+        const pairs = {
+            length: [last.length, foot.length],
+            ballGirth: [last.ballGirth, foot.ballGirth],
+            width: [last.width, foot.width],
+            toeBoxHeight: [last.toeBoxHeight, foot.toeHeight]
+        };
+
+        const dimensions = {};
+        let weighted = 0;
+        let totalWeight = 0;
+        Object.entries(pairs).forEach(([key, [lastValue, footValue]]) => {
+            if (!Number.isFinite(footValue)) return;
+
+            const rule = FIT_RULES[key];
+            totalWeight += rule.weight;
+            if (!Number.isFinite(lastValue)) {
+                weighted += FIT_EDGE_SCORE * rule.weight;
+                return;
+            }
+
+            const difference = lastValue - footValue;
+            const judged = ShoeFitter.judge(key === 'length' ? difference - toeAllowance : difference, rule);
+            dimensions[key] = { ...judged, difference };
+            weighted += judged.score * rule.weight;
+        });
+
+        return { score: totalWeight > 0 ? weighted / totalWeight : 0, dimensions };
+    }
+
+    /**
+     * 차이 하나의 판정과 점수 (good 범위 안은 가운데 100 → 끝 FIT_EDGE_SCORE, 밖은 scale mm마다 FIT_EDGE_SCORE만큼 더 감점)
+     */
+    static judge(value, { good: [low, high], scale }) {
+        const center = (low + high) / 2;
+        const half = (high - low) / 2;
+
+        if (value < low || value > high) {
+            const outside = value < low ? low - value : value - high;
+            return {
+                status: value < low ? 'tight' : 'loose',
+                score: Math.max(0, FIT_EDGE_SCORE * (1 - outside / scale))
+            };
+        }
+        return { status: 'good', score: 100 - (100 - FIT_EDGE_SCORE) * (Math.abs(value - center) / half) };
+    }
+
+    /**
+     * 비교에 쓰는 발 치수 (mm, 길이가 없으면 null)
+     */
+    static describeFoot(measurements) {
+        if (!Number.isFinite(measurements?.length)) return null;
+        const valueOf = (value) => (Number.isFinite(value) ? value : null);
+        return {
+            length: measurements.length,
+            ballGirth: valueOf(measurements.girths?.ball?.value),
+            width: valueOf(measurements.width),
+            toeHeight: valueOf(measurements.forefoot?.toeHeight)
+        };
+    }
+
+    /**
+     * 양발 아치 유형 하나로 (한쪽이라도 평발이면 평발, 양쪽 모두 높으면 높은 아치, 모르면 null)
+     */
+    static combineArchTypes(left, right) {
+        const types = [left, right].filter(type => STABILITY_PREFERENCES[type]);
+        if (types.length === 0) return null;
+        if (types.includes('Low Arch / Flat Foot')) return 'Low Arch / Flat Foot';
+        if (types.every(type => type === 'High Arch')) return 'High Arch';
+        return 'Normal Arch';
+    }
+
+    /**
+     * 안정성 분류가 아치 유형에 맞는지 ('preferred' | 'suitable' | 'other', 아치 유형을 모르면 'suitable')
+     */
+    static matchStability(stability, archType) {
+        const preferences = STABILITY_PREFERENCES[archType];
+        if (!preferences) return 'suitable';
+        if (preferences[0] === stability) return 'preferred';
+        return preferences.includes(stability) ? 'suitable' : 'other';
+    }
+}
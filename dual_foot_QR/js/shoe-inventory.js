@@ -0,0 +1,171 @@
+/**
+ * 매장 재고 모듈 - 재고 파일(CSV/JSON: SKU, 모델, 치수, 발볼, 수량) 가져오기와 로컬 보관, 모델·치수별 재고 조회 전담
+ * 가져온 파일이 재고 전체를 대신함 (매장 재고 스냅샷)
+ */
+import { Utils } from './utils.js';
+
+const INVENTORY_FORMAT = 'dual-foot-shoe-inventory';
+const INVENTORY_VERSION = 1;
+const INVENTORY_STORAGE_KEY = 'dualFootShoeInventory';
+
+// 재고 열 (머리글은 대소문자·공백·밑줄·하이픈 무시), 치수는 KS mm, brand는 모델명이 겹칠 때만 필요
+const INVENTORY_COLUMNS = ['sku', 'brand', 'model', 'size', 'width', 'quantity'];
+const REQUIRED_COLUMNS = ['model', 'size', 'quantity'];
+
+// 발볼 표기 통일 (EE → 2E)
+const WIDTH_ALIASES = { EE: '2E', EEE: '3E', EEEE: '4E' };
+
+export class ShoeInventory {
+    constructor() {
+        this.items = [];
+        this.fileName = null;
+        this.updatedAt = null;
+    }
+
+    get isLoaded() {
+        return this.items.length > 0;
+    }
+
+    /**
+     * 저장된 재고 읽기 (없으면 빈 재고, 가져올 때와 같이 검증하고 잘못된 품목이 있으면 저장된 재고를 지움)
+     */
+    load() {
+        const stored = Utils.storage.get(INVENTORY_STORAGE_KEY);
+        if (stored?.format === INVENTORY_FORMAT && Array.isArray(stored.items)) {
+            try {
+                this.items = stored.items.map((item, i) => ShoeInventory.normalize(item, `저장된 ${i + 1}번째 품목`));
+                this.fileName = stored.fileName || null;
+                this.updatedAt = stored.updatedAt || null;
+                console.log(`📦 매장 재고 읽음: ${this.items.length}개 품목`);
+            } catch (error) {
+                console.warn('⚠️ 저장된 매장 재고가 올바르지 않아 지움:', error.message);
+                this.clear();
+            }
+        }
+        return this.items;
+    }
+
+    /**
+     * 재고 파일 가져오기 (.json이거나 [ / {로 시작하면 JSON, 아니면 CSV) 후 저장
+     * 반환: { count(품목 수), quantity(전체 수량) }
+     */
+    importFile(text, fileName = '') {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        const isJSON = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+        const items = isJSON ? ShoeInventory.fromJSON(trimmed) : ShoeInventory.fromCSV(trimmed);
+
+        this.items = items;
+        this.fileName = fileName || null;
+        this.updatedAt = new Date().toISOString();
+        Utils.storage.set(INVENTORY_STORAGE_KEY, {
+            format: INVENTORY_FORMAT,
+            version: INVENTORY_VERSION,
+            fileName: this.fileName,
+            updatedAt: this.updatedAt,
+            items
+        });
+
+        const quantity = ShoeInventory.totalQuantity(items);
+        console.log(`📦 매장 재고 가져오기: ${items.length}개 품목, ${quantity}켤레`);
+        return { count: items.length, quantity };
+    }
+
+    /**
+     * 저장된 재고 지우기
+     */
+    clear() {
+        Utils.storage.remove(INVENTORY_STORAGE_KEY);
+        this.items = [];
+        this.fileName = null;
+        this.updatedAt = null;
+    }
+
+    /**
+     * 모델·치수의 재고 수량 (width를 주면 발볼이 같거나 발볼 표기가 없는 품목만)
+     */
+    stockOf(brand, model, size, width = null) {
+        const grade = width ? ShoeInventory.normalizeWidth(width) : null;
+        return this.items
+            .filter(item => ShoeInventory.matchesModel(item, brand, model)
+                && Math.abs(item.size - size) < 0.01
+                && (!grade || !item.width || item.width === grade))
+            .reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    /**
+     * 재고 품목이 카탈로그 모델인지 (브랜드가 있으면 브랜드와 모델명, 없으면 모델명 또는 '브랜드 모델명')
+     */
+    static matchesModel(item, brand, model) {
+        const name = (text) => `${text}`.trim().toLowerCase().replace(/\s+/g, ' ');
+        if (item.brand) return name(item.brand) === name(brand) && name(item.model) === name(model);
+        return name(item.model) === name(model) || name(item.model) === name(`${brand} ${model}`);
+    }
+
+    /**
+     * JSON 재고 → 품목 ([품목] 또는 { items: [품목] })
+     */
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('재고 JSON 파일을 읽을 수 없습니다.');
+        }
+
+        const rows = Array.isArray(data) ? data : data?.items;
+        if (!Array.isArray(rows)) throw new Error('재고 JSON은 품목 배열이거나 items 배열을 가져야 합니다.');
+        if (rows.length === 0) throw new Error('재고 파일에 품목이 없습니다.');
+        return rows.map((row, i) => ShoeInventory.normalize(row, `${i + 1}번째 품목`));
+    }
+
+    /**
+     * CSV 재고 → 품목 (행 번호와 함께 잘못된 값 안내)
+     */
+    static fromCSV(text) {
+        const items = Utils.readCSVRecords(text, INVENTORY_COLUMNS, REQUIRED_COLUMNS, '재고 CSV')
+            .map(({ raw, line }) => ShoeInventory.normalize(raw, `${line}행`));
+
+        if (items.length === 0) throw new Error('재고 파일에 품목이 없습니다.');
+        return items;
+    }
+
+    /**
+     * 품목 검증 및 정리 (CSV 문자열과 JSON 숫자 모두 허용)
+     */
+    static normalize(raw, label) {
+        const fail = (message) => {
+            throw new Error(`${label}: ${message}`);
+        };
+        const text = (value) => (value === null || value === undefined ? '' : `${value}`.trim());
+
+        const model = text(raw.model);
+        if (!model) fail('모델명이 필요합니다.');
+
+        const size = Number(text(raw.size));
+        if (!Number.isFinite(size) || size <= 0) fail(`치수가 올바르지 않습니다 (${text(raw.size) || '빈 값'})`);
+
+        const quantity = Number(text(raw.quantity));
+        if (!Number.isInteger(quantity) || quantity < 0) fail(`수량은 0 이상의 정수여야 합니다 (${text(raw.quantity) || '빈 값'})`);
+
+        return {
+            sku: text(raw.sku) || null,
+            brand: text(raw.brand) || null,
+            model,
+            size,
+            width: text(raw.width) ? ShoeInventory.normalizeWidth(text(raw.width)) : null,
+            quantity
+        };
+    }
+
+    /**
+     * 발볼 표기 통일 (대문자, 공백 제거, EE → 2E)
+     */
+    static normalizeWidth(width) {
+        const grade = `${width}`.toUpperCase().replace(/\s/g, '');
+        return WIDTH_ALIASES[grade] || grade;
+    }
+
+    static totalQuantity(items) {
+        return items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * 신발 사이즈 모듈 - 발 길이·볼 둘레(없으면 너비)를 KS(mm)·US·UK·EU·JP 사이즈와 발볼 등급으로 환산 전담
+ * KS M 6681·JIS S 5037은 발 길이 기준, UK·US(바리콘)·EU(파리 포인트)는 발 길이 + 여유 길이(신발 안쪽 길이) 기준
+ */
+
+// 기본 여유 길이 (mm, 발끝 앞 공간)
+const DEFAULT_TOE_ALLOWANCE = 15;
+
+// KS·JP 치수 간격 (mm)과 같은 치수로 보는 초과 허용 (발 길이가 치수보다 이만큼 넘어도 올리지 않음)
+const KS_SIZE_STEP = 5;
+const KS_SIZE_TOLERANCE = 1;
+
+// 바리콘 (UK·US, 1/3인치)과 파리 포인트 (EU, 2/3cm) 길이 (mm)
+const BARLEYCORN = 25.4 / 3;
+const PARIS_POINT = 20 / 3;
+
+// UK 0 사이즈의 신발 안쪽 길이 (바리콘 수, 성인 8 1/3인치 / 아동 4인치)
+const UK_ZERO = { adult: 25, child: 12 };
+
+// 성인 사이즈로 표시하는 UK 하한 (더 작으면 아동 사이즈만)
+const UK_ADULT_MIN = 1;
+
+// US = UK + 차이 (아동은 13.5C 다음이 1Y)
+const US_OFFSETS = { men: 1, women: 2, kids: 0.5 };
+const US_KIDS_LAST_C = 13.5;
+
+// 아동 사이즈를 함께 계산할 발 길이 상한 (mm)
+const KIDS_MAX_FOOT_LENGTH = 240;
+
+// 발볼 등급 기준 (KS/JIS 표 근사: 기준 발 길이의 D 둘레·너비, 발 길이 1 mm당 증가량, 한 등급 간격, mm)
+const WIDTH_TABLES = {
+    male: {
+        referenceLength: 250,
+        girth: { d: 241, slope: 0.6, step: 6 },
+        width: { d: 98, slope: 0.2, step: 2 }
+    },
+    female: {
+        referenceLength: 230,
+        girth: { d: 225, slope: 0.6, step: 6 },
+        width: { d: 92, slope: 0.2, step: 2 }
+    }
+};
+
+// 표시하는 발볼 등급과 D 대비 등급 수 (A·B·C·D·E·2E·3E·4E 순서)
+const WIDTH_GRADES = [
+    ['B', -2],
+    ['D', 0],
+    ['2E', 2],
+    ['4E', 4]
+];
+
+export class ShoeSizer {
+    /**
+     * 발 하나의 사이즈 환산 (길이가 없으면 null)
+     * foot: { length, ballGirth, width } (mm), options: { gender('남성'|'여성'|'male'|'female'), toeAllowance(mm) }
+     * 반환: { footLength, lastLength, toeAllowance, gender, ks, jp, uk, eu, us: { men, women, kids }, width: { grade, basis, offset } | null }
+     * 성인 범위 밖이면 uk·us.men·us.women은 null, 발이 크면 us.kids는 null
+     */
+    static convert({ length, ballGirth = null, width = null }, { gender = null, toeAllowance = DEFAULT_TOE_ALLOWANCE } = {}) {
+        if (!Number.isFinite(length) || length <= 0) return null;
+
+        const sex = ShoeSizer.normalizeGender(gender);
+        const allowance = Number.isFinite(toeAllowance) ? Math.max(0, toeAllowance) : DEFAULT_TOE_ALLOWANCE;
+        const lastLength = length + allowance;
+        const halfSize = (value) => Math.round(value * 2) / 2;
+
+        const ks = Math.max(1, Math.ceil((length - KS_SIZE_TOLERANCE) / KS_SIZE_STEP)) * KS_SIZE_STEP;
+        const adultUK = halfSize(lastLength / BARLEYCORN - UK_ZERO.adult);
+        const uk = adultUK >= UK_ADULT_MIN ? adultUK : null;
+
+        return {
+            footLength: length,
+            lastLength,
+            toeAllowance: allowance,
+            gender: sex,
+            ks,
+            jp: ks / 10,
+            uk,
+            eu: halfSize(lastLength / PARIS_POINT),
+            us: {
+                men: uk === null ? null : uk + US_OFFSETS.men,
+                women: uk === null ? null : uk + US_OFFSETS.women,
+                kids: length <= KIDS_MAX_FOOT_LENGTH ? ShoeSizer.usKidsSize(lastLength) : null
+            },
+            width: ShoeSizer.gradeWidth(length, ballGirth, width, sex)
+        };
+    }
+
+    /**
+     * US 아동 사이즈 문자열 (13.5C까지는 C, 그 다음은 1Y부터)
+     */
+    static usKidsSize(lastLength) {
+        const size = Math.round((lastLength / BARLEYCORN - UK_ZERO.child + US_OFFSETS.kids) * 2) / 2;
+        if (size <= 0) return null;
+        return size <= US_KIDS_LAST_C ? `${size}C` : `${size - US_KIDS_LAST_C + 0.5}Y`;
+    }
+
+    /**
+     * 발볼 등급 (볼 둘레가 있으면 둘레, 없으면 너비 기준, 둘 다 없으면 null)
+     * offset: 같은 발 길이의 D 기준에서 몇 등급 떨어졌는지
+     */
+    static gradeWidth(length, ballGirth, width, gender) {
+        const table = WIDTH_TABLES[gender === 'female' ? 'female' : 'male'];
+        const basis = Number.isFinite(ballGirth) ? 'girth' : Number.isFinite(width) ? 'width' : null;
+        if (!basis) return null;
+
+        const { d, slope, step } = table[basis];
+        const reference = d + (length - table.referenceLength) * slope;
+        const offset = ((basis === 'girth' ? ballGirth : width) - reference) / step;
+
+        const [grade] = WIDTH_GRADES.reduce((best, candidate) => (
+            Math.abs(candidate[1] - offset) < Math.abs(best[1] - offset) ? candidate : best
+        ));
+        return { grade, basis, offset };
+    }
+
+    /**
+     * 양발 중 추천 사이즈 (긴 발의 사이즈, 발볼은 더 넓은 쪽)
+     */
+    static recommend(left, right) {
+        if (!left || !right) return left || right || null;
+
+        const longer = left.footLength >= right.footLength ? left : right;
+        const widths = [left.width, right.width].filter(Boolean);
+        const width = widths.length > 0
+            ? widths.reduce((wider, candidate) => (candidate.offset > wider.offset ? candidate : wider))
+            : null;
+        return { ...longer, width };
+    }
+
+    /**
+     * 성별 입력 → 'male' | 'female' | null (환영 화면은 한국어 값 사용)
+     */
+    static normalizeGender(gender) {
+        if (gender === '남성' || gender === 'male') return 'male';
+        if (gender === '여성' || gender === 'female') return 'female';
+        return null;
+    }
+}
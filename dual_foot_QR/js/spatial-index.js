@@ -0,0 +1,273 @@
+/**
+ * 공간 인덱스 모듈 - typed array 정점 좌표에 대한 축별 정렬 인덱스와 균일 격자 검색 전담
+ */
+
+const AXES = { x: 0, y: 1, z: 2 };
+
+export class SpatialIndex {
+    /**
+     * positions: [x0, y0, z0, x1, ...] 형태의 Float32Array/Float64Array
+     * 유한하지 않은 좌표(NaN/Infinity)를 가진 정점은 인덱스에서 제외
+     */
+    constructor(positions) {
+        this.positions = positions;
+        this.count = Math.floor(positions.length / 3);
+
+        this.validIndices = this.collectValidIndices();
+        this.min = [Infinity, Infinity, Infinity];
+        this.max = [-Infinity, -Infinity, -Infinity];
+        this.computeBounds();
+
+        this.sortedByAxis = [null, null, null];
+        this.grid = null;
+    }
+
+    /**
+     * 유효 정점 인덱스 수집
+     */
+    collectValidIndices() {
+        const positions = this.positions;
+        const indices = new Uint32Array(this.count);
+        let validCount = 0;
+
+        for (let i = 0; i < this.count; i++) {
+            const o = i * 3;
+            if (Number.isFinite(positions[o]) && Number.isFinite(positions[o + 1]) && Number.isFinite(positions[o + 2])) {
+                indices[validCount++] = i;
+            }
+        }
+
+        return validCount === this.count ? indices : indices.slice(0, validCount);
+    }
+
+    /**
+     * 축별 최솟값/최댓값 (정렬 없이 한 번 순회)
+     */
+    computeBounds() {
+        const positions = this.positions;
+        const { min, max } = this;
+
+        for (let n = 0; n < this.validIndices.length; n++) {
+            const o = this.validIndices[n] * 3;
+            for (let axis = 0; axis < 3; axis++) {
+                const value = positions[o + axis];
+                if (value < min[axis]) min[axis] = value;
+                if (value > max[axis]) max[axis] = value;
+            }
+        }
+    }
+
+    get size() {
+        return this.validIndices.length;
+    }
+
+    /**
+     * 축 이름('x'|'y'|'z') 또는 번호를 번호로 변환
+     */
+    static axisIndex(axis) {
+        return typeof axis === 'number' ? axis : AXES[axis];
+    }
+
+    getCoordinate(vertexIndex, axis) {
+        return this.positions[vertexIndex * 3 + SpatialIndex.axisIndex(axis)];
+    }
+
+    /**
+     * 축 좌표 순으로 정렬된 정점 인덱스 (처음 요청 시 한 번만 정렬)
+     */
+    getSortedIndices(axis) {
+        const a = SpatialIndex.axisIndex(axis);
+
+        if (!this.sortedByAxis[a]) {
+            const positions = this.positions;
+            this.sortedByAxis[a] = this.validIndices.slice().sort((i, j) => positions[i * 3 + a] - positions[j * 3 + a]);
+        }
+
+        return this.sortedByAxis[a];
+    }
+
+    /**
+     * 축 좌표가 [lo, hi] 구간에 있는 정점 인덱스 (이진 탐색, 정렬 인덱스의 부분 뷰 반환)
+     */
+    rangeOnAxis(axis, lo = -Infinity, hi = Infinity) {
+        const a = SpatialIndex.axisIndex(axis);
+        const sorted = this.getSortedIndices(a);
+        const start = this.lowerBound(sorted, a, lo);
+        const end = this.upperBound(sorted, a, hi);
+
+        return sorted.subarray(start, Math.max(start, end));
+    }
+
+    /**
+     * value 이상인 첫 위치
+     */
+    lowerBound(sorted, axis, value) {
+        const positions = this.positions;
+        let lo = 0;
+        let hi = sorted.length;
+
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (positions[sorted[mid] * 3 + axis] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * value 초과인 첫 위치
+     */
+    upperBound(sorted, axis, value) {
+        const positions = this.positions;
+        let lo = 0;
+        let hi = sorted.length;
+
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (positions[sorted[mid] * 3 + axis] <= value) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * 인덱스 집합에서 조건을 만족하는 정점만 남김
+     */
+    filter(indices, predicate) {
+        const result = new Uint32Array(indices.length);
+        let count = 0;
+
+        for (let n = 0; n < indices.length; n++) {
+            const i = indices[n];
+            if (predicate(i)) result[count++] = i;
+        }
+
+        return result.subarray(0, count);
+    }
+
+    /**
+     * 인덱스 집합의 특정 축 최솟값/최댓값 (비어 있으면 null)
+     */
+    extentOf(indices, axis) {
+        if (indices.length === 0) return null;
+
+        const a = SpatialIndex.axisIndex(axis);
+        const positions = this.positions;
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (let n = 0; n < indices.length; n++) {
+            const value = positions[indices[n] * 3 + a];
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * 균일 격자 구성 (셀 크기 미지정 시 셀당 평균 8개 정점 기준으로 추정)
+     */
+    buildGrid(cellSize = null) {
+        const extent = [0, 1, 2].map(a => Math.max(this.max[a] - this.min[a], 1e-9));
+
+        if (!cellSize) {
+            const volume = extent[0] * extent[1] * extent[2];
+            cellSize = Math.cbrt(volume * 8 / Math.max(1, this.size));
+        }
+
+        // 셀 개수가 과도하게 커지지 않도록 제한
+        const MAX_CELLS = 1 << 21;
+        while (extent.reduce((n, e) => n * (Math.floor(e / cellSize) + 1), 1) > MAX_CELLS) {
+            cellSize *= 1.5;
+        }
+
+        const dims = extent.map(e => Math.floor(e / cellSize) + 1);
+        const cellCount = dims[0] * dims[1] * dims[2];
+        const cellStart = new Uint32Array(cellCount + 1);
+        const cellOfVertex = new Uint32Array(this.validIndices.length);
+
+        for (let n = 0; n < this.validIndices.length; n++) {
+            const cell = this.cellOf(this.validIndices[n], cellSize, dims);
+            cellOfVertex[n] = cell;
+            cellStart[cell + 1]++;
+        }
+
+        for (let c = 0; c < cellCount; c++) {
+            cellStart[c + 1] += cellStart[c];
+        }
+
+        // 카운팅 정렬로 셀별 정점 목록 구성
+        const cellItems = new Uint32Array(this.validIndices.length);
+        const cursor = cellStart.slice(0, cellCount);
+        for (let n = 0; n < this.validIndices.length; n++) {
+            cellItems[cursor[cellOfVertex[n]]++] = this.validIndices[n];
+        }
+
+        this.grid = { cellSize, dims, cellStart, cellItems };
+        return this.grid;
+    }
+
+    cellOf(vertexIndex, cellSize, dims) {
+        const o = vertexIndex * 3;
+        const ix = Math.min(dims[0] - 1, Math.floor((this.positions[o] - this.min[0]) / cellSize));
+        const iy = Math.min(dims[1] - 1, Math.floor((this.positions[o + 1] - this.min[1]) / cellSize));
+        const iz = Math.min(dims[2] - 1, Math.floor((this.positions[o + 2] - this.min[2]) / cellSize));
+        return ix + dims[0] * (iy + dims[1] * iz);
+    }
+
+    /**
+     * 반경 내 정점 순회 (callback(vertexIndex, distanceSq))
+     */
+    forEachInRadius(x, y, z, radius, callback) {
+        const grid = this.grid || this.buildGrid();
+        const { cellSize, dims, cellStart, cellItems } = grid;
+        const positions = this.positions;
+        const radiusSq = radius * radius;
+        const center = [x, y, z];
+
+        const lo = [0, 1, 2].map(a => Math.max(0, Math.floor((center[a] - radius - this.min[a]) / cellSize)));
+        const hi = [0, 1, 2].map(a => Math.min(dims[a] - 1, Math.floor((center[a] + radius - this.min[a]) / cellSize)));
+
+        for (let iz = lo[2]; iz <= hi[2]; iz++) {
+            for (let iy = lo[1]; iy <= hi[1]; iy++) {
+                for (let ix = lo[0]; ix <= hi[0]; ix++) {
+                    const cell = ix + dims[0] * (iy + dims[1] * iz);
+                    for (let n = cellStart[cell]; n < cellStart[cell + 1]; n++) {
+                        const i = cellItems[n];
+                        const dx = positions[i * 3] - x;
+                        const dy = positions[i * 3 + 1] - y;
+                        const dz = positions[i * 3 + 2] - z;
+                        const distanceSq = dx * dx + dy * dy + dz * dz;
+                        if (distanceSq <= radiusSq) callback(i, distanceSq);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * 가장 가까운 정점 (maxRadius 안에서 반경을 넓혀 가며 검색, 없으면 -1)
+     */
+    nearest(x, y, z, maxRadius = Infinity) {
+        const grid = this.grid || this.buildGrid();
+        const diagonal = Math.hypot(this.max[0] - this.min[0], this.max[1] - this.min[1], this.max[2] - this.min[2]);
+        const limit = Math.min(maxRadius, diagonal + grid.cellSize);
+
+        let best = -1;
+        let bestDistanceSq = Infinity;
+
+        for (let radius = grid.cellSize; ; radius *= 2) {
+            const r = Math.min(radius, limit);
+            this.forEachInRadius(x, y, z, r, (i, distanceSq) => {
+                if (distanceSq < bestDistanceSq) {
+                    bestDistanceSq = distanceSq;
+                    best = i;
+                }
+            });
+            if (best !== -1 || r >= limit) break;
+        }
+
+        return best;
+    }
+}
@@ -0,0 +1,481 @@
+/**
+ * 표면 편차 모듈 - 비교 대상 표면을 기준 표면에 ICP로 정합한 뒤 기준 정점별 부호 거리와 부위별 편차 계산 전담
+ * 두 표면 모두 발 기준 좌표(X: 좌우, Y: 위, Z: 뒤꿈치→발끝, mm)로 옮겨 비교
+ * 좌우 비교: 기준 왼발, 대상은 X를 뒤집은 오른발 / 경과 비교: 기준 현재 스캔, 대상은 같은 발의 이전 스캔
+ * 부호: +는 기준 표면이 대상보다 바깥(기준이 더 큼), -는 안쪽(기준이 더 작음)
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import { SpatialIndex } from './spatial-index.js';
+import { MeshSlicer } from './mesh-slicer.js';
+
+// ICP 정합 설정 (거리 mm)
+const ICP_SETTINGS = {
+    maxSamples: 4000,        // 정합에 쓰는 대상 표면 표본 점 수
+    maxIterations: 40,
+    tolerance: 0.001,        // 평균 오차 변화가 이보다 작으면 종료
+    rejectRatio: 3,          // 중앙값의 이 배수보다 먼 짝은 제외 (발목 높이 차이 등 겹치지 않는 부분)
+    minRejectDistance: 2     // 제외 기준 하한
+};
+
+// 정점별 편차 설정 (mm)
+const DEVIATION_SETTINGS = {
+    maxDistance: 15,         // 이보다 먼 정점은 대응 표면 없음으로 처리
+    topMargin: 5,            // 두 표면 중 낮은 윗단(발목 절단면)에서 이만큼 아래까지만 비교
+    pointBand: 5,            // 점군 법선 추정용 길이 방향 구간 폭
+    minColorRange: 2         // 히트맵 색 범위 하한 (±)
+};
+
+// 부위 구간 (발 길이 비율, 뒤꿈치 기준)
+const DEVIATION_REGIONS = [
+    ['heel', 0, 0.3],
+    ['arch', 0.3, 0.6],
+    ['forefoot', 0.6, 0.8],
+    ['toes', 0.8, 1]
+];
+
+export class SurfaceDeviation {
+    constructor(workerClient = null) {
+        this.workerClient = workerClient;
+    }
+
+    /**
+     * 표면 비교 (워커 사용 가능 시 워커에서 수행)
+     * reference/compared: { geometry, model(발 모델, 회전 사용), unitScale } 또는 compute 입력 형태 그대로
+     * options.mirror: 대상 X 반전 여부 (기본 true, 좌우 비교)
+     * 반환: { distances: Float32Array(기준 정점별 mm, 비교 불가 NaN), summary, matrix(대상 → 기준 발 기준 좌표 변환, 16개 열 우선 배열) }
+     */
+    async compare(reference, compared, options = {}) {
+        const toInput = (input) => (input.geometry ? {
+            positions: input.geometry.attributes.position.array,
+            index: input.geometry.index ? input.geometry.index.array : null,
+            isPointCloud: input.geometry.userData.isPointCloud === true,
+            rotation: input.model ? input.model.rotation.toArray() : null,
+            unitScale: input.unitScale
+        } : input);
+
+        if (this.workerClient?.isAvailable) {
+            try {
+                return await this.workerClient.compareSurfaces(toInput(reference), toInput(compared), options);
+            } catch (error) {
+                if (error.name !== 'WorkerError') throw error;
+                console.warn('⚠️ 스캔 워커 사용 불가 - 메인 스레드에서 표면 비교:', error.message);
+            }
+        }
+
+        return SurfaceDeviation.compute(toInput(reference), toInput(compared), options);
+    }
+
+    /**
+     * 표면 비교 계산 - 워커에서도 사용
+     * 입력: { positions, index, isPointCloud, rotation(Euler 배열, 이미 발 기준 좌표면 null), unitScale }
+     */
+    static compute(reference, compared, { mirror = true } = {}) {
+        const target = SurfaceDeviation.toFootFrame(reference, false);
+        const source = SurfaceDeviation.toFootFrame(compared, mirror);
+        const normals = SurfaceDeviation.vertexNormals(target, reference.index, reference.isPointCloud);
+
+        const registration = SurfaceDeviation.registerICP(source, target);
+        const moved = SurfaceDeviation.applyTransform(source, registration.matrix);
+
+        const topLimit = Math.min(new SpatialIndex(target).max[1], new SpatialIndex(moved).max[1]) - DEVIATION_SETTINGS.topMargin;
+        const distances = SurfaceDeviation.signedDistances(target, normals, moved, topLimit);
+        const summary = SurfaceDeviation.summarize(target, distances, topLimit);
+
+        console.log(`🪞 표면 비교 완료: RMS ${summary.rms.toFixed(2)} mm (ICP ${registration.iterations}회, 정합 오차 ${registration.fitError.toFixed(2)} mm)`);
+        return {
+            distances,
+            summary: { ...summary, fitError: registration.fitError, iterations: registration.iterations },
+            matrix: registration.matrix.toArray()
+        };
+    }
+
+    /**
+     * 발 기준 좌표(mm)로 변환 (mirror면 X 반전)
+     */
+    static toFootFrame({ positions, rotation, unitScale }, mirror) {
+        const matrix = rotation
+            ? new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler().fromArray(rotation))
+            : new THREE.Matrix4();
+        const e = matrix.elements;
+        const scale = unitScale || 1;
+        const sign = mirror ? -1 : 1;
+        const result = new Float64Array(positions.length);
+
+        for (let i = 0; i + 2 < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            result[i] = sign * (e[0] * x + e[4] * y + e[8] * z) * scale;
+            result[i + 1] = (e[1] * x + e[5] * y + e[9] * z) * scale;
+            result[i + 2] = (e[2] * x + e[6] * y + e[10] * z) * scale;
+        }
+
+        return result;
+    }
+
+    /**
+     * 발 기준 좌표(mm) → 원본 geometry 좌표 (toFootFrame의 역변환, 반전 없음)
+     */
+    static fromFootFrame(positions, { rotation, unitScale }) {
+        const matrix = rotation
+            ? new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler().fromArray(rotation))
+            : new THREE.Matrix4();
+        const e = matrix.elements;
+        const scale = unitScale || 1;
+        const result = new Float32Array(positions.length);
+
+        // 회전 행렬의 역행렬은 전치 행렬
+        for (let i = 0; i + 2 < positions.length; i += 3) {
+            const x = positions[i] / scale, y = positions[i + 1] / scale, z = positions[i + 2] / scale;
+            result[i] = e[0] * x + e[1] * y + e[2] * z;
+            result[i + 1] = e[4] * x + e[5] * y + e[6] * z;
+            result[i + 2] = e[8] * x + e[9] * y + e[10] * z;
+        }
+
+        return result;
+    }
+
+    /**
+     * 정점 법선 (바깥 방향)
+     * 메시는 이웃 면 법선의 넓이 가중 합, 점군은 같은 길이 구간 중심에서 바깥으로 향하는 방향
+     */
+    static vertexNormals(positions, index, isPointCloud) {
+        const count = Math.floor(positions.length / 3);
+        const normals = new Float64Array(count * 3);
+
+        if (isPointCloud) {
+            SurfaceDeviation.radialNormals(positions, normals);
+        } else {
+            const faces = index || MeshSlicer.sequentialIndex(count);
+            const weld = index ? null : MeshSlicer.weldVertices(positions);
+            const root = (v) => (weld ? weld[v] : v);
+
+            for (let f = 0; f + 2 < faces.length; f += 3) {
+                const a = faces[f] * 3, b = faces[f + 1] * 3, c = faces[f + 2] * 3;
+                const ux = positions[b] - positions[a], uy = positions[b + 1] - positions[a + 1], uz = positions[b + 2] - positions[a + 2];
+                const vx = positions[c] - positions[a], vy = positions[c + 1] - positions[a + 1], vz = positions[c + 2] - positions[a + 2];
+                const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+                if (!Number.isFinite(nx + ny + nz)) continue;
+
+                [faces[f], faces[f + 1], faces[f + 2]].forEach(v => {
+                    const o = root(v) * 3;
+                    normals[o] += nx;
+                    normals[o + 1] += ny;
+                    normals[o + 2] += nz;
+                });
+            }
+
+            if (weld) {
+                for (let v = 0; v < count; v++) {
+                    const o = v * 3, r = weld[v] * 3;
+                    normals[o] = normals[r];
+                    normals[o + 1] = normals[r + 1];
+                    normals[o + 2] = normals[r + 2];
+                }
+            }
+        }
+
+        // 면 방향이 안쪽을 향하는 메시는 전체 뒤집기 (중심에서 멀어지는 방향이 다수가 되도록)
+        const center = [0, 0, 0];
+        let valid = 0;
+        for (let v = 0; v < count; v++) {
+            const o = v * 3;
+            if (!Number.isFinite(positions[o] + positions[o + 1] + positions[o + 2])) continue;
+            center[0] += positions[o];
+            center[1] += positions[o + 1];
+            center[2] += positions[o + 2];
+            valid++;
+        }
+        center.forEach((value, i) => { center[i] = value / Math.max(valid, 1); });
+
+        let outward = 0;
+        for (let v = 0; v < count; v++) {
+            const o = v * 3;
+            const length = Math.hypot(normals[o], normals[o + 1], normals[o + 2]);
+            if (!(length > 0)) {
+                normals[o] = normals[o + 1] = normals[o + 2] = NaN;
+                continue;
+            }
+            normals[o] /= length;
+            normals[o + 1] /= length;
+            normals[o + 2] /= length;
+
+            const dot = (positions[o] - center[0]) * normals[o] +
+                (positions[o + 1] - center[1]) * normals[o + 1] +
+                (positions[o + 2] - center[2]) * normals[o + 2];
+            if (Number.isFinite(dot)) outward += Math.sign(dot);
+        }
+
+        if (outward < 0) {
+            for (let i = 0; i < normals.length; i++) normals[i] = -normals[i];
+        }
+
+        return normals;
+    }
+
+    /**
+     * 점군 법선 근사 - 길이(Z) 구간별 중심에서 정점으로 향하는 단면 방향
+     */
+    static radialNormals(positions, normals) {
+        const count = Math.floor(positions.length / 3);
+        const index = new SpatialIndex(positions);
+        const band = DEVIATION_SETTINGS.pointBand;
+        const bandOf = (z) => Math.floor((z - index.min[2]) / band);
+        const bands = new Map();
+
+        index.validIndices.forEach(v => {
+            const key = bandOf(positions[v * 3 + 2]);
+            const entry = bands.get(key) || { x: 0, y: 0, n: 0 };
+            entry.x += positions[v * 3];
+            entry.y += positions[v * 3 + 1];
+            entry.n++;
+            bands.set(key, entry);
+        });
+
+        for (let v = 0; v < count; v++) {
+            const o = v * 3;
+            const entry = bands.get(bandOf(positions[o + 2]));
+            if (!entry) continue;
+            normals[o] = positions[o] - entry.x / entry.n;
+            normals[o + 1] = positions[o + 1] - entry.y / entry.n;
+            normals[o + 2] = 0;
+        }
+    }
+
+    /**
+     * ICP 정합 (점-점, 강체) - source를 target에 맞추는 변환
+     * 초기 위치는 뒤꿈치 끝(Z 최소)·발바닥(Y 최소)·좌우 중심(X 평균)을 맞춤
+     * 반환: { matrix(THREE.Matrix4), iterations, fitError(정합에 쓴 짝의 RMS, mm) }
+     */
+    static registerICP(source, target) {
+        const S = ICP_SETTINGS;
+        const targetIndex = new SpatialIndex(target);
+        const sourceIndex = new SpatialIndex(source);
+        if (targetIndex.validIndices.length < 3 || sourceIndex.validIndices.length < 3) {
+            throw new Error('표면 비교에 쓸 정점이 부족합니다.');
+        }
+
+        const meanX = (index) => {
+            let sum = 0;
+            index.validIndices.forEach(v => { sum += index.positions[v * 3]; });
+            return sum / index.validIndices.length;
+        };
+        const matrix = new THREE.Matrix4().makeTranslation(
+            meanX(targetIndex) - meanX(sourceIndex),
+            targetIndex.min[1] - sourceIndex.min[1],
+            targetIndex.min[2] - sourceIndex.min[2]
+        );
+
+        const step = Math.max(1, Math.floor(sourceIndex.validIndices.length / S.maxSamples));
+        const samples = [];
+        for (let n = 0; n < sourceIndex.validIndices.length; n += step) samples.push(sourceIndex.validIndices[n]);
+
+        const point = new THREE.Vector3();
+        let previousError = Infinity;
+        let fitError = Infinity;
+        let iterations = 0;
+
+        for (; iterations < S.maxIterations; iterations++) {
+            const pairs = [];
+            samples.forEach(v => {
+                point.fromArray(source, v * 3).applyMatrix4(matrix);
+                const nearest = targetIndex.nearest(point.x, point.y, point.z);
+                if (nearest < 0) return;
+                const q = [target[nearest * 3], target[nearest * 3 + 1], target[nearest * 3 + 2]];
+                pairs.push({ p: point.toArray(), q, distance: Math.hypot(point.x - q[0], point.y - q[1], point.z - q[2]) });
+            });
+
+            const sorted = pairs.map(pair => pair.distance).sort((a, b) => a - b);
+            const median = sorted[Math.floor(sorted.length / 2)] || 0;
+            const limit = Math.max(S.minRejectDistance, median * S.rejectRatio);
+            const inliers = pairs.filter(pair => pair.distance <= limit);
+            if (inliers.length < 3) break;
+
+            const meanError = inliers.reduce((sum, pair) => sum + pair.distance, 0) / inliers.length;
+            fitError = Math.sqrt(inliers.reduce((sum, pair) => sum + pair.distance * pair.distance, 0) / inliers.length);
+            if (Math.abs(previousError - meanError) < S.tolerance) break;
+            previousError = meanError;
+
+            matrix.premultiply(SurfaceDeviation.bestRigidTransform(inliers));
+        }
+
+        return { matrix, iterations, fitError };
+    }
+
+    /**
+     * 짝지은 점 p → q 를 가장 잘 맞추는 회전·이동 (Horn 사원수 방법)
+     */
+    static bestRigidTransform(pairs) {
+        const cp = [0, 0, 0], cq = [0, 0, 0];
+        pairs.forEach(({ p, q }) => {
+            for (let k = 0; k < 3; k++) {
+                cp[k] += p[k] / pairs.length;
+                cq[k] += q[k] / pairs.length;
+            }
+        });
+
+        // 교차 공분산 M[a][b] = Σ (p_a - cp_a)(q_b - cq_b)
+        const M = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        pairs.forEach(({ p, q }) => {
+            for (let a = 0; a < 3; a++) {
+                for (let b = 0; b < 3; b++) M[a][b] += (p[a] - cp[a]) * (q[b] - cq[b]);
+            }
+        });
+
+        const [[Sxx, Sxy, Sxz], [Syx, Syy, Syz], [Szx, Szy, Szz]] = M;
+        const N = [
+            [Sxx + Syy + Szz, Syz - Szy, Szx - Sxz, Sxy - Syx],
+            [Syz - Szy, Sxx - Syy - Szz, Sxy + Syx, Szx + Sxz],
+            [Szx - Sxz, Sxy + Syx, -Sxx + Syy - Szz, Syz + Szy],
+            [Sxy - Syx, Szx + Sxz, Syz + Szy, -Sxx - Syy + Szz]
+        ];
+
+        const { values, vectors } = SurfaceDeviation.eigenSymmetric(N);
+        const best = values.indexOf(Math.max(...values));
+        const [w, x, y, z] = vectors.map(row => row[best]);
+
+        const rotation = new THREE.Matrix4().makeRotationFromQuaternion(new THREE.Quaternion(x, y, z, w).normalize());
+        const center = new THREE.Vector3().fromArray(cp).applyMatrix4(rotation);
+        return rotation.setPosition(cq[0] - center.x, cq[1] - center.y, cq[2] - center.z);
+    }
+
+    /**
+     * n×n 대칭 행렬 고유분해 (야코비 회전법, 열 벡터가 고유벡터)
+     */
+    static eigenSymmetric(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => row.slice());
+        const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) offDiagonal += Math.abs(a[p][q]);
+            }
+            if (offDiagonal < 1e-12) break;
+
+            for (let p = 0; p < n - 1; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) < 1e-15) continue;
+
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const cos = 1 / Math.sqrt(t * t + 1);
+                    const sin = t * cos;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p], akq = a[k][q];
+                        a[k][p] = cos * akp - sin * akq;
+                        a[k][q] = sin * akp + cos * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k], aqk = a[q][k];
+                        a[p][k] = cos * apk - sin * aqk;
+                        a[q][k] = sin * apk + cos * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p], vkq = v[k][q];
+                        v[k][p] = cos * vkp - sin * vkq;
+                        v[k][q] = sin * vkp + cos * vkq;
+                    }
+                }
+            }
+        }
+
+        return { values: a.map((row, i) => row[i]), vectors: v };
+    }
+
+    static applyTransform(positions, matrix) {
+        const e = matrix.elements;
+        const result = new Float64Array(positions.length);
+
+        for (let i = 0; i + 2 < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            result[i] = e[0] * x + e[4] * y + e[8] * z + e[12];
+            result[i + 1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+            result[i + 2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+        }
+
+        return result;
+    }
+
+    /**
+     * 기준 정점별 부호 거리 - 가장 가까운 대상 점까지의 벡터를 기준 법선에 투영 (점-평면 거리)
+     */
+    static signedDistances(target, normals, moved, topLimit) {
+        const count = Math.floor(target.length / 3);
+        const distances = new Float32Array(count).fill(NaN);
+        const movedIndex = new SpatialIndex(moved);
+
+        for (let v = 0; v < count; v++) {
+            const o = v * 3;
+            const x = target[o], y = target[o + 1], z = target[o + 2];
+            if (!(y <= topLimit) || !Number.isFinite(x + z + normals[o])) continue;
+
+            const nearest = movedIndex.nearest(x, y, z, DEVIATION_SETTINGS.maxDistance);
+            if (nearest < 0) continue;
+
+            const q = nearest * 3;
+            distances[v] = (x - moved[q]) * normals[o] + (y - moved[q + 1]) * normals[o + 1] + (z - moved[q + 2]) * normals[o + 2];
+        }
+
+        return distances;
+    }
+
+    /**
+     * 전체·부위별 편차 요약 (mm)
+     * 반환: { rms, meanAbs, p95, coverage, colorRange, largestRegion,
+     *   regions: { heel|arch|forefoot|toes: { mean, meanAbs, rms, max, min, coverage } } }
+     */
+    static summarize(target, distances, topLimit) {
+        const index = new SpatialIndex(target);
+        const zMin = index.min[2];
+        const length = Math.max(index.max[2] - zMin, 1e-9);
+
+        const stats = DEVIATION_REGIONS.map(() => ({ sum: 0, sumAbs: 0, sumSq: 0, max: -Infinity, min: Infinity, count: 0, total: 0 }));
+        const absolute = [];
+
+        index.validIndices.forEach(v => {
+            if (!(target[v * 3 + 1] <= topLimit)) return;
+
+            const t = (target[v * 3 + 2] - zMin) / length;
+            const region = DEVIATION_REGIONS.findIndex(([, , to], r) => t < to || r === DEVIATION_REGIONS.length - 1);
+            const entry = stats[region];
+            entry.total++;
+
+            const d = distances[v];
+            if (!Number.isFinite(d)) return;
+            entry.sum += d;
+            entry.sumAbs += Math.abs(d);
+            entry.sumSq += d * d;
+            entry.max = Math.max(entry.max, d);
+            entry.min = Math.min(entry.min, d);
+            entry.count++;
+            absolute.push(Math.abs(d));
+        });
+
+        const regions = {};
+        DEVIATION_REGIONS.forEach(([name], r) => {
+            const { sum, sumAbs, sumSq, max, min, count, total } = stats[r];
+            regions[name] = count > 0
+                ? { mean: sum / count, meanAbs: sumAbs / count, rms: Math.sqrt(sumSq / count), max, min, coverage: count / total }
+                : null;
+        });
+
+        const valid = absolute.length;
+        const total = stats.reduce((sum, entry) => sum + entry.total, 0);
+        absolute.sort((a, b) => a - b);
+        const p95 = valid > 0 ? absolute[Math.min(valid - 1, Math.floor(valid * 0.95))] : 0;
+        const largestRegion = Object.entries(regions)
+            .filter(([, region]) => region)
+            .sort((a, b) => b[1].meanAbs - a[1].meanAbs)[0]?.[0] || null;
+
+        return {
+            rms: valid > 0 ? Math.sqrt(stats.reduce((sum, entry) => sum + entry.sumSq, 0) / valid) : 0,
+            meanAbs: valid > 0 ? absolute.reduce((sum, value) => sum + value, 0) / valid : 0,
+            p95,
+            coverage: total > 0 ? valid / total : 0,
+            colorRange: Math.max(DEVIATION_SETTINGS.minColorRange, Math.ceil(p95)),
+            largestRegion,
+            regions
+        };
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * 표면 경로 모듈 - 삼각형 메시 표면을 따라가는 최단 경로(측지선 근사) 계산 전담
+ * 메시 모서리에 이웃한 두 삼각형을 가로지르는 대각선을 더한 그래프에서 Dijkstra 탐색 (모서리만 쓸 때의 지그재그 오차 완화)
+ */
+import { MeshSlicer } from './mesh-slicer.js';
+
+export class SurfacePath {
+    /**
+     * 경로 탐색 그래프 (같은 좌표 정점은 용접, 인접 목록은 offsets/neighbours 배열)
+     */
+    static buildGraph(positions, index) {
+        const vertexCount = Math.floor(positions.length / 3);
+        const faces = index || MeshSlicer.sequentialIndex(vertexCount);
+        const weld = MeshSlicer.weldVertices(positions);
+
+        // 모서리 → 처음 만난 삼각형의 맞은편 정점 (두 번째 삼각형을 만나면 맞은편 정점끼리 대각선 연결)
+        const opposite = new Map();
+        const pairs = [];
+
+        for (let f = 0; f + 2 < faces.length; f += 3) {
+            const v = [weld[faces[f]], weld[faces[f + 1]], weld[faces[f + 2]]];
+            if (v[0] === v[1] || v[1] === v[2] || v[2] === v[0]) continue;
+
+            for (let k = 0; k < 3; k++) {
+                const a = v[k], b = v[(k + 1) % 3], c = v[(k + 2) % 3];
+                const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+                const other = opposite.get(key);
+                if (other === undefined) {
+                    opposite.set(key, c);
+                    pairs.push(a, b);
+                } else if (other !== c) {
+                    pairs.push(c, other);
+                }
+            }
+        }
+
+        const offsets = new Uint32Array(vertexCount + 1);
+        for (let i = 0; i < pairs.length; i++) offsets[pairs[i] + 1]++;
+        for (let v = 0; v < vertexCount; v++) offsets[v + 1] += offsets[v];
+
+        const fill = offsets.slice(0, vertexCount);
+        const neighbours = new Uint32Array(pairs.length);
+        for (let i = 0; i < pairs.length; i += 2) {
+            neighbours[fill[pairs[i]]++] = pairs[i + 1];
+            neighbours[fill[pairs[i + 1]]++] = pairs[i];
+        }
+
+        return { weld, offsets, neighbours };
+    }
+
+    /**
+     * 표면 위 두 점 사이 최단 경로
+     * start/end: { point: [x, y, z], vertices: [a, b, c] (점이 놓인 삼각형의 정점 번호) }
+     * 반환: { length, points: [[x, y, z], ...] } (원본 좌표, 두 점이 이어지지 않으면 null)
+     */
+    static shortestPath(positions, graph, start, end) {
+        const { weld, offsets, neighbours } = graph;
+        const vertexCount = offsets.length - 1;
+        const point = (v) => [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]];
+        const distance = (p, q) => Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]);
+
+        const startVertices = start.vertices.map(v => weld[v]);
+        const endVertices = end.vertices.map(v => weld[v]);
+
+        // 같은 삼각형 위의 두 점은 직선으로 연결
+        if (startVertices.every(v => endVertices.includes(v))) {
+            return { length: distance(start.point, end.point), points: [start.point, end.point] };
+        }
+
+        const dist = new Float64Array(vertexCount).fill(Infinity);
+        const previous = new Int32Array(vertexCount).fill(-1);
+        const heap = []; // [거리, 정점] 최소 힙 (갱신 시 새 항목 추가, 오래된 항목은 꺼낼 때 무시)
+
+        const push = (d, v) => {
+            heap.push([d, v]);
+            for (let i = heap.length - 1; i > 0;) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent][0] <= heap[i][0]) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                for (let i = 0; ;) {
+                    const l = i * 2 + 1, r = l + 1;
+                    let smallest = i;
+                    if (l < heap.length && heap[l][0] < heap[smallest][0]) smallest = l;
+                    if (r < heap.length && heap[r][0] < heap[smallest][0]) smallest = r;
+                    if (smallest === i) break;
+                    [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        };
+
+        startVertices.forEach(v => {
+            const d = distance(start.point, point(v));
+            if (d < dist[v]) {
+                dist[v] = d;
+                push(d, v);
+            }
+        });
+
+        let best = Infinity;
+        let bestVertex = -1;
+        while (heap.length > 0) {
+            const [d, v] = pop();
+            if (d > dist[v]) continue;
+            if (d >= best) break;
+
+            if (endVertices.includes(v)) {
+                const total = d + distance(point(v), end.point);
+                if (total < best) {
+                    best = total;
+                    bestVertex = v;
+                }
+            }
+
+            const p = point(v);
+            for (let n = offsets[v]; n < offsets[v + 1]; n++) {
+                const u = neighbours[n];
+                const next = d + distance(p, point(u));
+                if (next < dist[u]) {
+                    dist[u] = next;
+                    previous[u] = v;
+                    push(next, u);
+                }
+            }
+        }
+
+        if (bestVertex < 0) return null;
+
+        const points = [end.point];
+        for (let v = bestVertex; v >= 0; v = previous[v]) points.push(point(v));
+        points.push(start.point);
+
+        return { length: best, points: points.reverse() };
+    }
+}
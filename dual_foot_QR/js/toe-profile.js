@@ -0,0 +1,135 @@
+/**
+ * 발가락 윤곽 모듈 - 발 좌표계 점들에서 발끝 윤곽, 발가락 끝점, 엄지 쪽 판별 전담
+ */
+
+export class ToeProfile {
+    /**
+     * 앞발(발 길이 80% 이후) 좌우 구간별 최전방 점과 발가락 끝 후보(국소 최댓값) 추출
+     * local: 발 좌표계 좌표 [x, y, z, ...] (Z: 뒤꿈치→발끝)
+     * 반환: { bins: [{ x, y, z }], peaks: [{ x, y, z }] } (x 오름차순)
+     */
+    static extract(local, length, binCount = 40) {
+        let minX = Infinity;
+        let maxX = -Infinity;
+
+        for (let i = 0; i < local.length; i += 3) {
+            if (local[i + 2] < length * 0.8) continue;
+            if (local[i] < minX) minX = local[i];
+            if (local[i] > maxX) maxX = local[i];
+        }
+
+        const width = maxX - minX;
+        if (!(width > 0)) return { bins: [], peaks: [] };
+
+        const binSize = width / binCount;
+        const raw = Array.from({ length: binCount }, () => null);
+
+        for (let i = 0; i < local.length; i += 3) {
+            const z = local[i + 2];
+            if (z < length * 0.8) continue;
+
+            const b = Math.min(binCount - 1, Math.floor((local[i] - minX) / binSize));
+            if (!raw[b] || z > raw[b].z) {
+                raw[b] = { x: local[i], y: local[i + 1], z };
+            }
+        }
+
+        const bins = raw.filter(Boolean);
+
+        // 잡음 억제를 위해 이웃 구간과 평균낸 윤곽으로 국소 최댓값 탐색
+        const smoothed = bins.map((bin, i) => {
+            const neighbours = bins.slice(Math.max(0, i - 1), i + 2);
+            return neighbours.reduce((sum, n) => sum + n.z, 0) / neighbours.length;
+        });
+
+        const window = 3;
+        const minProminence = length * 0.006;
+        const peaks = [];
+
+        for (let i = 0; i < bins.length; i++) {
+            const lo = Math.max(0, i - window);
+            const hi = Math.min(bins.length - 1, i + window);
+            let isPeak = true;
+            for (let k = lo; k <= hi; k++) {
+                if (smoothed[k] > smoothed[i] || (smoothed[k] === smoothed[i] && k < i)) {
+                    isPeak = false;
+                    break;
+                }
+            }
+            if (!isPeak) continue;
+
+            // 양쪽으로 더 높은 점이 나오기 전까지의 골짜기 깊이(돌출 정도) 확인
+            const valley = (direction) => {
+                let lowest = smoothed[i];
+                for (let k = i + direction; k >= 0 && k < bins.length; k += direction) {
+                    if (smoothed[k] > smoothed[i]) break;
+                    lowest = Math.min(lowest, smoothed[k]);
+                }
+                return lowest;
+            };
+            const prominence = smoothed[i] - Math.max(valley(-1), valley(1));
+            if (prominence >= minProminence) {
+                peaks.push(bins[i]);
+            }
+        }
+
+        return { bins, peaks };
+    }
+
+    /**
+     * 가장 앞으로 나온 윤곽점
+     */
+    static anteriorTip(profile) {
+        return profile.bins.reduce((best, bin) => (!best || bin.z > best.z ? bin : best), null);
+    }
+
+    /**
+     * 앞발 중심선 대비 엄지 쪽 치우침 (앞발 너비로 정규화, 음수면 -X 쪽)
+     * - 발끝 단서: 가장 앞으로 나온 발가락(엄지/둘째)은 안쪽에 위치
+     * - 높이 단서: 발가락 부위에서 가장 두꺼운 발가락이 엄지
+     */
+    static halluxOffset(local, length) {
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let maxToeHeight = -Infinity;
+
+        for (let i = 0; i < local.length; i += 3) {
+            const z = local[i + 2];
+            if (z < length * 0.75) continue;
+            if (local[i] < minX) minX = local[i];
+            if (local[i] > maxX) maxX = local[i];
+            if (z >= length * 0.8 && local[i + 1] > maxToeHeight) maxToeHeight = local[i + 1];
+        }
+
+        const forefootWidth = maxX - minX;
+        if (!(forefootWidth > 0)) return 0;
+        const centerX = (minX + maxX) / 2;
+
+        let tipSum = 0, tipCount = 0;
+        let topSum = 0, topCount = 0;
+
+        for (let i = 0; i < local.length; i += 3) {
+            const x = local[i], y = local[i + 1], z = local[i + 2];
+            if (z >= length * 0.96) {
+                tipSum += x - centerX;
+                tipCount++;
+            }
+            if (z >= length * 0.8 && z < length * 0.96 && y >= maxToeHeight * 0.75) {
+                topSum += x - centerX;
+                topCount++;
+            }
+        }
+
+        const tipOffset = tipCount > 0 ? tipSum / tipCount / forefootWidth : 0;
+        const topOffset = topCount > 0 ? topSum / topCount / forefootWidth : 0;
+
+        return tipOffset + topOffset;
+    }
+
+    /**
+     * 발가락 끝 후보를 안쪽(엄지)→바깥쪽 순으로 정렬 (medialSign: 엄지 쪽 X 부호)
+     */
+    static orderMedialToLateral(peaks, medialSign) {
+        return [...peaks].sort((a, b) => (medialSign < 0 ? a.x - b.x : b.x - a.x));
+    }
+}
@@ -1,6 +1,139 @@
 /**
  * UI 컨트롤러 모듈 - 양발 분석 UI/UX 제어 전담 (사용자 이름 문제 해결)
  */
+import { FootprintRenderer } from './footprint-renderer.js';
+import { FootprintAnalyzer } from './footprint-analyzer.js';
+import { SectionRenderer } from './section-renderer.js';
+import { Utils } from './utils.js';
+
+// 둘레 종류 → DOM ID 접미사
+const GIRTH_ELEMENT_IDS = {
+    ball: 'ball',
+    waist: 'waist',
+    instep: 'instep',
+    longHeel: 'long-heel',
+    ankle: 'ankle'
+};
+
+// 아치 유형 → 측정값 탭 태그
+const ARCH_TAGS = {
+    'High Arch': { text: '높음', class: 'high' },
+    'Low Arch / Flat Foot': { text: '낮음', class: 'low' },
+    'Normal Arch': { text: '정상', class: 'normal' }
+};
+
+// Cavanagh Arch Index 분류 → 발자국 패널 문구
+const FOOTPRINT_ARCH_LABELS = {
+    'High Arch': '높은 아치',
+    'Low Arch / Flat Foot': '평발 경향',
+    'Normal Arch': '정상'
+};
+
+// 엄지발가락 외반 정도 / 발가락 형태 → 분석 요약 문구
+const HALLUX_VALGUS_LABELS = {
+    Normal: '정상',
+    Mild: '경증 외반',
+    Moderate: '중등도 외반',
+    Severe: '중증 외반'
+};
+
+const TOE_SHAPE_LABELS = {
+    Egyptian: '이집트형 (엄지가 가장 김)',
+    Greek: '그리스형 (둘째 발가락이 가장 김)',
+    Roman: '로마형 (엄지·둘째 발가락 길이 비슷)'
+};
+
+// 좌우 표면 편차 부위 → 비교 탭 문구
+const DEVIATION_REGION_LABELS = {
+    heel: '뒤꿈치',
+    arch: '아치 (중족부)',
+    forefoot: '전족부',
+    toes: '발가락'
+};
+
+// 경과 비교 측정 항목 (SessionStore.describeMeasurements 형태, mm)
+const PROGRESSION_ITEMS = [
+    ['길이', (m) => m.length],
+    ['너비', (m) => m.width],
+    ['높이', (m) => m.height],
+    ['아치 높이 (주상골)', (m) => m.archHeight],
+    ['발등 높이 (50%)', (m) => m.dorsalHeight],
+    ['볼 둘레', (m) => m.girths?.ball],
+    ['허리 둘레', (m) => m.girths?.waist],
+    ['발등 둘레', (m) => m.girths?.instep],
+    ['긴 뒤꿈치 둘레', (m) => m.girths?.longHeel],
+    ['발목 둘레', (m) => m.girths?.ankle]
+];
+
+// 체중 부하 비교 측정 항목 (FootFlexibility.describe 형태, 소수 자릿수)
+const LOAD_PAIR_ITEMS = [
+    ['길이', 'length', 1],
+    ['너비 (발볼)', 'width', 1],
+    ['주상골 높이', 'navicularHeight', 1],
+    ['발등 높이 (50%)', 'dorsalHeight', 1],
+    ['AHI', 'ahi', 3]
+];
+
+// 주상골 하강 판정 → 체중 부하 탭 문구
+const FLEXIBILITY_LABELS = {
+    Rigid: '강직 (유연성 낮음)',
+    Normal: '정상',
+    Hypermobile: '과유연 (과회내 경향)'
+};
+
+// 발볼 등급 기준 → 측정값 탭 문구
+const WIDTH_BASIS_LABELS = {
+    girth: '볼 둘레 기준',
+    width: '너비 기준'
+};
+
+// 신발 추천 탭 문구 (판정 항목, 판정, 안정성 분류, 아치 유형과 맞는 정도)
+const FIT_DIMENSION_LABELS = {
+    length: '길이',
+    ballGirth: '볼 둘레',
+    width: '너비',
+    toeBoxHeight: '앞코 높이'
+};
+const FIT_STATUS_LABELS = {
+    tight: { text: '작음', class: 'text-red-400' },
+    good: { text: '적당', class: 'text-green-400' },
+    loose: { text: '큼', class: 'text-yellow-400' }
+};
+const STABILITY_LABELS = {
+    neutral: '중립',
+    stability: '안정',
+    'motion-control': '동작 제어',
+    cushion: '쿠션'
+};
+const STABILITY_MATCH_LABELS = {
+    preferred: '아치에 권장',
+    suitable: '아치에 적합',
+    other: '아치와 맞지 않음'
+};
+
+// 깔창 설계 결과 항목 (InsoleDesigner.design 결과 키)
+const INSOLE_ITEMS = [
+    ['길이', 'length'],
+    ['최대 너비', 'width'],
+    ['뒤꿈치 컵 깊이', 'heelCup'],
+    ['아치 지지 높이', 'archSupport']
+];
+
+// 라스트 치수 항목 (LastGenerator.generate 결과 measurements 키)
+const LAST_ITEMS = [
+    ['길이', 'length'],
+    ['볼 둘레', 'ballGirth'],
+    ['발등 둘레', 'instepGirth'],
+    ['뒤꿈치 너비', 'heelWidth']
+];
+
+// 안쪽 아치 곡선 그래프 (SVG viewBox 크기, 세로축 최소 범위 mm)
+const ARCH_PROFILE_CHART = { width: 200, height: 60, padding: 5, minRange: 15 };
+
+const girthElements = (idOf) => Object.fromEntries(
+    Object.entries(GIRTH_ELEMENT_IDS).map(([type, id]) => [type, document.getElementById(idOf(id))])
+);
+
 export class UIController extends EventTarget {
     constructor() {
         super();
@@ -16,6 +149,14 @@ export class UIController extends EventTarget {
         this.userName = ''; // 🔧 사용자 이름을 인스턴스 변수로 저장
         this.userGender = '';
         this.measurementData = null;
+        this.landmarkLists = { left: [], right: [] }; // 발별 랜드마크 목록 [{ label, edited }]
+        this.customMeasurements = { left: [], right: [] }; // 발별 사용자 측정 [{ id, label, value, unit, includeInReport }]
+        this.sectionState = null; // 단면 평면 상태 { axis, ratio, flipped, sections: { left, right } }
+        this.surfaceDeviation = null; // 좌우 표면 편차 요약 { rms, fitError, colorRange, largestRegion, regions }
+        this.shoeSizes = null; // 신발 사이즈 { left, right, recommended }
+        this.insoleExportFoot = 'both'; // 깔창 탭에서 내보낼 발 ('both' | 'left' | 'right')
+        this.lastExportFoot = 'both'; // 라스트 탭에서 내보낼 발 ('both' | 'left' | 'right')
+        this.pendingConfirm = null; // 열린 확인 대화상자의 결과 전달 함수
     }
 
     /**
@@ -35,7 +176,17 @@ export class UIController extends EventTarget {
             rightFootUpload: document.getElementById('right-foot-upload'),
             leftFootStatus: document.getElementById('left-foot-status'),
             rightFootStatus: document.getElementById('right-foot-status'),
+            leftFootInspection: document.getElementById('left-foot-inspection'),
+            rightFootInspection: document.getElementById('right-foot-inspection'),
             startAnalysisBtn: document.getElementById('start-analysis-btn'),
+            swapFeetBtn: document.getElementById('swap-feet-btn'),
+            cleanupFloor: document.getElementById('cleanup-floor'),
+            cleanupOutliers: document.getElementById('cleanup-outliers'),
+            cleanupAnkle: document.getElementById('cleanup-ankle'),
+            cleanupAnkleHeight: document.getElementById('cleanup-ankle-height'),
+            applyCleanupBtn: document.getElementById('apply-cleanup-btn'),
+            cleanupPreviewButtons: document.querySelectorAll('.cleanup-preview-btn'),
+            canvasContainer: document.getElementById('canvas-container'),
             footUploadSection: document.getElementById('foot-upload-section'),
 
             // 헤더
@@ -50,7 +201,39 @@ export class UIController extends EventTarget {
             viewButtons: document.querySelectorAll('.view-btn'),
             footButtons: document.querySelectorAll('.foot-btn'), // 양발 뷰 선택 버튼
             gridToggle: document.getElementById('grid-toggle'),
+            girthToggle: document.getElementById('girth-toggle'),
+            landmarkToggle: document.getElementById('landmark-toggle'),
+            footprintToggle: document.getElementById('footprint-toggle'),
+            sectionToggle: document.getElementById('section-toggle'),
+            deviationToggle: document.getElementById('deviation-toggle'),
             resetViewBtn: document.getElementById('reset-view-btn'),
+            standardViewButtons: document.querySelectorAll('.standard-view-btn'),
+
+            // 처리 진행 오버레이
+            processingOverlay: document.getElementById('processing-overlay'),
+            processingStatus: document.getElementById('processing-status'),
+            processingProgressBar: document.getElementById('processing-progress-bar'),
+            cancelProcessingBtn: document.getElementById('cancel-processing-btn'),
+
+            // 발자국 패널
+            footprintPanel: document.getElementById('footprint-panel'),
+            footprintCanvas: document.getElementById('footprint-canvas'),
+            footprintSummary: document.getElementById('footprint-summary'),
+
+            // 단면 패널
+            sectionPanel: document.getElementById('section-panel'),
+            sectionCanvas: document.getElementById('section-canvas'),
+            sectionAxisButtons: document.querySelectorAll('.section-axis-btn[data-axis]'),
+            sectionPosition: document.getElementById('section-position'),
+            sectionPositionValue: document.getElementById('section-position-value'),
+            sectionFlipBtn: document.getElementById('section-flip-btn'),
+            sectionExportButtons: document.querySelectorAll('.section-export-btn'),
+
+            // 좌우 편차 범례
+            deviationLegend: document.getElementById('deviation-legend'),
+            deviationLegendCaption: document.getElementById('deviation-legend-caption'),
+            deviationLegendMin: document.getElementById('deviation-legend-min'),
+            deviationLegendMax: document.getElementById('deviation-legend-max'),
 
             // 오른쪽 패널 (탭)
             tabButtons: document.querySelectorAll('.tab-btn'),
@@ -61,7 +244,28 @@ export class UIController extends EventTarget {
             lengthValue: document.getElementById('length-value'),
             widthValue: document.getElementById('width-value'),
             heightValue: document.getElementById('height-value'),
-            archRatioValue: document.getElementById('arch-ratio-value'),
+            archIndexValue: document.getElementById('arch-index-value'),
+            archDorsalHeightValue: document.getElementById('arch-dorsal-height-value'),
+            archTruncatedLengthValue: document.getElementById('arch-truncated-length-value'),
+            archNavicularHeightValue: document.getElementById('arch-navicular-height-value'),
+            archProfileChart: document.getElementById('arch-profile-chart'),
+            toeAllowanceInput: document.getElementById('toe-allowance-input'),
+            shoeSizeKs: document.getElementById('shoe-size-ks'),
+            shoeSizeUs: document.getElementById('shoe-size-us'),
+            shoeSizeUk: document.getElementById('shoe-size-uk'),
+            shoeSizeEu: document.getElementById('shoe-size-eu'),
+            shoeSizeJp: document.getElementById('shoe-size-jp'),
+            shoeSizeWidth: document.getElementById('shoe-size-width'),
+            shoeSizeRecommendation: document.getElementById('shoe-size-recommendation'),
+            volumeValue: document.getElementById('volume-value'),
+            surfaceAreaValue: document.getElementById('surface-area-value'),
+            volumeRegionsValue: document.getElementById('volume-regions-value'),
+            volumeConfidence: document.getElementById('volume-confidence'),
+            girthValues: girthElements(id => `girth-${id}-value`),
+            landmarkList: document.getElementById('landmark-list'),
+            resetLandmarksBtn: document.getElementById('reset-landmarks-btn'),
+            customMeasurementList: document.getElementById('custom-measurement-list'),
+            measureToolButtons: document.querySelectorAll('.measure-tool-btn'),
             measurementSummary: document.getElementById('measurement-summary'),
 
             // 양발 비교 탭 (새로 추가)
@@ -77,8 +281,78 @@ export class UIController extends EventTarget {
             rightHeightCompare: document.getElementById('right-height-compare'),
             leftArchCompare: document.getElementById('left-arch-compare'),
             rightArchCompare: document.getElementById('right-arch-compare'),
+            leftDorsalHeightCompare: document.getElementById('left-dorsal-height-compare'),
+            rightDorsalHeightCompare: document.getElementById('right-dorsal-height-compare'),
+            leftTruncatedLengthCompare: document.getElementById('left-truncated-length-compare'),
+            rightTruncatedLengthCompare: document.getElementById('right-truncated-length-compare'),
+            leftNavicularHeightCompare: document.getElementById('left-navicular-height-compare'),
+            rightNavicularHeightCompare: document.getElementById('right-navicular-height-compare'),
+            leftVolumeCompare: document.getElementById('left-volume-compare'),
+            rightVolumeCompare: document.getElementById('right-volume-compare'),
+            leftSurfaceAreaCompare: document.getElementById('left-surface-area-compare'),
+            rightSurfaceAreaCompare: document.getElementById('right-surface-area-compare'),
+            leftGirthCompare: girthElements(id => `left-girth-${id}-compare`),
+            rightGirthCompare: girthElements(id => `right-girth-${id}-compare`),
+            deviationRegionRows: document.getElementById('deviation-region-rows'),
+            deviationRms: document.getElementById('deviation-rms'),
+            deviationFitError: document.getElementById('deviation-fit-error'),
+            deviationLargestRegion: document.getElementById('deviation-largest-region'),
             comparisonSummary: document.getElementById('comparison-summary'),
 
+            // 경과 비교 탭
+            progressionFootButtons: document.querySelectorAll('.progression-foot-btn'),
+            progressionHistorySelect: document.getElementById('progression-history-select'),
+            progressionHistoryLoadBtn: document.getElementById('progression-history-load-btn'),
+            progressionFileBtn: document.getElementById('progression-file-btn'),
+            progressionFileInput: document.getElementById('progression-file-input'),
+            sessionSaveBtn: document.getElementById('session-save-btn'),
+            progressionDates: document.getElementById('progression-dates'),
+            progressionPreviousDate: document.getElementById('progression-previous-date'),
+            progressionCurrentDate: document.getElementById('progression-current-date'),
+            progressionDeltaRows: document.getElementById('progression-delta-rows'),
+            progressionRegionRows: document.getElementById('progression-region-rows'),
+            progressionRms: document.getElementById('progression-rms'),
+            progressionFitError: document.getElementById('progression-fit-error'),
+            progressionMapToggle: document.getElementById('progression-map-toggle'),
+
+            // 체중 부하 비교 탭
+            loadFootButtons: document.querySelectorAll('.load-foot-btn'),
+            loadStateButtons: document.querySelectorAll('.load-state-btn'),
+            loadPairFileBtn: document.getElementById('load-pair-file-btn'),
+            loadPairFileLabel: document.getElementById('load-pair-file-label'),
+            loadPairFileInput: document.getElementById('load-pair-file-input'),
+            loadPairStatus: document.getElementById('load-pair-status'),
+            loadPairRows: document.getElementById('load-pair-rows'),
+            loadNavicularDrop: document.getElementById('load-navicular-drop'),
+            loadFlexibilityGrade: document.getElementById('load-flexibility-grade'),
+            loadRigidityIndex: document.getElementById('load-rigidity-index'),
+            loadFitError: document.getElementById('load-fit-error'),
+            loadFlexibilitySummary: document.getElementById('load-flexibility-summary'),
+            loadOverlayToggle: document.getElementById('load-overlay-toggle'),
+
+            // 신발 추천 탭
+            shoeCatalogueStatus: document.getElementById('shoe-catalogue-status'),
+            shoeCatalogueImportBtn: document.getElementById('shoe-catalogue-import-btn'),
+            shoeCatalogueExportBtn: document.getElementById('shoe-catalogue-export-btn'),
+            shoeCatalogueFileInput: document.getElementById('shoe-catalogue-file-input'),
+            shoeCatalogueReplace: document.getElementById('shoe-catalogue-replace'),
+            shoeCatalogueResetBtn: document.getElementById('shoe-catalogue-reset-btn'),
+            shoeFitList: document.getElementById('shoe-fit-list'),
+
+            // 맞춤 깔창 탭
+            insolePreviewToggle: document.getElementById('insole-preview-toggle'),
+            insoleParamInputs: document.querySelectorAll('.insole-param-input'),
+            insoleRows: document.getElementById('insole-rows'),
+            insoleFootButtons: document.querySelectorAll('.insole-foot-btn'),
+            insoleExportButtons: document.querySelectorAll('.insole-export-btn'),
+
+            // 구두 라스트 탭
+            lastPreviewToggle: document.getElementById('last-preview-toggle'),
+            lastParamInputs: document.querySelectorAll('.last-param-input'),
+            lastRows: document.getElementById('last-rows'),
+            lastFootButtons: document.querySelectorAll('.last-foot-btn'),
+            lastExportButtons: document.querySelectorAll('.last-export-btn'),
+
             // AI 분석 탭
             aiSummary: document.getElementById('ai-summary'),
 
@@ -87,11 +361,21 @@ export class UIController extends EventTarget {
             reportId: document.getElementById('report-id'),
             reportAnalysisType: document.getElementById('report-analysis-type'),
             reportObservations: document.getElementById('report-observations'),
+            shoeInventoryStatus: document.getElementById('shoe-inventory-status'),
+            shoeInventoryLoadBtn: document.getElementById('shoe-inventory-load-btn'),
+            shoeInventoryClearBtn: document.getElementById('shoe-inventory-clear-btn'),
+            shoeInventoryFileInput: document.getElementById('shoe-inventory-file-input'),
+            shoeStockOnly: document.getElementById('shoe-stock-only'),
+            reportShoeStock: document.getElementById('report-shoe-stock'),
             downloadReportBtn: document.getElementById('download-report-btn'),
             generateQrBtn: document.getElementById('generate-qr-btn'),
             qrModal: document.getElementById('qr-modal'),
             qrCodePlaceholder: document.getElementById('qr-code-placeholder'),
             closeQrModalBtn: document.getElementById('close-qr-modal-btn'),
+            confirmModal: document.getElementById('confirm-modal'),
+            confirmMessage: document.getElementById('confirm-message'),
+            confirmOkBtn: document.getElementById('confirm-ok-btn'),
+            confirmCancelBtn: document.getElementById('confirm-cancel-btn'),
         };
     }
 
@@ -102,13 +386,13 @@ export class UIController extends EventTarget {
         // 양발 파일 업로드
         this.elements.leftFileInput?.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFootFileSelected('left', e.target.files[0]);
+                this.handleFootFileSelected('left', Array.from(e.target.files));
             }
         });
 
         this.elements.rightFileInput?.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFootFileSelected('right', e.target.files[0]);
+                this.handleFootFileSelected('right', Array.from(e.target.files));
             }
         });
 
@@ -116,6 +400,28 @@ export class UIController extends EventTarget {
         this.setupFootDropZone('left', this.elements.leftFootUpload);
         this.setupFootDropZone('right', this.elements.rightFootUpload);
 
+        // 캔버스에 드롭하면 형상으로 좌우 자동 배정
+        this.setupFootDropZone('auto', this.elements.canvasContainer);
+
+        // 좌우 바꾸기
+        this.elements.swapFeetBtn?.addEventListener('click', () => this.dispatchEvent(new CustomEvent('footSwapRequested')));
+
+        // 스캔 정리 설정 적용 및 정리 전/후 미리보기 전환
+        this.elements.applyCleanupBtn?.addEventListener('click', () => {
+            this.dispatchEvent(new CustomEvent('cleanupOptionsChanged', { detail: { options: this.getCleanupOptions() } }));
+        });
+        this.elements.cleanupPreviewButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.updateActiveButton(this.elements.cleanupPreviewButtons, btn);
+                this.dispatchEvent(new CustomEvent('cleanupPreviewModeChanged', { detail: { mode: btn.dataset.preview } }));
+            });
+        });
+
+        // 신발 사이즈 여유 길이 변경
+        this.elements.toeAllowanceInput?.addEventListener('change', () => {
+            this.dispatchEvent(new CustomEvent('toeAllowanceChanged', { detail: { toeAllowance: this.getToeAllowance() } }));
+        });
+
         // 분석 시작 버튼
         this.elements.startAnalysisBtn?.addEventListener('click', () => {
             this.dispatchEvent(new CustomEvent('dualFootAnalysisStarted'));
@@ -146,13 +452,186 @@ export class UIController extends EventTarget {
                 this.selectedFoot = btn.dataset.foot;
                 this.updateActiveButton(this.elements.measurementFootButtons, btn);
                 this.updateMeasurementDisplay();
+                this.renderLandmarkList();
             });
         });
+        this.elements.resetLandmarksBtn?.addEventListener('click', () => {
+            this.dispatchEvent(new CustomEvent('landmarkResetRequested', { detail: { foot: this.selectedFoot } }));
+        });
 
         this.elements.gridToggle?.addEventListener('change', (e) => {
             this.dispatchEvent(new CustomEvent('gridToggleRequested', { detail: { visible: e.target.checked } }));
         });
+        this.elements.girthToggle?.addEventListener('change', (e) => {
+            this.dispatchEvent(new CustomEvent('girthContoursToggleRequested', { detail: { visible: e.target.checked } }));
+        });
+        this.elements.footprintToggle?.addEventListener('change', () => this.updateFootprintPanel());
+        this.elements.sectionToggle?.addEventListener('change', (e) => {
+            this.renderSectionPanel();
+            this.dispatchEvent(new CustomEvent('sectionPlaneToggled', { detail: { visible: e.target.checked } }));
+        });
+        this.elements.deviationToggle?.addEventListener('change', (e) => {
+            // 좌우 비교 맵과 경과 변화 맵은 하나만 표시
+            if (e.target.checked && this.elements.progressionMapToggle) this.elements.progressionMapToggle.checked = false;
+            this.dispatchEvent(new CustomEvent('deviationMapToggleRequested', { detail: { visible: e.target.checked } }));
+        });
+        this.elements.sectionAxisButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.updateActiveButton(this.elements.sectionAxisButtons, btn);
+                this.dispatchEvent(new CustomEvent('sectionAxisChanged', { detail: { axis: btn.dataset.axis } }));
+            });
+        });
+        this.elements.sectionPosition?.addEventListener('input', (e) => {
+            const ratio = Number(e.target.value) / 100;
+            this.setSectionPosition(ratio);
+            this.dispatchEvent(new CustomEvent('sectionPositionChanged', { detail: { ratio } }));
+        });
+        this.elements.sectionFlipBtn?.addEventListener('click', () => {
+            const flipped = !this.elements.sectionFlipBtn.classList.contains('active');
+            this.elements.sectionFlipBtn.classList.toggle('active', flipped);
+            this.dispatchEvent(new CustomEvent('sectionFlipToggled', { detail: { flipped } }));
+        });
+        this.elements.sectionExportButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.dispatchEvent(new CustomEvent('sectionExportRequested', { detail: { format: btn.dataset.format } }));
+            });
+        });
+        this.elements.progressionFootButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.updateActiveButton(this.elements.progressionFootButtons, btn);
+                this.dispatchEvent(new CustomEvent('progressionFootChanged', { detail: { foot: btn.dataset.foot } }));
+            });
+        });
+        this.elements.progressionHistoryLoadBtn?.addEventListener('click', () => {
+            const id = this.elements.progressionHistorySelect?.value;
+            if (!id) {
+                this.showErrorMessage('불러올 스캔 기록을 선택해주세요.');
+                return;
+            }
+            this.dispatchEvent(new CustomEvent('progressionHistoryLoadRequested', { detail: { id } }));
+        });
+        this.elements.progressionFileBtn?.addEventListener('click', () => this.elements.progressionFileInput?.click());
+        this.elements.progressionFileInput?.addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (file) this.dispatchEvent(new CustomEvent('progressionFileSelected', { detail: { file } }));
+        });
+        this.elements.sessionSaveBtn?.addEventListener('click', () => this.dispatchEvent(new CustomEvent('sessionSaveRequested')));
+        this.elements.progressionMapToggle?.addEventListener('change', (e) => {
+            if (e.target.checked && this.elements.deviationToggle) this.elements.deviationToggle.checked = false;
+            this.dispatchEvent(new CustomEvent('progressionMapToggleRequested', { detail: { visible: e.target.checked } }));
+        });
+        this.elements.loadFootButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.updateActiveButton(this.elements.loadFootButtons, btn);
+                this.dispatchEvent(new CustomEvent('loadPairFootChanged', { detail: { foot: btn.dataset.foot } }));
+            });
+        });
+        this.elements.loadStateButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setLoadPairState(btn.dataset.state);
+                this.dispatchEvent(new CustomEvent('loadPairStateChanged', { detail: { state: btn.dataset.state } }));
+            });
+        });
+        this.elements.loadPairFileBtn?.addEventListener('click', () => this.elements.loadPairFileInput?.click());
+        this.elements.loadPairFileInput?.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = '';
+            if (files.length > 0) this.dispatchEvent(new CustomEvent('loadPairFileSelected', { detail: { files } }));
+        });
+        this.elements.loadOverlayToggle?.addEventListener('change', (e) => {
+            this.dispatchEvent(new CustomEvent('loadOverlayToggleRequested', { detail: { visible: e.target.checked } }));
+        });
+        this.elements.shoeCatalogueImportBtn?.addEventListener('click', () => this.elements.shoeCatalogueFileInput?.click());
+        this.elements.shoeCatalogueFileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                const replace = this.elements.shoeCatalogueReplace ? this.elements.shoeCatalogueReplace.checked : false;
+                this.dispatchEvent(new CustomEvent('shoeCatalogueFileSelected', { detail: { file, replace } }));
+            }
+        });
+        this.elements.shoeCatalogueExportBtn?.addEventListener('click', () => this.dispatchEvent(new CustomEvent('shoeCatalogueExportRequested')));
+        this.elements.shoeCatalogueResetBtn?.addEventListener('click', () => this.dispatchEvent(new CustomEvent('shoeCatalogueResetRequested')));
+        this.elements.shoeInventoryLoadBtn?.addEventListener('click', () => this.elements.shoeInventoryFileInput?.click());
+        this.elements.shoeInventoryFileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.dispatchEvent(new CustomEvent('shoeInventoryFileSelected', { detail: { file } }));
+        });
+        this.elements.shoeInventoryClearBtn?.addEventListener('click', () => this.dispatchEvent(new CustomEvent('shoeInventoryClearRequested')));
+        this.elements.shoeStockOnly?.addEventListener('change', (e) => {
+            this.dispatchEvent(new CustomEvent('shoeStockFilterChanged', { detail: { inStockOnly: e.target.checked } }));
+        });
+        this.elements.insoleParamInputs?.forEach(input => {
+            input.addEventListener('change', () => {
+                this.dispatchEvent(new CustomEvent('insoleParamsChanged', { detail: { params: this.getInsoleParams() } }));
+            });
+        });
+        this.elements.insolePreviewToggle?.addEventListener('change', (e) => {
+            this.dispatchEvent(new CustomEvent('insolePreviewToggleRequested', { detail: { visible: e.target.checked } }));
+        });
+        this.elements.insoleFootButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.updateActiveButton(this.elements.insoleFootButtons, btn);
+                this.insoleExportFoot = btn.dataset.foot;
+            });
+        });
+        this.elements.insoleExportButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.dispatchEvent(new CustomEvent('insoleExportRequested', { detail: { format: btn.dataset.format, foot: this.insoleExportFoot } }));
+            });
+        });
+        this.elements.lastParamInputs?.forEach(input => {
+            input.addEventListener('change', () => {
+                this.dispatchEvent(new CustomEvent('lastParamsChanged', { detail: { params: this.getLastParams() } }));
+            });
+        });
+        this.elements.lastPreviewToggle?.addEventListener('change', (e) => {
+            this.dispatchEvent(new CustomEvent('lastPreviewToggleRequested', { detail: { visible: e.target.checked } }));
+        });
+        this.elements.lastFootButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.updateActiveButton(this.elements.lastFootButtons, btn);
+                this.lastExportFoot = btn.dataset.foot;
+            });
+        });
+        this.elements.lastExportButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.dispatchEvent(new CustomEvent('lastExportRequested', { detail: { format: btn.dataset.format, foot: this.lastExportFoot } }));
+            });
+        });
+        this.elements.landmarkToggle?.addEventListener('change', (e) => {
+            this.dispatchEvent(new CustomEvent('landmarksToggleRequested', { detail: { visible: e.target.checked } }));
+        });
         this.elements.resetViewBtn?.addEventListener('click', () => this.dispatchEvent(new CustomEvent('viewResetRequested')));
+        this.elements.measureToolButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                // 선택된 도구를 다시 누르면 측정 모드 종료
+                const tool = btn.classList.contains('active') ? null : btn.dataset.tool;
+                this.dispatchEvent(new CustomEvent('measureToolRequested', { detail: { tool } }));
+            });
+        });
+        this.elements.customMeasurementList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-measurement]');
+            if (!button) return;
+            this.dispatchEvent(new CustomEvent('customMeasurementRemoved', { detail: { id: button.dataset.removeMeasurement } }));
+        });
+        this.elements.customMeasurementList?.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-report-measurement]');
+            if (!checkbox) return;
+            this.dispatchEvent(new CustomEvent('customMeasurementReportToggled', {
+                detail: { id: checkbox.dataset.reportMeasurement, include: checkbox.checked }
+            }));
+        });
+        this.elements.standardViewButtons?.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.dispatchEvent(new CustomEvent('standardViewRequested', { detail: { direction: btn.dataset.direction } }));
+            });
+        });
+
+        // 파싱/측정 취소
+        this.elements.cancelProcessingBtn?.addEventListener('click', () => this.dispatchEvent(new CustomEvent('processingCancelRequested')));
 
         // 탭 전환
         this.elements.tabButtons?.forEach(btn => {
@@ -175,10 +654,17 @@ export class UIController extends EventTarget {
                 this.hideQRCode();
             }
         });
+
+        // 확인 대화상자 (배경 클릭은 취소)
+        this.elements.confirmOkBtn?.addEventListener('click', () => this.closeConfirm(true));
+        this.elements.confirmCancelBtn?.addEventListener('click', () => this.closeConfirm(false));
+        this.elements.confirmModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.confirmModal) this.closeConfirm(false);
+        });
     }
 
     /**
-     * 발별 드롭존 설정
+     * 발별 드롭존 설정 (foot이 'auto'면 좌우 자동 배정, 발별 영역도 스캔이 여러 개면 자동 배정)
      */
     setupFootDropZone(foot, dropZone) {
         if (!dropZone) return;
@@ -196,17 +682,18 @@ export class UIController extends EventTarget {
             e.preventDefault();
             dropZone.classList.remove('border-blue-500');
             if (e.dataTransfer.files.length > 0) {
-                this.handleFootFileSelected(foot, e.dataTransfer.files[0]);
+                // OBJ+MTL+텍스처처럼 여러 파일을 함께 드롭할 수 있음
+                this.handleFootFileSelected(foot, Array.from(e.dataTransfer.files));
             }
         });
     }
 
     /**
-     * 발별 파일 선택 처리
+     * 발별 파일 선택 처리 (함께 선택된 동반 파일 포함)
      */
-    handleFootFileSelected(foot, file) {
+    handleFootFileSelected(foot, files) {
         this.dispatchEvent(new CustomEvent('footFileSelected', {
-            detail: { foot, file }
+            detail: { foot, file: files[0], files }
         }));
     }
 
@@ -237,6 +724,106 @@ export class UIController extends EventTarget {
         }
     }
 
+    /**
+     * 발별 스캔 검사 결과 표시 (헤더 요약, 내장 comment, 품질 경고 / null이면 숨김)
+     */
+    showFootInspection(foot, inspection) {
+        const container = this.elements[`${foot}FootInspection`];
+        if (!container) return;
+
+        if (!inspection) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        const { summary, comments = [], chirality = null, cleanup = null, warnings = [] } = inspection;
+
+        container.innerHTML = `
+            ${summary ? `<p class="text-gray-300">${Utils.escapeHtml(summary)}</p>` : ''}
+            ${comments.slice(0, 3).map(c => `<p class="text-gray-500 truncate" title="${Utils.escapeHtml(c)}"># ${Utils.escapeHtml(c)}</p>`).join('')}
+            ${chirality ? `<p class="text-gray-300"><i class="fas fa-shoe-prints mr-1"></i>${Utils.escapeHtml(chirality)}</p>` : ''}
+            ${cleanup ? `<p class="text-gray-300"><i class="fas fa-broom mr-1"></i>${Utils.escapeHtml(cleanup)}</p>` : ''}
+            ${warnings.map(w => `<p class="text-yellow-400"><i class="fas fa-exclamation-triangle mr-1"></i>${Utils.escapeHtml(w.message)}</p>`).join('')}
+        `;
+        container.classList.toggle('hidden', !summary && comments.length === 0 && !chirality && !cleanup && warnings.length === 0);
+    }
+
+    /**
+     * 스캔 정리 설정 읽기 (발목 절단 높이는 60~300mm로 제한)
+     */
+    getCleanupOptions() {
+        const { cleanupFloor, cleanupOutliers, cleanupAnkle, cleanupAnkleHeight } = this.elements;
+        const height = parseFloat(cleanupAnkleHeight?.value);
+        const ankleCutHeight = Number.isFinite(height) ? Math.min(300, Math.max(60, height)) : 120;
+        if (cleanupAnkleHeight) cleanupAnkleHeight.value = ankleCutHeight;
+
+        return {
+            removeFloor: cleanupFloor ? cleanupFloor.checked : true,
+            removeOutliers: cleanupOutliers ? cleanupOutliers.checked : true,
+            cutAnkle: cleanupAnkle ? cleanupAnkle.checked : true,
+            ankleCutHeight
+        };
+    }
+
+    /**
+     * 신발 사이즈 여유 길이 읽기 (0~30mm로 제한)
+     */
+    getToeAllowance() {
+        const input = this.elements.toeAllowanceInput;
+        const value = parseFloat(input?.value);
+        const toeAllowance = Number.isFinite(value) ? Math.min(30, Math.max(0, value)) : 15;
+        if (input) input.value = toeAllowance;
+        return toeAllowance;
+    }
+
+    /**
+     * 현재 선택된 정리 미리보기 모드 ('before' | 'after')
+     */
+    getCleanupPreviewMode() {
+        const active = Array.from(this.elements.cleanupPreviewButtons || []).find(btn => btn.classList.contains('active'));
+        return active ? active.dataset.preview : 'after';
+    }
+
+    /**
+     * 좌우 바꾸기 버튼 표시 여부
+     */
+    setSwapFeetVisible(visible) {
+        this.elements.swapFeetBtn?.classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * 발별 로딩 진행률 표시
+     */
+    updateFootLoadProgress(foot, percentage) {
+        const statusElement = this.elements[`${foot}FootStatus`];
+        if (statusElement && Number.isFinite(percentage)) {
+            statusElement.textContent = `로딩 중... ${Math.round(percentage)}%`;
+            statusElement.className = 'text-xs text-blue-400';
+        }
+    }
+
+    /**
+     * 처리 진행 오버레이 표시 (percentage가 없으면 진행 막대 유지)
+     */
+    showProcessingProgress(status, percentage = null, cancellable = true) {
+        const { processingOverlay, processingStatus, processingProgressBar, cancelProcessingBtn } = this.elements;
+        if (!processingOverlay) return;
+
+        processingOverlay.classList.remove('hidden');
+        if (processingStatus) processingStatus.textContent = status;
+        if (processingProgressBar && Number.isFinite(percentage)) {
+            processingProgressBar.style.width = `${Math.min(100, Math.max(0, percentage))}%`;
+        }
+        cancelProcessingBtn?.classList.toggle('hidden', !cancellable);
+    }
+
+    hideProcessingProgress() {
+        const { processingOverlay, processingProgressBar } = this.elements;
+        processingOverlay?.classList.add('hidden');
+        if (processingProgressBar) processingProgressBar.style.width = '0%';
+    }
+
     // --- 화면 및 상태 관리 ---
 
     showDashboard() {
@@ -256,6 +843,16 @@ export class UIController extends EventTarget {
         }
     }
 
+    isUploadSectionVisible() {
+        return !!this.elements.footUploadSection && this.elements.footUploadSection.style.display !== 'none';
+    }
+
+    showUploadSection() {
+        if (this.elements.footUploadSection) {
+            this.elements.footUploadSection.style.display = '';
+        }
+    }
+
     switchTab(tabId) {
         this.activeTab = tabId;
         this.elements.tabButtons.forEach(btn => {
@@ -346,6 +943,7 @@ export class UIController extends EventTarget {
 
         this.updateMeasurementDisplay();
         this.updateComparisonData();
+        this.updateFootprintPanel();
     }
 
     /**
@@ -378,15 +976,37 @@ export class UIController extends EventTarget {
         if (this.elements.widthValue) this.elements.widthValue.textContent = format(measurements.width);
         if (this.elements.heightValue) this.elements.heightValue.textContent = format(measurements.height);
 
-        const hlRatio = measurements.height / measurements.length;
-        if (this.elements.archRatioValue) this.elements.archRatioValue.textContent = isNaN(hlRatio) ? '-' : hlRatio.toFixed(2);
+        // 둘레 (단면을 만들지 못한 항목은 '-')
+        Object.entries(this.elements.girthValues).forEach(([type, el]) => {
+            if (el) el.textContent = format(measurements.girths?.[type]?.value);
+        });
+
+        // 아치 (AHI는 발등 높이 / 절단 발 길이)
+        const arch = measurements.arch || {};
+        if (this.elements.archIndexValue) this.elements.archIndexValue.textContent = arch.ahi ? arch.ahi.toFixed(3) : '-';
+        if (this.elements.archDorsalHeightValue) this.elements.archDorsalHeightValue.textContent = format(arch.dorsalHeight);
+        if (this.elements.archTruncatedLengthValue) this.elements.archTruncatedLengthValue.textContent = format(arch.truncatedLength);
+        if (this.elements.archNavicularHeightValue) this.elements.archNavicularHeightValue.textContent = format(arch.navicularHeight);
+        this.renderArchProfile(arch.profile);
+        this.renderShoeSize();
+
+        // 부피·표면적 (점군이거나 계산 실패면 '-')
+        const volume = measurements.volume;
+        if (this.elements.volumeValue) this.elements.volumeValue.textContent = volume ? `${volume.volume.toFixed(1)} cm³` : '-';
+        if (this.elements.surfaceAreaValue) this.elements.surfaceAreaValue.textContent = volume ? `${volume.surfaceArea.toFixed(1)} cm²` : '-';
+        if (this.elements.volumeRegionsValue) {
+            this.elements.volumeRegionsValue.textContent = volume
+                ? ['rearfoot', 'midfoot', 'forefoot'].map(region => volume.regions[region].toFixed(0)).join(' / ') + ' cm³'
+                : '-';
+        }
+        if (this.elements.volumeConfidence) this.elements.volumeConfidence.textContent = this.describeVolumeConfidence(volume);
 
         // 각 측정값에 대한 태그 정보 생성
         const tags = {
             length: getTagInfo(measurements.length, [220, 290]), // 예시: 발 길이 정상 범위 220-290mm
             width: getTagInfo(measurements.width, [85, 110]),     // 예시: 발 너비 정상 범위 85-110mm
             height: getTagInfo(measurements.height, [55, 75], [60, 70]), // 예시: 발 높이 정상 55-75mm, 최적 60-70mm
-            archRatio: getTagInfo(hlRatio, [0.18, 0.25]) // 예시: 아치비율 정상 0.18-0.25
+            archIndex: ARCH_TAGS[analysis.archType] || { text: '확인필요', class: 'low' } // AHI 기준 아치 유형
         };
 
         // 생성된 태그 정보를 실제 DOM에 적용 (ID를 정확히 타겟팅하도록 수정)
@@ -403,10 +1023,311 @@ export class UIController extends EventTarget {
             this.elements.measurementSummary.innerHTML = `
             <p><strong>${this.selectedFoot === 'left' ? '왼발' : '오른발'} 분석:</strong> <strong>${analysis.footType || 'N/A'}</strong> 경향을 보이며, 아치는 <strong>${analysis.archType || 'N/A'}</strong> 형태입니다.</p>
             <p class="text-gray-500 mt-1">${analysis.description || '분석이 완료되면 상세 설명이 표시됩니다.'}</p>
+            ${this.describeForefoot(measurements.forefoot)}
+            ${measurements.fallbackReason ? `<p class="text-yellow-400 mt-1"><i class="fas fa-exclamation-triangle mr-1"></i>기본 측정 사용: ${measurements.fallbackReason}</p>` : ''}
         `;
         }
     }
 
+    /**
+     * 신발 사이즈 저장 및 표시
+     * sizes: { left, right, recommended } (ShoeSizer.convert/recommend 결과, 없으면 null)
+     */
+    updateShoeSizes(sizes) {
+        this.shoeSizes = sizes;
+        this.renderShoeSize();
+    }
+
+    /**
+     * 선택된 발의 신발 사이즈 표시 (US는 성별에 맞는 사이즈만, 성별을 모르면 남녀 모두)
+     */
+    renderShoeSize() {
+        const setText = (element, value) => {
+            if (element) element.textContent = value;
+        };
+        const size = this.shoeSizes?.[this.selectedFoot];
+        const recommended = this.shoeSizes?.recommended;
+
+        if (!size) {
+            [
+                this.elements.shoeSizeKs, this.elements.shoeSizeUs, this.elements.shoeSizeUk,
+                this.elements.shoeSizeEu, this.elements.shoeSizeJp, this.elements.shoeSizeWidth
+            ].forEach(element => setText(element, '-'));
+            setText(this.elements.shoeSizeRecommendation, '');
+            return;
+        }
+
+        const us = [
+            size.gender !== 'female' && size.us.men !== null && `M ${size.us.men}`,
+            size.gender !== 'male' && size.us.women !== null && `W ${size.us.women}`,
+            size.us.kids && `Kids ${size.us.kids}`
+        ].filter(Boolean);
+
+        setText(this.elements.shoeSizeKs, `${size.ks}`);
+        setText(this.elements.shoeSizeUs, us.length > 0 ? us.join(' / ') : '-');
+        setText(this.elements.shoeSizeUk, size.uk !== null ? `${size.uk}` : '-');
+        setText(this.elements.shoeSizeEu, `${size.eu}`);
+        setText(this.elements.shoeSizeJp, `${size.jp}`);
+        setText(this.elements.shoeSizeWidth, size.width ? `${size.width.grade} (${WIDTH_BASIS_LABELS[size.width.basis]})` : '-');
+        setText(
+            this.elements.shoeSizeRecommendation,
+            recommended
+                ? `양발 추천: KS ${recommended.ks} · EU ${recommended.eu}${recommended.width ? ` · ${recommended.width.grade}` : ''} (여유 길이 ${recommended.toeAllowance} mm)`
+                : ''
+        );
+    }
+
+    /**
+     * 리포트 탭 추천 신발 재고 목록
+     */
+    renderShoeStockList(results) {
+        const list = this.elements.reportShoeStock;
+        if (!list) return;
+        if (!results || results.length === 0) {
+            list.innerHTML = `<li>${results ? '카탈로그에 잘 맞는 모델이 없습니다.' : '분석이 완료되면 추천 모델이 표시됩니다.'}</li>`;
+            return;
+        }
+
+        list.innerHTML = results.map((result, i) => {
+            const stockClass = result.stock === null ? 'text-gray-500' : result.stock > 0 ? 'text-green-400' : 'text-red-400';
+            const stockText = result.stock === null ? '재고 미확인' : result.stock > 0 ? `재고 ${result.stock}` : '품절';
+            return `
+                <li class="flex justify-between gap-2">
+                    <span class="text-gray-300 truncate">${i + 1}. ${Utils.escapeHtml(result.brand)} ${Utils.escapeHtml(result.model)} · KS ${result.size}</span>
+                    <span class="font-mono whitespace-nowrap ${stockClass}">${stockText}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 신발 탭 카드의 재고 문구 (재고를 모르면 빈 문자열)
+     */
+    describeStock(stock) {
+        if (stock === null) return '';
+        return stock > 0 ? ` · 재고 ${stock}` : ' · 품절';
+    }
+
+    /**
+     * 부피 신뢰도 안내 문구 (막힌 메시가 아니면 구멍 수와 함께 낮은 신뢰도 표시)
+     */
+    describeVolumeConfidence(volume) {
+        if (!volume) return '부피는 면이 있는 메시 스캔에서만 계산됩니다.';
+
+        const capped = volume.ankleCapped ? '발목 절단면을 막아 계산' : '닫힌 메시';
+        if (volume.watertight) return `신뢰도 ${volume.confidence} · ${capped}`;
+
+        const issues = [];
+        if (volume.holeCount > 0) issues.push(`구멍 ${volume.holeCount}개 메움`);
+        if (volume.nonManifoldEdges > 0) issues.push(`비정상 모서리 ${volume.nonManifoldEdges}개`);
+        return `신뢰도 ${volume.confidence} · ${capped}, ${issues.join(', ')}`;
+    }
+
+    /**
+     * 앞발 분석 요약 문단 (외반각, 새끼발가락 각, 발가락 형태, 측정값이 없으면 빈 문자열)
+     */
+    describeForefoot(forefoot) {
+        if (!forefoot) return '';
+
+        const parts = [];
+        if (Number.isFinite(forefoot.halluxValgusAngle)) {
+            parts.push(`엄지발가락 외반각 <strong>${forefoot.halluxValgusAngle.toFixed(1)}°</strong> (${HALLUX_VALGUS_LABELS[forefoot.halluxValgusGrade]})`);
+        }
+        if (Number.isFinite(forefoot.fifthToeAngle)) {
+            parts.push(`새끼발가락 각 <strong>${forefoot.fifthToeAngle.toFixed(1)}°</strong>${forefoot.fifthToeVarus ? ' (내반 경향)' : ''}`);
+        }
+        if (forefoot.toeShape) {
+            parts.push(`발가락 형태 <strong>${TOE_SHAPE_LABELS[forefoot.toeShape]}</strong>`);
+        }
+
+        return parts.length > 0 ? `<p class="text-gray-400 mt-1">${parts.join(', ')}</p>` : '';
+    }
+
+    /**
+     * 안쪽 아치 곡선 그래프 (가로: 뒤꿈치→제1중족골두, 세로: 발바닥 기준 높이)
+     */
+    renderArchProfile(profile) {
+        const chart = this.elements.archProfileChart;
+        if (!chart) return;
+
+        const { width, height, padding, minRange } = ARCH_PROFILE_CHART;
+        if (!profile || profile.length < 2) {
+            chart.innerHTML = `<text x="${width / 2}" y="${height / 2}" fill="#6b7280" font-size="8" text-anchor="middle">곡선 없음</text>`;
+            return;
+        }
+
+        const range = Math.max(minRange, ...profile.map(p => p.height));
+        const toY = (value) => height - padding - (value / range) * (height - padding * 2);
+        const points = profile.map(p => `${(p.position * width).toFixed(1)},${toY(p.height).toFixed(1)}`).join(' ');
+        const peak = profile.reduce((best, p) => (p.height > best.height ? p : best));
+
+        chart.innerHTML = `
+            <line x1="0" y1="${toY(0)}" x2="${width}" y2="${toY(0)}" stroke="#4b5563" stroke-width="0.5" />
+            <polyline points="${points}" fill="none" stroke="#60a5fa" stroke-width="1.5" vector-effect="non-scaling-stroke" />
+            <text x="${(peak.position * width).toFixed(1)}" y="${Math.max(toY(peak.height) - 3, 8).toFixed(1)}" fill="#9ca3af" font-size="8" text-anchor="middle">${peak.height.toFixed(1)} mm</text>
+        `;
+    }
+
+    /**
+     * 뷰어 옆 발자국 패널 (양발 발자국 그림 + 발자국 지수)
+     */
+    updateFootprintPanel() {
+        const panel = this.elements.footprintPanel;
+        if (!panel) return;
+
+        const left = this.measurementData?.left?.measurements?.footprint;
+        const right = this.measurementData?.right?.measurements?.footprint;
+        const visible = (left || right) && (this.elements.footprintToggle?.checked ?? true);
+        panel.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        const canvas = this.elements.footprintCanvas;
+        if (canvas) {
+            const ratio = window.devicePixelRatio || 1;
+            canvas.width = Math.round(canvas.clientWidth * ratio);
+            canvas.height = Math.round(canvas.clientHeight * ratio);
+            FootprintRenderer.draw(canvas, left, right, { padding: 8 * ratio, labelHeight: 12 * ratio });
+        }
+
+        const setText = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = value;
+        };
+        [['left', left], ['right', right]].forEach(([foot, footprint]) => {
+            setText(`${foot}-footprint-ai`, footprint?.archIndex != null ? footprint.archIndex.toFixed(3) : '-');
+            setText(`${foot}-footprint-csi`, footprint?.chippauxSmirak != null ? `${footprint.chippauxSmirak.toFixed(1)}%` : '-');
+            setText(`${foot}-footprint-si`, footprint?.staheli != null ? footprint.staheli.toFixed(2) : '-');
+        });
+
+        if (this.elements.footprintSummary) {
+            const describe = (footprint) => FOOTPRINT_ARCH_LABELS[FootprintAnalyzer.classifyArchIndex(footprint?.archIndex)] || '-';
+            this.elements.footprintSummary.textContent = `AI 기준 - 왼발: ${describe(left)}, 오른발: ${describe(right)}`;
+        }
+    }
+
+    /**
+     * 단면 평면 상태 저장 후 단면 패널 다시 그림
+     */
+    updateSectionPanel(state) {
+        this.sectionState = state;
+        this.setSectionPosition(state.ratio);
+        this.renderSectionPanel();
+    }
+
+    /**
+     * 단면 위치 슬라이더 값 (평면을 드래그하는 동안에도 따라 움직임)
+     */
+    setSectionPosition(ratio) {
+        const percent = Math.round(ratio * 100);
+        if (this.elements.sectionPosition) this.elements.sectionPosition.value = percent;
+        if (this.elements.sectionPositionValue) this.elements.sectionPositionValue.textContent = `${percent}%`;
+    }
+
+    /**
+     * 뷰어 옆 단면 패널 (양발 단면 그림 + 치수)
+     */
+    renderSectionPanel() {
+        const panel = this.elements.sectionPanel;
+        if (!panel) return;
+
+        const visible = !!this.sectionState && this.isSectionPlaneVisible();
+        panel.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        const { left, right } = this.sectionState.sections;
+        const canvas = this.elements.sectionCanvas;
+        if (canvas) {
+            const ratio = window.devicePixelRatio || 1;
+            canvas.width = Math.round(canvas.clientWidth * ratio);
+            canvas.height = Math.round(canvas.clientHeight * ratio);
+            SectionRenderer.draw(canvas, left, right, { padding: 8 * ratio, fontSize: 10 * ratio, lineWidth: 1.5 * ratio });
+        }
+
+        const setText = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = value;
+        };
+        [['left', left], ['right', right]].forEach(([foot, section]) => {
+            setText(`${foot}-section-position`, section ? `${section.position.toFixed(1)} mm` : '-');
+            setText(`${foot}-section-width`, section ? `${section.width.toFixed(1)} mm` : '-');
+            setText(`${foot}-section-height`, section ? `${section.height.toFixed(1)} mm` : '-');
+            setText(`${foot}-section-perimeter`, section ? `${section.perimeter.toFixed(1)} mm` : '-');
+            setText(`${foot}-section-area`, section?.area > 0 ? `${(section.area / 100).toFixed(1)} cm²` : '-');
+        });
+    }
+
+    /**
+     * 발별 랜드마크 목록 저장 (items: [{ label, edited }])
+     */
+    updateLandmarkList(foot, items) {
+        this.landmarkLists[foot] = items || [];
+        this.renderLandmarkList();
+    }
+
+    /**
+     * 측정값 탭에서 선택된 발의 랜드마크 목록 표시 (수동 보정한 항목 강조)
+     */
+    renderLandmarkList() {
+        const list = this.elements.landmarkList;
+        if (!list) return;
+
+        const items = this.landmarkLists[this.selectedFoot];
+        if (items.length === 0) {
+            list.innerHTML = '<li class="text-gray-500">검출된 랜드마크가 없습니다.</li>';
+            return;
+        }
+
+        list.innerHTML = items.map(({ label, edited }) => `
+            <li class="flex justify-between items-center">
+                <span>${label}</span>
+                <span class="${edited ? 'text-yellow-400' : 'text-gray-500'} text-xs">${edited ? '수동 보정' : '자동'}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * 측정 도구 버튼 상태 (null이면 모두 해제)
+     */
+    setActiveMeasureTool(tool) {
+        this.elements.measureToolButtons?.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * 발별 사용자 측정 목록 갱신
+     */
+    updateCustomMeasurementList(foot, items) {
+        this.customMeasurements[foot] = items || [];
+        this.renderCustomMeasurementList();
+    }
+
+    /**
+     * 양발 사용자 측정 목록 표시 (리포트 포함 체크, 삭제 버튼)
+     */
+    renderCustomMeasurementList() {
+        const list = this.elements.customMeasurementList;
+        if (!list) return;
+
+        const items = ['left', 'right'].flatMap(foot => this.customMeasurements[foot].map(item => ({ foot, ...item })));
+        if (items.length === 0) {
+            list.innerHTML = '<li class="text-gray-500">추가한 측정이 없습니다.</li>';
+            return;
+        }
+
+        list.innerHTML = items.map(({ foot, id, label, value, unit, includeInReport }) => `
+            <li class="flex justify-between items-center gap-2">
+                <span class="truncate"><span class="text-gray-500 text-xs mr-1">${foot === 'left' ? '왼발' : '오른발'}</span>${label}</span>
+                <span class="flex items-center gap-2 shrink-0">
+                    <span class="font-mono text-gray-200">${value.toFixed(1)}${unit === '°' ? '°' : ' mm'}</span>
+                    <input type="checkbox" data-report-measurement="${id}" ${includeInReport ? 'checked' : ''} title="리포트에 포함"
+                        class="form-checkbox h-3 w-3 bg-gray-700 border-gray-600 rounded text-blue-500 focus:ring-blue-500">
+                    <button data-remove-measurement="${id}" class="text-gray-500 hover:text-red-400" title="삭제"><i class="fas fa-times"></i></button>
+                </span>
+            </li>
+        `).join('');
+    }
+
     /**
      * 양발 비교 데이터 업데이트
      */
@@ -446,10 +1367,29 @@ export class UIController extends EventTarget {
         if (this.elements.leftHeightCompare) this.elements.leftHeightCompare.textContent = `${left.height.toFixed(1)} mm`;
         if (this.elements.rightHeightCompare) this.elements.rightHeightCompare.textContent = `${right.height.toFixed(1)} mm`;
 
-        const leftArch = (left.height / left.length).toFixed(2);
-        const rightArch = (right.height / right.length).toFixed(2);
-        if (this.elements.leftArchCompare) this.elements.leftArchCompare.textContent = leftArch;
-        if (this.elements.rightArchCompare) this.elements.rightArchCompare.textContent = rightArch;
+        const formatMm = (value) => (value ? `${value.toFixed(1)} mm` : '-');
+        const compareArch = (leftEl, rightEl, format) => {
+            if (leftEl) leftEl.textContent = format(left.arch || {});
+            if (rightEl) rightEl.textContent = format(right.arch || {});
+        };
+        compareArch(this.elements.leftArchCompare, this.elements.rightArchCompare, arch => (arch.ahi ? arch.ahi.toFixed(3) : '-'));
+        compareArch(this.elements.leftDorsalHeightCompare, this.elements.rightDorsalHeightCompare, arch => formatMm(arch.dorsalHeight));
+        compareArch(this.elements.leftTruncatedLengthCompare, this.elements.rightTruncatedLengthCompare, arch => formatMm(arch.truncatedLength));
+        compareArch(this.elements.leftNavicularHeightCompare, this.elements.rightNavicularHeightCompare, arch => formatMm(arch.navicularHeight));
+
+        const formatVolume = (volume, key, unit) => (volume ? `${volume[key].toFixed(1)} ${unit}` : '-');
+        if (this.elements.leftVolumeCompare) this.elements.leftVolumeCompare.textContent = formatVolume(left.volume, 'volume', 'cm³');
+        if (this.elements.rightVolumeCompare) this.elements.rightVolumeCompare.textContent = formatVolume(right.volume, 'volume', 'cm³');
+        if (this.elements.leftSurfaceAreaCompare) this.elements.leftSurfaceAreaCompare.textContent = formatVolume(left.volume, 'surfaceArea', 'cm²');
+        if (this.elements.rightSurfaceAreaCompare) this.elements.rightSurfaceAreaCompare.textContent = formatVolume(right.volume, 'surfaceArea', 'cm²');
+
+        const formatGirth = (girth) => (girth ? `${girth.value.toFixed(1)} mm` : '-');
+        Object.keys(this.elements.leftGirthCompare).forEach(type => {
+            const leftEl = this.elements.leftGirthCompare[type];
+            const rightEl = this.elements.rightGirthCompare[type];
+            if (leftEl) leftEl.textContent = formatGirth(left.girths?.[type]);
+            if (rightEl) rightEl.textContent = formatGirth(right.girths?.[type]);
+        });
 
         // 비교 분석 요약
         if (this.elements.comparisonSummary) {
@@ -464,8 +1404,332 @@ export class UIController extends EventTarget {
                 summaryText = '양발 간 상당한 차이가 관찰됩니다. 전문의 상담을 권장합니다.';
             }
 
-            this.elements.comparisonSummary.innerHTML = `<p>${summaryText}</p>`;
+            const largestRegion = this.surfaceDeviation?.largestRegion;
+            const regionText = largestRegion
+                ? `<p class="mt-1">표면 비교에서 좌우 차이가 가장 큰 부위는 ${DEVIATION_REGION_LABELS[largestRegion]}입니다.</p>`
+                : '';
+            this.elements.comparisonSummary.innerHTML = `<p>${summaryText}</p>${regionText}`;
         }
+
+        this.renderSurfaceDeviation();
+    }
+
+    /**
+     * 좌우 표면 편차 요약 저장 후 비교 탭 갱신 (없으면 null)
+     */
+    updateSurfaceDeviation(summary) {
+        this.surfaceDeviation = summary;
+        this.updateComparisonData();
+    }
+
+    /**
+     * 비교 탭 표면 편차 (부위별 평균·평균 절댓값·최대, mm)
+     */
+    renderSurfaceDeviation() {
+        const summary = this.surfaceDeviation;
+
+        if (this.elements.deviationRegionRows) {
+            this.elements.deviationRegionRows.innerHTML = summary
+                ? this.renderDeviationRegionRows(summary)
+                : '<p class="text-gray-400">양발 분석 완료 후 표시됩니다.</p>';
+        }
+
+        if (this.elements.deviationRms) this.elements.deviationRms.textContent = summary ? `${summary.rms.toFixed(1)} mm` : '- mm';
+        if (this.elements.deviationFitError) this.elements.deviationFitError.textContent = summary ? `${summary.fitError.toFixed(1)} mm` : '- mm';
+        if (this.elements.deviationLargestRegion) {
+            this.elements.deviationLargestRegion.textContent = summary?.largestRegion ? DEVIATION_REGION_LABELS[summary.largestRegion] : '-';
+        }
+    }
+
+    /**
+     * 부위별 편차 표 행 (평균·평균 절댓값·부호 포함 최대, mm)
+     */
+    renderDeviationRegionRows(summary) {
+        const formatSigned = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+        return Object.entries(DEVIATION_REGION_LABELS).map(([region, label]) => {
+            const stats = summary.regions[region];
+            const peak = stats ? (Math.abs(stats.max) >= Math.abs(stats.min) ? stats.max : stats.min) : null;
+            return `
+                <div class="grid grid-cols-4 gap-2 py-1">
+                    <span>${label}</span>
+                    <span class="text-center font-mono">${stats ? formatSigned(stats.mean) : '-'}</span>
+                    <span class="text-center font-mono">${stats ? stats.meanAbs.toFixed(1) : '-'}</span>
+                    <span class="text-center font-mono">${stats ? formatSigned(peak) : '-'}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 뷰어 편차 범례 (legend: { range, caption }, 히트맵을 끄면 null)
+     */
+    updateDeviationLegend(legend) {
+        const element = this.elements.deviationLegend;
+        if (!element) return;
+
+        element.classList.toggle('hidden', !legend);
+        if (!legend) return;
+
+        if (this.elements.deviationLegendCaption) this.elements.deviationLegendCaption.textContent = legend.caption;
+        if (this.elements.deviationLegendMin) this.elements.deviationLegendMin.textContent = `-${legend.range} mm`;
+        if (this.elements.deviationLegendMax) this.elements.deviationLegendMax.textContent = `+${legend.range} mm`;
+    }
+
+    /**
+     * 경과 비교 탭 - 스캔 기록 목록 (currentId: 지금 세션, 목록에서 제외)
+     * 같은 이름의 고객 기록을 먼저 표시
+     */
+    updateProgressionHistory(visits, currentId = null) {
+        const select = this.elements.progressionHistorySelect;
+        if (!select) return;
+
+        const sameClient = (visit) => (this.userName && visit.clientName === this.userName ? 0 : 1);
+        const options = visits
+            .filter(visit => visit.id !== currentId)
+            .sort((a, b) => sameClient(a) - sameClient(b))
+            .map(visit => new Option(`${(visit.analyzedAt || '').slice(0, 10)} · ${visit.clientName || '이름 없음'}`, visit.id));
+
+        select.replaceChildren(...(options.length > 0 ? options : [new Option('기록 없음', '')]));
+    }
+
+    /**
+     * 경과 비교 결과 표시 (state 없으면 초기화)
+     * state: { foot, previous: { analyzedAt, measurements }, current: { analyzedAt, measurements }, summary }
+     */
+    updateProgression(state) {
+        const setText = (element, value) => {
+            if (element) element.textContent = value;
+        };
+
+        if (!state) {
+            setText(this.elements.progressionDates, '분석 완료 후 이전 스캔을 불러오세요.');
+            setText(this.elements.progressionPreviousDate, '이전');
+            setText(this.elements.progressionCurrentDate, '현재');
+            if (this.elements.progressionDeltaRows) this.elements.progressionDeltaRows.innerHTML = '<p class="text-gray-400">-</p>';
+            if (this.elements.progressionRegionRows) this.elements.progressionRegionRows.innerHTML = '<p class="text-gray-400">-</p>';
+            setText(this.elements.progressionRms, '- mm');
+            setText(this.elements.progressionFitError, '- mm');
+            return;
+        }
+
+        const { foot, previous, current, summary } = state;
+        const previousDate = (previous.analyzedAt || '').slice(0, 10);
+        const currentDate = (current.analyzedAt || '').slice(0, 10);
+        const days = Math.round((new Date(current.analyzedAt) - new Date(previous.analyzedAt)) / 86400000);
+
+        setText(this.elements.progressionDates,
+            `${foot === 'left' ? '왼발' : '오른발'}: ${previousDate} → ${currentDate}${Number.isFinite(days) ? ` (${days}일)` : ''}`);
+        setText(this.elements.progressionPreviousDate, previousDate || '이전');
+        setText(this.elements.progressionCurrentDate, currentDate || '현재');
+
+        if (this.elements.progressionDeltaRows) {
+            this.elements.progressionDeltaRows.innerHTML = PROGRESSION_ITEMS.map(([label, valueOf]) => {
+                const before = previous.measurements ? valueOf(previous.measurements) : null;
+                const after = current.measurements ? valueOf(current.measurements) : null;
+                const hasBoth = Number.isFinite(before) && Number.isFinite(after);
+                const delta = hasBoth ? after - before : null;
+                return `
+                    <div class="grid grid-cols-4 gap-2 py-1">
+                        <span>${label}</span>
+                        <span class="text-center font-mono">${Number.isFinite(before) ? before.toFixed(1) : '-'}</span>
+                        <span class="text-center font-mono">${Number.isFinite(after) ? after.toFixed(1) : '-'}</span>
+                        <span class="text-center font-mono">${hasBoth ? `${delta > 0 ? '+' : ''}${delta.toFixed(1)}` : '-'}</span>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        if (this.elements.progressionRegionRows) {
+            this.elements.progressionRegionRows.innerHTML = summary
+                ? this.renderDeviationRegionRows(summary)
+                : '<p class="text-gray-400">표면 비교 결과 없음</p>';
+        }
+        setText(this.elements.progressionRms, summary ? `${summary.rms.toFixed(1)} mm` : '- mm');
+        setText(this.elements.progressionFitError, summary ? `${summary.fitError.toFixed(1)} mm` : '- mm');
+    }
+
+    /**
+     * 체중 부하 탭 - 분석한 스캔의 자세 표시 (state: 'loaded' | 'unloaded', 올릴 짝 스캔은 반대 자세)
+     */
+    setLoadPairState(state) {
+        this.elements.loadStateButtons?.forEach(btn => btn.classList.toggle('active', btn.dataset.state === state));
+        if (this.elements.loadPairFileLabel) {
+            this.elements.loadPairFileLabel.textContent = `${state === 'loaded' ? '비부하' : '체중 부하'} 스캔 올리기`;
+        }
+    }
+
+    /**
+     * 체중 부하 비교 결과 표시 (state 없으면 초기화)
+     * state: { foot, fileName, pairedState, assessment(FootFlexibility.assess 결과), fitError }
+     */
+    updateLoadPair(state) {
+        const setText = (element, value) => {
+            if (element) element.textContent = value;
+        };
+        const formatSigned = (value, digits = 1) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+        if (!state) {
+            setText(this.elements.loadPairStatus, '분석 완료 후 같은 발의 다른 자세 스캔을 올리세요.');
+            if (this.elements.loadPairRows) this.elements.loadPairRows.innerHTML = '<p class="text-gray-400">-</p>';
+            setText(this.elements.loadNavicularDrop, '- mm');
+            setText(this.elements.loadFlexibilityGrade, '-');
+            setText(this.elements.loadRigidityIndex, '-');
+            setText(this.elements.loadFitError, '- mm');
+            setText(this.elements.loadFlexibilitySummary, '-');
+            return;
+        }
+
+        const { foot, fileName, pairedState, assessment, fitError } = state;
+        const footLabel = foot === 'left' ? '왼발' : '오른발';
+        setText(this.elements.loadPairStatus, `${footLabel} ${pairedState === 'loaded' ? '체중 부하' : '비부하'} 스캔: ${fileName}`);
+
+        if (this.elements.loadPairRows) {
+            this.elements.loadPairRows.innerHTML = LOAD_PAIR_ITEMS.map(([label, key, digits]) => {
+                const before = assessment.unloaded[key];
+                const after = assessment.loaded[key];
+                const hasBoth = before !== null && after !== null;
+                return `
+                    <div class="grid grid-cols-4 gap-2 py-1">
+                        <span>${label}</span>
+                        <span class="text-center font-mono">${before !== null ? before.toFixed(digits) : '-'}</span>
+                        <span class="text-center font-mono">${after !== null ? after.toFixed(digits) : '-'}</span>
+                        <span class="text-center font-mono">${hasBoth ? formatSigned(after - before, digits) : '-'}</span>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const { navicularDrop, archHeightChange, archRigidityIndex, forefootSplay, lengthIncrease, grade } = assessment;
+        setText(this.elements.loadNavicularDrop, navicularDrop !== null ? `${navicularDrop.toFixed(1)} mm` : '- mm');
+        setText(this.elements.loadFlexibilityGrade, grade ? FLEXIBILITY_LABELS[grade] : '판정 불가 (주상골 미검출)');
+        setText(this.elements.loadRigidityIndex, archRigidityIndex !== null ? archRigidityIndex.toFixed(2) : '-');
+        setText(this.elements.loadFitError, Number.isFinite(fitError) ? `${fitError.toFixed(1)} mm` : '- mm');
+
+        const changes = [
+            archHeightChange !== null && `발등 높이 ${formatSigned(archHeightChange)} mm`,
+            forefootSplay !== null && `발볼 너비 ${formatSigned(forefootSplay)} mm`,
+            lengthIncrease !== null && `길이 ${formatSigned(lengthIncrease)} mm`
+        ].filter(Boolean);
+        setText(this.elements.loadFlexibilitySummary,
+            changes.length > 0 ? `체중을 실으면 ${changes.join(', ')} 변합니다.` : '비교할 측정값이 없습니다.');
+    }
+
+    /**
+     * 깔창 설계 결과 표시 ({ left, right } InsoleDesigner.design 결과, 분석 전이면 null)
+     */
+    updateInsoles(designs) {
+        if (!this.elements.insoleRows) return;
+        if (!designs || (!designs.left && !designs.right)) {
+            this.elements.insoleRows.innerHTML = `<p class="text-gray-400">${designs ? '발바닥 면을 찾지 못해 깔창을 만들 수 없습니다.' : '분석이 완료되면 깔창이 설계됩니다.'}</p>`;
+            return;
+        }
+
+        const format = (design, key) => (design ? `${design[key].toFixed(1)} mm` : '-');
+        this.elements.insoleRows.innerHTML = INSOLE_ITEMS.map(([label, key]) => `
+            <div class="grid grid-cols-3 gap-2 py-1">
+                <span>${label}</span>
+                <span class="text-center font-mono">${format(designs.left, key)}</span>
+                <span class="text-center font-mono">${format(designs.right, key)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 라스트 치수 표시 ({ left, right } LastGenerator.generate 결과, 분석 전이면 null)
+     */
+    updateShoeLasts(lasts) {
+        if (!this.elements.lastRows) return;
+        if (!lasts || (!lasts.left && !lasts.right)) {
+            this.elements.lastRows.innerHTML = `<p class="text-gray-400">${lasts ? '발 단면을 찾지 못해 라스트를 만들 수 없습니다.' : '분석이 완료되면 라스트가 만들어집니다.'}</p>`;
+            return;
+        }
+
+        const format = (last, key) => (Number.isFinite(last?.measurements[key]) ? `${last.measurements[key].toFixed(1)} mm` : '-');
+        this.elements.lastRows.innerHTML = LAST_ITEMS.map(([label, key]) => `
+            <div class="grid grid-cols-3 gap-2 py-1">
+                <span>${label}</span>
+                <span class="text-center font-mono">${format(lasts.left, key)}</span>
+                <span class="text-center font-mono">${format(lasts.right, key)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 신발 카탈로그 상태 표시 ({ source: 'default' | 'imported', count, updatedAt }, 읽지 못했으면 null)
+     */
+    updateShoeCatalogueStatus(status) {
+        if (!this.elements.shoeCatalogueStatus) return;
+        if (!status) {
+            this.elements.shoeCatalogueStatus.textContent = '카탈로그 없음';
+            return;
+        }
+
+        const source = status.source === 'imported' ? '매장 목록' : '기본 목록';
+        const updated = status.updatedAt ? ` · ${status.updatedAt.slice(0, 10)} 갱신` : '';
+        this.elements.shoeCatalogueStatus.textContent = `${source} ${status.count}개 모델${updated}`;
+    }
+
+    /**
+     * 매장 재고 상태 표시 ({ fileName, count, quantity, updatedAt }, 재고가 없으면 null)
+     */
+    updateShoeInventoryStatus(status) {
+        if (!this.elements.shoeInventoryStatus) return;
+        this.elements.shoeInventoryStatus.textContent = status
+            ? `${status.count}개 품목 · ${status.quantity}켤레${status.updatedAt ? ` (${status.updatedAt.slice(0, 10)})` : ''}`
+            : '재고 미등록';
+        this.elements.shoeInventoryStatus.title = status?.fileName || '';
+    }
+
+    isShoeStockOnly() {
+        return this.elements.shoeStockOnly ? this.elements.shoeStockOnly.checked : false;
+    }
+
+    /**
+     * 추천 신발 모델 표시 (ShoeFitter.rank 결과, 분석 전이면 null)
+     * 신발 탭에는 항목별 판정, 리포트 탭에는 모델·치수별 재고
+     */
+    updateShoeFits(results) {
+        this.renderShoeStockList(results);
+
+        const container = this.elements.shoeFitList;
+        if (!container) return;
+        if (!results) {
+            container.innerHTML = '<p class="text-gray-400">분석이 완료되면 추천 모델이 표시됩니다.</p>';
+            return;
+        }
+        if (results.length === 0) {
+            container.innerHTML = '<p class="text-gray-400">카탈로그에 잘 맞는 모델이 없습니다.</p>';
+            return;
+        }
+
+        const formatSigned = (value) => `${value > 0 ? '+' : ''}${value.toFixed(0)}`;
+        const cell = (dimension) => {
+            if (!dimension) return '<span class="text-center text-gray-500">-</span>';
+            const label = FIT_STATUS_LABELS[dimension.status];
+            return `<span class="text-center ${label.class}">${label.text} <span class="font-mono text-gray-400">${formatSigned(dimension.difference)}</span></span>`;
+        };
+
+        container.innerHTML = results.map((result, i) => `
+            <div class="p-3 bg-gray-700/40 rounded-lg">
+                <div class="flex justify-between items-center">
+                    <span class="font-semibold">${i + 1}. ${Utils.escapeHtml(result.brand)} ${Utils.escapeHtml(result.model)}</span>
+                    <span class="font-mono text-green-400">${result.score}점</span>
+                </div>
+                <p class="text-gray-400 mt-1">
+                    KS ${result.size}${this.describeStock(result.stock)} · ${STABILITY_LABELS[result.stability]} (${STABILITY_MATCH_LABELS[result.stabilityMatch]})${result.drop !== null ? ` · 드롭 ${result.drop} mm` : ''}
+                </p>
+                <div class="grid grid-cols-3 gap-1 mt-2 text-xs">
+                    <span class="text-gray-400">항목</span>
+                    <span class="text-center text-gray-400">왼발</span>
+                    <span class="text-center text-gray-400">오른발</span>
+                    ${Object.entries(FIT_DIMENSION_LABELS).map(([key, label]) => `
+                    <span>${label}</span>
+                    ${cell(result.fit.left?.dimensions[key])}
+                    ${cell(result.fit.right?.dimensions[key])}`).join('')}
+                </div>
+            </div>
+        `).join('');
     }
 
     /**
@@ -648,6 +1912,41 @@ export class UIController extends EventTarget {
             qrModal.classList.add('hidden');
         }, 300);
     }
+    /**
+     * 확인 대화상자 표시 (확인하면 true, 취소하면 false로 끝나는 Promise)
+     */
+    confirmAction(message) {
+        const { confirmModal, confirmMessage } = this.elements;
+        if (!confirmModal || !confirmMessage) return Promise.resolve(false);
+
+        // 이미 열린 대화상자는 취소로 처리하고 내용만 바꿈
+        this.pendingConfirm?.(false);
+        confirmMessage.textContent = message;
+        confirmModal.classList.remove('hidden');
+        setTimeout(() => {
+            confirmModal.classList.remove('opacity-0');
+            confirmModal.querySelector('div').classList.remove('scale-95');
+        }, 10);
+
+        return new Promise(resolve => {
+            this.pendingConfirm = resolve;
+        });
+    }
+
+    closeConfirm(confirmed) {
+        const { confirmModal } = this.elements;
+        const resolve = this.pendingConfirm;
+        if (!confirmModal || !resolve) return;
+
+        this.pendingConfirm = null;
+        confirmModal.classList.add('opacity-0');
+        confirmModal.querySelector('div').classList.add('scale-95');
+        setTimeout(() => {
+            if (!this.pendingConfirm) confirmModal.classList.add('hidden');
+        }, 300);
+        resolve(confirmed);
+    }
+
     /**
      * 메시지 표시 헬퍼들
      */
@@ -659,6 +1958,10 @@ export class UIController extends EventTarget {
         this.showMessage(message, 'bg-red-500');
     }
 
+    showWarningMessage(message, duration = 5000) {
+        this.showMessage(message, 'bg-yellow-600');
+    }
+
     showMessage(message, bgColor) {
         const msgElement = document.createElement('div');
         msgElement.className = `fixed bottom-5 right-5 text-white text-sm py-2 px-4 rounded-lg shadow-lg transition-all duration-300 transform translate-y-10 opacity-0 ${bgColor}`;
@@ -701,12 +2004,85 @@ export class UIController extends EventTarget {
         return this.userGender;
     }
 
+    isGirthContoursVisible() {
+        return this.elements.girthToggle ? this.elements.girthToggle.checked : true;
+    }
+
+    isLandmarksVisible() {
+        return this.elements.landmarkToggle ? this.elements.landmarkToggle.checked : true;
+    }
+
+    isSectionPlaneVisible() {
+        return this.elements.sectionToggle ? this.elements.sectionToggle.checked : false;
+    }
+
+    isDeviationMapVisible() {
+        return this.elements.deviationToggle ? this.elements.deviationToggle.checked : false;
+    }
+
+    isProgressionMapVisible() {
+        return this.elements.progressionMapToggle ? this.elements.progressionMapToggle.checked : false;
+    }
+
+    isLoadOverlayVisible() {
+        return this.elements.loadOverlayToggle ? this.elements.loadOverlayToggle.checked : false;
+    }
+
+    isInsolePreviewVisible() {
+        return this.elements.insolePreviewToggle ? this.elements.insolePreviewToggle.checked : false;
+    }
+
+    /**
+     * 깔창 형상 입력값 ({ baseThickness, heelCupDepth, archSupportHeight, forefootThickness }, 범위 정리는 InsoleDesigner가 함)
+     */
+    getInsoleParams() {
+        const params = {};
+        this.elements.insoleParamInputs?.forEach(input => {
+            params[input.dataset.param] = parseFloat(input.value);
+        });
+        return params;
+    }
+
+    /**
+     * 정리된 깔창 형상 값을 입력란에 다시 표시
+     */
+    setInsoleParams(params) {
+        this.elements.insoleParamInputs?.forEach(input => {
+            if (Number.isFinite(params[input.dataset.param])) input.value = params[input.dataset.param];
+        });
+    }
+
+    isLastPreviewVisible() {
+        return this.elements.lastPreviewToggle ? this.elements.lastPreviewToggle.checked : false;
+    }
+
+    /**
+     * 라스트 형상 입력값 ({ toeSpring, heelPitch, girthAllowance }, 여유 길이는 getToeAllowance, 범위 정리는 LastGenerator가 함)
+     */
+    getLastParams() {
+        const params = {};
+        this.elements.lastParamInputs?.forEach(input => {
+            params[input.dataset.param] = parseFloat(input.value);
+        });
+        return params;
+    }
+
+    /**
+     * 정리된 라스트 형상 값을 입력란에 다시 표시
+     */
+    setLastParams(params) {
+        this.elements.lastParamInputs?.forEach(input => {
+            if (Number.isFinite(params[input.dataset.param])) input.value = params[input.dataset.param];
+        });
+    }
+
     /**
      * 정리 (메모리 해제)
      */
     dispose() {
         // 이벤트 리스너들이 자동으로 정리됨
         this.measurementData = null;
+        this.shoeSizes = null;
         this.footUploadStatus = { left: false, right: false };
         this.userName = ''; // 🔧 사용자 이름도 정리
         console.log('🧹 UI Controller 정리 완료');
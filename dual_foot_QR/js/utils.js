@@ -1,6 +1,10 @@
 /**
  * 유틸리티 모듈 - 공통 헬퍼 함수들
  */
+
+// HTML 특수 문자 → 엔티티
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 export class Utils {
     /**
      * 디바운스 함수
@@ -130,6 +134,68 @@ export class Utils {
         return start + (end - start) * factor;
     }
 
+    /**
+     * 입력 파라미터 정리 (limits: { 키: { value(기본값), min, max } }, 숫자가 아니면 기본값, 허용 범위로 자름)
+     */
+    static normalizeParams(params, limits) {
+        const normalized = {};
+        Object.entries(limits).forEach(([key, { value, min, max }]) => {
+            const input = Number(params?.[key]);
+            normalized[key] = Number.isFinite(input) ? Utils.clamp(input, min, max) : value;
+        });
+        return normalized;
+    }
+
+    /**
+     * 배열의 빈 칸(null/undefined)을 앞뒤 값 사이 보간으로 채움 (양 끝은 가장 가까운 값, 값이 하나도 없으면 그대로)
+     * mix(a, b, factor)로 숫자가 아닌 값도 보간 (기본은 선형 보간)
+     */
+    static fillGaps(values, mix = Utils.lerp) {
+        const valid = [];
+        values.forEach((value, i) => {
+            if (value !== null && value !== undefined) valid.push(i);
+        });
+        if (valid.length === 0) return [...values];
+
+        return values.map((value, i) => {
+            if (value !== null && value !== undefined) return value;
+            const before = valid.filter(v => v < i).pop();
+            const after = valid.find(v => v > i);
+            if (before === undefined) return values[after];
+            if (after === undefined) return values[before];
+            return mix(values[before], values[after], (i - before) / (after - before));
+        });
+    }
+
+    /**
+     * 발 좌표(Y 위, Z 뒤꿈치→발끝) 정점의 바닥면 높이, 뒤꿈치·발끝 위치, 좌우 끝 (정점이 부족하면 null)
+     */
+    static measureBounds(positions) {
+        if (positions.length < 30) return null;
+
+        let soleY = Infinity, heelZ = Infinity, toeZ = -Infinity, minX = Infinity, maxX = -Infinity;
+        for (let i = 0; i + 2 < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            if (!Number.isFinite(x + y + z)) continue;
+            if (y < soleY) soleY = y;
+            if (z < heelZ) heelZ = z;
+            if (z > toeZ) toeZ = z;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+        }
+
+        const length = toeZ - heelZ;
+        return length > 0 ? { soleY, heelZ, toeZ, length, minX, maxX } : null;
+    }
+
+    /**
+     * 두 경계 사이에서 0→1로 부드럽게 변하는 가중치 (경계 밖은 0 또는 1)
+     */
+    static smoothstep(edge0, edge1, value) {
+        const x = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+        return x * x * (3 - 2 * x);
+    }
+
     /**
      * 값을 다른 범위로 매핑
      */
@@ -230,6 +296,27 @@ export class Utils {
         throw lastError;
     }
 
+    /**
+     * HTML·XML에 넣을 텍스트의 특수 문자 이스케이프
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+    }
+
+    /**
+     * 텍스트/Blob 파일 저장 (브라우저 다운로드)
+     */
+    static downloadFile(content, fileName, mimeType) {
+        const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     /**
      * URL 파라미터 파싱
      */
@@ -242,6 +329,74 @@ export class Utils {
         return result;
     }
 
+    /**
+     * CSV 텍스트 → 행별 칸 배열 (큰따옴표 안의 쉼표·줄바꿈, "" 이스케이프, BOM 처리)
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const source = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * CSV 텍스트 → 열 이름별 문자열 행 [{ raw, line(파일 행 번호) }] (빈 행 제외)
+     * 머리글은 대소문자·공백·밑줄·하이픈을 무시하고 columns와 맞추며, 모르는 열은 버림 (label은 오류 문구용)
+     */
+    static readCSVRecords(text, columns, requiredColumns, label = 'CSV') {
+        const [header, ...rows] = Utils.parseCSV(text);
+        if (!header) throw new Error(`${label} 파일이 비어 있습니다.`);
+
+        const canonical = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+        const headerColumns = header.map(name => columns.find(column => canonical(column) === canonical(name)) || null);
+        const missing = requiredColumns.filter(column => !headerColumns.includes(column));
+        if (missing.length > 0) throw new Error(`${label}에 필요한 열이 없습니다: ${missing.join(', ')}`);
+
+        return rows
+            .map((cells, i) => ({ cells, line: i + 2 }))
+            .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+            .map(({ cells, line }) => {
+                const raw = {};
+                headerColumns.forEach((column, i) => {
+                    if (column) raw[column] = (cells[i] ?? '').trim();
+                });
+                return { raw, line };
+            });
+    }
+
     /**
      * 성능 헬퍼 접근자
      */